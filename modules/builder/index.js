@@ -0,0 +1,713 @@
+'use strict';
+
+/**
+ * ### Right Track Database Builder
+ * These functions build a Right Track Database from a GTFS feed: the
+ * GTFS tables (with the `*_seconds` columns of `gtfs_stop_times`) and the
+ * derived Right Track tables (`rt_stops_extra`, `rt_line_graph`,
+ * `rt_route_graph`, `rt_holidays` and `rt_about`)
+ * @module builder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zip = require('./zip.js');
+const csv = require('../utils/csv.js');
+const schema = require('../utils/schema.js');
+const promisify = require('../utils/promise.js');
+const DateTime = require('../utils/DateTime.js');
+
+
+/**
+ * GTFS files required to build the database
+ * @private
+ */
+const REQUIRED_TABLES = ['gtfs_stops', 'gtfs_routes', 'gtfs_trips', 'gtfs_stop_times'];
+
+/**
+ * Default descriptions of the trip directions, by direction id
+ * @private
+ */
+const DEFAULT_DIRECTIONS = {
+  0: 'Outbound',
+  1: 'Inbound'
+};
+
+/**
+ * Indexed columns, by table
+ * @private
+ */
+const INDEXES = {
+  gtfs_calendar: ['service_id'],
+  gtfs_calendar_dates: ['service_id', 'date'],
+  gtfs_routes: ['route_id'],
+  gtfs_shapes: ['shape_id'],
+  gtfs_stop_times: ['trip_id', 'stop_id'],
+  gtfs_stops: ['stop_id'],
+  gtfs_transfers: ['from_stop_id'],
+  gtfs_trips: ['trip_id', 'route_id', 'service_id'],
+  rt_line_graph: ['stop1_id'],
+  rt_route_graph: ['stop1_id'],
+  rt_stops_extra: ['stop_id']
+};
+
+/**
+ * Maximum number of bound parameters in an INSERT statement
+ * @private
+ */
+const MAX_PARAMS = 999;
+
+
+
+// ==== BUILD FUNCTIONS ==== //
+
+/**
+ * Build the Right Track Database from the GTFS feed.
+ *
+ * The GTFS feed can be a zip file or a directory of GTFS files.  Any
+ * Right Track tables included with the feed (such as `rt_stops_extra.txt`,
+ * `rt_alt_stop_names.txt`, `rt_links.txt` or `gtfs_directions.txt`) are
+ * used in place of (or merged with) the derived tables.
+ *
+ * The tables are written to the database using its `run` function, so the
+ * {@link RightTrackDB} implementation must support writes.  Existing
+ * tables are replaced.
+ *
+ * @param {RightTrackDB} db The Right Track Database to build
+ * @param {string} source Path to the GTFS zip file or directory
+ * @param {Object} [options] Build options
+ * @param {Object[]} [options.holidays] Holidays to add to the rt_holidays table
+ * @param {int} options.holidays[].date Holiday date (yyyymmdd)
+ * @param {string} options.holidays[].name Holiday name
+ * @param {boolean} [options.holidays[].peak=false] Peak fares are in effect on the holiday
+ * @param {string} [options.holidays[].serviceInfo] Holiday service information
+ * @param {Object} [options.directions] Descriptions of the trip directions,
+ * by direction id, when the feed does not include `gtfs_directions.txt`
+ * (default: 0 = Outbound, 1 = Inbound)
+ * @param {int} [options.publishDate] GTFS publish date (yyyymmdd) (default:
+ * the feed start date of `feed_info.txt` or the compile date)
+ * @param {int} [options.version] Database version (default: yyyymmddHH of the compile time)
+ * @param {string} [options.notes] Database version notes
+ * @param {function} [callback] Callback function
+ * @param {Error} callback.error Database Build Error
+ * @returns {Promise|undefined} Promise, when no callback is provided
+ */
+function build(db, source, options, callback) {
+
+  // Parse Args
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+  if ( options === undefined || options === null ) {
+    options = {};
+  }
+
+  // Database must support writes
+  if ( typeof db.run !== 'function' ) {
+    return callback(new Error('Could not build database: the RightTrackDB does not support writes'));
+  }
+
+  // Read the GTFS feed and build the tables
+  let tables = undefined;
+  try {
+    tables = _read(source);
+    _buildTables(tables, options);
+  }
+  catch(err) {
+    return callback(err);
+  }
+
+  // Write each of the tables
+  let names = Object.keys(tables).sort();
+  let index = 0;
+  _next();
+
+  function _next() {
+    if ( index >= names.length ) {
+      require('../query').clearCache();
+      return callback(null);
+    }
+    let name = names[index];
+    index++;
+    _write(db, name, tables[name], function(err) {
+      if ( err ) {
+        return callback(new Error('Could not build database: could not write ' + name + ' table: ' + err.message));
+      }
+      _next();
+    });
+  }
+
+}
+
+
+
+// ==== READ FUNCTIONS ==== //
+
+/**
+ * Read the tables of the GTFS feed
+ * @param {string} source Path to the GTFS zip file or directory
+ * @returns {Object} tables, by name ({columns, types, rows})
+ * @throws {Error} when the GTFS feed could not be read
+ * @private
+ */
+function _read(source) {
+  let files = {};
+
+  // Read the files from the zip file or directory
+  try {
+    if ( fs.statSync(source).isDirectory() ) {
+      let names = fs.readdirSync(source);
+      for ( let i = 0; i < names.length; i++ ) {
+        files[names[i]] = fs.readFileSync(path.join(source, names[i]));
+      }
+    }
+    else {
+      files = zip.read(fs.readFileSync(source));
+    }
+  }
+  catch(err) {
+    throw new Error('Could not read GTFS feed: ' + source + ' (' + err.message + ')');
+  }
+
+  // Parse each of the GTFS files
+  let rtn = {};
+  for ( let file in files ) {
+    if ( files.hasOwnProperty(file) ) {
+      let ext = path.extname(file).toLowerCase();
+      if ( ext === '.txt' || ext === '.csv' ) {
+        let name = path.basename(file, path.extname(file));
+        if ( name.indexOf('gtfs_') !== 0 && name.indexOf('rt_') !== 0 ) {
+          name = 'gtfs_' + name;
+        }
+        rtn[name] = _parseTable(name, files[file].toString('utf8'));
+      }
+    }
+  }
+
+  // Check for the required tables
+  for ( let i = 0; i < REQUIRED_TABLES.length; i++ ) {
+    if ( !rtn.hasOwnProperty(REQUIRED_TABLES[i]) ) {
+      throw new Error('Could not read GTFS feed: missing ' + REQUIRED_TABLES[i].replace('gtfs_', '') + '.txt');
+    }
+  }
+  if ( !rtn.hasOwnProperty('gtfs_calendar') && !rtn.hasOwnProperty('gtfs_calendar_dates') ) {
+    throw new Error('Could not read GTFS feed: missing calendar.txt or calendar_dates.txt');
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Parse the table from the contents of the CSV file.  The table has the
+ * schema columns as well as any additional columns of the file.  Fields of
+ * numeric columns are parsed as numbers (or `NULL` when empty).
+ * @param {string} name Table name
+ * @param {string} contents CSV file contents
+ * @returns {Object} table {columns, types, rows}
+ * @private
+ */
+function _parseTable(name, contents) {
+  let records = csv.parse(contents);
+  let header = records.length > 0 ? records[0] : [];
+  for ( let i = 0; i < header.length; i++ ) {
+    header[i] = header[i].trim();
+  }
+  let rtn = _createTable(name, header);
+
+  // Parse each record
+  for ( let i = 1; i < records.length; i++ ) {
+    let row = {};
+    for ( let j = 0; j < rtn.columns.length; j++ ) {
+      row[rtn.columns[j]] = null;
+    }
+    for ( let j = 0; j < header.length; j++ ) {
+      let value = j < records[i].length ? records[i][j] : '';
+      if ( rtn.types[header[j]] !== 'TEXT' ) {
+        value = value.trim() === '' ? null : isNaN(Number(value)) ? value : Number(value);
+      }
+      row[header[j]] = value;
+    }
+    rtn.rows.push(row);
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Create an empty table with the schema columns and additional columns
+ * @param {string} name Table name
+ * @param {string[]} [columns] Additional columns
+ * @returns {Object} table {columns, types, rows}
+ * @private
+ */
+function _createTable(name, columns) {
+  let rtn = {
+    columns: [],
+    types: {},
+    rows: []
+  };
+  let fields = schema.hasOwnProperty(name) ? schema[name] : {};
+  let add = function(column, type) {
+    if ( column !== '' && !rtn.types.hasOwnProperty(column) ) {
+      rtn.columns.push(column);
+      rtn.types[column] = type;
+    }
+  };
+  for ( let column in fields ) {
+    if ( fields.hasOwnProperty(column) ) {
+      add(column, fields[column]);
+    }
+  }
+  for ( let i = 0; columns !== undefined && i < columns.length; i++ ) {
+    add(columns[i], 'TEXT');
+  }
+  return rtn;
+}
+
+
+/**
+ * Get the table, adding an empty table if it does not exist
+ * @param {Object} tables Tables, by name
+ * @param {string} name Table name
+ * @returns {Object} table {columns, types, rows}
+ * @private
+ */
+function _getTable(tables, name) {
+  if ( !tables.hasOwnProperty(name) ) {
+    tables[name] = _createTable(name);
+  }
+  return tables[name];
+}
+
+
+
+// ==== DERIVED TABLE FUNCTIONS ==== //
+
+/**
+ * Build the derived Right Track tables
+ * @param {Object} tables Tables, by name
+ * @param {Object} options Build options
+ * @private
+ */
+function _buildTables(tables, options) {
+  let trips = _getTripStopTimes(tables);
+  _buildStopTimes(tables);
+  _buildStopsExtra(tables);
+  _buildLineGraph(tables, trips);
+  _buildRouteGraph(tables, trips);
+  _buildDirections(tables, options);
+  _buildHolidays(tables, options);
+  _buildAbout(tables, options);
+
+  // Add the remaining (empty) tables
+  for ( let name in schema ) {
+    if ( schema.hasOwnProperty(name) ) {
+      _getTable(tables, name);
+    }
+  }
+}
+
+
+/**
+ * Derive the Right Track data missing from the tables of a GTFS feed that
+ * are queried directly (such as by the {@link RightTrackMemoryDB}): the
+ * `*_seconds` columns of the stop times, a rt_stops_extra row for each
+ * stop and, when not included with the feed, the rt_line_graph,
+ * rt_route_graph and gtfs_directions tables.
+ * @param {Object} tables Tables, by name ({columns, rows}), including each
+ * of the schema tables
+ * @private
+ */
+function derive(tables) {
+  let trips = _getTripStopTimes(tables);
+  _buildStopTimes(tables);
+  _buildStopsExtra(tables);
+  if ( tables.rt_line_graph.rows.length === 0 ) {
+    _buildLineGraph(tables, trips);
+  }
+  if ( tables.rt_route_graph.rows.length === 0 ) {
+    _buildRouteGraph(tables, trips);
+  }
+  _buildDirections(tables, {});
+}
+
+
+/**
+ * Get the stop times of each trip, sorted by stop sequence
+ * @param {Object} tables Tables, by name
+ * @returns {Object[]} trips {id, direction, stops}
+ * @private
+ */
+function _getTripStopTimes(tables) {
+  let rtn = [];
+
+  // Direction of each trip
+  let directions = {};
+  let trips = tables.gtfs_trips.rows;
+  for ( let i = 0; i < trips.length; i++ ) {
+    directions[trips[i].trip_id] = trips[i].direction_id;
+  }
+
+  // Group stop times by trip
+  let stopTimes = {};
+  let rows = tables.gtfs_stop_times.rows;
+  for ( let i = 0; i < rows.length; i++ ) {
+    let id = rows[i].trip_id;
+    if ( !stopTimes.hasOwnProperty(id) ) {
+      stopTimes[id] = [];
+      rtn.push({
+        id: id,
+        direction: directions.hasOwnProperty(id) ? directions[id] : null,
+        stops: stopTimes[id]
+      });
+    }
+    stopTimes[id].push(rows[i]);
+  }
+
+  // Sort the stops of each trip
+  for ( let i = 0; i < rtn.length; i++ ) {
+    rtn[i].stops.sort(function(a, b) {
+      return a.stop_sequence - b.stop_sequence;
+    });
+    rtn[i].stops = rtn[i].stops.map(function(row) {
+      return row.stop_id;
+    });
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Add the arrival and departure times in seconds to the stop times
+ * @param {Object} tables Tables, by name
+ * @private
+ */
+function _buildStopTimes(tables) {
+  let rows = tables.gtfs_stop_times.rows;
+  for ( let i = 0; i < rows.length; i++ ) {
+    if ( rows[i].arrival_time_seconds === null ) {
+      rows[i].arrival_time_seconds = _seconds(rows[i].arrival_time);
+    }
+    if ( rows[i].departure_time_seconds === null ) {
+      rows[i].departure_time_seconds = _seconds(rows[i].departure_time);
+    }
+  }
+}
+
+
+/**
+ * Build the rt_stops_extra table: a row for each stop, using the values
+ * included with the feed.  By default, stops have no status id (-1), use
+ * the stop name as the display name and are weighted by their number of
+ * stop times.
+ * @param {Object} tables Tables, by name
+ * @private
+ */
+function _buildStopsExtra(tables) {
+  let extra = _getTable(tables, 'rt_stops_extra');
+
+  // Provided values, by stop
+  let provided = {};
+  for ( let i = 0; i < extra.rows.length; i++ ) {
+    provided[extra.rows[i].stop_id] = extra.rows[i];
+  }
+
+  // Number of stop times at each stop
+  let weights = {};
+  let stopTimes = tables.gtfs_stop_times.rows;
+  for ( let i = 0; i < stopTimes.length; i++ ) {
+    let id = stopTimes[i].stop_id;
+    weights[id] = (weights.hasOwnProperty(id) ? weights[id] : 0) + 1;
+  }
+
+  // Build a row for each stop
+  let rows = [];
+  let stops = tables.gtfs_stops.rows;
+  for ( let i = 0; i < stops.length; i++ ) {
+    let id = stops[i].stop_id;
+    let row = provided.hasOwnProperty(id) ? provided[id] : {};
+    rows.push(Object.assign({}, row, {
+      stop_id: id,
+      status_id: _value(row.status_id, '-1'),
+      display_name: _value(row.display_name, stops[i].stop_name),
+      transfer_weight: _value(row.transfer_weight, weights.hasOwnProperty(id) ? weights[id] : 0),
+      zone_id: _value(row.zone_id, null)
+    }));
+  }
+  extra.rows = rows;
+}
+
+
+/**
+ * Build the rt_line_graph table: the pairs of stops that are adjacent on
+ * a trip (in both directions)
+ * @param {Object} tables Tables, by name
+ * @param {Object[]} trips Trip stops
+ * @private
+ */
+function _buildLineGraph(tables, trips) {
+  let table = _getTable(tables, 'rt_line_graph');
+  let added = new Set();
+  let add = function(stop1, stop2) {
+    let key = stop1 + '\u0000' + stop2;
+    if ( stop1 !== stop2 && !added.has(key) ) {
+      added.add(key);
+      table.rows.push({stop1_id: stop1, stop2_id: stop2});
+    }
+  };
+
+  table.rows = [];
+  for ( let i = 0; i < trips.length; i++ ) {
+    let stops = trips[i].stops;
+    for ( let j = 1; j < stops.length; j++ ) {
+      add(stops[j-1], stops[j]);
+      add(stops[j], stops[j-1]);
+    }
+  }
+}
+
+
+/**
+ * Build the rt_route_graph table: the pairs of stops where the second
+ * stop is after the first stop on a trip, with the trip's direction
+ * @param {Object} tables Tables, by name
+ * @param {Object[]} trips Trip stops
+ * @private
+ */
+function _buildRouteGraph(tables, trips) {
+  let table = _getTable(tables, 'rt_route_graph');
+  let added = new Set();
+
+  table.rows = [];
+  for ( let i = 0; i < trips.length; i++ ) {
+    let stops = trips[i].stops;
+    let direction = trips[i].direction;
+    for ( let j = 0; j < stops.length; j++ ) {
+      for ( let k = j+1; k < stops.length; k++ ) {
+        let key = stops[j] + '\u0000' + stops[k] + '\u0000' + direction;
+        if ( stops[j] !== stops[k] && !added.has(key) ) {
+          added.add(key);
+          table.rows.push({stop1_id: stops[j], stop2_id: stops[k], direction_id: direction});
+        }
+      }
+    }
+  }
+}
+
+
+/**
+ * Build the gtfs_directions table, when not included with the feed: a
+ * row for each of the directions of the trips
+ * @param {Object} tables Tables, by name
+ * @param {Object} options Build options
+ * @private
+ */
+function _buildDirections(tables, options) {
+  let table = _getTable(tables, 'gtfs_directions');
+  if ( table.rows.length > 0 ) {
+    return;
+  }
+  let descriptions = options.directions !== undefined ? options.directions : DEFAULT_DIRECTIONS;
+
+  // Get the distinct directions
+  let directions = [];
+  let trips = tables.gtfs_trips.rows;
+  for ( let i = 0; i < trips.length; i++ ) {
+    let direction = trips[i].direction_id;
+    if ( direction !== null && directions.indexOf(direction) === -1 ) {
+      directions.push(direction);
+    }
+  }
+  directions.sort(function(a, b) {
+    return a - b;
+  });
+
+  for ( let i = 0; i < directions.length; i++ ) {
+    table.rows.push({
+      direction_id: directions[i],
+      description: descriptions.hasOwnProperty(directions[i]) ? descriptions[directions[i]] : null
+    });
+  }
+}
+
+
+/**
+ * Build the rt_holidays table: the holidays included with the feed and
+ * the holidays provided in the build options
+ * @param {Object} tables Tables, by name
+ * @param {Object} options Build options
+ * @private
+ */
+function _buildHolidays(tables, options) {
+  let table = _getTable(tables, 'rt_holidays');
+  let holidays = options.holidays !== undefined ? options.holidays : [];
+  for ( let i = 0; i < holidays.length; i++ ) {
+    table.rows.push({
+      date: holidays[i].date,
+      holiday_name: holidays[i].name,
+      peak: holidays[i].peak ? 1 : 0,
+      service_info: _value(holidays[i].serviceInfo, null)
+    });
+  }
+}
+
+
+/**
+ * Build the rt_about table: the compile date, GTFS publish date, start
+ * and end dates of the schedule data, version and version notes
+ * @param {Object} tables Tables, by name
+ * @param {Object} options Build options
+ * @private
+ */
+function _buildAbout(tables, options) {
+  let table = _getTable(tables, 'rt_about');
+  let now = DateTime.now();
+  let compile = now.getDateInt();
+
+  // Get the start and end dates of the schedule data
+  let dates = [];
+  let calendar = _getTable(tables, 'gtfs_calendar').rows;
+  for ( let i = 0; i < calendar.length; i++ ) {
+    dates.push(calendar[i].start_date, calendar[i].end_date);
+  }
+  let calendarDates = _getTable(tables, 'gtfs_calendar_dates').rows;
+  for ( let i = 0; i < calendarDates.length; i++ ) {
+    if ( calendarDates[i].exception_type === 1 ) {
+      dates.push(calendarDates[i].date);
+    }
+  }
+  dates = dates.filter(function(date) {
+    return typeof date === 'number';
+  });
+
+  // Get the GTFS publish date
+  let publish = options.publishDate;
+  let feedInfo = tables.hasOwnProperty('gtfs_feed_info') ? tables.gtfs_feed_info.rows : [];
+  if ( publish === undefined && feedInfo.length > 0 && typeof feedInfo[0].feed_start_date === 'number' ) {
+    publish = feedInfo[0].feed_start_date;
+  }
+
+  table.rows = [{
+    compile_date: compile,
+    gtfs_publish_date: publish !== undefined ? publish : compile,
+    start_date: dates.length > 0 ? Math.min.apply(null, dates) : null,
+    end_date: dates.length > 0 ? Math.max.apply(null, dates) : null,
+    version: options.version !== undefined ? options.version : compile*100 + Math.floor(now.getTimeSeconds()/3600),
+    notes: _value(options.notes, null)
+  }];
+}
+
+
+
+// ==== WRITE FUNCTIONS ==== //
+
+/**
+ * Write the table to the database: replace the existing table, insert
+ * the rows (in a single transaction) and create the table's indexes
+ * @param {RightTrackDB} db The Right Track Database to write to
+ * @param {string} name Table name
+ * @param {Object} table Table {columns, types, rows}
+ * @param {function} callback Callback function(err)
+ * @private
+ */
+function _write(db, name, table, callback) {
+  let statements = [];
+  let columns = table.columns;
+
+  // Replace the table
+  let definitions = columns.map(function(column) {
+    return '"' + column + '" ' + table.types[column];
+  });
+  statements.push({statement: 'DROP TABLE IF EXISTS ' + name + ';', params: []});
+  statements.push({statement: 'CREATE TABLE ' + name + ' (' + definitions.join(', ') + ');', params: []});
+
+  // Insert the rows, in batches
+  let quoted = columns.map(function(column) {
+    return '"' + column + '"';
+  });
+  let values = '(' + columns.map(function() { return '?'; }).join(', ') + ')';
+  let size = Math.max(1, Math.floor(MAX_PARAMS/columns.length));
+  statements.push({statement: 'BEGIN TRANSACTION;', params: []});
+  for ( let i = 0; i < table.rows.length; i += size ) {
+    let rows = table.rows.slice(i, i+size);
+    let params = [];
+    for ( let j = 0; j < rows.length; j++ ) {
+      for ( let k = 0; k < columns.length; k++ ) {
+        let value = rows[j][columns[k]];
+        params.push(value === undefined ? null : value);
+      }
+    }
+    let placeholders = rows.map(function() { return values; });
+    statements.push({
+      statement: 'INSERT INTO ' + name + ' (' + quoted.join(', ') + ') VALUES ' + placeholders.join(', ') + ';',
+      params: params
+    });
+  }
+  statements.push({statement: 'COMMIT;', params: []});
+
+  // Create the indexes
+  let indexes = INDEXES.hasOwnProperty(name) ? INDEXES[name] : [];
+  for ( let i = 0; i < indexes.length; i++ ) {
+    statements.push({
+      statement: 'CREATE INDEX IF NOT EXISTS ' + name + '_' + indexes[i] + ' ON ' + name + ' ("' + indexes[i] + '");',
+      params: []
+    });
+  }
+
+  // Run the statements, in order
+  let index = 0;
+  _next();
+
+  function _next() {
+    if ( index >= statements.length ) {
+      return callback(null);
+    }
+    let statement = statements[index];
+    index++;
+    db.run(statement.statement, statement.params, function(err) {
+      if ( err ) {
+        return callback(err);
+      }
+      _next();
+    });
+  }
+}
+
+
+
+// ==== HELPER FUNCTIONS ==== //
+
+/**
+ * Get the time in seconds since midnight of the GTFS time
+ * @param {string} time GTFS time (HH:mm:ss)
+ * @returns {int} time in seconds (or null if the time is not set)
+ * @private
+ */
+function _seconds(time) {
+  if ( time === null || time === undefined || time.trim() === '' ) {
+    return null;
+  }
+  return DateTime.createFromTime(time.trim()).getTimeSeconds();
+}
+
+
+/**
+ * Get the value, or the default value when the value is not set
+ * @param {*} value Value
+ * @param {*} defaultValue Default value
+ * @returns {*}
+ * @private
+ */
+function _value(value, defaultValue) {
+  return value === null || value === undefined || value === '' ? defaultValue : value;
+}
+
+
+module.exports = {
+  build: promisify(build),
+  derive: derive
+};
\ No newline at end of file
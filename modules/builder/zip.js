@@ -0,0 +1,110 @@
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * Zip archive reader, used to read the files of a zipped GTFS feed.
+ * Only the stored and deflated compression methods are supported (not
+ * encrypted or Zip64 archives).
+ * @module builder/zip
+ * @private
+ */
+
+
+/**
+ * End of Central Directory record signature
+ * @private
+ */
+const EOCD_SIGNATURE = 0x06054b50;
+
+/**
+ * Central Directory file header signature
+ * @private
+ */
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+/**
+ * Local file header signature
+ * @private
+ */
+const LOCAL_SIGNATURE = 0x04034b50;
+
+
+/**
+ * Read the files in the zip archive.  Directories and hidden files are
+ * skipped and the files are returned by name, without their directory.
+ * @param {Buffer} buffer Zip archive contents
+ * @returns {Object} file contents (as a Buffer), by file name
+ * @throws {Error} when the zip archive could not be read
+ * @private
+ */
+function read(buffer) {
+  let rtn = {};
+
+  // Find the End of Central Directory record (followed by an optional comment)
+  let eocd = -1;
+  for ( let i = buffer.length - 22; i >= 0 && i >= buffer.length - 22 - 0xFFFF; i-- ) {
+    if ( buffer.readUInt32LE(i) === EOCD_SIGNATURE ) {
+      eocd = i;
+      break;
+    }
+  }
+  if ( eocd === -1 ) {
+    throw new Error('Could not read zip file: end of central directory not found');
+  }
+  let count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if ( count === 0xFFFF || offset === 0xFFFFFFFF ) {
+    throw new Error('Could not read zip file: Zip64 archives are not supported');
+  }
+
+  // Read each Central Directory file header
+  for ( let i = 0; i < count; i++ ) {
+    if ( offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE ) {
+      throw new Error('Could not read zip file: invalid central directory');
+    }
+    let flags = buffer.readUInt16LE(offset + 8);
+    let method = buffer.readUInt16LE(offset + 10);
+    let size = buffer.readUInt32LE(offset + 20);
+    let nameLength = buffer.readUInt16LE(offset + 28);
+    let extraLength = buffer.readUInt16LE(offset + 30);
+    let commentLength = buffer.readUInt16LE(offset + 32);
+    let local = buffer.readUInt32LE(offset + 42);
+    let name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset = offset + 46 + nameLength + extraLength + commentLength;
+
+    // Skip directories and hidden files
+    name = name.split('/').pop();
+    if ( name === '' || name.charAt(0) === '.' ) {
+      continue;
+    }
+    if ( (flags & 0x1) === 0x1 ) {
+      throw new Error('Could not read zip file: ' + name + ' is encrypted');
+    }
+
+    // Find the file data, after the local file header
+    if ( local + 30 > buffer.length || buffer.readUInt32LE(local) !== LOCAL_SIGNATURE ) {
+      throw new Error('Could not read zip file: invalid local file header for ' + name);
+    }
+    let start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    let data = buffer.subarray(start, start + size);
+
+    // Decompress the file data
+    if ( method === 0 ) {
+      rtn[name] = data;
+    }
+    else if ( method === 8 ) {
+      rtn[name] = zlib.inflateRawSync(data);
+    }
+    else {
+      throw new Error('Could not read zip file: unsupported compression method for ' + name);
+    }
+  }
+
+  return rtn;
+}
+
+
+module.exports = {
+  read: read
+};
\ No newline at end of file
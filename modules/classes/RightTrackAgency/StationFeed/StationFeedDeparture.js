@@ -71,10 +71,12 @@ class StationFeedDeparture {
  * @returns {int} compare integer
  */
 StationFeedDeparture.sort = function(a, b) {
-  if ( a.departure < b.departure ) {
+  let aDeparture = a.departure.toTimestamp();
+  let bDeparture = b.departure.toTimestamp();
+  if ( aDeparture < bDeparture ) {
     return -1;
   }
-  else if ( a.departure > b.departure ) {
+  else if ( aDeparture > bDeparture ) {
     return 1;
   }
   else {
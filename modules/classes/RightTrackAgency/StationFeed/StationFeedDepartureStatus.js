@@ -77,6 +77,15 @@ class StationFeedDepartureStatus {
 
   }
 
+  /**
+   * Flag for a cancelled departure: a status label of Cancelled (or
+   * Canceled), in any case
+   * @returns {boolean}
+   */
+  get cancelled() {
+    return typeof this.status === 'string' && /\bcancell?ed\b/i.test(this.status);
+  }
+
 }
 
 /**
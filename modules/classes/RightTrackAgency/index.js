@@ -2,6 +2,7 @@
 
 const config = require('@dwaring87/config');
 const path = require('path');
+const promisify = require('../../utils/promise.js');
 
 /**
  * Right Track Agency Abstract Class
@@ -20,7 +21,10 @@ const path = require('path');
  * The abstract class handles the agency configuration properties and the
  * reading of additional agency configuration files.  An implementation
  * of this class should override the feed-related functions to provide
- * a real-time Station Feed.
+ * a real-time Station Feed.  The feed functions can either return their
+ * results using the callback function or return a Promise of their results.
+ * Either way, they can be called with a callback function or, when no
+ * callback is provided, will return a Promise.
  * 
  * **Module:** {@link module:classes/RightTrackAgency|classes/RightTrackAgency}
  * 
@@ -43,6 +47,8 @@ class RightTrackAgency {
    * is used).
    * - `id` = the agency id code
    * - `name` = the agency's full name
+   * - `timezone` = the agency's IANA timezone (optional, Trip Searches use
+   * the `agency_timezone` of the GTFS feed when not set)
    * @param {string} [moduleDirectory] The full path to the root of the agency's
    * module directory.  This is where relative paths to configuration files
    * will be relative to.
@@ -77,6 +83,10 @@ class RightTrackAgency {
 
     }
 
+    // Support callback and Promise implementations and callers
+    this.loadFeed = promisify(this.loadFeed);
+    this.loadVehicleFeeds = promisify(this.loadVehicleFeeds);
+
   }
 
 
@@ -104,6 +114,17 @@ class RightTrackAgency {
     return undefined;
   }
 
+  /**
+   * The Agency's IANA timezone
+   * @returns {string|undefined}
+   */
+  get timezone() {
+    if ( this.config !== undefined ) {
+      return this.config.timezone;
+    }
+    return undefined;
+  }
+
   /**
    * The Agency's module directory
    * @returns {string}
@@ -171,12 +192,13 @@ class RightTrackAgency {
    * This function will need to be overridden by the implementing agency.
    * @param {RightTrackDB} db The Right Track DB to query
    * @param {Stop} origin The origin Stop
-   * @param {function} callback Callback function
+   * @param {function} [callback] Callback function
    * @param {Error} callback.error Station Feed Error.  The Error's message will be
    * a pipe (`|`) separated string in the format of: `Error Code|Error Type|Error Message`
    * that will be parsed out by the **Right Track API Server** into a more specific
    * error Response.
    * @param {StationFeed} [callback.feed] The built `StationFeed` for the Stop
+   * @returns {Promise<StationFeed>|undefined} The built `StationFeed`, when no callback is provided
    * @abstract
    */
   loadFeed(db, origin, callback) {
@@ -200,12 +222,13 @@ class RightTrackAgency {
    * 
    * This function will need to be overridden by the implementing agency.
    * @param {RightTrackDB} db The Right Track DB to query
-   * @param {function} callback Callback function
+   * @param {function} [callback] Callback function
    * @param {Error} callback.error Vehicle Feed Error.  The Error's message will be
    * a pipe (`|`) separated string in the format of: `Error Code|Error Type|Error Message`
    * that will be parsed out by the **Right Track API Server** into a more specific
    * error Response.
    * @param {VehicleFeed[]} [callback.feeds] An array of `VehicleFeed`s for the Agency
+   * @returns {Promise<VehicleFeed[]>|undefined} The `VehicleFeed`s, when no callback is provided
    * @abstract
    */
   loadVehicleFeeds(db, callback) {
@@ -1,5 +1,8 @@
 'use strict';
 
+const promisify = require('../../utils/promise.js');
+const sql = require('../../utils/sql.js');
+
 /**
  * Right Track DB Abstract Class
  * @see {@link RightTrackDB}
@@ -23,23 +26,49 @@
  *     agency must have the configuration properties set to the agency's id
  *     as well as the database location.
  *
- * - `select({string} statement, {function} callback)`:
+ * - `select({string} statement, {Array} params, {function} callback)`:
  *  - this is used to SELECT multiple rows from the SQLite database using
  *    the passed statement.  It will return the rows using the passed callback
  *    function.
- *  - `statement`: the full SQLite SELECT statement
+ *  - `statement`: the full SQLite SELECT statement, with a `?` placeholder
+ *    for each bound parameter
+ *  - `params`: the values of the bound parameters (in order)
  *  - `callback`: the {@link RightTrackDB~selectCallback|selectCallback} function
  *
- * - `get({string} statement, {function} callback)`:
+ * - `get({string} statement, {Array} params, {function} callback)`:
  *  - this is used to SELECT a single row from the SQLite database using the
  *    passed statement.  It will return the result using the passed callback
  *    function.
  *      - If no rows are selected, it will return `undefined`
  *      - If one row is selected, it will return the single row
  *      - If more than one row is selected, it will return the first row
- *  - `statement`: the full SQLite SELECT statement
+ *  - `statement`: the full SQLite SELECT statement, with a `?` placeholder
+ *    for each bound parameter
+ *  - `params`: the values of the bound parameters (in order)
  *  - `callback`: the {@link RightTrackDB~getCallback|getCallback} function
  *
+ * An implementation may also have the following (optional) function, which
+ * is required to build the Right Track Database with `core.builder.build()`
+ * (see {@link module:builder|builder}):
+ *
+ * - `run({string} statement, {Array} params, {function} callback)`:
+ *  - this is used to run a statement that modifies the SQLite database
+ *    (such as `CREATE TABLE`, `DROP TABLE`, `INSERT` or `DELETE`)
+ *  - `statement`: the full SQLite statement, with a `?` placeholder for
+ *    each bound parameter
+ *  - `params`: the values of the bound parameters (in order)
+ *  - `callback`: the {@link RightTrackDB~runCallback|runCallback} function
+ *
+ * Older implementations of `select({string} statement, {function} callback)`
+ * and `get({string} statement, {function} callback)` (functions declared
+ * with fewer than three arguments) are still supported: the parameters are
+ * escaped and bound into the statement before it is passed to the function.
+ *
+ * The `select`, `get` and `run` implementations can either return their results
+ * using the callback function or return a Promise of their results.  Either
+ * way, the functions can be called with a callback function or, when no
+ * callback is provided, will return a Promise.
+ *
  * **Module:** {@link module:classes/RightTrackDB|classes/RightTrackDB}
  *
  * @class
@@ -65,6 +94,13 @@ class RightTrackDB {
 
     // Set Database properties
     this._agency = agency;
+
+    // Support callback and Promise implementations and callers
+    this.select = promisify(_params(this.select));
+    this.get = promisify(_params(this.get));
+    if ( typeof this.run === 'function' ) {
+      this.run = promisify(_params(this.run));
+    }
   }
 
 
@@ -89,7 +125,8 @@ class RightTrackDB {
    * @returns {string}
    */
   get location() {
-    return this._agency.getConfig().db.location;
+    let db = this._agency.getConfig().db;
+    return db !== undefined ? db.location : undefined;
   }
 
 
@@ -97,9 +134,11 @@ class RightTrackDB {
    * Select multiple rows from the database
    * @abstract
    * @param {string} statement Select Statement
-   * @param {function} callback {@link RightTrackDB~selectCallback|selectCallback} callback function
+   * @param {Array} [params] Bound parameters
+   * @param {function} [callback] {@link RightTrackDB~selectCallback|selectCallback} callback function
+   * @returns {Promise<object[]>|undefined} Selected rows, when no callback is provided
    */
-  select(statement, callback) {}
+  select(statement, params, callback) {}
 
   /**
    * Select a single row from the database.  If no results are selected, this
@@ -107,13 +146,54 @@ class RightTrackDB {
    * return the first result.
    * @abstract
    * @param {string} statement Select Statement
-   * @param {function} callback {@link RightTrackDB~getCallback|getCallback} callback function
+   * @param {Array} [params] Bound parameters
+   * @param {function} [callback] {@link RightTrackDB~getCallback|getCallback} callback function
+   * @returns {Promise<object>|undefined} First selected row, when no callback is provided
    */
-  get(statement, callback) {}
+  get(statement, params, callback) {}
 
 }
 
 
+/**
+ * Wrap the `select`, `get` or `run` implementation so it can be called with
+ * or without bound parameters.  Implementations that do not accept
+ * parameters are passed the statement with the parameters bound into it.
+ * @param {function} fn The `select`, `get` or `run` implementation
+ * @returns {function} wrapped function(statement, [params], callback)
+ * @private
+ */
+function _params(fn) {
+  return function(statement, params, callback) {
+
+    // Parse Args
+    if ( callback === undefined && typeof params === 'function' ) {
+      callback = params;
+      params = [];
+    }
+    if ( params === undefined || params === null ) {
+      params = [];
+    }
+
+    // Implementation supports parameters
+    if ( fn.length >= 3 ) {
+      return fn.call(this, statement, params, callback);
+    }
+
+    // Bind the parameters into the statement
+    let bound = undefined;
+    try {
+      bound = params.length > 0 ? sql.bind(statement, params) : statement;
+    }
+    catch(err) {
+      return callback(err);
+    }
+    return fn.call(this, bound, callback);
+
+  }
+}
+
+
 // ==== CALLBACK DEFINITIONS ==== //
 
 /**
@@ -132,5 +212,12 @@ class RightTrackDB {
  * @param {object} [row] First selected row
  */
 
+/**
+ * This callback is performed after running a statement that
+ * modifies the database.
+ * @callback RightTrackDB~runCallback
+ * @param {Error} error Database Error
+ */
+
 
 module.exports = RightTrackDB;
\ No newline at end of file
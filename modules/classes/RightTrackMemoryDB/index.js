@@ -0,0 +1,300 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const RightTrackDB = require('../RightTrackDB');
+const csv = require('../../utils/csv.js');
+const sql = require('./sql.js');
+const schema = require('../../utils/schema.js');
+const builder = require('../../builder');
+
+/**
+ * Right Track In-Memory DB Class
+ * @see {@link RightTrackMemoryDB}
+ * @module classes/RightTrackMemoryDB
+ */
+
+
+/**
+ * Maximum number of parsed statements to keep
+ * @private
+ */
+const MAX_STATEMENTS = 250;
+
+
+/**
+ * ### `RightTrackMemoryDB` Class
+ *
+ * An in-memory implementation of the {@link RightTrackDB} Class that loads
+ * the tables of the Right Track Database from a directory of GTFS files.
+ * It has no native dependencies, which makes it useful for testing (with
+ * small fixture feeds) and small deployments.
+ *
+ * Each `.txt` (or `.csv`) file in the directory is loaded as a table:
+ * - GTFS files (such as `stops.txt`) are loaded into the matching `gtfs_*`
+ *   table (`gtfs_stops`)
+ * - files already named after a table (such as `rt_stops_extra.txt` or
+ *   `gtfs_directions.txt`) are loaded into that table
+ *
+ * Any of the GTFS and Right Track tables without a file are empty.  The
+ * fields of numeric GTFS and Right Track columns are loaded as numbers (or
+ * `NULL` when empty), all other fields are loaded as text.
+ *
+ * The Right Track data not included with the GTFS files is derived when
+ * the directory is loaded, so a plain GTFS feed can be queried and searched:
+ * the `*_seconds` columns of the stop times, a default rt_stops_extra row
+ * for each stop and (when their files are missing) the rt_line_graph,
+ * rt_route_graph and gtfs_directions tables.
+ *
+ * The `select` and `get` functions support the subset of the SQLite SELECT
+ * syntax used by the Right Track query functions (joins, sub-queries,
+ * grouping, ordering, aggregate functions and bound `?` parameters).
+ *
+ * The `run` function supports the `CREATE TABLE`, `DROP TABLE`, `INSERT`
+ * and `DELETE` statements used by the {@link module:builder|database builder}.
+ * A DB created without a GTFS directory (and without an agency database
+ * location) starts with empty tables that can be built with
+ * `core.builder.build()`.
+ *
+ * **Module:** {@link module:classes/RightTrackMemoryDB|classes/RightTrackMemoryDB}
+ *
+ * @class
+ * @alias RightTrackMemoryDB
+ * @extends RightTrackDB
+ */
+class RightTrackMemoryDB extends RightTrackDB {
+
+  /**
+   * Create a new in-memory Right Track DB from the GTFS directory
+   * @param {RightTrackAgency} agency The Right Track Agency this DB will be used to query
+   * @param {string} [directory] The path to the directory of GTFS files
+   * (default: the location of the agency's database, if set, otherwise the
+   * DB is created with empty tables)
+   * @throws {Error} when the GTFS directory could not be read
+   */
+  constructor(agency, directory) {
+    super(agency);
+
+    /**
+     * Database tables, by name
+     * @type {Object}
+     * @private
+     */
+    this._tables = {};
+
+    /**
+     * Parsed statements, by statement
+     * @type {Map}
+     * @private
+     */
+    this._statements = new Map();
+
+    // Create the empty tables
+    for ( let name in schema ) {
+      if ( schema.hasOwnProperty(name) ) {
+        this._tables[name] = _createTable(name, Object.keys(schema[name]));
+      }
+    }
+
+    // Load the GTFS files
+    directory = directory !== undefined ? directory : this.location;
+    if ( directory === undefined || directory === null ) {
+      return;
+    }
+    let files = undefined;
+    try {
+      files = fs.readdirSync(directory);
+    }
+    catch(err) {
+      throw new Error('Could not read GTFS directory: ' + directory);
+    }
+    for ( let i = 0; i < files.length; i++ ) {
+      let ext = path.extname(files[i]).toLowerCase();
+      if ( ext === '.txt' || ext === '.csv' ) {
+        let name = path.basename(files[i], path.extname(files[i]));
+        if ( name.indexOf('gtfs_') !== 0 && name.indexOf('rt_') !== 0 ) {
+          name = 'gtfs_' + name;
+        }
+        this._tables[name] = _loadTable(name, path.join(directory, files[i]));
+      }
+    }
+
+    // Derive the missing Right Track data
+    builder.derive(this._tables);
+  }
+
+
+  /**
+   * The names of the tables in the database
+   * @returns {string[]}
+   */
+  get tables() {
+    return Object.keys(this._tables);
+  }
+
+
+  /**
+   * Select multiple rows from the database
+   * @param {string} statement Select Statement
+   * @param {Array} [params] Bound parameters
+   * @param {function} [callback] {@link RightTrackDB~selectCallback|selectCallback} callback function
+   * @returns {Promise<object[]>|undefined} Selected rows, when no callback is provided
+   */
+  select(statement, params, callback) {
+    let self = this;
+    setImmediate(function() {
+      let rows = undefined;
+      try {
+        rows = self._execute(statement, params, true);
+      }
+      catch(err) {
+        return callback(err);
+      }
+      return callback(null, rows);
+    });
+  }
+
+  /**
+   * Select a single row from the database.  If no results are selected, this
+   * will return undefined.  If more than 1 results are selected it will
+   * return the first result.
+   * @param {string} statement Select Statement
+   * @param {Array} [params] Bound parameters
+   * @param {function} [callback] {@link RightTrackDB~getCallback|getCallback} callback function
+   * @returns {Promise<object>|undefined} First selected row, when no callback is provided
+   */
+  get(statement, params, callback) {
+    let self = this;
+    setImmediate(function() {
+      let rows = undefined;
+      try {
+        rows = self._execute(statement, params, true);
+      }
+      catch(err) {
+        return callback(err);
+      }
+      return callback(null, rows.length > 0 ? rows[0] : undefined);
+    });
+  }
+
+  /**
+   * Run a statement that modifies the database
+   * @param {string} statement SQL Statement
+   * @param {Array} [params] Bound parameters
+   * @param {function} [callback] {@link RightTrackDB~runCallback|runCallback} callback function
+   * @returns {Promise|undefined} Promise, when no callback is provided
+   */
+  run(statement, params, callback) {
+    let self = this;
+    setImmediate(function() {
+      try {
+        self._execute(statement, params, false);
+      }
+      catch(err) {
+        return callback(err);
+      }
+      return callback(null);
+    });
+  }
+
+  /**
+   * Parse (or get the already parsed statement) and execute the statement
+   * @param {string} statement SQL Statement
+   * @param {Array} params Bound parameters
+   * @param {boolean} select true if the statement must be a SELECT statement
+   * @returns {Object[]} selected rows
+   * @private
+   */
+  _execute(statement, params, select) {
+    let parsed = this._statements.get(statement);
+    if ( parsed === undefined ) {
+      parsed = sql.parse(statement);
+      if ( this._statements.size >= MAX_STATEMENTS ) {
+        this._statements.clear();
+      }
+      this._statements.set(statement, parsed);
+    }
+    if ( select && parsed.type !== 'select' ) {
+      throw new Error('Could not execute statement: not a SELECT statement');
+    }
+    return sql.execute(parsed, this._tables, params);
+  }
+
+}
+
+
+/**
+ * Create an empty table
+ * @param {string} name Table name
+ * @param {string[]} columns Table columns
+ * @returns {Object} table {columns, numeric, rows}
+ * @private
+ */
+function _createTable(name, columns) {
+  let numeric = {};
+  for ( let i = 0; i < columns.length; i++ ) {
+    numeric[columns[i]] = schema.hasOwnProperty(name) && schema[name].hasOwnProperty(columns[i]) &&
+      schema[name][columns[i]] !== 'TEXT';
+  }
+  return {
+    columns: columns,
+    numeric: numeric,
+    rows: []
+  };
+}
+
+
+/**
+ * Load the table from the CSV file
+ * @param {string} name Table name
+ * @param {string} file Path to the CSV file
+ * @returns {Object} table {columns, numeric, rows}
+ * @private
+ */
+function _loadTable(name, file) {
+  let records = csv.parse(fs.readFileSync(file, 'utf8'));
+  let header = records.length > 0 ? records[0] : [];
+
+  // Add the file's columns and the remaining schema columns
+  let columns = [];
+  for ( let i = 0; i < header.length; i++ ) {
+    header[i] = header[i].trim();
+    if ( columns.indexOf(header[i]) === -1 ) {
+      columns.push(header[i]);
+    }
+  }
+  if ( schema.hasOwnProperty(name) ) {
+    for ( let column in schema[name] ) {
+      if ( schema[name].hasOwnProperty(column) && columns.indexOf(column) === -1 ) {
+        columns.push(column);
+      }
+    }
+  }
+  let rtn = _createTable(name, columns);
+
+  // Parse each record
+  for ( let i = 1; i < records.length; i++ ) {
+    let row = {};
+    for ( let j = 0; j < columns.length; j++ ) {
+      row[columns[j]] = null;
+    }
+    for ( let j = 0; j < header.length; j++ ) {
+      let value = j < records[i].length ? records[i][j] : '';
+      if ( rtn.numeric[header[j]] ) {
+        if ( value.trim() === '' ) {
+          value = null;
+        }
+        else if ( !isNaN(Number(value)) ) {
+          value = Number(value);
+        }
+      }
+      row[header[j]] = value;
+    }
+    rtn.rows.push(row);
+  }
+
+  return rtn;
+}
+
+
+module.exports = RightTrackMemoryDB;
\ No newline at end of file
@@ -0,0 +1,2237 @@
+'use strict';
+
+/**
+ * SQL functions for the in-memory Right Track Database: a parser and
+ * executor for the subset of the SQLite syntax used by the Right Track
+ * query functions and database builder.
+ *
+ * Supported SELECT syntax:
+ * - `SELECT [DISTINCT]` with `*`, `table.*`, expressions and `AS` aliases
+ * - `FROM` with comma, `[INNER] JOIN`, `LEFT [OUTER] JOIN` and `CROSS JOIN`
+ *   tables, using `ON` or `USING` join constraints
+ * - `WHERE`, `GROUP BY`, `HAVING`, `ORDER BY`, `LIMIT` and `OFFSET`
+ * - comparison, logical, arithmetic and `||` operators, `IS [NOT] NULL`,
+ *   `[NOT] IN` (list or uncorrelated sub-query), `[NOT] LIKE`,
+ *   `[NOT] BETWEEN` and `COLLATE NOCASE`
+ * - the aggregate functions `AVG`, `COUNT`, `MAX`, `MIN`, `SUM` and `TOTAL`
+ *   and common scalar functions
+ * - `?` positional parameters
+ *
+ * Supported write statements:
+ * - `CREATE TABLE [IF NOT EXISTS]` (column constraints are ignored)
+ * - `DROP TABLE [IF EXISTS]`
+ * - `INSERT [OR REPLACE|IGNORE] INTO ... [(columns)] VALUES ...`
+ * - `DELETE FROM ... [WHERE ...]`
+ *
+ * Index and transaction statements (`CREATE INDEX`, `DROP INDEX`, `BEGIN`,
+ * `COMMIT`, `END` and `ROLLBACK`) are accepted but have no effect.
+ * @module classes/RightTrackMemoryDB/sql
+ * @private
+ */
+
+
+// ==== TOKENIZER ==== //
+
+/**
+ * Multi-character operators, longest first
+ * @private
+ */
+const OPERATORS = ['<>', '<=', '>=', '!=', '==', '||', '<', '>', '=', '+', '-', '*', '/', '%', '(', ')', ',', '.', ';'];
+
+/**
+ * Reserved words that end an expression or table reference
+ * @private
+ */
+const KEYWORDS = [
+  'SELECT', 'DISTINCT', 'ALL', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET',
+  'AS', 'ON', 'USING', 'JOIN', 'INNER', 'LEFT', 'OUTER', 'CROSS', 'NATURAL', 'AND', 'OR', 'NOT',
+  'IS', 'IN', 'LIKE', 'BETWEEN', 'NULL', 'COLLATE', 'ASC', 'DESC', 'UNION', 'EXCEPT', 'INTERSECT'
+];
+
+/**
+ * Aggregate function names
+ * @private
+ */
+const AGGREGATES = ['AVG', 'COUNT', 'MAX', 'MIN', 'SUM', 'TOTAL'];
+
+
+/**
+ * Split the statement into tokens
+ * @param {string} statement SQL statement
+ * @returns {Object[]} tokens {type, value, start, end}
+ * @private
+ */
+function _tokenize(statement) {
+  let rtn = [];
+  let i = 0;
+
+  while ( i < statement.length ) {
+    let c = statement[i];
+    let start = i;
+
+    // Whitespace
+    if ( /\s/.test(c) ) {
+      i++;
+    }
+
+    // Comments
+    else if ( c === '-' && statement[i+1] === '-' ) {
+      while ( i < statement.length && statement[i] !== '\n' ) {
+        i++;
+      }
+    }
+
+    // String literal
+    else if ( c === "'" ) {
+      let value = '';
+      i++;
+      while ( true ) {
+        if ( i >= statement.length ) {
+          throw new Error('Could not parse statement: unterminated string');
+        }
+        if ( statement[i] === "'" && statement[i+1] === "'" ) {
+          value += "'";
+          i += 2;
+        }
+        else if ( statement[i] === "'" ) {
+          i++;
+          break;
+        }
+        else {
+          value += statement[i];
+          i++;
+        }
+      }
+      rtn.push({type: 'string', value: value, start: start, end: i});
+    }
+
+    // Quoted identifier
+    else if ( c === '"' || c === '`' || c === '[' ) {
+      let close = c === '[' ? ']' : c;
+      let end = statement.indexOf(close, i+1);
+      if ( end === -1 ) {
+        throw new Error('Could not parse statement: unterminated identifier');
+      }
+      rtn.push({type: 'name', value: statement.substring(i+1, end), quoted: true, start: start, end: end+1});
+      i = end+1;
+    }
+
+    // Number
+    else if ( /[0-9]/.test(c) || (c === '.' && /[0-9]/.test(statement[i+1])) ) {
+      let match = /^(\d*\.?\d*(?:[eE][+-]?\d+)?)/.exec(statement.substring(i));
+      i += match[1].length;
+      rtn.push({type: 'number', value: parseFloat(match[1]), real: /[.eE]/.test(match[1]), start: start, end: i});
+    }
+
+    // Identifier or keyword
+    else if ( /[A-Za-z_]/.test(c) ) {
+      let match = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(statement.substring(i));
+      i += match[0].length;
+      rtn.push({type: 'name', value: match[0], start: start, end: i});
+    }
+
+    // Parameter
+    else if ( c === '?' ) {
+      i++;
+      rtn.push({type: 'param', value: '?', start: start, end: i});
+    }
+
+    // Operator
+    else {
+      let op = undefined;
+      for ( let j = 0; j < OPERATORS.length; j++ ) {
+        if ( statement.substr(i, OPERATORS[j].length) === OPERATORS[j] ) {
+          op = OPERATORS[j];
+          break;
+        }
+      }
+      if ( op === undefined ) {
+        throw new Error('Could not parse statement: unexpected character ' + c);
+      }
+      i += op.length;
+      rtn.push({type: 'op', value: op, start: start, end: i});
+    }
+  }
+
+  rtn.push({type: 'end', value: undefined, start: statement.length, end: statement.length});
+  return rtn;
+}
+
+
+
+// ==== PARSER ==== //
+
+/**
+ * Parse the SQL statement
+ * @param {string} statement SQL statement
+ * @returns {Object} parsed statement (with its `type`)
+ * @throws {Error} when the statement could not be parsed
+ * @private
+ */
+function parse(statement) {
+  let parser = new Parser(statement);
+  let rtn = parser.parseStatement();
+  parser.accept('op', ';');
+  parser.expect('end');
+  rtn.params = parser.params;
+  return rtn;
+}
+
+
+/**
+ * Recursive descent parser for a SQL statement
+ * @private
+ */
+class Parser {
+
+  /**
+   * @param {string} statement SQL SELECT statement
+   */
+  constructor(statement) {
+    this.statement = statement;
+    this.tokens = _tokenize(statement);
+    this.position = 0;
+    this.params = 0;
+  }
+
+  /**
+   * The current token
+   * @returns {Object}
+   */
+  get token() {
+    return this.tokens[this.position];
+  }
+
+  /**
+   * Check if the current token is the keyword
+   * @param {string} keyword Keyword (upper case)
+   * @param {int} [offset=0] Offset from the current token
+   * @returns {boolean}
+   */
+  isKeyword(keyword, offset=0) {
+    let token = this.tokens[this.position+offset];
+    return token !== undefined && token.type === 'name' && !token.quoted && token.value.toUpperCase() === keyword;
+  }
+
+  /**
+   * Check if the current token matches the type and value
+   * @param {string} type Token type
+   * @param {string} [value] Token value
+   * @returns {boolean}
+   */
+  is(type, value) {
+    return this.token.type === type && (value === undefined || this.token.value === value);
+  }
+
+  /**
+   * Consume the current token if it matches the type and value
+   * @param {string} type Token type
+   * @param {string} [value] Token value
+   * @returns {Object} the consumed token (or undefined if not matched)
+   */
+  accept(type, value) {
+    if ( this.is(type, value) ) {
+      return this.tokens[this.position++];
+    }
+    return undefined;
+  }
+
+  /**
+   * Consume the current token if it is the keyword
+   * @param {string} keyword Keyword (upper case)
+   * @returns {boolean} true if consumed
+   */
+  acceptKeyword(keyword) {
+    if ( this.isKeyword(keyword) ) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume the current token, which must match the type and value
+   * @param {string} type Token type
+   * @param {string} [value] Token value
+   * @returns {Object} the consumed token
+   */
+  expect(type, value) {
+    let token = this.accept(type, value);
+    if ( token === undefined ) {
+      throw this.error();
+    }
+    return token;
+  }
+
+  /**
+   * Consume the current token, which must be the keyword
+   * @param {string} keyword Keyword (upper case)
+   */
+  expectKeyword(keyword) {
+    if ( !this.acceptKeyword(keyword) ) {
+      throw this.error();
+    }
+  }
+
+  /**
+   * Consume the current token, which must be an identifier
+   * @returns {string} identifier
+   */
+  expectName() {
+    if ( this.token.type !== 'name' || (!this.token.quoted && KEYWORDS.indexOf(this.token.value.toUpperCase()) > -1) ) {
+      throw this.error();
+    }
+    return this.tokens[this.position++].value;
+  }
+
+  /**
+   * Build a parse error for the current token
+   * @returns {Error}
+   */
+  error() {
+    let near = this.token.type === 'end' ? 'end of statement' : '"' + this.statement.substring(this.token.start, this.token.end) + '"';
+    return new Error('Could not parse statement: syntax error near ' + near);
+  }
+
+
+  /**
+   * statement := select | create | drop | insert | delete | transaction
+   * @returns {Object}
+   */
+  parseStatement() {
+    let rtn = undefined;
+    if ( this.isKeyword('SELECT') ) {
+      rtn = this.parseSelect();
+      rtn.type = 'select';
+    }
+    else if ( this.isKeyword('CREATE') && this.isKeyword('TABLE', 1) ) {
+      rtn = this.parseCreate();
+    }
+    else if ( this.isKeyword('DROP') && this.isKeyword('TABLE', 1) ) {
+      rtn = this.parseDrop();
+    }
+    else if ( this.isKeyword('INSERT') || this.isKeyword('REPLACE') ) {
+      rtn = this.parseInsert();
+    }
+    else if ( this.isKeyword('DELETE') ) {
+      rtn = this.parseDelete();
+    }
+    else if ( this.isKeyword('CREATE') || this.isKeyword('DROP') || this.isKeyword('BEGIN') ||
+      this.isKeyword('COMMIT') || this.isKeyword('END') || this.isKeyword('ROLLBACK') ) {
+      while ( !this.is('end') && !this.is('op', ';') ) {
+        this.position++;
+      }
+      rtn = {type: 'none'};
+    }
+    else {
+      throw this.error();
+    }
+    return rtn;
+  }
+
+  /**
+   * create := CREATE TABLE [IF NOT EXISTS] name (column [type] [constraints], ...)
+   * @returns {Object}
+   */
+  parseCreate() {
+    let rtn = {type: 'create', name: undefined, columns: [], types: [], ifNotExists: false};
+    this.expectKeyword('CREATE');
+    this.expectKeyword('TABLE');
+    if ( this.acceptKeyword('IF') ) {
+      this.expectKeyword('NOT');
+      this.expectKeyword('EXISTS');
+      rtn.ifNotExists = true;
+    }
+    rtn.name = this.expectName();
+    this.expect('op', '(');
+    do {
+
+      // Table constraint
+      if ( this.isKeyword('PRIMARY') || this.isKeyword('UNIQUE') || this.isKeyword('FOREIGN') ||
+        this.isKeyword('CHECK') || this.isKeyword('CONSTRAINT') ) {
+        this.skipDefinition();
+        continue;
+      }
+
+      // Column name and type
+      rtn.columns.push(this.expectName());
+      let type = this.is('name') ? this.token.value.toUpperCase() : '';
+      rtn.types.push(type);
+      this.skipDefinition();
+
+    } while ( this.accept('op', ',') );
+    this.expect('op', ')');
+    return rtn;
+  }
+
+  /**
+   * Skip the tokens of a column or constraint definition
+   */
+  skipDefinition() {
+    let depth = 0;
+    while ( !this.is('end') ) {
+      if ( depth === 0 && (this.is('op', ',') || this.is('op', ')')) ) {
+        return;
+      }
+      if ( this.is('op', '(') ) {
+        depth++;
+      }
+      else if ( this.is('op', ')') ) {
+        depth--;
+      }
+      this.position++;
+    }
+  }
+
+  /**
+   * drop := DROP TABLE [IF EXISTS] name
+   * @returns {Object}
+   */
+  parseDrop() {
+    let rtn = {type: 'drop', name: undefined, ifExists: false};
+    this.expectKeyword('DROP');
+    this.expectKeyword('TABLE');
+    if ( this.acceptKeyword('IF') ) {
+      this.expectKeyword('EXISTS');
+      rtn.ifExists = true;
+    }
+    rtn.name = this.expectName();
+    return rtn;
+  }
+
+  /**
+   * insert := (INSERT [OR (REPLACE|IGNORE)] | REPLACE) INTO name [(columns)] VALUES (exprs), ...
+   * @returns {Object}
+   */
+  parseInsert() {
+    let rtn = {type: 'insert', name: undefined, columns: undefined, values: []};
+    if ( !this.acceptKeyword('REPLACE') ) {
+      this.expectKeyword('INSERT');
+      if ( this.acceptKeyword('OR') ) {
+        if ( !this.acceptKeyword('REPLACE') ) {
+          this.expectKeyword('IGNORE');
+        }
+      }
+    }
+    this.expectKeyword('INTO');
+    rtn.name = this.expectName();
+    if ( this.accept('op', '(') ) {
+      rtn.columns = [];
+      do {
+        rtn.columns.push(this.expectName());
+      } while ( this.accept('op', ',') );
+      this.expect('op', ')');
+    }
+    this.expectKeyword('VALUES');
+    do {
+      let values = [];
+      this.expect('op', '(');
+      do {
+        values.push(this.parseExpr());
+      } while ( this.accept('op', ',') );
+      this.expect('op', ')');
+      rtn.values.push(values);
+    } while ( this.accept('op', ',') );
+    return rtn;
+  }
+
+  /**
+   * delete := DELETE FROM name [WHERE expr]
+   * @returns {Object}
+   */
+  parseDelete() {
+    let rtn = {type: 'delete', name: undefined, where: undefined};
+    this.expectKeyword('DELETE');
+    this.expectKeyword('FROM');
+    rtn.name = this.expectName();
+    if ( this.acceptKeyword('WHERE') ) {
+      rtn.where = this.parseExpr();
+    }
+    return rtn;
+  }
+
+  /**
+   * select := SELECT [DISTINCT|ALL] columns FROM tables [WHERE expr]
+   *   [GROUP BY exprs [HAVING expr]] [ORDER BY terms] [LIMIT expr [OFFSET expr]]
+   * @returns {Object}
+   */
+  parseSelect() {
+    let rtn = {
+      distinct: false,
+      columns: [],
+      from: [],
+      where: undefined,
+      groupBy: [],
+      having: undefined,
+      orderBy: [],
+      limit: undefined,
+      offset: undefined
+    };
+
+    this.expectKeyword('SELECT');
+    if ( this.acceptKeyword('DISTINCT') ) {
+      rtn.distinct = true;
+    }
+    else {
+      this.acceptKeyword('ALL');
+    }
+
+    // Result Columns
+    do {
+      rtn.columns.push(this.parseColumn());
+    } while ( this.accept('op', ',') );
+
+    // Tables
+    if ( this.acceptKeyword('FROM') ) {
+      rtn.from = this.parseFrom();
+    }
+
+    // Where
+    if ( this.acceptKeyword('WHERE') ) {
+      rtn.where = this.parseExpr();
+    }
+
+    // Group By
+    if ( this.acceptKeyword('GROUP') ) {
+      this.expectKeyword('BY');
+      do {
+        rtn.groupBy.push(this.parseExpr());
+      } while ( this.accept('op', ',') );
+      if ( this.acceptKeyword('HAVING') ) {
+        rtn.having = this.parseExpr();
+      }
+    }
+
+    // Order By
+    if ( this.acceptKeyword('ORDER') ) {
+      this.expectKeyword('BY');
+      do {
+        let term = {expr: this.parseExpr(), desc: false};
+        if ( this.acceptKeyword('DESC') ) {
+          term.desc = true;
+        }
+        else {
+          this.acceptKeyword('ASC');
+        }
+        rtn.orderBy.push(term);
+      } while ( this.accept('op', ',') );
+    }
+
+    // Limit
+    if ( this.acceptKeyword('LIMIT') ) {
+      rtn.limit = this.parseExpr();
+      if ( this.acceptKeyword('OFFSET') ) {
+        rtn.offset = this.parseExpr();
+      }
+      else if ( this.accept('op', ',') ) {
+        rtn.offset = rtn.limit;
+        rtn.limit = this.parseExpr();
+      }
+    }
+
+    return rtn;
+  }
+
+  /**
+   * column := * | name.* | expr [[AS] alias]
+   * @returns {Object}
+   */
+  parseColumn() {
+    if ( this.accept('op', '*') ) {
+      return {star: true};
+    }
+    if ( this.is('name') && this.tokens[this.position+1].value === '.' && this.tokens[this.position+2].value === '*' ) {
+      let table = this.expectName();
+      this.position += 2;
+      return {star: true, table: table};
+    }
+
+    let rtn = {expr: this.parseExpr(), alias: undefined};
+    if ( this.acceptKeyword('AS') ) {
+      rtn.alias = this.is('string') ? this.expect('string').value : this.expectName();
+    }
+    else if ( this.is('name') && (this.token.quoted || KEYWORDS.indexOf(this.token.value.toUpperCase()) === -1) ) {
+      rtn.alias = this.expectName();
+    }
+    return rtn;
+  }
+
+  /**
+   * tables := table ((, | [INNER|CROSS|LEFT [OUTER]] JOIN) table [ON expr | USING (names)])*
+   * @returns {Object[]}
+   */
+  parseFrom() {
+    let rtn = [this.parseTable('cross')];
+
+    while ( true ) {
+      let join = undefined;
+      if ( this.accept('op', ',') ) {
+        join = 'cross';
+      }
+      else if ( this.acceptKeyword('JOIN') ) {
+        join = 'inner';
+      }
+      else if ( this.acceptKeyword('INNER') || this.acceptKeyword('CROSS') ) {
+        this.expectKeyword('JOIN');
+        join = 'inner';
+      }
+      else if ( this.acceptKeyword('LEFT') ) {
+        this.acceptKeyword('OUTER');
+        this.expectKeyword('JOIN');
+        join = 'left';
+      }
+      else {
+        break;
+      }
+
+      let table = this.parseTable(join);
+      if ( join !== 'cross' ) {
+        if ( this.acceptKeyword('ON') ) {
+          table.on = this.parseExpr();
+        }
+        else if ( this.acceptKeyword('USING') ) {
+          this.expect('op', '(');
+          do {
+            table.using.push(this.expectName());
+          } while ( this.accept('op', ',') );
+          this.expect('op', ')');
+        }
+      }
+      rtn.push(table);
+    }
+
+    return rtn;
+  }
+
+  /**
+   * table := name [[AS] alias]
+   * @param {string} join Join type
+   * @returns {Object}
+   */
+  parseTable(join) {
+    let name = this.expectName();
+    let alias = name;
+    if ( this.acceptKeyword('AS') ) {
+      alias = this.expectName();
+    }
+    else if ( this.is('name') && (this.token.quoted || KEYWORDS.indexOf(this.token.value.toUpperCase()) === -1) ) {
+      alias = this.expectName();
+    }
+    return {name: name, alias: alias, join: join, on: undefined, using: []};
+  }
+
+  /**
+   * Parse an expression, keeping its source text
+   * @returns {Object}
+   */
+  parseExpr() {
+    return this.parseOr();
+  }
+
+  /**
+   * Build an expression node, with the source text from the start token
+   * @param {Object} node Expression node
+   * @param {int} start Start token position
+   * @returns {Object}
+   */
+  node(node, start) {
+    node.text = this.statement.substring(this.tokens[start].start, this.tokens[this.position-1].end);
+    return node;
+  }
+
+  parseOr() {
+    let start = this.position;
+    let left = this.parseAnd();
+    while ( this.acceptKeyword('OR') ) {
+      left = this.node({type: 'binary', op: 'OR', left: left, right: this.parseAnd()}, start);
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let start = this.position;
+    let left = this.parseNot();
+    while ( this.acceptKeyword('AND') ) {
+      left = this.node({type: 'binary', op: 'AND', left: left, right: this.parseNot()}, start);
+    }
+    return left;
+  }
+
+  parseNot() {
+    let start = this.position;
+    if ( this.acceptKeyword('NOT') ) {
+      return this.node({type: 'unary', op: 'NOT', expr: this.parseNot()}, start);
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let start = this.position;
+    let left = this.parseConcat();
+
+    while ( true ) {
+
+      // Binary comparison
+      if ( this.is('op', '=') || this.is('op', '==') || this.is('op', '<>') || this.is('op', '!=') ||
+        this.is('op', '<') || this.is('op', '<=') || this.is('op', '>') || this.is('op', '>=') ) {
+        let op = this.expect('op').value;
+        op = op === '==' ? '=' : op === '!=' ? '<>' : op;
+        left = this.node({type: 'binary', op: op, left: left, right: this.parseConcat()}, start);
+        continue;
+      }
+
+      // IS [NOT]
+      if ( this.acceptKeyword('IS') ) {
+        let not = this.acceptKeyword('NOT');
+        left = this.node({type: 'is', not: not, left: left, right: this.parseConcat()}, start);
+        continue;
+      }
+
+      // [NOT] IN, LIKE, BETWEEN
+      let not = false;
+      if ( this.isKeyword('NOT') && (this.isKeyword('IN', 1) || this.isKeyword('LIKE', 1) || this.isKeyword('BETWEEN', 1)) ) {
+        this.position++;
+        not = true;
+      }
+      if ( this.acceptKeyword('IN') ) {
+        let node = {type: 'in', not: not, expr: left, list: undefined, select: undefined};
+        this.expect('op', '(');
+        if ( this.isKeyword('SELECT') ) {
+          node.select = this.parseSelect();
+        }
+        else {
+          node.list = [];
+          if ( !this.is('op', ')') ) {
+            do {
+              node.list.push(this.parseExpr());
+            } while ( this.accept('op', ',') );
+          }
+        }
+        this.expect('op', ')');
+        left = this.node(node, start);
+        continue;
+      }
+      if ( this.acceptKeyword('LIKE') ) {
+        left = this.node({type: 'like', not: not, expr: left, pattern: this.parseConcat()}, start);
+        continue;
+      }
+      if ( this.acceptKeyword('BETWEEN') ) {
+        let low = this.parseConcat();
+        this.expectKeyword('AND');
+        left = this.node({type: 'between', not: not, expr: left, low: low, high: this.parseConcat()}, start);
+        continue;
+      }
+      if ( not ) {
+        throw this.error();
+      }
+
+      return left;
+    }
+  }
+
+  parseConcat() {
+    let start = this.position;
+    let left = this.parseAdditive();
+    while ( this.accept('op', '||') ) {
+      left = this.node({type: 'binary', op: '||', left: left, right: this.parseAdditive()}, start);
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let start = this.position;
+    let left = this.parseMultiplicative();
+    while ( this.is('op', '+') || this.is('op', '-') ) {
+      let op = this.expect('op').value;
+      left = this.node({type: 'binary', op: op, left: left, right: this.parseMultiplicative()}, start);
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let start = this.position;
+    let left = this.parseUnary();
+    while ( this.is('op', '*') || this.is('op', '/') || this.is('op', '%') ) {
+      let op = this.expect('op').value;
+      left = this.node({type: 'binary', op: op, left: left, right: this.parseUnary()}, start);
+    }
+    return left;
+  }
+
+  parseUnary() {
+    let start = this.position;
+    if ( this.accept('op', '-') ) {
+      return this.node({type: 'unary', op: '-', expr: this.parseUnary()}, start);
+    }
+    if ( this.accept('op', '+') ) {
+      return this.parseUnary();
+    }
+    return this.parseCollate();
+  }
+
+  parseCollate() {
+    let start = this.position;
+    let expr = this.parsePrimary();
+    while ( this.acceptKeyword('COLLATE') ) {
+      let collation = this.expectName().toUpperCase();
+      expr = this.node({type: 'collate', collation: collation, expr: expr}, start);
+    }
+    return expr;
+  }
+
+  parsePrimary() {
+    let start = this.position;
+
+    // Literals and Parameters
+    if ( this.is('number') || this.is('string') ) {
+      let token = this.expect(this.token.type);
+      return this.node({type: 'literal', value: token.value, real: token.real === true}, start);
+    }
+    if ( this.accept('param') ) {
+      return this.node({type: 'param', index: this.params++}, start);
+    }
+    if ( this.acceptKeyword('NULL') ) {
+      return this.node({type: 'literal', value: null}, start);
+    }
+
+    // Parenthesized expression or scalar sub-query
+    if ( this.accept('op', '(') ) {
+      let rtn = undefined;
+      if ( this.isKeyword('SELECT') ) {
+        rtn = this.node({type: 'subquery', select: this.parseSelect()}, start);
+      }
+      else {
+        rtn = this.parseExpr();
+      }
+      this.expect('op', ')');
+      return rtn;
+    }
+
+    // Function call
+    if ( this.is('name') && !this.token.quoted && this.tokens[this.position+1].value === '(' ) {
+      let name = this.expect('name').value.toUpperCase();
+      this.expect('op', '(');
+      let node = {type: 'function', name: name, args: [], distinct: false, star: false};
+      if ( this.accept('op', '*') ) {
+        node.star = true;
+      }
+      else if ( !this.is('op', ')') ) {
+        node.distinct = this.acceptKeyword('DISTINCT');
+        do {
+          node.args.push(this.parseExpr());
+        } while ( this.accept('op', ',') );
+      }
+      this.expect('op', ')');
+      node.aggregate = AGGREGATES.indexOf(name) > -1 && (node.star || node.args.length === 1);
+      return this.node(node, start);
+    }
+
+    // Column reference
+    let name = this.expectName();
+    if ( this.accept('op', '.') ) {
+      return this.node({type: 'column', table: name, name: this.expectName()}, start);
+    }
+    return this.node({type: 'column', table: undefined, name: name}, start);
+  }
+
+}
+
+
+
+// ==== EXECUTOR ==== //
+
+/**
+ * Execute the parsed statement
+ * @param {Object} statement Parsed statement
+ * @param {Object} tables Database tables, by name ({columns, numeric, rows})
+ * @param {Array} params Bound parameters
+ * @returns {Object[]} selected rows (an empty list for write statements)
+ * @throws {Error} when the statement could not be executed
+ * @private
+ */
+function execute(statement, tables, params) {
+  if ( statement.params !== params.length ) {
+    throw new Error('Could not execute statement: expected ' + statement.params + ' parameters');
+  }
+  let ctx = {
+    tables: tables,
+    params: params,
+    resolved: new Map(),
+    subqueries: new Map(),
+    sets: new Map()
+  };
+
+  switch ( statement.type ) {
+    case 'select':
+      return _select(statement, ctx);
+    case 'create':
+      _create(statement, ctx);
+      break;
+    case 'drop':
+      if ( !tables.hasOwnProperty(statement.name) && !statement.ifExists ) {
+        throw new Error('Could not execute statement: no such table: ' + statement.name);
+      }
+      delete tables[statement.name];
+      break;
+    case 'insert':
+      _insert(statement, ctx);
+      break;
+    case 'delete':
+      _delete(statement, ctx);
+      break;
+  }
+  return [];
+}
+
+
+/**
+ * Create a new (empty) table
+ * @param {Object} statement Parsed CREATE TABLE statement
+ * @param {Object} ctx Execution context
+ * @private
+ */
+function _create(statement, ctx) {
+  if ( ctx.tables.hasOwnProperty(statement.name) ) {
+    if ( statement.ifNotExists ) {
+      return;
+    }
+    throw new Error('Could not execute statement: table ' + statement.name + ' already exists');
+  }
+  let numeric = {};
+  for ( let i = 0; i < statement.columns.length; i++ ) {
+    numeric[statement.columns[i]] = /INT|REAL|FLOA|DOUB|NUM|DEC/.test(statement.types[i]);
+  }
+  ctx.tables[statement.name] = {
+    columns: statement.columns.slice(),
+    numeric: numeric,
+    rows: []
+  };
+}
+
+
+/**
+ * Insert the rows into the table
+ * @param {Object} statement Parsed INSERT statement
+ * @param {Object} ctx Execution context
+ * @private
+ */
+function _insert(statement, ctx) {
+  let table = _table(statement.name, ctx);
+  let columns = statement.columns !== undefined ? statement.columns : table.columns;
+  for ( let i = 0; i < columns.length; i++ ) {
+    if ( table.columns.indexOf(columns[i]) === -1 ) {
+      throw new Error('Could not execute statement: table ' + statement.name + ' has no column named ' + columns[i]);
+    }
+  }
+
+  // Build each row
+  let rows = [];
+  for ( let i = 0; i < statement.values.length; i++ ) {
+    let values = statement.values[i];
+    if ( values.length !== columns.length ) {
+      throw new Error('Could not execute statement: ' + values.length + ' values for ' + columns.length + ' columns');
+    }
+    let row = {};
+    for ( let j = 0; j < table.columns.length; j++ ) {
+      row[table.columns[j]] = null;
+    }
+    for ( let j = 0; j < columns.length; j++ ) {
+      row[columns[j]] = _affinity(_evaluate(values[j], {}, undefined, ctx), table.numeric[columns[j]]);
+    }
+    rows.push(row);
+  }
+
+  // Add the rows
+  for ( let i = 0; i < rows.length; i++ ) {
+    table.rows.push(rows[i]);
+  }
+  table.indexes = undefined;
+}
+
+
+/**
+ * Delete the matching rows from the table
+ * @param {Object} statement Parsed DELETE statement
+ * @param {Object} ctx Execution context
+ * @private
+ */
+function _delete(statement, ctx) {
+  let table = _table(statement.name, ctx);
+  let scope = [{alias: statement.name, table: table}];
+  _resolve(statement.where, scope, ctx, []);
+
+  let rows = [];
+  for ( let i = 0; i < table.rows.length; i++ ) {
+    let record = {};
+    record[statement.name] = table.rows[i];
+    if ( statement.where !== undefined && !_truthy(_evaluate(statement.where, record, undefined, ctx)) ) {
+      rows.push(table.rows[i]);
+    }
+  }
+  table.rows = rows;
+  table.indexes = undefined;
+}
+
+
+/**
+ * Get the table
+ * @param {string} name Table name
+ * @param {Object} ctx Execution context
+ * @returns {Object} table
+ * @private
+ */
+function _table(name, ctx) {
+  if ( !ctx.tables.hasOwnProperty(name) ) {
+    throw new Error('Could not execute statement: no such table: ' + name);
+  }
+  return ctx.tables[name];
+}
+
+
+/**
+ * Execute a SELECT statement (or sub-query) in the execution context
+ * @param {Object} select Parsed SELECT statement
+ * @param {Object} ctx Execution context
+ * @returns {Object[]} selected rows
+ * @private
+ */
+function _select(select, ctx) {
+
+  // Set the tables in scope
+  let scope = [];
+  for ( let i = 0; i < select.from.length; i++ ) {
+    let item = select.from[i];
+    let table = ctx.tables[item.name];
+    if ( table === undefined ) {
+      throw new Error('Could not execute statement: no such table: ' + item.name);
+    }
+    scope.push({alias: item.alias, table: table});
+  }
+
+  // Resolve the column references
+  _resolveSelect(select, scope, ctx);
+
+  // Join the tables, filtering with the WHERE clause
+  let records = _join(select, scope, ctx);
+
+  // Aggregate or project the records
+  let aggregate = select.groupBy.length > 0 || _hasAggregate(select);
+  let groups = [];
+  if ( aggregate ) {
+    groups = _group(select, records, ctx);
+  }
+  else {
+    for ( let i = 0; i < records.length; i++ ) {
+      groups.push({record: records[i], rows: undefined});
+    }
+  }
+
+  // Build the result rows
+  let results = [];
+  let keys = {};
+  for ( let i = 0; i < groups.length; i++ ) {
+    let group = groups[i];
+    let row = _project(select, scope, group, ctx);
+
+    // Remove duplicate rows
+    if ( select.distinct ) {
+      let key = JSON.stringify(row.values);
+      if ( keys.hasOwnProperty(key) ) {
+        continue;
+      }
+      keys[key] = true;
+    }
+
+    results.push({row: row, group: group});
+  }
+
+  // Sort the results
+  if ( select.orderBy.length > 0 ) {
+    for ( let i = 0; i < results.length; i++ ) {
+      let sort = [];
+      for ( let j = 0; j < select.orderBy.length; j++ ) {
+        sort.push(_orderValue(select.orderBy[j].expr, results[i], ctx));
+      }
+      results[i].sort = sort;
+      results[i].index = i;
+    }
+    results.sort(function(a, b) {
+      for ( let j = 0; j < select.orderBy.length; j++ ) {
+        let c = _compare(a.sort[j], b.sort[j], _collation(select.orderBy[j].expr));
+        if ( c !== 0 ) {
+          return select.orderBy[j].desc ? -c : c;
+        }
+      }
+      return a.index - b.index;
+    });
+  }
+
+  // Limit the results
+  let offset = select.offset !== undefined ? _evaluate(select.offset, {}, undefined, ctx) : 0;
+  let limit = select.limit !== undefined ? _evaluate(select.limit, {}, undefined, ctx) : -1;
+  if ( offset > 0 || limit >= 0 ) {
+    results = results.slice(offset, limit >= 0 ? offset + limit : undefined);
+  }
+
+  // Return the result objects
+  let rtn = [];
+  for ( let i = 0; i < results.length; i++ ) {
+    rtn.push(results[i].row.object);
+  }
+  return rtn;
+
+}
+
+
+/**
+ * Resolve the column references of the SELECT statement to the tables in scope
+ * @param {Object} select Parsed SELECT statement
+ * @param {Object[]} scope Tables in scope {alias, table}
+ * @param {Object} ctx Execution context
+ * @private
+ */
+function _resolveSelect(select, scope, ctx) {
+  let aliases = [];
+  for ( let i = 0; i < select.columns.length; i++ ) {
+    let column = select.columns[i];
+    if ( column.star ) {
+      if ( column.table !== undefined && _scopeIndex(scope, column.table) === -1 ) {
+        throw new Error('Could not execute statement: no such table: ' + column.table);
+      }
+    }
+    else {
+      _resolve(column.expr, scope, ctx, []);
+      if ( column.alias !== undefined ) {
+        aliases.push(column.alias);
+      }
+    }
+  }
+  for ( let i = 0; i < select.from.length; i++ ) {
+    _resolve(select.from[i].on, scope.slice(0, i+1), ctx, []);
+    for ( let j = 0; j < select.from[i].using.length; j++ ) {
+      let name = select.from[i].using[j];
+      if ( _findColumn(scope.slice(0, i), name) === -1 || scope[i].table.columns.indexOf(name) === -1 ) {
+        throw new Error('Could not execute statement: cannot join using column ' + name);
+      }
+    }
+  }
+  _resolve(select.where, scope, ctx, []);
+  for ( let i = 0; i < select.groupBy.length; i++ ) {
+    _resolve(select.groupBy[i], scope, ctx, aliases);
+  }
+  _resolve(select.having, scope, ctx, aliases);
+  for ( let i = 0; i < select.orderBy.length; i++ ) {
+    _resolve(select.orderBy[i].expr, scope, ctx, aliases);
+  }
+}
+
+
+/**
+ * Resolve the column references in the expression to the tables in scope
+ * @param {Object} expr Expression
+ * @param {Object[]} scope Tables in scope {alias, table}
+ * @param {Object} ctx Execution context
+ * @param {string[]} aliases Result column aliases that can be referenced
+ * @private
+ */
+function _resolve(expr, scope, ctx, aliases) {
+  if ( expr === undefined ) {
+    return;
+  }
+
+  switch ( expr.type ) {
+    case 'column':
+      let index = -1;
+      if ( expr.table !== undefined ) {
+        index = _scopeIndex(scope, expr.table);
+        if ( index === -1 || scope[index].table.columns.indexOf(expr.name) === -1 ) {
+          throw new Error('Could not execute statement: no such column: ' + expr.text);
+        }
+      }
+      else {
+        index = _findColumn(scope, expr.name);
+        if ( index === -1 ) {
+          if ( aliases.indexOf(expr.name) > -1 ) {
+            ctx.resolved.set(expr, {alias: expr.name});
+            return;
+          }
+          throw new Error('Could not execute statement: no such column: ' + expr.name);
+        }
+      }
+      ctx.resolved.set(expr, {
+        scope: scope[index].alias,
+        name: expr.name,
+        numeric: scope[index].table.numeric[expr.name] === true
+      });
+      return;
+    case 'unary':
+    case 'collate':
+      return _resolve(expr.expr, scope, ctx, aliases);
+    case 'binary':
+    case 'is':
+      _resolve(expr.left, scope, ctx, aliases);
+      return _resolve(expr.right, scope, ctx, aliases);
+    case 'in':
+      _resolve(expr.expr, scope, ctx, aliases);
+      if ( expr.list !== undefined ) {
+        for ( let i = 0; i < expr.list.length; i++ ) {
+          _resolve(expr.list[i], scope, ctx, aliases);
+        }
+      }
+      return;
+    case 'like':
+      _resolve(expr.expr, scope, ctx, aliases);
+      return _resolve(expr.pattern, scope, ctx, aliases);
+    case 'between':
+      _resolve(expr.expr, scope, ctx, aliases);
+      _resolve(expr.low, scope, ctx, aliases);
+      return _resolve(expr.high, scope, ctx, aliases);
+    case 'function':
+      for ( let i = 0; i < expr.args.length; i++ ) {
+        _resolve(expr.args[i], scope, ctx, aliases);
+      }
+      return;
+  }
+}
+
+
+/**
+ * Get the index of the table in scope with the alias
+ * @param {Object[]} scope Tables in scope
+ * @param {string} alias Table alias
+ * @returns {int}
+ * @private
+ */
+function _scopeIndex(scope, alias) {
+  for ( let i = 0; i < scope.length; i++ ) {
+    if ( scope[i].alias === alias ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+
+/**
+ * Get the index of the first table in scope with the column
+ * @param {Object[]} scope Tables in scope
+ * @param {string} name Column name
+ * @returns {int}
+ * @private
+ */
+function _findColumn(scope, name) {
+  for ( let i = 0; i < scope.length; i++ ) {
+    if ( scope[i].table.columns.indexOf(name) > -1 ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+
+/**
+ * Join the tables in scope, filtering the records with the join
+ * constraints and WHERE clause.  Each constraint is applied as soon as
+ * all of the tables it references have been joined, and an equality or
+ * IN constraint on a joined column uses the table's index.
+ * @param {Object} select Parsed SELECT statement
+ * @param {Object[]} scope Tables in scope {alias, table}
+ * @param {Object} ctx Execution context
+ * @returns {Object[]} joined records (row by table alias)
+ * @private
+ */
+function _join(select, scope, ctx) {
+
+  // No tables
+  if ( scope.length === 0 ) {
+    let record = {};
+    return select.where === undefined || _truthy(_evaluate(select.where, record, undefined, ctx)) ? [record] : [];
+  }
+
+  // Constraints of the WHERE clause
+  let where = _conjuncts(select.where, []);
+  let applied = [];
+
+  // Join each table
+  let records = [{}];
+  for ( let i = 0; i < scope.length; i++ ) {
+    let item = select.from[i];
+    let alias = scope[i].alias;
+    let joined = {};
+    for ( let j = 0; j <= i; j++ ) {
+      joined[scope[j].alias] = true;
+    }
+
+    // Join constraints
+    let on = _conjuncts(item.on, []);
+    for ( let j = 0; j < item.using.length; j++ ) {
+      let name = item.using[j];
+      let left = {type: 'column', table: scope[_findColumn(scope.slice(0, i), name)].alias, name: name, text: name};
+      let right = {type: 'column', table: alias, name: name, text: name};
+      _resolve(left, scope, ctx, []);
+      _resolve(right, scope, ctx, []);
+      on.push({type: 'binary', op: '=', left: left, right: right, text: name});
+    }
+
+    // WHERE constraints that can be applied once the table is joined
+    let filters = [];
+    for ( let j = 0; j < where.length; j++ ) {
+      if ( applied.indexOf(where[j]) === -1 && _references(where[j], ctx, joined) ) {
+        filters.push(where[j]);
+        applied.push(where[j]);
+      }
+    }
+
+    // Constraints used to find the joined rows
+    let constraints = item.join === 'left' ? on : on.concat(filters);
+
+    let rtn = [];
+    for ( let j = 0; j < records.length; j++ ) {
+      let record = records[j];
+      let matched = false;
+
+      // Find the candidate rows
+      let rows = _candidates(scope[i], constraints, record, ctx);
+      for ( let k = 0; k < rows.length; k++ ) {
+        let r = Object.assign({}, record);
+        r[alias] = rows[k];
+        if ( _matches(constraints, r, ctx) ) {
+          matched = true;
+          if ( item.join !== 'left' || _matches(filters, r, ctx) ) {
+            rtn.push(r);
+          }
+        }
+      }
+
+      // Left join: add the record without a matching row
+      if ( item.join === 'left' && !matched ) {
+        let r = Object.assign({}, record);
+        r[alias] = null;
+        if ( _matches(filters, r, ctx) ) {
+          rtn.push(r);
+        }
+      }
+    }
+    records = rtn;
+  }
+
+  return records;
+}
+
+
+/**
+ * Split the expression into its AND-ed constraints
+ * @param {Object} expr Expression
+ * @param {Object[]} rtn List of constraints to add to
+ * @returns {Object[]}
+ * @private
+ */
+function _conjuncts(expr, rtn) {
+  if ( expr === undefined ) {
+    return rtn;
+  }
+  if ( expr.type === 'binary' && expr.op === 'AND' ) {
+    _conjuncts(expr.left, rtn);
+    _conjuncts(expr.right, rtn);
+  }
+  else {
+    rtn.push(expr);
+  }
+  return rtn;
+}
+
+
+/**
+ * Check if the expression only references the joined tables
+ * @param {Object} expr Expression
+ * @param {Object} ctx Execution context
+ * @param {Object} joined Joined table aliases
+ * @returns {boolean}
+ * @private
+ */
+function _references(expr, ctx, joined) {
+  let rtn = true;
+  _walk(expr, function(node) {
+    if ( node.type === 'column' ) {
+      let resolved = ctx.resolved.get(node);
+      if ( resolved !== undefined && resolved.scope !== undefined && !joined[resolved.scope] ) {
+        rtn = false;
+      }
+    }
+  });
+  return rtn;
+}
+
+
+/**
+ * Call the function for each node of the expression (not including sub-queries)
+ * @param {Object} expr Expression
+ * @param {function} fn Function(node)
+ * @private
+ */
+function _walk(expr, fn) {
+  if ( expr === undefined ) {
+    return;
+  }
+  fn(expr);
+  let children = [expr.expr, expr.left, expr.right, expr.pattern, expr.low, expr.high];
+  for ( let i = 0; i < children.length; i++ ) {
+    _walk(children[i], fn);
+  }
+  let list = expr.list || expr.args || [];
+  for ( let i = 0; i < list.length; i++ ) {
+    _walk(list[i], fn);
+  }
+}
+
+
+/**
+ * Get the candidate rows of the table to join to the record, using the
+ * table index when a constraint compares a table column to a value
+ * known from the record
+ * @param {Object} item Table in scope {alias, table}
+ * @param {Object[]} constraints Join constraints
+ * @param {Object} record Joined record
+ * @param {Object} ctx Execution context
+ * @returns {Object[]} rows
+ * @private
+ */
+function _candidates(item, constraints, record, ctx) {
+  for ( let i = 0; i < constraints.length; i++ ) {
+    let c = constraints[i];
+
+    // column = value
+    if ( c.type === 'binary' && c.op === '=' ) {
+      let sides = [[c.left, c.right], [c.right, c.left]];
+      for ( let j = 0; j < sides.length; j++ ) {
+        let column = _indexColumn(sides[j][0], item, ctx);
+        if ( column !== undefined && _isKnown(sides[j][1], item, ctx) ) {
+          return _lookup(item.table, column, [_evaluate(sides[j][1], record, undefined, ctx)]);
+        }
+      }
+    }
+
+    // column IN (values)
+    else if ( c.type === 'in' && !c.not ) {
+      let column = _indexColumn(c.expr, item, ctx);
+      if ( column !== undefined ) {
+        if ( c.select !== undefined ) {
+          return _lookup(item.table, column, _subquery(c.select, ctx));
+        }
+        let known = true;
+        for ( let j = 0; j < c.list.length; j++ ) {
+          known = known && _isKnown(c.list[j], item, ctx);
+        }
+        if ( known ) {
+          let values = [];
+          for ( let j = 0; j < c.list.length; j++ ) {
+            values.push(_evaluate(c.list[j], record, undefined, ctx));
+          }
+          return _lookup(item.table, column, values);
+        }
+      }
+    }
+  }
+
+  // Scan the table
+  return item.table.rows;
+}
+
+
+/**
+ * Get the resolved column of the table, if the expression is a column of the
+ * table that can be used with the table index
+ * @param {Object} expr Expression
+ * @param {Object} item Table in scope {alias, table}
+ * @param {Object} ctx Execution context
+ * @returns {Object} resolved column
+ * @private
+ */
+function _indexColumn(expr, item, ctx) {
+  if ( expr.type === 'column' ) {
+    let resolved = ctx.resolved.get(expr);
+    if ( resolved !== undefined && resolved.scope === item.alias ) {
+      return resolved;
+    }
+  }
+  return undefined;
+}
+
+
+/**
+ * Check if the expression can be evaluated before the table is joined
+ * (it does not reference the table and does not use a collation)
+ * @param {Object} expr Expression
+ * @param {Object} item Table in scope {alias, table}
+ * @param {Object} ctx Execution context
+ * @returns {boolean}
+ * @private
+ */
+function _isKnown(expr, item, ctx) {
+  let rtn = true;
+  _walk(expr, function(node) {
+    if ( node.type === 'collate' || (node.type === 'function' && node.aggregate) ) {
+      rtn = false;
+    }
+    else if ( node.type === 'column' ) {
+      let resolved = ctx.resolved.get(node);
+      if ( resolved === undefined || resolved.scope === undefined || resolved.scope === item.alias ) {
+        rtn = false;
+      }
+    }
+  });
+  return rtn;
+}
+
+
+/**
+ * Get the rows of the table with the column matching one of the values
+ * (in table order)
+ * @param {Object} table Database table
+ * @param {Object} column Resolved column
+ * @param {Array} values Values to match
+ * @returns {Object[]} rows
+ * @private
+ */
+function _lookup(table, column, values) {
+
+  // Build the column index (row positions by value)
+  if ( table.indexes === undefined ) {
+    table.indexes = {};
+  }
+  let index = table.indexes[column.name];
+  if ( index === undefined ) {
+    index = new Map();
+    for ( let i = 0; i < table.rows.length; i++ ) {
+      let value = table.rows[i][column.name];
+      if ( value !== null && value !== undefined ) {
+        if ( !index.has(value) ) {
+          index.set(value, []);
+        }
+        index.get(value).push(i);
+      }
+    }
+    table.indexes[column.name] = index;
+  }
+
+  // Get the positions of the matching rows (once each)
+  let positions = [];
+  let seen = new Set();
+  for ( let i = 0; i < values.length; i++ ) {
+    let value = _affinity(values[i], column.numeric);
+    if ( value !== null && !seen.has(value) && index.has(value) ) {
+      seen.add(value);
+      let matches = index.get(value);
+      for ( let j = 0; j < matches.length; j++ ) {
+        positions.push(matches[j]);
+      }
+    }
+  }
+  if ( seen.size > 1 ) {
+    positions.sort(function(a, b) {
+      return a - b;
+    });
+  }
+
+  // Return the matching rows
+  let rtn = [];
+  for ( let i = 0; i < positions.length; i++ ) {
+    rtn.push(table.rows[positions[i]]);
+  }
+  return rtn;
+}
+
+
+/**
+ * Check if the record matches all of the constraints
+ * @param {Object[]} constraints Constraints
+ * @param {Object} record Joined record
+ * @param {Object} ctx Execution context
+ * @returns {boolean}
+ * @private
+ */
+function _matches(constraints, record, ctx) {
+  for ( let i = 0; i < constraints.length; i++ ) {
+    if ( !_truthy(_evaluate(constraints[i], record, undefined, ctx)) ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+
+/**
+ * Check if the SELECT statement uses an aggregate function
+ * @param {Object} select Parsed SELECT statement
+ * @returns {boolean}
+ * @private
+ */
+function _hasAggregate(select) {
+  let rtn = false;
+  let check = function(node) {
+    if ( node.type === 'function' && node.aggregate ) {
+      rtn = true;
+    }
+  };
+  for ( let i = 0; i < select.columns.length; i++ ) {
+    _walk(select.columns[i].expr, check);
+  }
+  _walk(select.having, check);
+  for ( let i = 0; i < select.orderBy.length; i++ ) {
+    _walk(select.orderBy[i].expr, check);
+  }
+  return rtn;
+}
+
+
+/**
+ * Group the records by the GROUP BY expressions
+ * @param {Object} select Parsed SELECT statement
+ * @param {Object[]} records Joined records
+ * @param {Object} ctx Execution context
+ * @returns {Object[]} groups {record, rows}
+ * @private
+ */
+function _group(select, records, ctx) {
+  let rtn = [];
+
+  // A single group of all records
+  if ( select.groupBy.length === 0 ) {
+    rtn.push({record: records.length > 0 ? records[records.length-1] : {}, rows: records});
+  }
+
+  // Group by the GROUP BY values
+  else {
+    let groups = new Map();
+    for ( let i = 0; i < records.length; i++ ) {
+      let values = [];
+      for ( let j = 0; j < select.groupBy.length; j++ ) {
+        values.push(_evaluate(select.groupBy[j], records[i], undefined, ctx));
+      }
+      let key = JSON.stringify(values);
+      if ( !groups.has(key) ) {
+        let group = {record: undefined, rows: []};
+        groups.set(key, group);
+        rtn.push(group);
+      }
+      let group = groups.get(key);
+      group.rows.push(records[i]);
+      group.record = records[i];
+    }
+  }
+
+  // Filter by the HAVING clause
+  if ( select.having !== undefined ) {
+    let filtered = [];
+    for ( let i = 0; i < rtn.length; i++ ) {
+      if ( _truthy(_evaluate(select.having, rtn[i].record, rtn[i].rows, ctx)) ) {
+        filtered.push(rtn[i]);
+      }
+    }
+    rtn = filtered;
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Build the result row for the record (or group of records)
+ * @param {Object} select Parsed SELECT statement
+ * @param {Object[]} scope Tables in scope {alias, table}
+ * @param {Object} group Record group {record, rows}
+ * @param {Object} ctx Execution context
+ * @returns {Object} result row {names, values, object}
+ * @private
+ */
+function _project(select, scope, group, ctx) {
+  let rtn = {names: [], values: [], object: {}};
+
+  let add = function(name, value) {
+    rtn.names.push(name);
+    rtn.values.push(value);
+    rtn.object[name] = value;
+  };
+
+  for ( let i = 0; i < select.columns.length; i++ ) {
+    let column = select.columns[i];
+
+    // All columns of the table(s)
+    if ( column.star ) {
+      for ( let j = 0; j < scope.length; j++ ) {
+        if ( column.table === undefined || column.table === scope[j].alias ) {
+          let row = group.record[scope[j].alias];
+          for ( let k = 0; k < scope[j].table.columns.length; k++ ) {
+            let name = scope[j].table.columns[k];
+            add(name, row === null || row === undefined ? null : _value(row[name]));
+          }
+        }
+      }
+    }
+
+    // Expression
+    else {
+      let name = column.alias;
+      if ( name === undefined ) {
+        name = column.expr.type === 'column' ? column.expr.name : column.expr.text;
+      }
+      add(name, _evaluate(column.expr, group.record, group.rows, ctx));
+    }
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Get the sort value of the ORDER BY expression for the result
+ * @param {Object} expr ORDER BY expression
+ * @param {Object} result Result {row, group}
+ * @param {Object} ctx Execution context
+ * @returns {*}
+ * @private
+ */
+function _orderValue(expr, result, ctx) {
+
+  // Result column number
+  if ( expr.type === 'literal' && typeof expr.value === 'number' ) {
+    return result.row.values[expr.value-1];
+  }
+
+  // Result column alias
+  let resolved = ctx.resolved.get(expr);
+  if ( resolved !== undefined && resolved.alias !== undefined ) {
+    return result.row.object[resolved.alias];
+  }
+
+  return _evaluate(expr, result.group.record, result.group.rows, ctx);
+}
+
+
+/**
+ * Get the collation used by the expression
+ * @param {Object} expr Expression
+ * @returns {string} collation name (or undefined)
+ * @private
+ */
+function _collation(expr) {
+  return expr.type === 'collate' ? expr.collation : undefined;
+}
+
+
+/**
+ * Get the (cached) values selected by the uncorrelated sub-query
+ * @param {Object} select Parsed SELECT statement
+ * @param {Object} ctx Execution context
+ * @returns {Array} values of the first result column
+ * @private
+ */
+function _subquery(select, ctx) {
+  if ( !ctx.subqueries.has(select) ) {
+    let rows = _select(select, ctx);
+    let values = [];
+    for ( let i = 0; i < rows.length; i++ ) {
+      values.push(rows[i][Object.keys(rows[i])[0]]);
+    }
+    ctx.subqueries.set(select, values);
+  }
+  return ctx.subqueries.get(select);
+}
+
+
+/**
+ * Get the (cached) set of values selected by the uncorrelated sub-query
+ * @param {Object} select Parsed SELECT statement
+ * @param {Object} ctx Execution context
+ * @returns {Set} values of the first result column
+ * @private
+ */
+function _subquerySet(select, ctx) {
+  if ( !ctx.sets.has(select) ) {
+    ctx.sets.set(select, new Set(_subquery(select, ctx)));
+  }
+  return ctx.sets.get(select);
+}
+
+
+
+// ==== EXPRESSIONS ==== //
+
+/**
+ * Evaluate the expression for the record
+ * @param {Object} expr Expression
+ * @param {Object} record Joined record (row by table alias)
+ * @param {Object[]} rows Grouped records, when evaluating aggregate functions
+ * @param {Object} ctx Execution context
+ * @returns {*} value
+ * @private
+ */
+function _evaluate(expr, record, rows, ctx) {
+  switch ( expr.type ) {
+
+    case 'literal':
+      return expr.value;
+
+    case 'param':
+      return _value(ctx.params[expr.index]);
+
+    case 'column':
+      let resolved = ctx.resolved.get(expr);
+      let row = record[resolved.scope];
+      return row === null || row === undefined ? null : _value(row[resolved.name]);
+
+    case 'subquery':
+      let values = _subquery(expr.select, ctx);
+      return values.length > 0 ? values[0] : null;
+
+    case 'collate':
+      return _evaluate(expr.expr, record, rows, ctx);
+
+    case 'unary':
+      let value = _evaluate(expr.expr, record, rows, ctx);
+      if ( expr.op === 'NOT' ) {
+        return value === null ? null : _truthy(value) ? 0 : 1;
+      }
+      return value === null ? null : -_number(value);
+
+    case 'binary':
+      return _binary(expr, record, rows, ctx);
+
+    case 'is':
+      let equal = _compare(_evaluate(expr.left, record, rows, ctx), _evaluate(expr.right, record, rows, ctx)) === 0;
+      return equal !== expr.not ? 1 : 0;
+
+    case 'in':
+      return _in(expr, record, rows, ctx);
+
+    case 'like':
+      let text = _evaluate(expr.expr, record, rows, ctx);
+      let pattern = _evaluate(expr.pattern, record, rows, ctx);
+      if ( text === null || pattern === null ) {
+        return null;
+      }
+      return _like(String(text), String(pattern)) !== expr.not ? 1 : 0;
+
+    case 'between':
+      let numeric = _columnAffinity(expr.expr, ctx);
+      let v = _evaluate(expr.expr, record, rows, ctx);
+      let low = _evaluate(expr.low, record, rows, ctx);
+      let high = _evaluate(expr.high, record, rows, ctx);
+      if ( numeric !== undefined ) {
+        low = _affinity(low, numeric);
+        high = _affinity(high, numeric);
+      }
+      if ( v === null || low === null || high === null ) {
+        return null;
+      }
+      let between = _compare(v, low) >= 0 && _compare(v, high) <= 0;
+      return between !== expr.not ? 1 : 0;
+
+    case 'function':
+      return expr.aggregate ? _aggregate(expr, rows, ctx) : _function(expr, record, rows, ctx);
+
+  }
+  throw new Error('Could not execute statement: unsupported expression ' + expr.text);
+}
+
+
+/**
+ * Evaluate the binary operator expression
+ * @private
+ */
+function _binary(expr, record, rows, ctx) {
+  let left = _evaluate(expr.left, record, rows, ctx);
+
+  // Logical operators (with short-circuit)
+  if ( expr.op === 'AND' ) {
+    if ( left !== null && !_truthy(left) ) {
+      return 0;
+    }
+    let right = _evaluate(expr.right, record, rows, ctx);
+    if ( right !== null && !_truthy(right) ) {
+      return 0;
+    }
+    return left === null || right === null ? null : 1;
+  }
+  if ( expr.op === 'OR' ) {
+    if ( left !== null && _truthy(left) ) {
+      return 1;
+    }
+    let right = _evaluate(expr.right, record, rows, ctx);
+    if ( right !== null && _truthy(right) ) {
+      return 1;
+    }
+    return left === null || right === null ? null : 0;
+  }
+
+  let right = _evaluate(expr.right, record, rows, ctx);
+  if ( left === null || right === null ) {
+    return null;
+  }
+
+  // Concatenation
+  if ( expr.op === '||' ) {
+    return String(left) + String(right);
+  }
+
+  // Arithmetic
+  if ( expr.op === '+' || expr.op === '-' || expr.op === '*' || expr.op === '/' || expr.op === '%' ) {
+    let l = _number(left);
+    let r = _number(right);
+    switch ( expr.op ) {
+      case '+': return l + r;
+      case '-': return l - r;
+      case '*': return l * r;
+      case '/':
+        if ( r === 0 ) {
+          return null;
+        }
+        let real = expr.left.real || expr.right.real || !Number.isInteger(l) || !Number.isInteger(r);
+        return real ? l / r : Math.trunc(l / r);
+      case '%':
+        return r === 0 ? null : Math.trunc(l) % Math.trunc(r);
+    }
+  }
+
+  // Comparison, with column affinity applied to the other operand
+  let la = _columnAffinity(expr.left, ctx);
+  let ra = _columnAffinity(expr.right, ctx);
+  if ( la === true && ra !== true ) {
+    right = _affinity(right, true);
+  }
+  else if ( ra === true && la !== true ) {
+    left = _affinity(left, true);
+  }
+  else if ( la === false && ra === undefined ) {
+    right = _affinity(right, false);
+  }
+  else if ( ra === false && la === undefined ) {
+    left = _affinity(left, false);
+  }
+  let c = _compare(left, right, _collation(expr.left) || _collation(expr.right));
+  switch ( expr.op ) {
+    case '=': return c === 0 ? 1 : 0;
+    case '<>': return c !== 0 ? 1 : 0;
+    case '<': return c < 0 ? 1 : 0;
+    case '<=': return c <= 0 ? 1 : 0;
+    case '>': return c > 0 ? 1 : 0;
+    case '>=': return c >= 0 ? 1 : 0;
+  }
+  throw new Error('Could not execute statement: unsupported operator ' + expr.op);
+}
+
+
+/**
+ * Evaluate the IN expression
+ * @private
+ */
+function _in(expr, record, rows, ctx) {
+  let value = _evaluate(expr.expr, record, rows, ctx);
+  if ( value === null ) {
+    return null;
+  }
+
+  let affinity = _columnAffinity(expr.expr, ctx);
+  let collation = _collation(expr.expr);
+
+  // Sub-query: use the set of selected values
+  if ( expr.select !== undefined && collation === undefined ) {
+    let set = _subquerySet(expr.select, ctx);
+    let alternate = _affinity(value, typeof value !== 'number');
+    if ( set.has(value) || set.has(alternate) ) {
+      return expr.not ? 0 : 1;
+    }
+    if ( set.has(null) ) {
+      return null;
+    }
+    return expr.not ? 1 : 0;
+  }
+
+  // Get the list of values
+  let values = [];
+  if ( expr.select !== undefined ) {
+    values = _subquery(expr.select, ctx);
+  }
+  else {
+    for ( let i = 0; i < expr.list.length; i++ ) {
+      values.push(_evaluate(expr.list[i], record, rows, ctx));
+    }
+  }
+
+  // Check for a match
+  let hasNull = false;
+  for ( let i = 0; i < values.length; i++ ) {
+    if ( values[i] === null ) {
+      hasNull = true;
+    }
+    else if ( _compare(value, affinity !== undefined ? _affinity(values[i], affinity) : values[i], collation) === 0 ) {
+      return expr.not ? 0 : 1;
+    }
+  }
+  if ( hasNull ) {
+    return null;
+  }
+  return expr.not ? 1 : 0;
+}
+
+
+/**
+ * Evaluate the aggregate function over the grouped records
+ * @private
+ */
+function _aggregate(expr, rows, ctx) {
+  if ( rows === undefined ) {
+    throw new Error('Could not execute statement: misuse of aggregate function ' + expr.name);
+  }
+
+  // Get the non-null values
+  let values = [];
+  for ( let i = 0; i < rows.length; i++ ) {
+    let value = expr.star ? 1 : _evaluate(expr.args[0], rows[i], undefined, ctx);
+    if ( value !== null && (!expr.distinct || values.indexOf(value) === -1) ) {
+      values.push(value);
+    }
+  }
+
+  switch ( expr.name ) {
+    case 'COUNT':
+      return values.length;
+    case 'SUM':
+    case 'TOTAL':
+    case 'AVG':
+      if ( values.length === 0 ) {
+        return expr.name === 'TOTAL' ? 0 : null;
+      }
+      let sum = 0;
+      for ( let i = 0; i < values.length; i++ ) {
+        sum += _number(values[i]);
+      }
+      return expr.name === 'AVG' ? sum / values.length : sum;
+    case 'MIN':
+    case 'MAX':
+      let rtn = null;
+      for ( let i = 0; i < values.length; i++ ) {
+        let c = rtn === null ? 0 : _compare(values[i], rtn);
+        if ( rtn === null || (expr.name === 'MIN' ? c < 0 : c > 0) ) {
+          rtn = values[i];
+        }
+      }
+      return rtn;
+  }
+}
+
+
+/**
+ * Evaluate the scalar function
+ * @private
+ */
+function _function(expr, record, rows, ctx) {
+  let args = [];
+  for ( let i = 0; i < expr.args.length; i++ ) {
+    args.push(_evaluate(expr.args[i], record, rows, ctx));
+  }
+
+  switch ( expr.name ) {
+    case 'COALESCE':
+    case 'IFNULL':
+      for ( let i = 0; i < args.length; i++ ) {
+        if ( args[i] !== null ) {
+          return args[i];
+        }
+      }
+      return null;
+    case 'MIN':
+    case 'MAX':
+      let rtn = null;
+      for ( let i = 0; i < args.length; i++ ) {
+        if ( args[i] === null ) {
+          return null;
+        }
+        let c = rtn === null ? 0 : _compare(args[i], rtn);
+        if ( rtn === null || (expr.name === 'MIN' ? c < 0 : c > 0) ) {
+          rtn = args[i];
+        }
+      }
+      return rtn;
+  }
+
+  // Remaining functions return NULL for a NULL argument
+  if ( args.length > 0 && args[0] === null ) {
+    return null;
+  }
+  switch ( expr.name ) {
+    case 'LOWER':
+      return String(args[0]).toLowerCase();
+    case 'UPPER':
+      return String(args[0]).toUpperCase();
+    case 'LENGTH':
+      return String(args[0]).length;
+    case 'TRIM':
+      return String(args[0]).trim();
+    case 'ABS':
+      return Math.abs(_number(args[0]));
+    case 'ROUND':
+      let factor = Math.pow(10, args.length > 1 ? _number(args[1]) : 0);
+      return Math.round(_number(args[0]) * factor) / factor;
+    case 'SUBSTR':
+      let start = _number(args[1]);
+      let text = String(args[0]);
+      start = start > 0 ? start-1 : start < 0 ? Math.max(text.length+start, 0) : 0;
+      return args.length > 2 ? text.substr(start, _number(args[2])) : text.substr(start);
+    case 'INSTR':
+      return String(args[0]).indexOf(String(args[1])) + 1;
+    case 'REPLACE':
+      return String(args[0]).split(String(args[1])).join(String(args[2]));
+  }
+  throw new Error('Could not execute statement: no such function: ' + expr.name);
+}
+
+
+
+// ==== VALUES ==== //
+
+/**
+ * Normalize a stored or bound value (undefined becomes NULL and
+ * booleans become integers)
+ * @param {*} value Value
+ * @returns {*}
+ * @private
+ */
+function _value(value) {
+  if ( value === undefined ) {
+    return null;
+  }
+  if ( typeof value === 'boolean' ) {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+
+/**
+ * Get the affinity of the expression, if it is a column reference
+ * @param {Object} expr Expression
+ * @param {Object} ctx Execution context
+ * @returns {boolean} true if numeric, false if text, undefined if not a column
+ * @private
+ */
+function _columnAffinity(expr, ctx) {
+  if ( expr.type === 'collate' ) {
+    return _columnAffinity(expr.expr, ctx);
+  }
+  if ( expr.type === 'column' ) {
+    let resolved = ctx.resolved.get(expr);
+    if ( resolved !== undefined && resolved.scope !== undefined ) {
+      return resolved.numeric;
+    }
+  }
+  return undefined;
+}
+
+
+/**
+ * Apply the column affinity to the value: numeric text is converted to a
+ * number for a numeric column and a number is converted to text for a
+ * text column
+ * @param {*} value Value
+ * @param {boolean} numeric Numeric column affinity
+ * @returns {*}
+ * @private
+ */
+function _affinity(value, numeric) {
+  value = _value(value);
+  if ( numeric && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ) {
+    return Number(value);
+  }
+  if ( !numeric && typeof value === 'number' ) {
+    return String(value);
+  }
+  return value;
+}
+
+
+/**
+ * Compare two values: NULL values are less than numbers, which are less
+ * than text values
+ * @param {*} a First value
+ * @param {*} b Second value
+ * @param {string} [collation] Collation name (NOCASE for case-insensitive text)
+ * @returns {int} negative, 0 or positive
+ * @private
+ */
+function _compare(a, b, collation) {
+  let ta = a === null ? 0 : typeof a === 'number' ? 1 : 2;
+  let tb = b === null ? 0 : typeof b === 'number' ? 1 : 2;
+  if ( ta !== tb ) {
+    return ta - tb;
+  }
+  if ( ta === 0 ) {
+    return 0;
+  }
+  if ( ta === 2 ) {
+    a = String(a);
+    b = String(b);
+    if ( collation === 'NOCASE' ) {
+      a = a.toLowerCase();
+      b = b.toLowerCase();
+    }
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+
+/**
+ * Check if the value is true (a non-zero number)
+ * @param {*} value Value
+ * @returns {boolean}
+ * @private
+ */
+function _truthy(value) {
+  return value !== null && _number(value) !== 0;
+}
+
+
+/**
+ * Convert the value to a number (text that is not numeric is 0)
+ * @param {*} value Value
+ * @returns {number}
+ * @private
+ */
+function _number(value) {
+  if ( typeof value === 'number' ) {
+    return value;
+  }
+  let rtn = parseFloat(value);
+  return isNaN(rtn) ? 0 : rtn;
+}
+
+
+/**
+ * Check if the text matches the (case-insensitive) LIKE pattern
+ * @param {string} text Text
+ * @param {string} pattern LIKE pattern (with % and _ wildcards)
+ * @returns {boolean}
+ * @private
+ */
+function _like(text, pattern) {
+  let regex = '';
+  for ( let i = 0; i < pattern.length; i++ ) {
+    let c = pattern[i];
+    if ( c === '%' ) {
+      regex += '[\\s\\S]*';
+    }
+    else if ( c === '_' ) {
+      regex += '[\\s\\S]';
+    }
+    else {
+      regex += c.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + regex + '$', 'i').test(text);
+}
+
+
+module.exports = {
+  parse: parse,
+  execute: execute
+};
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 const config = require('@dwaring87/config');
 const path = require('path');
+const promisify = require('../../utils/promise.js');
 
 /**
  * Right Track Transit Agency Abstract Class
@@ -57,6 +58,10 @@ class RightTrackTransitAgency {
     // Setup Config
     this._config = new config(path.normalize(this._moduleDirectory + '/agency.json'));
 
+    // Support callback and Promise implementations and callers
+    this.loadFeed = promisify(this.loadFeed);
+    this.getDivision = promisify(this.getDivision);
+
   }
 
 
@@ -144,13 +149,16 @@ class RightTrackTransitAgency {
   // ==== TRANSIT FEED ==== //
 
   /**
-   * Load the Transit Feed for this Transit Agency
-   * @param {function} callback Callback function
+   * Load the Transit Feed for this Transit Agency.  The implementation can
+   * either return the feed using the callback function or return a Promise
+   * of the feed.
+   * @param {function} [callback] Callback function
    * @param {Error} callback.error Transit Feed Error.  The Error's message will be
    * a pipe (`|`) separated string in the format of: `Error Code|Error Type|Error Message`
    * that will be parsed out by the **Right Track API Server** into a more specific
    * error Response.
    * @param {TransitFeed} [callback.feed] The built `TransitFeed` for the Transit Agency
+   * @returns {Promise<TransitFeed>|undefined} The built `TransitFeed`, when no callback is provided
    * @abstract
    */
   loadFeed(callback) {
@@ -160,9 +168,10 @@ class RightTrackTransitAgency {
   /**
    * Get the matching Transit Division from the Agency's Transit Feed
    * @param {String[]} divisionCodes List of Transit Division codes (in hierarchical order)
-   * @param {function} callback Callback function
+   * @param {function} [callback] Callback function
    * @param {Error} callback.error Transit Feed Error
    * @param {TransitDivision} [callback.division] The matching `TransitDivision`
+   * @returns {Promise<TransitDivision>|undefined} The matching `TransitDivision`, when no callback is provided
    */
   getDivision(divisionCodes, callback) {
     this.loadFeed(function(err, feed) {
@@ -15,6 +15,12 @@
    */
   RightTrackDB: require('./RightTrackDB'),
 
+  /**
+   * Right Track In-Memory DB Class
+   * @see RightTrackMemoryDB
+   */
+  RightTrackMemoryDB: require('./RightTrackMemoryDB'),
+
   /**
    * Right Track Agency Abstract Class
    * @see RightTrackAgency
@@ -164,12 +164,33 @@ class Stop {
 
   /**
    * Set the Stop's distance property to the distance from the specified
-   * location.
+   * location.  A Stop returned by the query functions is shared (and
+   * frozen), so it is not modified: use the returned copy of the Stop.
    * @param {number} lat Location's latitude (decimal degrees)
    * @param {number} lon Location's longitude (decimal degrees)
+   * @returns {Stop} the Stop (or a copy of a frozen Stop), with its distance
+   * @deprecated use {@link Stop#withDistance|withDistance()} to get a copy
+   * of the Stop with its distance instead
    */
   setDistance(lat, lon) {
+    if ( Object.isFrozen(this) ) {
+      return this.withDistance(lat, lon);
+    }
     this.distance = calc.distance(this.lat, this.lon, lat, lon);
+    return this;
+  }
+
+  /**
+   * Get a copy of the Stop with its distance property set to the distance
+   * from the specified location.  The Stop itself is not modified.
+   * @param {number} lat Location's latitude (decimal degrees)
+   * @param {number} lon Location's longitude (decimal degrees)
+   * @returns {Stop} copy of the Stop, with its distance
+   */
+  withDistance(lat, lon) {
+    let rtn = Object.assign(Object.create(Stop.prototype), this);
+    rtn.distance = calc.distance(this.lat, this.lon, lat, lon);
+    return rtn;
   }
 
 }
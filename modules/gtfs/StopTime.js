@@ -29,6 +29,7 @@ const DateTime = require('../utils/DateTime.js');
  *
  * Right Track Fields:
  * - Date (yyyymmdd)
+ * - Timezone (the Agency's IANA timezone)
  *
  * **Module:** {@link module:gtfs/StopTime|gtfs/StopTime}
  *
@@ -52,6 +53,8 @@ class StopTime {
    * @param {number} [optional.shapeDistanceTraveled] The distance traveled from the first shape point
    * @param {int} [optional.timepoint=1] Indicate if the arrival and departure times are exact or approximate
    * @param {int} [optional.date=19700101] StopTime date (yyyymmdd)
+   * @param {string} [optional.timezone] StopTime timezone (the IANA timezone of the
+   * Trip's Agency), when not provided the host timezone is used
    */
   constructor(stop, arrivalTime, departureTime, stopSequence, optional={}) {
 
@@ -68,6 +71,13 @@ class StopTime {
      */
     this.date = provided(optional.date, 19700101);
 
+    /**
+     * The IANA timezone of the arrival and departure times
+     * (the timezone of the Trip's Agency)
+     * @type {string}
+     */
+    this.timezone = provided(optional.timezone);
+
     /**
      * The trip's arrival time for this scheduled StopTime in HH:MM:SS format
      * @type {string}
@@ -78,7 +88,7 @@ class StopTime {
      * The trip's arrival Date/Time
      * @type {DateTime}
      */
-    this.arrival = new DateTime(arrivalTime, this.date);
+    this.arrival = new DateTime(arrivalTime, this.date, this.timezone);
 
     /**
      * The trip's departure time for this scheduled StopTime in HH:MM:SS format
@@ -90,7 +100,7 @@ class StopTime {
      * The trip's departure Date/Time
      * @type {DateTime}
      */
-    this.departure = new DateTime(departureTime, this.date);
+    this.departure = new DateTime(departureTime, this.date, this.timezone);
 
     /**
      * The StopTime's sequence in the scheduled Trip
@@ -0,0 +1,138 @@
+'use strict';
+
+const provided = require('../utils/provided.js');
+
+/**
+ * GTFS Transfer Class
+ * @see {@link Transfer}
+ * @module gtfs/Transfer
+ */
+
+/**
+ * GTFS Transfer
+ * -------------
+ * Representation of the GTFS Transfer definition: a rule for making a
+ * connection between two Trips at (or between) the specified Stops.
+ *
+ * GTFS Required Fields:
+ * - GTFS From Stop ID
+ * - GTFS To Stop ID
+ * - GTFS Transfer Type
+ *
+ * GTFS Optional Fields:
+ * - GTFS Min Transfer Time
+ * - GTFS From Route ID
+ * - GTFS To Route ID
+ * - GTFS From Trip ID
+ * - GTFS To Trip ID
+ *
+ * **Module:** {@link module:gtfs/Transfer|gtfs/Transfer}
+ *
+ * @see {@link https://developers.google.com/transit/gtfs/reference/transfers-file|GTFS Spec}
+ * @class
+ * @alias Transfer
+ */
+class Transfer {
+
+  /**
+   * GTFS Transfer Constructor
+   * @constructor
+   * @param {string} fromStopId The Stop ID where the connection begins
+   * @param {string} toStopId The Stop ID where the connection ends
+   * @param {int} transferType Transfer Type
+   * @param {Object} [optional] Optional Arguments
+   * @param {int} [optional.minTransferTime] Minimum transfer time (seconds)
+   * @param {string} [optional.fromRouteId] The Route ID of the arriving Trip
+   * @param {string} [optional.toRouteId] The Route ID of the departing Trip
+   * @param {string} [optional.fromTripId] The Trip ID of the arriving Trip
+   * @param {string} [optional.toTripId] The Trip ID of the departing Trip
+   */
+  constructor(fromStopId, toStopId, transferType, optional={}) {
+
+    /**
+     * The Stop ID where the connection begins
+     * @type {string}
+     */
+    this.fromStopId = fromStopId;
+
+    /**
+     * The Stop ID where the connection ends
+     * @type {string}
+     */
+    this.toStopId = toStopId;
+
+    /**
+     * The type of connection between the Stops
+     * @type {int}
+     * @default 0
+     */
+    this.transferType = provided(transferType, Transfer.TRANSFER_TYPE_RECOMMENDED);
+
+    /**
+     * The minimum number of seconds needed to make the connection
+     * @type {int}
+     */
+    this.minTransferTime = provided(optional.minTransferTime);
+
+    /**
+     * The Route ID of the arriving Trip (when the rule is Route-specific)
+     * @type {string}
+     */
+    this.fromRouteId = provided(optional.fromRouteId);
+
+    /**
+     * The Route ID of the departing Trip (when the rule is Route-specific)
+     * @type {string}
+     */
+    this.toRouteId = provided(optional.toRouteId);
+
+    /**
+     * The Trip ID of the arriving Trip (when the rule is Trip-specific)
+     * @type {string}
+     */
+    this.fromTripId = provided(optional.fromTripId);
+
+    /**
+     * The Trip ID of the departing Trip (when the rule is Trip-specific)
+     * @type {string}
+     */
+    this.toTripId = provided(optional.toTripId);
+
+  }
+
+}
+
+
+// ==== TRANSFER TYPES ==== //
+
+/**
+ * Transfer Type: Recommended transfer point between Routes
+ * @const {number}
+ * @default 0
+ */
+Transfer.TRANSFER_TYPE_RECOMMENDED = 0;
+
+/**
+ * Transfer Type: Timed transfer point - the departing Trip waits for the arriving Trip
+ * @const {number}
+ * @default
+ */
+Transfer.TRANSFER_TYPE_TIMED = 1;
+
+/**
+ * Transfer Type: Transfer requires a minimum amount of time
+ * @const {number}
+ * @default
+ */
+Transfer.TRANSFER_TYPE_MIN_TIME = 2;
+
+/**
+ * Transfer Type: Transfers are not possible
+ * @const {number}
+ * @default
+ */
+Transfer.TRANSFER_TYPE_NOT_POSSIBLE = 3;
+
+
+
+module.exports = Transfer;
\ No newline at end of file
@@ -250,28 +250,39 @@ Trip.BIKES_ALLOWED_NO = 2;
  */
 Trip.sortByDepartureTime = function(a, b) {
   if ( a._referenceStopId && b._referenceStopId && a._referenceStopId === b._referenceStopId ) {
-    let stopId = a._referenceStopId;
-    if ( a.getStopTime(stopId).departure.toTimestamp() < b.getStopTime(stopId).departure.toTimestamp() ) {
+    return Trip.sortByStopDepartureTime(a._referenceStopId)(a, b);
+  }
+  else {
+    if ( a.stopTimes[0].departure.toTimestamp() < b.stopTimes[0].departure.toTimestamp() ) {
       return -1;
     }
-    else if ( a.getStopTime(stopId).departure.toTimestamp() > b.getStopTime(stopId).departure.toTimestamp() ) {
+    else if ( a.stopTimes[0].departure.toTimestamp() > b.stopTimes[0].departure.toTimestamp() ) {
       return 1;
     }
     else {
       return 0;
     }
   }
-  else {
-    if ( a.stopTimes[0].departure.toTimestamp() < b.stopTimes[0].departure.toTimestamp() ) {
+};
+
+/**
+ * Get a sort function that sorts Trips by their departure time from the
+ * specified Stop
+ * @param {string} stopId Reference Stop ID
+ * @returns {function} sort function(a, b)
+ */
+Trip.sortByStopDepartureTime = function(stopId) {
+  return function(a, b) {
+    if ( a.getStopTime(stopId).departure.toTimestamp() < b.getStopTime(stopId).departure.toTimestamp() ) {
       return -1;
     }
-    else if ( a.stopTimes[0].departure.toTimestamp() > b.stopTimes[0].departure.toTimestamp() ) {
+    else if ( a.getStopTime(stopId).departure.toTimestamp() > b.getStopTime(stopId).departure.toTimestamp() ) {
       return 1;
     }
     else {
       return 0;
     }
-  }
+  };
 };
 
 
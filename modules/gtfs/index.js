@@ -44,6 +44,12 @@ module.exports = {
    */
   StopTime: require('./StopTime.js'),
 
+  /**
+   * GTFS Transfer Class
+   * @see Transfer
+   */
+  Transfer: require('./Transfer.js'),
+
   /**
    * GTFS Trip Class
    * @see Trip
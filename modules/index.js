@@ -11,7 +11,7 @@
  */
 
 /**
- * @type {{gtfs, rt, query, search, utils, RightTrackTransitAgency}}
+ * @type {{gtfs, rt, query, search, builder, utils, RightTrackTransitAgency}}
  */
 module.exports = {
 
@@ -39,6 +39,12 @@ module.exports = {
    */
   search: require('./search'),
 
+  /**
+   * Right Track Database Builder Functions
+   * @see module:builder
+   */
+  builder: require('./builder'),
+
   /**
    * Right Track Utility Functions
    * @see module:utils
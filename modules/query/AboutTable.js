@@ -7,8 +7,9 @@
  */
 
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const About = require('../rt/About.js');
+const promisify = require('../utils/promise.js');
 
 
 
@@ -32,6 +33,12 @@ function getAbout(db, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_about.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build select statement
   let select = "SELECT compile_date, gtfs_publish_date, start_date, " +
     "end_date, version, notes FROM rt_about";
@@ -72,7 +79,7 @@ function getAbout(db, callback) {
 
 
 // ==== SETUP CACHE ==== //
-let cache_about = new cache.Cache();
+let cache_about = cache.create('about');
 
 /**
  * Clear the AboutTable cache
@@ -85,6 +92,6 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getAbout: getAbout,
+  getAbout: promisify(getAbout),
   clearCache: clearCache
 };
\ No newline at end of file
@@ -7,10 +7,11 @@
  * @module query/calendar
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Service = require('../gtfs/Service.js');
 const ServiceException = require('../gtfs/ServiceException.js');
 const DateTime = require('../utils/DateTime.js');
+const promisify = require('../utils/promise.js');
 
 
 // ==== QUERY FUNCTIONS ==== //
@@ -70,12 +71,18 @@ function getService(db, id, callback) {
       return callback(null, cache);
     }
 
+    // Wait for a pending query with the same key
+    callback = cache_serviceById.coalesce(cacheKey, callback);
+    if ( callback === undefined ) {
+      return;
+    }
+
     // Get the service exceptions for the specified service
     let select = "SELECT date, exception_type FROM gtfs_calendar_dates WHERE " +
-    "service_id='" + id + "' ORDER BY date ASC;";
+    "service_id=? ORDER BY date ASC;";
 
     // Query the database
-    db.select(select, function(err, results) {
+    db.select(select, [id], function(err, results) {
 
       // Database Query Error
       if ( err ) {
@@ -112,10 +119,10 @@ function getService(db, id, callback) {
 
       // Get the default service information
       let select = "SELECT monday, tuesday, wednesday, thursday, friday, saturday, sunday, " +
-        "start_date, end_date FROM gtfs_calendar WHERE service_id='" + id + "';";
+        "start_date, end_date FROM gtfs_calendar WHERE service_id=?;";
 
       // Query the database
-      db.get(select, function(err, result) {
+      db.get(select, [id], function(err, result) {
 
         // Database Query Error
         if ( err ) {
@@ -192,6 +199,12 @@ function getServicesEffective(db, date, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_servicesEffectiveByDate.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Get the Default Services
   getServicesDefault(db, date, function(defaultError, defaultServices) {
 
@@ -317,6 +330,12 @@ let getServicesDefault = function(db, date, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_servicesDefaultByDate.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Array of default services to return
   let rtn = [];
 
@@ -327,11 +346,10 @@ let getServicesDefault = function(db, date, callback) {
   // Get default services
   let select = "SELECT service_id, monday, tuesday, wednesday, thursday, friday, " +
     "saturday, sunday, start_date, end_date FROM gtfs_calendar WHERE " + dow +
-    "=" + Service.SERVICE_AVAILABLE + " AND start_date<=" + date + " AND " +
-    "end_date>=" + date + ";";
+    "=? AND start_date<=? AND end_date>=?;";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, [Service.SERVICE_AVAILABLE, date, date], function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -389,15 +407,21 @@ let getServiceExceptions = function(db, date, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_serviceExceptionsByDate.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Array of Service Exceptions to return
   let rtn = [];
 
   // Get service exceptions from calendar_dates
   let select = "SELECT service_id, date, exception_type " +
-    "FROM gtfs_calendar_dates WHERE date=" + date + ";";
+    "FROM gtfs_calendar_dates WHERE date=?;";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, [date], function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -432,10 +456,10 @@ let getServiceExceptions = function(db, date, callback) {
 
 
 // ==== SETUP CACHES ==== //
-let cache_serviceById = new cache.Cache();
-let cache_servicesEffectiveByDate = new cache.Cache();
-let cache_servicesDefaultByDate = new cache.Cache();
-let cache_serviceExceptionsByDate = new cache.Cache();
+let cache_serviceById = cache.create('serviceById');
+let cache_servicesEffectiveByDate = cache.create('servicesEffectiveByDate');
+let cache_servicesDefaultByDate = cache.create('servicesDefaultByDate');
+let cache_serviceExceptionsByDate = cache.create('serviceExceptionsByDate');
 
 /**
  * Clear the CalendarTable caches
@@ -452,9 +476,9 @@ function clearCache() {
 
 // Export the functions
 module.exports = {
-  getService: getService,
-  getServicesEffective: getServicesEffective,
-  getServicesDefault: getServicesDefault,
-  getServiceExceptions: getServiceExceptions,
+  getService: promisify(getService),
+  getServicesEffective: promisify(getServicesEffective),
+  getServicesDefault: promisify(getServicesDefault),
+  getServiceExceptions: promisify(getServiceExceptions),
   clearCache: clearCache
 };
\ No newline at end of file
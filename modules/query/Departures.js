@@ -0,0 +1,302 @@
+'use strict';
+
+/**
+ * ### Scheduled Departure Query Functions
+ * These functions build a {@link StationFeed} of the scheduled departures
+ * from a Stop using the `gtfs_stop_times` table in the Right Track Database.
+ * The scheduled Station Feed can be used by agencies that do not support
+ * real-time Station Feeds (or as the base of a real-time Station Feed).
+ * @module query/departures
+ */
+
+const StationFeed = require('../classes/RightTrackAgency/StationFeed/StationFeed.js');
+const StationFeedDeparture = require('../classes/RightTrackAgency/StationFeed/StationFeedDeparture.js');
+const StationFeedDepartureStatus = require('../classes/RightTrackAgency/StationFeed/StationFeedDepartureStatus.js');
+const StopTime = require('../gtfs/StopTime.js');
+const DateTime = require('../utils/DateTime.js');
+const CalendarTable = require('./CalendarTable.js');
+const StopsTable = require('./StopsTable.js');
+const TripsTable = require('./TripsTable.js');
+const promisify = require('../utils/promise.js');
+const sql = require('../utils/sql.js');
+
+
+/**
+ * Status label of a scheduled departure
+ * @private
+ */
+const SCHEDULED_STATUS = 'Scheduled';
+
+/**
+ * Max GTFS time (seconds since midnight of the service date)
+ * @private
+ */
+const MAX_SECONDS = 48*3600;
+
+
+
+// ==== QUERY FUNCTIONS ==== //
+
+
+/**
+ * Get the Station Feed of the scheduled departures from the Stop within
+ * the time window around the specified Date/Time.
+ *
+ * The departures include the Trips of the previous service day that depart
+ * after midnight (with GTFS times of 24:00:00 or later).  Departures where
+ * passengers are not picked up (`pickup_type` = 1) and Trips that end at
+ * the Stop are not included.  Each departure has a status of `Scheduled`,
+ * no delay and its estimated departure set to its scheduled departure.
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {string} stopId The Stop ID of the departure Stop
+ * @param {DateTime} datetime The Date/Time of the departures
+ * @param {Object} [options] Departure Options
+ * @param {int} [options.preMins=0] The number of mins before the Date/Time to include
+ * @param {int} [options.postMins=120] The number of mins after the Date/Time to include
+ * @param {function} callback Callback function
+ * @param {Error} callback.error Database Query Error
+ * @param {StationFeed} [callback.feed] The Station Feed of the scheduled departures
+ * (or undefined if the Stop was not found)
+ */
+function getScheduledDepartures(db, stopId, datetime, options, callback) {
+
+  // Parse Args
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+
+  // Get options
+  let preMins = options.preMins !== undefined ? options.preMins : 0;
+  let postMins = options.postMins !== undefined ? options.postMins : 120;
+
+  // Get the Stop
+  StopsTable.getStop(db, stopId, function(err, stop) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Stop Not Found
+    if ( stop === undefined ) {
+      return callback(null, undefined);
+    }
+
+    // Get the service dates of the departure window
+    let dates = _getServiceDates(datetime, preMins, postMins);
+
+    // Departures to return
+    let departures = [];
+
+    // Counters
+    let done = 0;
+    let count = dates.length;
+    let failed = false;
+
+    // Get the departures of each service date
+    for ( let i = 0; i < dates.length; i++ ) {
+      _getDepartures(db, stopId, dates[i], function(err, rtn) {
+        if ( failed ) {
+          return;
+        }
+
+        // Database Query Error
+        if ( err ) {
+          failed = true;
+          return callback(err);
+        }
+
+        // Add departures
+        departures = departures.concat(rtn);
+
+        // Finish the service date
+        _finish();
+
+      });
+    }
+
+
+    /**
+     * Finish processing the service dates
+     * @private
+     */
+    function _finish() {
+      done++;
+      if ( done === count ) {
+        departures.sort(StationFeedDeparture.sort);
+        return callback(null, new StationFeed(stop, DateTime.now(datetime.timezone), departures));
+      }
+    }
+
+  });
+
+}
+
+
+/**
+ * Get the service dates (and the departure times relative to each service
+ * date) within the departure window.  The window starts on the service date
+ * before the start of the window, to include the times after midnight of the
+ * previous service date.
+ * @param {DateTime} datetime The Date/Time of the departures
+ * @param {int} preMins The number of mins before the Date/Time to include
+ * @param {int} postMins The number of mins after the Date/Time to include
+ * @returns {Object[]} service dates {date, preSeconds, postSeconds}
+ * @private
+ */
+function _getServiceDates(datetime, preMins, postMins) {
+  let start = datetime.clone().deltaMins(-1*preMins);
+  let end = datetime.clone().deltaMins(postMins);
+
+  // Dates from the day before the start to the end
+  let dates = [];
+  let date = DateTime.createFromDate(start.getDateInt()).deltaDays(-1);
+  while ( date.getDateInt() <= end.getDateInt() ) {
+    dates.push(date.getDateInt());
+    date.deltaDays(1);
+  }
+
+  // Window times relative to the start of each date
+  let rtn = [];
+  for ( let i = 0; i < dates.length; i++ ) {
+    let preSeconds = Math.max(start.getServiceSeconds(dates[i]), 0);
+    let postSeconds = Math.min(end.getServiceSeconds(dates[i]), MAX_SECONDS);
+    if ( preSeconds <= postSeconds ) {
+      rtn.push({
+        date: dates[i],
+        preSeconds: preSeconds,
+        postSeconds: postSeconds
+      });
+    }
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Get the scheduled departures from the Stop on the service date
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {string} stopId The Stop ID of the departure Stop
+ * @param {Object} serviceDate Service date {date, preSeconds, postSeconds}
+ * @param {function} callback Callback function(err, departures)
+ * @private
+ */
+function _getDepartures(db, stopId, serviceDate, callback) {
+
+  // Get the effective services
+  CalendarTable.getServicesEffective(db, serviceDate.date, function(err, services) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // No effective services
+    if ( services.length === 0 ) {
+      return callback(null, []);
+    }
+
+    // Service IDs
+    let serviceIds = [];
+    for ( let i = 0; i < services.length; i++ ) {
+      serviceIds.push(services[i].id);
+    }
+
+    // Build select statement
+    let select = "SELECT gtfs_stop_times.trip_id, stop_sequence, pickup_type " +
+      "FROM gtfs_stop_times " +
+      "INNER JOIN gtfs_trips ON gtfs_stop_times.trip_id=gtfs_trips.trip_id " +
+      "WHERE gtfs_stop_times.stop_id=? AND " +
+      "gtfs_trips.service_id IN (" + sql.placeholders(serviceIds) + ") AND " +
+      "departure_time_seconds >= ? AND departure_time_seconds <= ?;";
+    let params = [stopId].concat(serviceIds, [serviceDate.preSeconds, serviceDate.postSeconds]);
+
+    // Query the database
+    db.select(select, params, function(err, results) {
+
+      // Database Query Error
+      if ( err ) {
+        return callback(err);
+      }
+
+      // Stop Times where passengers are picked up
+      let rows = [];
+      let tripIds = [];
+      for ( let i = 0; i < results.length; i++ ) {
+        if ( results[i].pickup_type !== StopTime.PICKUP_TYPE_NONE ) {
+          rows.push(results[i]);
+          tripIds.push(results[i].trip_id);
+        }
+      }
+
+      // Get the Trips
+      TripsTable.getTrips(db, tripIds, serviceDate.date, function(err, trips) {
+
+        // Database Query Error
+        if ( err ) {
+          return callback(err);
+        }
+
+        // Trips, by id
+        let tripsById = {};
+        for ( let i = 0; i < trips.length; i++ ) {
+          tripsById[trips[i].id] = trips[i];
+        }
+
+        // Build the departures
+        let rtn = [];
+        for ( let i = 0; i < rows.length; i++ ) {
+          let departure = _buildDeparture(tripsById[rows[i].trip_id], rows[i].stop_sequence);
+          if ( departure !== undefined ) {
+            rtn.push(departure);
+          }
+        }
+
+        return callback(null, rtn);
+
+      });
+
+    });
+
+  });
+
+}
+
+
+/**
+ * Build the scheduled departure of the Trip
+ * @param {Trip} trip The departing Trip
+ * @param {int} stopSequence The stop sequence of the departure
+ * @returns {StationFeedDeparture} the departure (or undefined if the Trip
+ * was not found or ends at the departure Stop)
+ * @private
+ */
+function _buildDeparture(trip, stopSequence) {
+  if ( trip === undefined ) {
+    return undefined;
+  }
+
+  // Find the departure Stop Time
+  let last = trip.stopTimes.length - 1;
+  for ( let i = 0; i < last; i++ ) {
+    let stopTime = trip.stopTimes[i];
+    if ( stopTime.stopSequence === stopSequence ) {
+      return new StationFeedDeparture(
+        stopTime.departure,
+        trip.stopTimes[last].stop,
+        trip,
+        new StationFeedDepartureStatus(SCHEDULED_STATUS, 0, stopTime.departure, "")
+      );
+    }
+  }
+
+  return undefined;
+}
+
+
+// Export Functions
+module.exports = {
+  getScheduledDepartures: promisify(getScheduledDepartures)
+};
\ No newline at end of file
@@ -7,8 +7,9 @@
  */
 
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Direction = require('../gtfs/Direction.js');
+const promisify = require('../utils/promise.js');
 
 
 
@@ -32,6 +33,12 @@ function getDirections(db, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_directions.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build select statement
   let select = "SELECT direction_id, description FROM gtfs_directions";
 
@@ -87,11 +94,17 @@ function getDirection(db, id, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_directions.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build select statement
-  let select = "SELECT direction_id, description FROM gtfs_directions WHERE direction_id = '" + id + "'";
+  let select = "SELECT direction_id, description FROM gtfs_directions WHERE direction_id = ?";
 
   // Query the database
-  db.get(select, function(err, result) {
+  db.get(select, [id], function(err, result) {
 
     // Database Query Error
     if ( err ) {
@@ -119,7 +132,7 @@ function getDirection(db, id, callback) {
 
 
 // ==== SETUP CACHE ==== //
-let cache_directions = new cache.Cache();
+let cache_directions = cache.create('directions');
 
 /**
  * Clear the DirectionsTable cache
@@ -132,7 +145,7 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getDirections: getDirections,
-  getDirection: getDirection,
+  getDirections: promisify(getDirections),
+  getDirection: promisify(getDirection),
   clearCache: clearCache
 };
\ No newline at end of file
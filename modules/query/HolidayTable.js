@@ -6,8 +6,9 @@
  * @module query/holiday
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Holiday = require('../rt/Holiday.js');
+const promisify = require('../utils/promise.js');
 
 
 // ==== QUERY FUNCTIONS ==== //
@@ -30,6 +31,12 @@ function getHolidays(db, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_holidays.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build select statement
   let select = "SELECT date, holiday_name, peak, service_info FROM rt_holidays";
 
@@ -90,12 +97,18 @@ function getHoliday(db, date, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_holidayByDate.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build the select statement
   let select = "SELECT date, holiday_name, peak, service_info " +
-    "FROM rt_holidays WHERE date=" + date;
+    "FROM rt_holidays WHERE date=?";
 
   // Query the database
-  db.get(select, function(err, result) {
+  db.get(select, [date], function(err, result) {
 
     // Database Query Error
     if ( err ) {
@@ -147,12 +160,18 @@ function isHoliday(db, date, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_isHolidayByDate.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Get matching holiday
   let select = "SELECT date, holiday_name, peak, service_info " +
-    "FROM rt_holidays WHERE date=" + date;
+    "FROM rt_holidays WHERE date=?";
 
   // Query the database
-  db.get(select, function(err, result) {
+  db.get(select, [date], function(err, result) {
 
     // Database Query Error
     if ( err ) {
@@ -172,9 +191,9 @@ function isHoliday(db, date, callback) {
 
 
 // ==== SETUP CACHES ==== //
-let cache_holidays = new cache.Cache();
-let cache_holidayByDate = new cache.Cache();
-let cache_isHolidayByDate = new cache.Cache();
+let cache_holidays = cache.create('holidays');
+let cache_holidayByDate = cache.create('holidayByDate');
+let cache_isHolidayByDate = cache.create('isHolidayByDate');
 
 /**
  * Clear the HolidayTable caches
@@ -189,8 +208,8 @@ function clearCache() {
 
 // Export the functions
 module.exports = {
-  getHolidays: getHolidays,
-  getHoliday: getHoliday,
-  isHoliday: isHoliday,
+  getHolidays: promisify(getHolidays),
+  getHoliday: promisify(getHoliday),
+  isHoliday: promisify(isHoliday),
   clearCache: clearCache,
 };
\ No newline at end of file
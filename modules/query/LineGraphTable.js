@@ -6,30 +6,86 @@
  * @module query/linegraph
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Graph = require('../../lib/graph.js');
 const StopsTable = require('./StopsTable.js');
 const Stop = require('../gtfs/Stop.js');
+const provided = require('../utils/provided.js');
+const promisify = require('../utils/promise.js');
+const SpatialIndex = require('../utils/spatial.js').SpatialIndex;
+
+
+/**
+ * Default maximum number of paths from the origin to the destination
+ * @private
+ */
+const DEFAULT_MAX_PATHS = 10;
+
+/**
+ * Default maximum number of additional Stops of a path compared to the
+ * shortest path (-1 for no limit)
+ * @private
+ */
+const DEFAULT_MAX_DETOUR = -1;
+
+/**
+ * The number of meters in a mile
+ * @private
+ */
+const METERS_PER_MILE = 1609.344;
+
 
 
 // ==== QUERY FUNCTIONS ==== //
 
 
 /**
- * Get a List of all stops from the Agency Line Graph along all paths from
- * the origin to the destination following the specified stop
+ * Get a List of all stops from the Agency Line Graph along the shortest paths
+ * from the origin to the destination following the specified stop (see
+ * {@link module:query/linegraph~getPaths|getPaths()} for the paths that are used)
  * @param {RightTrackDB} db The Right Track DB to Query
  * @param {String} originId Origin Stop ID
  * @param {String} destinationId Destination Stop ID
  * @param {String} stopId Current Stop ID
+ * @param {Object} [options] Path Options
+ * @param {int} [options.maxPaths=10] The maximum number of paths to follow
+ * @param {int} [options.maxDetour=-1] The maximum number of additional Stops
+ * of a path compared to the shortest path (-1 for no limit)
+ * @param {number} [options.maxWalkMeters=0] Also follow the footpaths between
+ * Stops within this distance (in meters) of each other (0 to only follow the
+ * Line Graph)
  * @param {function} callback Callback function
  * @param {Error} callback.err Database Query Error
  * @param {String[]} [callback.stops] List of following Stops, sorted by transfer weight
  */
-function getNextStops(db, originId, destinationId, stopId, callback) {
+function getNextStops(db, originId, destinationId, stopId, options, callback) {
+
+  // Parse Args
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+
+  // Get options
+  let maxPaths = provided(options.maxPaths, DEFAULT_MAX_PATHS);
+  let maxDetour = provided(options.maxDetour, DEFAULT_MAX_DETOUR);
+  let maxWalkMeters = provided(options.maxWalkMeters, 0);
+
+  // Check cache for next stops
+  let cacheKey = db.id + "-" + originId + "-" + destinationId + "-" + stopId + "-" + maxPaths + "-" + maxDetour + "-" + maxWalkMeters;
+  let cache = cache_pathNextStops.get(cacheKey);
+  if ( cache !== null ) {
+    return callback(null, cache);
+  }
+
+  // Wait for a pending query with the same key
+  callback = cache_pathNextStops.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
 
   // Get the Paths from origin --> destination
-  getPaths(db, originId, destinationId, function(err, paths) {
+  getPaths(db, originId, destinationId, options, function(err, paths) {
 
     // Database Query Error
     if ( err ) {
@@ -83,6 +139,7 @@ function getNextStops(db, originId, destinationId, stopId, callback) {
     }
 
     // Return the IDs
+    cache_pathNextStops.put(cacheKey, ids);
     return callback(null, ids);
 
   });
@@ -108,21 +165,48 @@ function getNextStops(db, originId, destinationId, stopId, callback) {
 
 
 /**
- * Get all possible paths from the origin to the destination following the
- * Agency Line Graph
+ * Get the shortest paths (with the fewest Stops) from the origin to the
+ * destination following the Agency Line Graph.
+ *
+ * Up to `maxPaths` paths (without repeated Stops) are found in order of
+ * their length, so the number of paths (and the time to find them) is
+ * bounded even when the Line Graph has many possible paths.  Paths with
+ * more than `maxDetour` additional Stops compared to the shortest path
+ * are not included.
+ *
+ * When the `maxWalkMeters` option is set, the paths can also follow the
+ * footpaths between nearby Stops (see {@link module:query/linegraph~getFootpaths|getFootpaths()}).
  * @param {RightTrackDB} db The Right Track DB to Query
  * @param {String} originId Origin Stop ID
  * @param {String} destinationId Destination Stop ID
+ * @param {Object} [options] Path Options
+ * @param {int} [options.maxPaths=10] The maximum number of paths to return
+ * @param {int} [options.maxDetour=-1] The maximum number of additional Stops
+ * of a path compared to the shortest path (-1 for no limit)
+ * @param {number} [options.maxWalkMeters=0] Also follow the footpaths between
+ * Stops within this distance (in meters) of each other (0 to only follow the
+ * Line Graph)
  * @param {function} callback Callback Function
  * @param {Error} callback.err Database Query Error
- * @param {Object[][]} [callback.paths] Route Paths
+ * @param {Object[][]} [callback.paths] Route Paths, sorted by length
  * @param {String} callback.paths[].id Stop ID
  * @param {int} callback.paths[].weight Stop Transfer Weight
  */
-function getPaths(db, originId, destinationId, callback) {
+function getPaths(db, originId, destinationId, options, callback) {
+
+  // Parse Args
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+
+  // Get options
+  let maxPaths = provided(options.maxPaths, DEFAULT_MAX_PATHS);
+  let maxDetour = provided(options.maxDetour, DEFAULT_MAX_DETOUR);
+  let maxWalkMeters = provided(options.maxWalkMeters, 0);
 
   // Get Graph
-  buildGraph(db, function(err, graph) {
+  buildGraph(db, {maxWalkMeters: maxWalkMeters}, function(err, graph) {
     if ( err ) {
       return callback(err);
     }
@@ -131,10 +215,11 @@ function getPaths(db, originId, destinationId, callback) {
     let rtn = [];
 
     // Search the Graph
-    for ( let it = graph.paths(originId, destinationId), kv; !(kv = it.next()).done;) {
+    let paths = _shortestPaths(graph, originId, destinationId, maxPaths, maxDetour);
+    for ( let i = 0; i < paths.length; i++ ) {
       let path = [];
-      for ( let i = 0; i < kv.value.length; i++ ) {
-        let stop = graph.vertexValue(kv.value[i]);
+      for ( let j = 0; j < paths[i].length; j++ ) {
+        let stop = graph.vertexValue(paths[i][j]);
         path.push({
           id: stop.id,
           weight: stop.transferWeight
@@ -151,16 +236,179 @@ function getPaths(db, originId, destinationId, callback) {
 }
 
 
+/**
+ * Find the k shortest paths (without repeated vertices) from the origin to
+ * the destination (using Yen's algorithm)
+ * @param {Graph} graph The Agency Line Graph
+ * @param {String} originId Origin Stop ID
+ * @param {String} destinationId Destination Stop ID
+ * @param {int} maxPaths The maximum number of paths to find
+ * @param {int} maxDetour The maximum number of additional Stops of a path
+ * compared to the shortest path (-1 for no limit)
+ * @returns {String[][]} paths (lists of Stop IDs), sorted by length
+ * @private
+ */
+function _shortestPaths(graph, originId, destinationId, maxPaths, maxDetour) {
+  if ( maxPaths === 0 || !graph.hasVertex(originId) || !graph.hasVertex(destinationId) ) {
+    return [];
+  }
+
+  // Shortest path
+  let shortest = _shortestPath(graph, originId, destinationId, {}, {});
+  if ( shortest === undefined ) {
+    return [];
+  }
+  let rtn = [shortest];
+
+  // Candidate paths (and the keys of all found paths)
+  let candidates = [];
+  let found = {};
+  found[shortest.join('|')] = true;
+
+  while ( rtn.length < maxPaths ) {
+    let previous = rtn[rtn.length-1];
+
+    // Branch off the previous path at each of its Stops
+    for ( let i = 0; i < previous.length - 1; i++ ) {
+      let spurId = previous[i];
+      let root = previous.slice(0, i+1);
+
+      // Remove the edges leaving the root used by the found paths
+      let removedEdges = {};
+      for ( let j = 0; j < rtn.length; j++ ) {
+        if ( rtn[j].length > i+1 && _startsWith(rtn[j], root) ) {
+          removedEdges[rtn[j][i] + '|' + rtn[j][i+1]] = true;
+        }
+      }
+
+      // Remove the Stops of the root (other than the spur Stop)
+      let removedVertices = {};
+      for ( let j = 0; j < i; j++ ) {
+        removedVertices[root[j]] = true;
+      }
+
+      // Add the path through the spur Stop
+      let spur = _shortestPath(graph, spurId, destinationId, removedVertices, removedEdges);
+      if ( spur !== undefined ) {
+        let path = root.slice(0, i).concat(spur);
+        let key = path.join('|');
+        if ( !found.hasOwnProperty(key) ) {
+          found[key] = true;
+          candidates.push(path);
+        }
+      }
+    }
+
+    // No more paths
+    if ( candidates.length === 0 ) {
+      break;
+    }
+
+    // Add the shortest candidate
+    let next = 0;
+    for ( let i = 1; i < candidates.length; i++ ) {
+      if ( candidates[i].length < candidates[next].length ) {
+        next = i;
+      }
+    }
+    let path = candidates.splice(next, 1)[0];
+    if ( maxDetour !== -1 && path.length - shortest.length > maxDetour ) {
+      break;
+    }
+    rtn.push(path);
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Find the shortest path (with the fewest edges) from the origin to the
+ * destination (using a breadth-first search)
+ * @param {Graph} graph The Agency Line Graph
+ * @param {String} originId Origin Stop ID
+ * @param {String} destinationId Destination Stop ID
+ * @param {Object} removedVertices Stop IDs that can not be used
+ * @param {Object} removedEdges Edges (`from|to`) that can not be used
+ * @returns {String[]} path (list of Stop IDs) or undefined if there is no path
+ * @private
+ */
+function _shortestPath(graph, originId, destinationId, removedVertices, removedEdges) {
+  let previous = {};
+  previous[originId] = null;
+  let queue = [originId];
+
+  for ( let i = 0; i < queue.length; i++ ) {
+    let stopId = queue[i];
+
+    // Build the path to the destination
+    if ( stopId === destinationId ) {
+      let rtn = [];
+      while ( stopId !== null ) {
+        rtn.unshift(stopId);
+        stopId = previous[stopId];
+      }
+      return rtn;
+    }
+
+    // Visit the connected Stops
+    for ( let [nextId] of graph.verticesFrom(stopId) ) {
+      if ( !previous.hasOwnProperty(nextId) && !removedVertices.hasOwnProperty(nextId) &&
+        !removedEdges.hasOwnProperty(stopId + '|' + nextId) ) {
+        previous[nextId] = stopId;
+        queue.push(nextId);
+      }
+    }
+  }
+
+  return undefined;
+}
+
+
+/**
+ * Check if the path starts with the Stops of the root path
+ * @param {String[]} path Path (list of Stop IDs)
+ * @param {String[]} root Root path (list of Stop IDs)
+ * @returns {boolean}
+ * @private
+ */
+function _startsWith(path, root) {
+  for ( let i = 0; i < root.length; i++ ) {
+    if ( path[i] !== root[i] ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+
 
 /**
- * Build the entire Agency Line Graph
+ * Build the entire Agency Line Graph.  When the `maxWalkMeters` option is
+ * set, the Graph also has an edge for each of the footpaths between nearby
+ * Stops (see {@link module:query/linegraph~getFootpaths|getFootpaths()}).
  * @param {RightTrackDB} db The Right Track DB to query
+ * @param {Object} [options] Graph Options
+ * @param {number} [options.maxWalkMeters=0] Add the footpaths between Stops
+ * within this distance (in meters) of each other (0 to not add footpaths)
  * @param {function} callback Callback function
  * @param {Error} callback.err Database Query Error
  * @param {Graph} [callback.graph] Agency Graph
  * @see {@link https://www.npmjs.com/package/graph.js|graph.js package}
  */
-function buildGraph(db, callback) {
+function buildGraph(db, options, callback) {
+
+  // Parse Args
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+
+  // Build the Graph with footpaths
+  let maxWalkMeters = provided(options.maxWalkMeters, 0);
+  if ( maxWalkMeters > 0 ) {
+    return _buildWalkGraph(db, maxWalkMeters, callback);
+  }
 
   // Check cache for graph
   let cacheKey = db.id + "-graph";
@@ -169,6 +417,12 @@ function buildGraph(db, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_graph.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build Graph
   let graph = new Graph();
 
@@ -199,6 +453,66 @@ function buildGraph(db, callback) {
 }
 
 
+/**
+ * Build the Agency Line Graph with an edge for each of the footpaths
+ * between nearby Stops
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @param {number} maxWalkMeters The maximum length (in meters) of a footpath
+ * @param {function} callback Callback function(err, graph)
+ * @private
+ */
+function _buildWalkGraph(db, maxWalkMeters, callback) {
+
+  // Check cache for graph
+  let cacheKey = db.id + "-graph-" + maxWalkMeters;
+  let cache = cache_graph.get(cacheKey);
+  if ( cache !== null ) {
+    return callback(null, cache);
+  }
+
+  // Wait for a pending query with the same key
+  callback = cache_graph.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
+  // Get the Line Graph
+  buildGraph(db, function(err, graph) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Get the footpaths
+    getFootpaths(db, maxWalkMeters, function(err, footpaths) {
+
+      // Database Query Error
+      if ( err ) {
+        return callback(err);
+      }
+
+      // Add an edge for each footpath to a copy of the Line Graph
+      let rtn = graph.clone();
+      for ( let stopId in footpaths ) {
+        if ( footpaths.hasOwnProperty(stopId) ) {
+          for ( let i = 0; i < footpaths[stopId].length; i++ ) {
+            rtn.ensureEdge(stopId, footpaths[stopId][i].stopId);
+          }
+        }
+      }
+
+      // Return the finished graph
+      cache_graph.put(cacheKey, rtn);
+      return callback(null, rtn);
+
+    });
+
+  });
+
+}
+
+
 /**
  * Add all Stops as Vertices to the Graph
  * @param {RightTrackDB} db The Right Track DB to query
@@ -293,11 +607,17 @@ function _getStopEdges(db, firstId, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_edges.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build Select Statement
-  let select = "SELECT stop2_id FROM rt_line_graph WHERE stop1_id='" + firstId + "';";
+  let select = "SELECT stop2_id FROM rt_line_graph WHERE stop1_id=?;";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, [firstId], function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -322,11 +642,85 @@ function _getStopEdges(db, firstId, callback) {
 
 
 
+/**
+ * Get the footpaths between the Stops within walking distance of each
+ * other (in both directions).  The nearby Stops are found using a
+ * {@link SpatialIndex} of all of the Stops and the footpaths are built once
+ * for each distance.
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @param {number} maxWalkMeters The maximum length (in meters) of a footpath
+ * @param {function} callback Callback function
+ * @param {Error} callback.err Database Query Error
+ * @param {Object} [callback.footpaths] Footpaths, by the Stop ID they start from
+ * @param {String} callback.footpaths[].stopId The Stop ID the footpath ends at
+ * @param {number} callback.footpaths[].distance The length of the footpath (in meters)
+ */
+function getFootpaths(db, maxWalkMeters, callback) {
+
+  // Check cache for footpaths
+  let cacheKey = db.id + "-" + maxWalkMeters;
+  let cache = cache_footpaths.get(cacheKey);
+  if ( cache !== null ) {
+    return callback(null, cache);
+  }
+
+  // Wait for a pending query with the same key
+  callback = cache_footpaths.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
+  // Get all Stops
+  StopsTable.getStops(db, function(err, stops) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Footpaths to return
+    let rtn = {};
+
+    // Find the Stops near each Stop
+    let index = new SpatialIndex(stops);
+    for ( let i = 0; i < stops.length; i++ ) {
+      let stop = stops[i];
+      if ( typeof stop.lat !== 'number' || typeof stop.lon !== 'number' ) {
+        continue;
+      }
+      let nearest = index.nearest(stop.lat, stop.lon, {
+        distance: maxWalkMeters / METERS_PER_MILE
+      });
+      for ( let j = 0; j < nearest.length; j++ ) {
+        if ( nearest[j].item.id !== stop.id ) {
+          if ( !rtn.hasOwnProperty(stop.id) ) {
+            rtn[stop.id] = [];
+          }
+          rtn[stop.id].push({
+            stopId: nearest[j].item.id,
+            distance: nearest[j].distance * METERS_PER_MILE
+          });
+        }
+      }
+    }
+
+    // Return the footpaths
+    cache_footpaths.put(cacheKey, rtn);
+    return callback(null, rtn);
+
+  });
+
+}
+
+
+
 
 // ==== SETUP CACHES ==== //
-let cache_firstStops = new cache.Cache();
-let cache_edges = new cache.Cache();
-let cache_graph = new cache.Cache();
+let cache_firstStops = cache.create('firstStops');
+let cache_edges = cache.create('edges');
+let cache_graph = cache.create('graph', {freeze: false});
+let cache_pathNextStops = cache.create('pathNextStops');
+let cache_footpaths = cache.create('footpaths');
 
 
 /**
@@ -337,13 +731,16 @@ function clearCache() {
   cache_firstStops.clear();
   cache_edges.clear();
   cache_graph.clear();
+  cache_pathNextStops.clear();
+  cache_footpaths.clear();
 }
 
 
 // Export Functions
 module.exports = {
-  buildGraph: buildGraph,
-  getPaths: getPaths,
-  getNextStops: getNextStops,
+  buildGraph: promisify(buildGraph),
+  getPaths: promisify(getPaths),
+  getNextStops: promisify(getNextStops),
+  getFootpaths: promisify(getFootpaths),
   clearCache: clearCache
 };
\ No newline at end of file
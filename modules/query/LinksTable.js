@@ -6,8 +6,9 @@
  * @module query/links
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Link = require('../rt/Link.js');
+const promisify = require('../utils/promise.js');
 
 
 
@@ -31,6 +32,12 @@ let getLinkCategories = function(db, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_linkCategories.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build the select statement
   let select = "SELECT DISTINCT link_category_title FROM rt_links";
 
@@ -80,6 +87,12 @@ function getLinks(db, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_links.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build select statement
   let select = "SELECT link_category_title, link_title, link_description, link_url FROM rt_links;";
 
@@ -140,12 +153,18 @@ function getLinksByCategory(db, category, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_linksByCategory.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build select statement
   let select = "SELECT link_category_title, link_title, link_description, link_url " +
-    "FROM rt_links WHERE link_category_title='" + category + "';";
+    "FROM rt_links WHERE link_category_title=?;";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, [category], function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -183,9 +202,9 @@ function getLinksByCategory(db, category, callback) {
 
 
 // ==== SETUP CACHES ==== //
-let cache_linkCategories = new cache.Cache();
-let cache_links = new cache.Cache();
-let cache_linksByCategory = new cache.Cache();
+let cache_linkCategories = cache.create('linkCategories');
+let cache_links = cache.create('links');
+let cache_linksByCategory = cache.create('linksByCategory');
 
 /**
  * Clear the LinksTable caches
@@ -201,8 +220,8 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getLinkCategories: getLinkCategories,
-  getLinks: getLinks,
-  getLinksByCategory: getLinksByCategory,
+  getLinkCategories: promisify(getLinkCategories),
+  getLinks: promisify(getLinks),
+  getLinksByCategory: promisify(getLinksByCategory),
   clearCache: clearCache
 };
\ No newline at end of file
@@ -6,8 +6,9 @@
  * @module query/routegraph
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Stop = require('../gtfs/Stop.js');
+const promisify = require('../utils/promise.js');
 
 
 // ==== QUERY FUNCTIONS ==== //
@@ -37,6 +38,12 @@ function getNextStops(db, id, direction, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_nextStops.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build Select Statement
   let select = "SELECT gtfs_stops.stop_id, gtfs_stops.stop_name, gtfs_stops.stop_lat, " +
     "gtfs_stops.stop_lon, gtfs_stops.stop_url, gtfs_stops.wheelchair_boarding, " +
@@ -45,11 +52,11 @@ function getNextStops(db, id, direction, callback) {
     "WHERE gtfs_stops.stop_id=rt_stops_extra.stop_id AND " +
     "gtfs_stops.stop_id IN (" +
     "SELECT stop2_id FROM rt_route_graph " +
-    "WHERE stop1_id='" + id + "' AND direction_id=" + direction + "" +
+    "WHERE stop1_id=? AND direction_id=?" +
     ");";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, [id, direction], function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -105,7 +112,7 @@ function getNextStops(db, id, direction, callback) {
 
 
 // ==== SETUP CACHES ==== //
-let cache_nextStops = new cache.Cache();
+let cache_nextStops = cache.create('nextStops');
 
 
 /**
@@ -119,6 +126,6 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getNextStops: getNextStops,
+  getNextStops: promisify(getNextStops),
   clearCache: clearCache
 };
\ No newline at end of file
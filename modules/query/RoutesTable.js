@@ -6,9 +6,11 @@
  * @module query/routes
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Agency = require('../gtfs/Agency.js');
 const Route = require('../gtfs/Route.js');
+const promisify = require('../utils/promise.js');
+const sql = require('../utils/sql.js');
 
 
 
@@ -27,38 +29,44 @@ const Route = require('../gtfs/Route.js');
  */
 function getRoute(db, id, callback) {
 
-  // Build route id string
-  let routeIds = "";
+  // Build route id list
+  let routeIds = [];
   if ( typeof id === 'string' || typeof id === 'number' ) {
-    routeIds = "('" + id + "')";
+    routeIds = [id];
   }
   else {
     try {
-      routeIds = "('" + id.join("', '") + "')";
+      routeIds = id.slice();
     }
     catch(err) {
       console.warn(err);
-      routeIds = "('" + id + "')";
+      routeIds = [id];
     }
   }
 
   // Check the cache for Route
-  let cacheKey = db.id + "-" + routeIds;
+  let cacheKey = db.id + "-(" + routeIds.join(", ") + ")";
   let cache = cache_route.get(cacheKey);
   if ( cache !== null ) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_route.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build the select statement
   let select = "SELECT " +
     "gtfs_routes.route_id, route_short_name, route_long_name, route_desc, route_type, route_url, route_color, route_text_color, " +
     "gtfs_agency.agency_id, agency_name, agency_url, agency_timezone, agency_lang, agency_phone, agency_fare_url " +
     "FROM gtfs_routes, gtfs_agency " +
     "WHERE gtfs_routes.agency_id=gtfs_agency.agency_id AND " +
-    "gtfs_routes.route_id IN " + routeIds + ";";
+    "gtfs_routes.route_id IN (" + sql.placeholders(routeIds) + ");";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, routeIds, function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -142,6 +150,12 @@ function getRoutes(db, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_routes.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build the select statement
   let select = "SELECT " +
     "gtfs_routes.route_id, route_short_name, route_long_name, route_desc, route_type, route_url, route_color, route_text_color, " +
@@ -211,8 +225,8 @@ function getRoutes(db, callback) {
 
 
 // ==== SETUP CACHES ==== //
-let cache_route = new cache.Cache();
-let cache_routes = new cache.Cache();
+let cache_route = cache.create('route');
+let cache_routes = cache.create('routes');
 
 /**
  * Clear the RoutesTable caches
@@ -227,7 +241,7 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getRoute : getRoute,
-  getRoutes: getRoutes,
+  getRoute: promisify(getRoute),
+  getRoutes: promisify(getRoutes),
   clearCache: clearCache
 };
\ No newline at end of file
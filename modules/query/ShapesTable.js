@@ -6,10 +6,11 @@
  * @module query/shapes
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Shape = require('../gtfs/Shape.js');
 const Route = require('../gtfs/Route.js');
 const Agency = require('../gtfs/Agency.js');
+const promisify = require('../utils/promise.js');
 
 
 // ==== QUERY FUNCTIONS ==== //
@@ -31,9 +32,15 @@ let getShape = function(db, id, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_shapesById.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Query the DB
-  let select = "SELECT shape_id, shape_pt_lat, shape_pt_lon, shape_pt_sequence, shape_dist_traveled FROM gtfs_shapes WHERE shape_id = '" + id + "';";
-  db.select(select, function(err, results) {
+  let select = "SELECT shape_id, shape_pt_lat, shape_pt_lon, shape_pt_sequence, shape_dist_traveled FROM gtfs_shapes WHERE shape_id = ?;";
+  db.select(select, [id], function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -84,6 +91,12 @@ let getShapes = function(db, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_shapes.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Set counters and return shapes
   let count = 0;
   let done = 1;
@@ -149,7 +162,14 @@ let getShapeRoutes = function(db, id, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_shapeRoutes.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build query
+  let params = [];
   let select = "SELECT shape_id, ";
 	select += "gtfs_routes.route_id, route_short_name, route_long_name, route_desc, route_type, route_url, route_color, route_text_color, ";
 	select += "gtfs_agency.agency_id, agency_name, agency_url, agency_timezone, agency_lang, agency_phone, agency_fare_url";
@@ -157,11 +177,14 @@ let getShapeRoutes = function(db, id, callback) {
   select += " LEFT JOIN gtfs_routes USING (route_id)";
   select += " LEFT JOIN gtfs_agency USING (agency_id)";
   select += " WHERE shape_id IS NOT NULL AND shape_id <> ''";
-  if ( id ) select += " AND shape_id = '" + id + "'";
+  if ( id ) {
+    select += " AND shape_id = ?";
+    params.push(id);
+  }
   select += " GROUP BY shape_id, route_id;";
 
   // Get the route details for the shape(s)
-  db.select(select, function(err, rows) {
+  db.select(select, params, function(err, rows) {
     if ( err ) {
       return callback(err);
     }
@@ -238,12 +261,20 @@ let getShapeCenter = function(db, id, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_shapeCenter.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Get the average lat and lon
+  let params = [];
   let select = "SELECT AVG(shape_pt_lat) AS avg_lat, AVG(shape_pt_lon) AS avg_lon FROM gtfs_shapes";
   if ( id ) {
-    select += " WHERE shape_id = '" + id + "'";
+    select += " WHERE shape_id = ?";
+    params.push(id);
   }
-  db.get(select, function(err, row) {
+  db.get(select, params, function(err, row) {
     let rtn = {
       lat: row && row.avg_lat ? row.avg_lat : 0,
       lon: row && row.avg_lon ? row.avg_lon : 0
@@ -255,10 +286,10 @@ let getShapeCenter = function(db, id, callback) {
 
 
 // ==== SETUP CACHES ==== //
-let cache_shapesById = new cache.Cache();
-let cache_shapes = new cache.Cache();
-let cache_shapeRoutes = new cache.Cache();
-let cache_shapeCenter = new cache.Cache();
+let cache_shapesById = cache.create('shapesById');
+let cache_shapes = cache.create('shapes');
+let cache_shapeRoutes = cache.create('shapeRoutes');
+let cache_shapeCenter = cache.create('shapeCenter');
 
 /**
  * Clear the ShapesTable caches
@@ -275,9 +306,9 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getShape: getShape,
-  getShapes: getShapes,
-  getShapeRoutes: getShapeRoutes,
-  getShapeCenter: getShapeCenter,
+  getShape: promisify(getShape),
+  getShapes: promisify(getShapes),
+  getShapeRoutes: promisify(getShapeRoutes),
+  getShapeCenter: promisify(getShapeCenter),
   clearCache: clearCache
 }
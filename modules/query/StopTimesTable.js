@@ -6,9 +6,10 @@
  * @module query/stoptimes
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Stop = require('../gtfs/Stop.js');
 const StopTime = require('../gtfs/StopTime.js');
+const promisify = require('../utils/promise.js');
 
 
 
@@ -35,20 +36,30 @@ function getStopTimesByTrip(db, tripId, date, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_stoptimesByTrip.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build the select statement
   let select = "SELECT " +
     "gtfs_stop_times.arrival_time, departure_time, stop_sequence, pickup_type, drop_off_type, stop_headsign, shape_dist_traveled, timepoint, " +
     "gtfs_stops.stop_id, stop_name, stop_desc, stop_lat, stop_lon, stop_url, " +
     "gtfs_stops.zone_id AS gtfs_zone_id, stop_code, wheelchair_boarding, location_type, parent_station, stop_timezone, " +
-    "rt_stops_extra.status_id, display_name, transfer_weight, rt_stops_extra.zone_id AS rt_zone_id " +
+    "rt_stops_extra.status_id, display_name, transfer_weight, rt_stops_extra.zone_id AS rt_zone_id, " +
+    "gtfs_agency.agency_timezone " +
     "FROM gtfs_stop_times " +
     "INNER JOIN gtfs_stops ON gtfs_stop_times.stop_id=gtfs_stops.stop_id " +
     "INNER JOIN rt_stops_extra ON gtfs_stops.stop_id=rt_stops_extra.stop_id " +
-    "WHERE gtfs_stop_times.trip_id='" + tripId + "' " +
+    "LEFT JOIN gtfs_trips ON gtfs_stop_times.trip_id=gtfs_trips.trip_id " +
+    "LEFT JOIN gtfs_routes ON gtfs_trips.route_id=gtfs_routes.route_id " +
+    "LEFT JOIN gtfs_agency ON gtfs_routes.agency_id=gtfs_agency.agency_id " +
+    "WHERE gtfs_stop_times.trip_id=? " +
     "ORDER BY gtfs_stop_times.stop_sequence; ";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, [tripId], function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -106,7 +117,8 @@ function getStopTimesByTrip(db, tripId, date, callback) {
           dropOffType: row.drop_off_type,
           shapeDistanceTraveled: row.shape_dist_traveled,
           timepoint: row.timepoint,
-          date: date
+          date: date,
+          timezone: row.agency_timezone
         }
       );
 
@@ -146,20 +158,30 @@ function getStopTimeByTripStop(db, tripId, stopId, date, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_stoptimesByTripStop.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build the select statement
   let select = "SELECT " +
     "gtfs_stop_times.arrival_time, departure_time, stop_sequence, pickup_type, drop_off_type, stop_headsign, shape_dist_traveled, timepoint, " +
     "gtfs_stops.stop_id, stop_name, stop_desc, stop_lat, stop_lon, stop_url, " +
     "gtfs_stops.zone_id AS gtfs_zone_id, stop_code, wheelchair_boarding, location_type, parent_station, stop_timezone, " +
-    "rt_stops_extra.status_id, display_name, transfer_weight, rt_stops_extra.zone_id AS rt_zone_id " +
+    "rt_stops_extra.status_id, display_name, transfer_weight, rt_stops_extra.zone_id AS rt_zone_id, " +
+    "gtfs_agency.agency_timezone " +
     "FROM gtfs_stop_times " +
     "INNER JOIN gtfs_stops ON gtfs_stop_times.stop_id=gtfs_stops.stop_id " +
     "INNER JOIN rt_stops_extra ON gtfs_stops.stop_id=rt_stops_extra.stop_id " +
-    "WHERE gtfs_stop_times.trip_id='" + tripId + "' " +
-    "AND gtfs_stop_times.stop_id='" + stopId + "';";
+    "LEFT JOIN gtfs_trips ON gtfs_stop_times.trip_id=gtfs_trips.trip_id " +
+    "LEFT JOIN gtfs_routes ON gtfs_trips.route_id=gtfs_routes.route_id " +
+    "LEFT JOIN gtfs_agency ON gtfs_routes.agency_id=gtfs_agency.agency_id " +
+    "WHERE gtfs_stop_times.trip_id=? " +
+    "AND gtfs_stop_times.stop_id=?;";
 
   // Query the database
-  db.get(select, function(err, result) {
+  db.get(select, [tripId, stopId], function(err, result) {
 
     // Database Query Error
     if ( err ) {
@@ -215,7 +237,8 @@ function getStopTimeByTripStop(db, tripId, stopId, date, callback) {
         dropOffType: result.drop_off_type,
         shapeDistanceTraveled: result.shape_dist_traveled,
         timepoint: result.timepoint,
-        date: date
+        date: date,
+        timezone: result.agency_timezone
       }
     );
 
@@ -233,8 +256,8 @@ function getStopTimeByTripStop(db, tripId, stopId, date, callback) {
 
 
 // ==== SETUP CACHES ==== //
-let cache_stoptimesByTrip = new cache.Cache();
-let cache_stoptimesByTripStop = new cache.Cache();
+let cache_stoptimesByTrip = cache.create('stoptimesByTrip');
+let cache_stoptimesByTripStop = cache.create('stoptimesByTripStop');
 
 /**
  * Clear the StopTimesTable caches
@@ -248,7 +271,7 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getStopTimesByTrip: getStopTimesByTrip,
-  getStopTimeByTripStop: getStopTimeByTripStop,
+  getStopTimesByTrip: promisify(getStopTimesByTrip),
+  getStopTimeByTripStop: promisify(getStopTimeByTripStop),
   clearCache: clearCache
 };
\ No newline at end of file
@@ -8,9 +8,12 @@
  */
 
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const provided = require('../utils/provided.js');
 const Stop = require('../gtfs/Stop.js');
+const promisify = require('../utils/promise.js');
+const SpatialIndex = require('../utils/spatial.js').SpatialIndex;
+const sql = require('../utils/sql.js');
 
 
 
@@ -27,28 +30,34 @@ const Stop = require('../gtfs/Stop.js');
  */
 function getStop(db, id, callback) {
 
-  // Build stop id string
-  let stopIds = "";
+  // Build stop id list
+  let stopIds = [];
   if ( typeof id === 'string' || typeof id === 'number' ) {
-    stopIds = "('" + id + "')";
+    stopIds = [id];
   }
   else {
     try {
-      stopIds = "('" + id.join("', '") + "')";
+      stopIds = id.slice();
     }
     catch(err) {
       console.warn(err);
-      stopIds = "('" + id + "')";
+      stopIds = [id];
     }
   }
 
   // Check cache for stop
-  let cacheKey = db.id + "-" + stopIds;
+  let cacheKey = db.id + "-(" + stopIds.join(", ") + ")";
   let cache = cache_stopById.get(cacheKey);
   if ( cache !== null ) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_stopById.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
 
   // Build Select Statement
   let select = "SELECT gtfs_stops.stop_id, stop_name, stop_desc, stop_lat, stop_lon, stop_url, " +
@@ -56,10 +65,10 @@ function getStop(db, id, callback) {
     "rt_stops_extra.status_id, display_name, transfer_weight, rt_stops_extra.zone_id AS rt_zone_id " +
     "FROM gtfs_stops, rt_stops_extra " +
     "WHERE gtfs_stops.stop_id=rt_stops_extra.stop_id AND " +
-    "gtfs_stops.stop_id IN " + stopIds + ";";
+    "gtfs_stops.stop_id IN (" + sql.placeholders(stopIds) + ");";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, stopIds, function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -148,11 +157,17 @@ function getStopByName(db, name, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_stopByName.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Different queries to lookup stop by name
   let queries = [
-    "SELECT stop_id FROM gtfs_stops WHERE stop_name='" + name + "' COLLATE NOCASE;",
-    "SELECT stop_id FROM rt_alt_stop_names WHERE alt_stop_name='" + name + "' COLLATE NOCASE;",
-    "SELECT stop_id FROM rt_stops_extra WHERE display_name='" + name + "' COLLATE NOCASE;"
+    "SELECT stop_id FROM gtfs_stops WHERE stop_name=? COLLATE NOCASE;",
+    "SELECT stop_id FROM rt_alt_stop_names WHERE alt_stop_name=? COLLATE NOCASE;",
+    "SELECT stop_id FROM rt_stops_extra WHERE display_name=? COLLATE NOCASE;"
   ];
 
   // Test each query for the stop name
@@ -161,7 +176,7 @@ function getStopByName(db, name, callback) {
   for ( let i = 0; i < queries.length; i++ ) {
 
     // Perform the specified query
-    _queryForStopByName(db, queries[i], function(stop) {
+    _queryForStopByName(db, queries[i], name, function(stop) {
 
       // Return the result: if not already found and the query was successful
       if ( !found && stop !== undefined ) {
@@ -185,13 +200,14 @@ function getStopByName(db, name, callback) {
  * Perform a query searching for Stop by it's name
  * @param {RightTrackDB} db The Right Track Database to query
  * @param {string} query The full SELECT query to perform
+ * @param {string} name The Stop name to bind to the query
  * @param {function} callback Callback function(Stop)
  * @private
  */
-function _queryForStopByName(db, query, callback) {
+function _queryForStopByName(db, query, name, callback) {
 
   // Perform the search query
-  db.get(query, function(err, result) {
+  db.get(query, [name], function(err, result) {
 
     // No stop found, return undefined
     if ( result === undefined ) {
@@ -233,6 +249,12 @@ function getStopByStatusId(db, statusId, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_stopByStatusId.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
 
   // Build select statement
   let select = "SELECT gtfs_stops.stop_id, stop_name, stop_desc, stop_lat, stop_lon, stop_url, " +
@@ -240,10 +262,10 @@ function getStopByStatusId(db, statusId, callback) {
     "rt_stops_extra.status_id, display_name, transfer_weight, rt_stops_extra.zone_id AS rt_zone_id " +
     "FROM gtfs_stops, rt_stops_extra " +
     "WHERE gtfs_stops.stop_id=rt_stops_extra.stop_id AND " +
-    "rt_stops_extra.status_id='" + statusId + "';";
+    "rt_stops_extra.status_id=?;";
 
   // Query the database
-  db.get(select, function(err, result) {
+  db.get(select, [statusId], function(err, result) {
 
     // Database Error
     if ( err ) {
@@ -325,6 +347,12 @@ function getStops(db, hasFeed, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_stops.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build select statement
   let select = "SELECT gtfs_stops.stop_id, stop_name, stop_desc, stop_lat, stop_lon, stop_url, " +
     "gtfs_stops.zone_id AS gtfs_zone_id, stop_code, wheelchair_boarding, location_type, parent_station, stop_timezone, " +
@@ -432,10 +460,16 @@ function getStopsByRoute(db, routeId, hasFeed, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_stopsByRoute.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Build select statement
   // Get all Stop IDs that have a trip that uses the specified route
   let select = "SELECT DISTINCT gtfs_stop_times.stop_id FROM gtfs_stop_times, rt_stops_extra " +
-    "WHERE trip_id IN (SELECT DISTINCT trip_id FROM gtfs_trips WHERE route_id='" + routeId + "')";
+    "WHERE trip_id IN (SELECT DISTINCT trip_id FROM gtfs_trips WHERE route_id=?)";
 
   // Filter by Status ID
   if ( hasFeed ) {
@@ -443,7 +477,7 @@ function getStopsByRoute(db, routeId, hasFeed, callback) {
   }
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, [routeId], function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -492,6 +526,10 @@ function getStopsByRoute(db, routeId, hasFeed, callback) {
  * miles from the location. Also, the returned Stops can be filtered to include
  * only Stops that support real-time Station Feeds and/or are associated with a
  * specific Route.
+ *
+ * The Stops are found using a spatial index of the Stops (built once for
+ * each database), so only the Stops near the location are checked.  The
+ * returned Stops are copies of the Stops, with their `distance` set.
  * @param {RightTrackDB} db The Right Track Database to query
  * @param {number} lat Location latitude (decimal degrees)
  * @param {number} lon Location longitude (decimal degrees)
@@ -515,13 +553,118 @@ function getStopsByLocation(db, lat, lon, options, callback) {
   }
 
   // Get options
-  let hasFeed = provided(options.hasFeed, false);
-  let routeId = provided(options.routeId);
   let count = provided(options.count, -1);
   let distance = provided(options.distance, -1);
 
-  // Get Stops By Route
-  if ( routeId !== undefined ) {
+  // Get the Stop Index and Filter
+  _getStopIndexAndFilter(db, options, function(err, index, filter) {
+
+    // Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Get the nearest Stops
+    let nearest = index.nearest(lat, lon, {
+      count: count,
+      distance: distance,
+      filter: filter
+    });
+
+    // Set distance on copies of the shared Stops
+    let rtn = [];
+    for ( let i = 0; i < nearest.length; i++ ) {
+      rtn.push(nearest[i].item.withDistance(lat, lon));
+    }
+
+    // Return the Stops
+    return callback(null, rtn);
+
+  });
+
+}
+
+
+/**
+ * Get the Stops within the bounding box (such as the viewport of a map),
+ * sorted by name.  The returned Stops can be filtered to include only Stops
+ * that support real-time Station Feeds and/or are associated with a specific
+ * Route.
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {Object} bbox Bounding box (decimal degrees).  A bounding box that
+ * crosses the antimeridian has a `west` longitude greater than its `east` longitude.
+ * @param {number} bbox.north Northern latitude
+ * @param {number} bbox.south Southern latitude
+ * @param {number} bbox.east Eastern longitude
+ * @param {number} bbox.west Western longitude
+ * @param {Object} [options] Filter Options
+ * @param {boolean} [options.hasFeed] When true, only return Stops that support
+ * real-time Station Feeds. Otherwise include all matching Stops.
+ * @param {string} [options.routeId] When provided with a GTFS Route ID, return only Stops
+ * associated with the Route
+ * @param {function} callback Callback function
+ * @param {Error} callback.error Database Query Error
+ * @param {Stop[]} [callback.stops] The selected Stops
+ */
+function getStopsInBounds(db, bbox, options, callback) {
+
+  // Parse Args
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+
+  // Get the Stop Index and Filter
+  _getStopIndexAndFilter(db, options, function(err, index, filter) {
+
+    // Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Get the Stops within the bounds
+    let stops = index.within(bbox, filter);
+
+    // Sort Stops by Name
+    stops.sort(Stop.sortByName);
+
+    // Return the Stops
+    return callback(null, stops);
+
+  });
+
+}
+
+
+/**
+ * Get the spatial index of all of the Stops in the database and the filter
+ * function for the `hasFeed` and `routeId` options
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {Object} options Filter Options {hasFeed, routeId}
+ * @param {function} callback Callback function(err, index, filter)
+ * @private
+ */
+function _getStopIndexAndFilter(db, options, callback) {
+
+  // Get options
+  let hasFeed = provided(options.hasFeed, false);
+  let routeId = provided(options.routeId);
+
+  // Get the Stop Index
+  _getStopIndex(db, function(err, index) {
+
+    // Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Filter Stops by status id
+    if ( routeId === undefined ) {
+      let filter = hasFeed ? function(stop) { return stop.statusId !== '-1'; } : undefined;
+      return callback(null, index, filter);
+    }
+
+    // Filter Stops by Route
     getStopsByRoute(db, routeId, hasFeed, function(err, stops) {
 
       // Query Error
@@ -529,95 +672,452 @@ function getStopsByLocation(db, lat, lon, options, callback) {
         return callback(err);
       }
 
-      // Parse Stops
-      _parseStopsByLocation(stops, lat, lon, count, distance, callback);
+      // Stop IDs on the Route
+      let ids = {};
+      for ( let i = 0; i < stops.length; i++ ) {
+        ids[stops[i].id] = true;
+      }
+
+      return callback(null, index, function(stop) {
+        return ids.hasOwnProperty(stop.id);
+      });
 
     });
+
+  });
+
+}
+
+
+/**
+ * Get the spatial index of all of the Stops in the database
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {function} callback Callback function(err, index)
+ * @private
+ */
+function _getStopIndex(db, callback) {
+
+  // Check cache for the index
+  let cacheKey = db.id + "-stopIndex";
+  let cache = cache_stopIndex.get(cacheKey);
+  if ( cache !== null ) {
+    return callback(null, cache);
   }
 
-  // Get all of the Stops
-  else {
-    getStops(db, hasFeed, function (err, stops) {
+  // Wait for a pending query with the same key
+  callback = cache_stopIndex.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
+  // Build the index from all of the Stops
+  getStops(db, function(err, stops) {
+
+    // Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    let index = new SpatialIndex(stops);
+
+    // Add Index to cache
+    cache_stopIndex.put(cacheKey, index);
+
+    return callback(null, index);
+
+  });
+
+}
+
+
+
+/**
+ * A Stop matched by a Stop name search
+ * @typedef {Object} StopSearchResult
+ * @property {Stop} stop The matched Stop
+ * @property {string} name The Stop name (alias) that matched the search text
+ * @property {string} source The source of the matched name: `stop_name`
+ * (gtfs_stops), `display_name` (rt_stops_extra) or `alt_stop_name`
+ * (rt_alt_stop_names)
+ * @property {string} match The type of match: `exact`, `prefix` (the name
+ * starts with the search text), `token` (each word of the search text starts
+ * a word of the name) or `fuzzy` (the words match with typos)
+ * @property {number} score The match quality (1 = exact match)
+ */
+
+/**
+ * Search for Stops by name.  The search text is matched against each of the
+ * Stop names (in the gtfs_stops, rt_stops_extra and rt_alt_stop_names tables),
+ * ignoring case, accents and punctuation.  A Stop matches when its name:
+ * - is the search text (`exact`)
+ * - starts with the search text (`prefix`)
+ * - has a word starting with each word of the search text (`token`)
+ * - has a word within 1 (or 2, for words of 8 or more characters) typos of
+ *   each word of the search text, for words of 4 or more characters (`fuzzy`)
+ *
+ * The results are sorted by the quality of the match, then by the Stop's
+ * transfer weight (so major stations are returned first).  Each Stop is
+ * returned once, with its best matching name.
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {string} text Stop name search text
+ * @param {Object} [options] Search Options
+ * @param {int} [options.count=10] Max number of Stops to return (-1 for unlimited)
+ * @param {boolean} [options.hasFeed=false] When true, only return Stops that
+ * support real-time Station Feeds
+ * @param {boolean} [options.fuzzy=true] When false, do not include typo-tolerant matches
+ * @param {function} callback Callback function
+ * @param {Error} callback.error Database Query Error
+ * @param {StopSearchResult[]} [callback.results] The matched Stops
+ */
+function searchStops(db, text, options, callback) {
+
+  // Parse Args
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+
+  // Get options
+  let count = provided(options.count, 10);
+  let hasFeed = provided(options.hasFeed, false);
+  let fuzzy = provided(options.fuzzy, true);
+
+  // Nothing to search for
+  let tokens = _tokenize(text);
+  if ( tokens.length === 0 ) {
+    return callback(null, []);
+  }
+
+  // Get the Stop names
+  _getStopNames(db, function(err, names) {
+
+    // Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Get the Stops
+    getStops(db, hasFeed, function(err, stops) {
 
       // Query Error
       if ( err ) {
         return callback(err);
       }
 
-      // Parse Stops
-      _parseStopsByLocation(stops, lat, lon, count, distance, callback);
+      // Stops, by id
+      let stopsById = {};
+      for ( let i = 0; i < stops.length; i++ ) {
+        stopsById[stops[i].id] = stops[i];
+      }
+
+      // Find the best matching name of each Stop
+      let query = tokens.join(' ');
+      let best = {};
+      for ( let i = 0; i < names.length; i++ ) {
+        let name = names[i];
+        if ( !stopsById.hasOwnProperty(name.stopId) ) {
+          continue;
+        }
+        let match = _matchName(query, tokens, name, fuzzy);
+        if ( match !== undefined ) {
+          let current = best[name.stopId];
+          if ( current === undefined || match.score > current.score ) {
+            best[name.stopId] = {
+              stop: stopsById[name.stopId],
+              name: name.name,
+              source: name.source,
+              match: match.match,
+              score: match.score
+            };
+          }
+        }
+      }
+
+      // Sort the results by score, transfer weight and name
+      let rtn = [];
+      for ( let id in best ) {
+        if ( best.hasOwnProperty(id) ) {
+          rtn.push(best[id]);
+        }
+      }
+      rtn.sort(function(a, b) {
+        if ( a.score !== b.score ) {
+          return b.score - a.score;
+        }
+        let aWeight = provided(a.stop.transferWeight, 0);
+        let bWeight = provided(b.stop.transferWeight, 0);
+        if ( aWeight !== bWeight ) {
+          return bWeight - aWeight;
+        }
+        return Stop.sortByName(a.stop, b.stop);
+      });
+
+      // Return 'count' results
+      if ( count !== -1 && rtn.length > count ) {
+        rtn = rtn.slice(0, count);
+      }
+
+      return callback(null, rtn);
 
     });
-  }
+
+  });
 
 }
 
 
 /**
- * Parse the Stops by the Location Information
- * @param {Stop[]} stops List of Stops to parse
- * @param {number} lat Location Latitude
- * @param {number} lon Location Longitude
- * @param {int} count Max number of stops to return (-1 for unlimited)
- * @param {number} distance Max distance from location (-1 for no limit)
- * @param {function} callback Callback function(err, stops)
+ * Get the names of each Stop (stop names, display names and alternate names)
+ * with their normalized search tokens
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {function} callback Callback function(err, names)
  * @private
  */
-function _parseStopsByLocation(stops, lat, lon, count, distance, callback) {
+function _getStopNames(db, callback) {
+
+  // Check cache for the names
+  let cacheKey = db.id + "-stopNames";
+  let cache = cache_stopNames.get(cacheKey);
+  if ( cache !== null ) {
+    return callback(null, cache);
+  }
 
-  // Calc distance to/from each stop
-  for ( let i = 0; i < stops.length; i++ ) {
-    stops[i].setDistance(lat, lon);
+  // Wait for a pending query with the same key
+  callback = cache_stopNames.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
   }
 
-  // Sort by distance
-  stops.sort(Stop.sortByDistance);
+  // Name sources to query
+  let sources = [
+    {
+      source: "stop_name",
+      select: "SELECT stop_id, stop_name AS name FROM gtfs_stops"
+    },
+    {
+      source: "display_name",
+      select: "SELECT stop_id, display_name AS name FROM rt_stops_extra"
+    },
+    {
+      source: "alt_stop_name",
+      select: "SELECT stop_id, alt_stop_name AS name FROM rt_alt_stop_names"
+    }
+  ];
 
+  // Names from each source
+  let results = [];
+  let done = 0;
+  let error = undefined;
 
-  // Filter the stops to return
-  let rtn = [];
+  // Query each source
+  for ( let i = 0; i < sources.length; i++ ) {
+    _queryForStopNames(db, sources[i], function(err, names) {
+      if ( err ) {
+        error = error || err;
+      }
+      results[i] = names;
+      _finish();
+    });
+  }
 
+  // Finished querying a source
+  function _finish() {
+    done++;
+    if ( done === sources.length ) {
+      if ( error ) {
+        return callback(error);
+      }
 
-  // Return 'count' stops
-  if ( count !== -1 ) {
-    for ( let i = 0; i < count; i++ ) {
-      if ( stops.length > i ) {
-        rtn.push(stops[i]);
+      // Combine the names of each source
+      let rtn = [];
+      for ( let i = 0; i < results.length; i++ ) {
+        rtn = rtn.concat(results[i]);
       }
+
+      // Add names to cache
+      cache_stopNames.put(cacheKey, rtn);
+
+      return callback(null, rtn);
     }
   }
 
-  // No 'count' specified, add all stops
-  else {
-    rtn = stops;
+}
+
+
+/**
+ * Query the Stop names of a single source
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {Object} source Name source {source, select}
+ * @param {function} callback Callback function(err, names)
+ * @private
+ */
+function _queryForStopNames(db, source, callback) {
+  db.select(source.select, function(err, results) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Parse each non-empty name
+    let rtn = [];
+    for ( let i = 0; i < results.length; i++ ) {
+      let row = results[i];
+      if ( row.name === undefined || row.name === null || row.name === "" ) {
+        continue;
+      }
+      let tokens = _tokenize(row.name);
+      if ( tokens.length > 0 ) {
+        rtn.push({
+          stopId: row.stop_id,
+          name: row.name,
+          source: source.source,
+          normalized: tokens.join(' '),
+          tokens: tokens
+        });
+      }
+    }
+
+    return callback(null, rtn);
+
+  });
+}
+
+
+/**
+ * Match the search text to a Stop name
+ * @param {string} query Normalized search text
+ * @param {string[]} tokens Search text tokens
+ * @param {Object} name Stop name {normalized, tokens}
+ * @param {boolean} fuzzy When true, include typo-tolerant matches
+ * @returns {Object|undefined} match {match, score} or undefined if the name does not match
+ * @private
+ */
+function _matchName(query, tokens, name, fuzzy) {
+
+  // Exact match
+  if ( name.normalized === query ) {
+    return { match: 'exact', score: 1 };
   }
 
+  // Name starts with the search text
+  if ( name.normalized.indexOf(query) === 0 ) {
+    return { match: 'prefix', score: 0.8 };
+  }
 
-  // Filter by distance
-  if ( distance !== -1 ) {
-    let temp = [];
-    for ( let i = 0; i < rtn.length; i++ ) {
-      if ( rtn[i].distance <= distance ) {
-        temp.push(rtn[i]);
+  // Match each search token to a name token
+  let edits = 0;
+  for ( let i = 0; i < tokens.length; i++ ) {
+    let token = tokens[i];
+    let best = -1;
+    for ( let j = 0; j < name.tokens.length && best !== 0; j++ ) {
+      let nameToken = name.tokens[j];
+      if ( nameToken.indexOf(token) === 0 ) {
+        best = 0;
+      }
+      else if ( fuzzy && token.length >= 4 ) {
+        let max = token.length >= 8 ? 2 : 1;
+        let distance = Math.min(
+          _editDistance(token, nameToken, max),
+          _editDistance(token, nameToken.substring(0, token.length), max)
+        );
+        if ( distance <= max && (best === -1 || distance < best) ) {
+          best = distance;
+        }
       }
     }
-    rtn = temp;
+
+    // Search token does not match the name
+    if ( best === -1 ) {
+      return undefined;
+    }
+    edits = edits + best;
+  }
+
+  // All tokens match
+  if ( edits === 0 ) {
+    return { match: 'token', score: 0.6 };
+  }
+  return { match: 'fuzzy', score: 0.4 / edits };
+
+}
+
+
+/**
+ * Split the text into normalized search tokens (lowercase words, without
+ * accents or punctuation)
+ * @param {string} text Text to tokenize
+ * @returns {string[]} tokens
+ * @private
+ */
+function _tokenize(text) {
+  if ( text === undefined || text === null ) {
+    return [];
+  }
+  let normalized = String(text).normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2019]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return normalized === '' ? [] : normalized.split(' ');
+}
+
+
+/**
+ * Get the number of edits (insertions, deletions, substitutions and
+ * transpositions) between two strings
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @param {int} max Max number of edits (a larger distance returns `max + 1`)
+ * @returns {int} edit distance
+ * @private
+ */
+function _editDistance(a, b, max) {
+  if ( Math.abs(a.length - b.length) > max ) {
+    return max + 1;
   }
 
+  // Distances of the previous two rows and the current row
+  let prev2 = [];
+  let prev = [];
+  for ( let j = 0; j <= b.length; j++ ) {
+    prev[j] = j;
+  }
 
-  // Return the Stops
-  return callback(null, rtn);
+  for ( let i = 1; i <= a.length; i++ ) {
+    let row = [i];
+    let min = i;
+    for ( let j = 1; j <= b.length; j++ ) {
+      let cost = a[i-1] === b[j-1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j-1] + 1, prev[j-1] + cost);
+      if ( i > 1 && j > 1 && a[i-1] === b[j-2] && a[i-2] === b[j-1] ) {
+        row[j] = Math.min(row[j], prev2[j-2] + 1);
+      }
+      min = Math.min(min, row[j]);
+    }
+
+    // Stop when every distance is over the max
+    if ( min > max ) {
+      return max + 1;
+    }
+    prev2 = prev;
+    prev = row;
+  }
 
+  return Math.min(prev[b.length], max + 1);
 }
 
 
 
 // ==== SETUP CACHES ==== //
-let cache_stopById = new cache.Cache();
-let cache_stopByName = new cache.Cache();
-let cache_stopByStatusId = new cache.Cache();
-let cache_stops = new cache.Cache();
-let cache_stopsByRoute = new cache.Cache();
+let cache_stopById = cache.create('stopById');
+let cache_stopByName = cache.create('stopByName');
+let cache_stopByStatusId = cache.create('stopByStatusId');
+let cache_stopIndex = cache.create('stopIndex', {freeze: false});
+let cache_stopNames = cache.create('stopNames');
+let cache_stops = cache.create('stops');
+let cache_stopsByRoute = cache.create('stopsByRoute');
 
 /**
  * Clear the StopsTable caches
@@ -627,6 +1127,8 @@ function clearCache() {
   cache_stopById.clear();
   cache_stopByName.clear();
   cache_stopByStatusId.clear();
+  cache_stopIndex.clear();
+  cache_stopNames.clear();
   cache_stops.clear();
   cache_stopsByRoute.clear();
 }
@@ -634,11 +1136,13 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getStop: getStop,
-  getStopByName: getStopByName,
-  getStopByStatusId: getStopByStatusId,
-  getStops: getStops,
-  getStopsByRoute: getStopsByRoute,
-  getStopsByLocation: getStopsByLocation,
+  getStop: promisify(getStop),
+  getStopByName: promisify(getStopByName),
+  getStopByStatusId: promisify(getStopByStatusId),
+  getStops: promisify(getStops),
+  getStopsByRoute: promisify(getStopsByRoute),
+  getStopsByLocation: promisify(getStopsByLocation),
+  getStopsInBounds: promisify(getStopsInBounds),
+  searchStops: promisify(searchStops),
   clearCache: clearCache
 };
\ No newline at end of file
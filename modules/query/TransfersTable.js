@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * ### Transfer Query Functions
+ * These functions query the `gtfs_transfers` table in the Right Track Database.
+ * @module query/transfers
+ */
+
+const cache = require('../utils/cache.js');
+const Transfer = require('../gtfs/Transfer.js');
+const promisify = require('../utils/promise.js');
+
+
+// ==== QUERY FUNCTIONS ==== //
+
+/**
+ * Get all of the Transfer rules stored in the gtfs_transfers table
+ * of the passed database.
+ *
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {function} callback Callback function
+ * @param {Error} callback.error Database Query Error
+ * @param {Transfer[]} [callback.transfers] The selected Transfers
+ */
+function getTransfers(db, callback) {
+
+  // Check cache for transfers
+  let cacheKey = db.id + "-transfers";
+  let cache = cache_transfers.get(cacheKey);
+  if ( cache !== null ) {
+    return callback(null, cache);
+  }
+
+  // Wait for a pending query with the same key
+  callback = cache_transfers.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
+  // Build select statement
+  let select = "SELECT from_stop_id, to_stop_id, transfer_type, min_transfer_time, " +
+    "from_route_id, to_route_id, from_trip_id, to_trip_id FROM gtfs_transfers;";
+
+  // Query the database
+  _queryForTransfers(db, select, [], function(err, transfers) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Add Transfers to cache
+    cache_transfers.put(cacheKey, transfers);
+
+    // Return the Transfers
+    return callback(null, transfers);
+
+  });
+
+}
+
+
+/**
+ * Get the Transfer rules for connections beginning at the specified Stop
+ *
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {string} stopId The Stop ID where the connections begin
+ * @param {function} callback Callback function
+ * @param {Error} callback.error Database Query Error
+ * @param {Transfer[]} [callback.transfers] The selected Transfers
+ */
+function getTransfersFromStop(db, stopId, callback) {
+
+  // Check cache for transfers
+  let cacheKey = db.id + "-" + stopId;
+  let cache = cache_transfersFromStop.get(cacheKey);
+  if ( cache !== null ) {
+    return callback(null, cache);
+  }
+
+  // Wait for a pending query with the same key
+  callback = cache_transfersFromStop.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
+  // Build select statement
+  let select = "SELECT from_stop_id, to_stop_id, transfer_type, min_transfer_time, " +
+    "from_route_id, to_route_id, from_trip_id, to_trip_id FROM gtfs_transfers " +
+    "WHERE from_stop_id=?;";
+
+  // Query the database
+  _queryForTransfers(db, select, [stopId], function(err, transfers) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Add Transfers to cache
+    cache_transfersFromStop.put(cacheKey, transfers);
+
+    // Return the Transfers
+    return callback(null, transfers);
+
+  });
+
+}
+
+
+/**
+ * Query the database for the Transfers with the provided select statement
+ * @param {RightTrackDB} db The Right Track Database to query
+ * @param {string} select The select statement
+ * @param {Array} params The select statement parameters
+ * @param {function} callback Callback function(err, transfers)
+ * @private
+ */
+function _queryForTransfers(db, select, params, callback) {
+
+  // Query the database
+  db.select(select, params, function(err, results) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(
+        new Error('Could not get Transfers from database')
+      );
+    }
+
+    // List of Transfers to return
+    let rtn = [];
+
+    // Parse each row of the results
+    for ( let i = 0; i < results.length; i++ ) {
+      let row = results[i];
+
+      // Build the Transfer
+      let transfer = new Transfer(
+        row.from_stop_id,
+        row.to_stop_id,
+        row.transfer_type,
+        {
+          minTransferTime: row.min_transfer_time,
+          fromRouteId: row.from_route_id,
+          toRouteId: row.to_route_id,
+          fromTripId: row.from_trip_id,
+          toTripId: row.to_trip_id
+        }
+      );
+
+      // Add Transfer to list
+      rtn.push(transfer);
+    }
+
+    // Return the Transfers
+    return callback(null, rtn);
+
+  });
+
+}
+
+
+
+// ==== SETUP CACHES ==== //
+let cache_transfers = cache.create('transfers');
+let cache_transfersFromStop = cache.create('transfersFromStop');
+
+
+/**
+ * Clear the TransfersTable caches
+ * @private
+ */
+function clearCache() {
+  cache_transfers.clear();
+  cache_transfersFromStop.clear();
+}
+
+
+// Export Functions
+module.exports = {
+  getTransfers: promisify(getTransfers),
+  getTransfersFromStop: promisify(getTransfersFromStop),
+  clearCache: clearCache
+};
\ No newline at end of file
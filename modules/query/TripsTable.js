@@ -6,7 +6,7 @@
  * @module query/trips
  */
 
-const cache = require('memory-cache');
+const cache = require('../utils/cache.js');
 const Agency = require('../gtfs/Agency.js');
 const Route = require('../gtfs/Route.js');
 const Stop = require('../gtfs/Stop.js');
@@ -16,6 +16,15 @@ const DateTime = require('../utils/DateTime.js');
 const CalendarTable = require('./CalendarTable.js');
 const StopTimesTable = require('./StopTimesTable.js');
 const HolidayTable = require('./HolidayTable.js');
+const promisify = require('../utils/promise.js');
+const sql = require('../utils/sql.js');
+
+
+/**
+ * Maximum number of Trip IDs to select in a single query
+ * @private
+ */
+const MAX_TRIP_IDS = 250;
 
 
 // ==== QUERY FUNCTIONS ==== //
@@ -33,13 +42,267 @@ const HolidayTable = require('./HolidayTable.js');
  */
 let getTrip = function(db, id, date, callback) {
 
-  // Check cache for trip
-  let cacheKey = db.id + "-" + id + "-" + date;
-  let cache = cache_tripsById.get(cacheKey);
-  if ( cache !== null ) {
-    return callback(null, cache);
+  // Get the Trip from the list of Trips
+  getTrips(db, [id], date, function(err, trips) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Return the Trip (or undefined if not found)
+    return callback(null, trips.length > 0 ? trips[0] : undefined);
+
+  });
+
+};
+
+
+/**
+ * Get the Trips (with Route, Service and StopTimes) specified by the
+ * Trip IDs from the passed database.  The Trips are loaded with a single
+ * query per 250 Trip IDs and share their Agency, Route, Stop and Service
+ * instances.  Trips that are already being loaded by another call wait for
+ * that load to finish.
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @param {string[]} ids List of Trip IDs
+ * @param {int} date The date (yyyymmdd) that the Trips operate on
+ * @param {function} callback Callback function
+ * @param {Error} callback.error Database Query Error
+ * @param {Trip[]} [callback.trips] The selected Trips, in the order of the
+ * Trip IDs (Trips that were not found are not included)
+ */
+function getTrips(db, ids, date, callback) {
+
+  // Trips, by Trip ID
+  let trips = {};
+
+  // Pending loads of the Trips that are not cached, by Trip ID
+  let loads = {};
+  let remaining = 0;
+  let failed = false;
+
+  // Check cache for each trip
+  let missing = [];
+  for ( let i = 0; i < ids.length; i++ ) {
+    let cacheKey = db.id + "-" + ids[i] + "-" + date;
+    let cache = cache_tripsById.get(cacheKey);
+    if ( cache !== null ) {
+      trips[ids[i]] = cache;
+    }
+    else if ( !loads.hasOwnProperty(ids[i]) ) {
+      remaining++;
+
+      // Load the Trip, or wait for a pending load of the Trip
+      loads[ids[i]] = cache_tripsById.coalesce(cacheKey, _loaded(ids[i]));
+      if ( loads[ids[i]] !== undefined ) {
+        missing.push(ids[i]);
+      }
+    }
+  }
+
+  // All Trips were cached
+  if ( remaining === 0 ) {
+    return callback(null, _getTripList());
+  }
+
+  // All missing Trips are being loaded by other calls
+  if ( missing.length === 0 ) {
+    return;
+  }
+
+  // Split the Trip IDs into batches
+  let batches = [];
+  for ( let i = 0; i < missing.length; i += MAX_TRIP_IDS ) {
+    batches.push(missing.slice(i, i + MAX_TRIP_IDS));
+  }
+
+  // Selected rows, by batch
+  let results = [];
+
+  // Counters
+  let done = 0;
+  let count = batches.length;
+  let selectFailed = false;
+
+  // Select the rows of each batch
+  for ( let i = 0; i < batches.length; i++ ) {
+    _selectTrips(db, batches[i], function(err, rows) {
+      if ( selectFailed ) {
+        return;
+      }
+
+      // Database Query Error
+      if ( err ) {
+        selectFailed = true;
+        return _finishLoads(
+          new Error('Could not get Trip from database')
+        );
+      }
+
+      // Add the rows of the batch
+      results[i] = rows;
+
+      // Finish the batch
+      done++;
+      if ( done === count ) {
+        _build([].concat.apply([], results));
+      }
+
+    });
+  }
+
+
+  /**
+   * Build the Trips from the selected rows
+   * @param {Object[]} rows Selected rows
+   * @private
+   */
+  function _build(rows) {
+
+    // Group the rows by Trip
+    let rowsByTrip = {};
+    let serviceIds = [];
+    for ( let i = 0; i < rows.length; i++ ) {
+      let row = rows[i];
+      if ( !rowsByTrip.hasOwnProperty(row.trip_id) ) {
+        rowsByTrip[row.trip_id] = [];
+      }
+      rowsByTrip[row.trip_id].push(row);
+      if ( serviceIds.indexOf(row.service_id) === -1 ) {
+        serviceIds.push(row.service_id);
+      }
+    }
+
+    // No Trips Found
+    if ( serviceIds.length === 0 ) {
+      return _finishLoads(null, {});
+    }
+
+    // Get the Services of the Trips
+    CalendarTable.getService(db, serviceIds, function(err, services) {
+
+      // Database Query Error
+      if ( err ) {
+        return _finishLoads(err);
+      }
+
+      // Services, by Service ID
+      let servicesById = {};
+      for ( let i = 0; i < services.length; i++ ) {
+        servicesById[services[i].id] = services[i];
+      }
+
+      // Get Holiday For Date
+      HolidayTable.getHoliday(db, date, function(err, holiday) {
+        let holidayNoPeak = false;
+        if ( !err && holiday && !holiday.peak ) {
+          holidayNoPeak = true;
+        }
+
+        // Shared Agencies, Routes and Stops, by ID
+        let shared = {
+          agencies: {},
+          routes: {},
+          stops: {}
+        };
+
+        // Build each of the Trips
+        let built = {};
+        for ( let i = 0; i < missing.length; i++ ) {
+          let id = missing[i];
+          if ( rowsByTrip.hasOwnProperty(id) ) {
+            let trip = _buildTrip(id, date, rowsByTrip[id], servicesById, shared, holidayNoPeak);
+
+            // Add Trip to Cache
+            cache_tripsById.put(db.id + "-" + id + "-" + date, trip);
+
+            built[id] = trip;
+          }
+        }
+
+        // Return the Trips
+        return _finishLoads(null, built);
+
+      });
+
+    });
+
+  }
+
+
+  /**
+   * Finish the loads of the missing Trips (which returns the Trips to this
+   * call and any other calls waiting for them)
+   * @param {Error} err Database Query Error
+   * @param {Object} [built] Built Trips, by Trip ID
+   * @private
+   */
+  function _finishLoads(err, built) {
+    for ( let i = 0; i < missing.length; i++ ) {
+      loads[missing[i]](err, err ? undefined : built[missing[i]]);
+    }
+  }
+
+  /**
+   * Get the callback of a loaded (or failed) Trip
+   * @param {string} id Trip ID
+   * @returns {function} callback function(err, trip)
+   * @private
+   */
+  function _loaded(id) {
+    return function(err, trip) {
+      if ( failed ) {
+        return;
+      }
+
+      // Database Query Error
+      if ( err ) {
+        failed = true;
+        return callback(err);
+      }
+
+      // Add the Trip, if found
+      if ( trip !== undefined ) {
+        trips[id] = trip;
+      }
+
+      // Return the Trips when all of them are loaded
+      remaining--;
+      if ( remaining === 0 ) {
+        return callback(null, _getTripList());
+      }
+    }
+  }
+
+  /**
+   * Get the list of Trips, in the order of the Trip IDs
+   * @returns {Trip[]}
+   * @private
+   */
+  function _getTripList() {
+    let rtn = [];
+    for ( let i = 0; i < ids.length; i++ ) {
+      if ( trips.hasOwnProperty(ids[i]) ) {
+        rtn.push(trips[ids[i]]);
+      }
+    }
+    return rtn;
   }
 
+}
+
+
+/**
+ * Select the Trip, Route, Agency, StopTime and Stop information of the
+ * specified Trips
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @param {string[]} ids List of Trip IDs
+ * @param {function} callback Callback function(err, rows)
+ * @private
+ */
+function _selectTrips(db, ids, callback) {
+
   // Build the select statement
   let select = "SELECT " +
     "gtfs_trips.trip_id, trip_short_name, wheelchair_accessible, service_id, trip_headsign, block_id, shape_id, peak, " +
@@ -56,28 +319,34 @@ let getTrip = function(db, id, date, callback) {
     "INNER JOIN gtfs_stop_times ON gtfs_trips.trip_id=gtfs_stop_times.trip_id " +
     "INNER JOIN gtfs_stops ON gtfs_stop_times.stop_id=gtfs_stops.stop_id " +
     "INNER JOIN rt_stops_extra ON gtfs_stops.stop_id=rt_stops_extra.stop_id " +
-    "WHERE gtfs_trips.trip_id='" + id + "';";
+    "WHERE gtfs_trips.trip_id IN (" + sql.placeholders(ids) + ");";
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, ids, callback);
 
-    // Database Query Error
-    if ( err ) {
-      return callback(
-        new Error('Could not get Trip from database')
-      );
-    }
+}
 
-    // No Trip Found
-    if ( results.length === 0 ) {
-      return callback(null, undefined);
-    }
 
-    // Get Agency and Route info from first row
-    let row = results[0];
+/**
+ * Build the Trip from its selected rows
+ * @param {string} id Trip ID
+ * @param {int} date The date (yyyymmdd) that the Trip operates on
+ * @param {Object[]} results The selected rows of the Trip
+ * @param {Object} servicesById Services, by Service ID
+ * @param {Object} shared Shared Agencies, Routes and Stops, by ID
+ * @param {boolean} holidayNoPeak The date is a Holiday without peak service
+ * @returns {Trip}
+ * @private
+ */
+function _buildTrip(id, date, results, servicesById, shared, holidayNoPeak) {
+
+  // Get Agency and Route info from first row
+  let row = results[0];
 
-    // Build Agency
-    let agency = new Agency(
+  // Build Agency
+  let agency = shared.agencies[row.agency_id];
+  if ( agency === undefined ) {
+    agency = new Agency(
       row.agency_name,
       row.agency_url,
       row.agency_timezone,
@@ -88,9 +357,13 @@ let getTrip = function(db, id, date, callback) {
         fare_url: row.agency_fare_url
       }
     );
+    shared.agencies[row.agency_id] = agency;
+  }
 
-    // Build Route
-    let route = new Route(
+  // Build Route
+  let route = shared.routes[row.route_id];
+  if ( route === undefined ) {
+    route = new Route(
       row.route_id,
       row.route_short_name,
       row.route_long_name,
@@ -103,136 +376,110 @@ let getTrip = function(db, id, date, callback) {
         textColor: row.route_text_color
       }
     );
+    shared.routes[row.route_id] = route;
+  }
 
+  // List of StopTimes
+  let stopTimes = [];
 
-    // Get Service from service id
-    CalendarTable.getService(db, row.service_id, function(err, service) {
-
-      // Database Query Error
-      if ( err ) {
-        return callback(err);
-      }
-
-      // List of StopTimes
-      let stopTimes = [];
-
-      // Get StopTimes
-      for ( let i = 0; i < results.length; i++ ) {
-        let row = results[i];
-
-        // Use display name for stop name, if present
-        let stop_name = row.stop_name;
-        if ( row.display_name !== undefined && row.display_name !== null && row.display_name !== "" ) {
-          stop_name = row.display_name;
-        }
-
-        // Get zone_id from rt_stops_extra if not defined if gtfs_stops
-        let zone_id = row.gtfs_zone_id;
-        if ( zone_id === null || zone_id === undefined ) {
-          zone_id = row.rt_zone_id;
-        }
-
-        // Build Stop
-        let stop = new Stop(
-          row.stop_id,
-          stop_name,
-          row.stop_lat,
-          row.stop_lon,
-          {
-            code: row.stop_code,
-            description: row.stop_desc,
-            zoneId: zone_id,
-            url: row.stop_url,
-            locationType: row.location_type,
-            parentStation: row.parent_station,
-            timezone: row.stop_timezone,
-            wheelchairBoarding: row.wheelchair_boarding,
-            statusId: row.status_id,
-            transferWeight: row.transfer_weight
-          }
-        );
-
-        // Add day to date for 24+ hr time
-        let stopTimeDate = date;
-        if ( row.arrival_time_seconds >= 86400 ) {
-          stopTimeDate = DateTime.createFromDate(date).deltaDays(1).getDateInt();
-        }
+  // Get StopTimes
+  for ( let i = 0; i < results.length; i++ ) {
+    let row = results[i];
 
-        // Build StopTime
-        let stopTime = new StopTime(
-          stop,
-          row.arrival_time,
-          row.departure_time,
-          row.stop_sequence,
-          {
-            headsign: row.stop_headsign,
-            pickupType: row.pickup_type,
-            dropOffType: row.drop_off_type,
-            shapeDistanceTraveled: row.shape_dist_traveled,
-            timepoint: row.timepoint,
-            date: date
-          }
-        );
+    // Build Stop
+    let stop = shared.stops[row.stop_id];
+    if ( stop === undefined ) {
 
-        // Add stop time to list
-        stopTimes.push(stopTime);
+      // Use display name for stop name, if present
+      let stop_name = row.stop_name;
+      if ( row.display_name !== undefined && row.display_name !== null && row.display_name !== "" ) {
+        stop_name = row.display_name;
       }
 
-      // Parse null wheelchair_accessible values
-      if ( row.wheelchair_accessible === null ) {
-        row.wheelchair_accessible = Trip.WHEELCHAIR_ACCESSIBLE_UNKNOWN;
+      // Get zone_id from rt_stops_extra if not defined if gtfs_stops
+      let zone_id = row.gtfs_zone_id;
+      if ( zone_id === null || zone_id === undefined ) {
+        zone_id = row.rt_zone_id;
       }
 
-      // Get Holiday For Date
-      HolidayTable.getHoliday(db, date, function(err, holiday) {
-        let holidayNoPeak = false;
-        if ( !err && holiday && !holiday.peak ) {
-          holidayNoPeak = true;
+      stop = new Stop(
+        row.stop_id,
+        stop_name,
+        row.stop_lat,
+        row.stop_lon,
+        {
+          code: row.stop_code,
+          description: row.stop_desc,
+          zoneId: zone_id,
+          url: row.stop_url,
+          locationType: row.location_type,
+          parentStation: row.parent_station,
+          timezone: row.stop_timezone,
+          wheelchairBoarding: row.wheelchair_boarding,
+          statusId: row.status_id,
+          transferWeight: row.transfer_weight
         }
+      );
+      shared.stops[row.stop_id] = stop;
+    }
 
-        // Determine Peak
-        let peak = false;
-        if ( row.peak === 1 ) {
-          peak = true;
-        }
-        else if ( row.peak === 2 ) {
-          let dow = DateTime.createFromDate(date).getDateDOW();
-          if ( dow !== "saturday" && dow !== "sunday" ) {
-            peak = true;
-          }
-        }
-
-        // Build Trip
-        let trip = new Trip(
-          id,
-          route,
-          service,
-          stopTimes,
-          {
-            headsign: row.trip_headsign,
-            shortName: row.trip_short_name,
-            directionId: row.direction_id,
-            directionDescription: row.description,
-            blockId: row.block_id,
-            shapeId: row.shape_id,
-            wheelchairAccessible: row.wheelchair_accessible,
-            peak: peak && !holidayNoPeak
-          }
-        );
-
-        // Add Trip to Cache
-        cache_tripsById.put(cacheKey, trip);
+    // Build StopTime
+    let stopTime = new StopTime(
+      stop,
+      row.arrival_time,
+      row.departure_time,
+      row.stop_sequence,
+      {
+        headsign: row.stop_headsign,
+        pickupType: row.pickup_type,
+        dropOffType: row.drop_off_type,
+        shapeDistanceTraveled: row.shape_dist_traveled,
+        timepoint: row.timepoint,
+        date: date,
+        timezone: agency.timezone
+      }
+    );
 
-        // Return trip with callback
-        return callback(null, trip);
+    // Add stop time to list
+    stopTimes.push(stopTime);
+  }
 
-      });
+  // Parse null wheelchair_accessible values
+  if ( row.wheelchair_accessible === null ) {
+    row.wheelchair_accessible = Trip.WHEELCHAIR_ACCESSIBLE_UNKNOWN;
+  }
 
-    });
+  // Determine Peak
+  let peak = false;
+  if ( row.peak === 1 ) {
+    peak = true;
+  }
+  else if ( row.peak === 2 ) {
+    let dow = DateTime.createFromDate(date).getDateDOW();
+    if ( dow !== "saturday" && dow !== "sunday" ) {
+      peak = true;
+    }
+  }
 
-  });
+  // Build Trip
+  return new Trip(
+    id,
+    route,
+    servicesById[row.service_id],
+    stopTimes,
+    {
+      headsign: row.trip_headsign,
+      shortName: row.trip_short_name,
+      directionId: row.direction_id,
+      directionDescription: row.description,
+      blockId: row.block_id,
+      shapeId: row.shape_id,
+      wheelchairAccessible: row.wheelchair_accessible,
+      peak: peak && !holidayNoPeak
+    }
+  );
 
-};
+}
 
 
 /**
@@ -253,18 +500,24 @@ function getTripByShortName(db, shortName, date, callback) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_tripsByShortName.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Get effective service ids
-  _buildEffectiveServiceIDString(db, date, function(err, serviceIdString) {
+  _getEffectiveServiceIds(db, date, function(err, serviceIds) {
     if ( err ) {
       return callback(err);
     }
 
     // Get Trip ID
-    let select = "SELECT trip_id FROM gtfs_trips WHERE trip_short_name = '" +
-      shortName + "' AND service_id IN " + serviceIdString + ";";
+    let select = "SELECT trip_id FROM gtfs_trips WHERE trip_short_name = ? " +
+      "AND service_id IN (" + sql.placeholders(serviceIds) + ");";
 
     // Query database
-    db.get(select, function(err, result) {
+    db.get(select, [shortName].concat(serviceIds), function(err, result) {
       if ( err ) {
         return callback(err);
       }
@@ -305,13 +558,20 @@ function getTripByShortName(db, shortName, date, callback) {
  */
 function getTripByDeparture(db, originId, destinationId, departure, callback) {
 
-  // Check cache for trip
-  let cacheKey = db.id + "-" + originId + "-" + destinationId + "-" + departure.getTimeSeconds() + "-" + departure.getDateInt();
+  // Check cache for trip (the departure time and date are in the departure's timezone)
+  let timezone = departure.timezone !== undefined ? departure.timezone : "local";
+  let cacheKey = db.id + "-" + originId + "-" + destinationId + "-" + departure.getTimeSeconds() + "-" + departure.getDateInt() + "-" + timezone;
   let cache = cache_tripsByDeparture.get(cacheKey);
   if ( cache !== null ) {
     return callback(null, cache);
   }
 
+  // Wait for a pending query with the same key
+  callback = cache_tripsByDeparture.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
+
   // Check to make sure both origin and destination have IDs set
   if ( originId === "" || originId === undefined ||
       destinationId === "" || destinationId === undefined ) {
@@ -334,10 +594,12 @@ function getTripByDeparture(db, originId, destinationId, departure, callback) {
     }
 
 
-    // PREVIOUS DEPARTURE DATE, +24 HOUR TIME
+    // PREVIOUS DEPARTURE DATE, +24 HOUR TIME (+23 or +25 hours across a daylight saving transition)
+    let prevDate = DateTime.createFromDate(departure.getDateInt()).deltaDays(-1).getDateInt();
     let prev = DateTime.create(
-      departure.getTimeSeconds() + 86400,
-      departure.clone().deltaDays(-1).getDateInt()
+      departure.getServiceSeconds(prevDate),
+      prevDate,
+      departure.timezone
     );
 
     _getTripByDeparture(db, originId, destinationId, prev, function(err, trip) {
@@ -365,13 +627,13 @@ function getTripByDeparture(db, originId, destinationId, departure, callback) {
 function _getTripByDeparture(db, originId, destinationId, departure, callback) {
 
   // Get Effective Services for departure date
-  _buildEffectiveServiceIDString(db, departure.getDateInt(), function(err, serviceIdString) {
+  _getEffectiveServiceIds(db, departure.getDateInt(), function(err, serviceIds) {
     if ( err ) {
       return callback(err);
     }
 
     // Find a matching trip
-    _getMatchingTripId(db, originId, destinationId, departure, serviceIdString, function(err, tripId) {
+    _getMatchingTripId(db, originId, destinationId, departure, serviceIds, function(err, tripId) {
       if ( err ) {
         return callback(err);
       }
@@ -399,13 +661,13 @@ function _getTripByDeparture(db, originId, destinationId, departure, callback) {
 }
 
 /**
- * Build the Effective Service ID String for SELECT query
+ * Get the Effective Service IDs for SELECT query parameters
  * @param {RightTrackDB} db The Right Track DB to query
  * @param {int} date Date Integer (yyyymmdd)
- * @param {function} callback Callback function(err, serviceIdString)
+ * @param {function} callback Callback function(err, serviceIds)
  * @private
  */
-function _buildEffectiveServiceIDString(db, date, callback) {
+function _getEffectiveServiceIds(db, date, callback) {
 
   // Query the Calendar for effective services
   CalendarTable.getServicesEffective(db, date, function(err, services) {
@@ -415,15 +677,14 @@ function _buildEffectiveServiceIDString(db, date, callback) {
       return callback(err);
     }
 
-    // Build Service ID String
+    // Build Service ID List
     let serviceIds = [];
     for ( let i = 0; i < services.length; i++ ) {
       serviceIds.push(services[i].id);
     }
-    let serviceIdString = "('" + serviceIds.join("', '") + "')";
 
-    // Return Service ID String
-    return callback(null, serviceIdString);
+    // Return Service IDs
+    return callback(null, serviceIds);
 
   });
 
@@ -435,11 +696,11 @@ function _buildEffectiveServiceIDString(db, date, callback) {
  * @param {string} originId Origin Stop ID
  * @param {string} destinationId Destination Stop ID
  * @param {DateTime} departure DateTime of departure
- * @param {string} serviceIdString Effective Service ID string
+ * @param {string[]} serviceIds Effective Service IDs
  * @param {function} callback Callback function(err, tripId)
  * @private
  */
-function _getMatchingTripId(db, originId, destinationId, departure, serviceIdString, callback) {
+function _getMatchingTripId(db, originId, destinationId, departure, serviceIds, callback) {
 
   // Set counters and return trip id
   let count = 0;
@@ -448,16 +709,17 @@ function _getMatchingTripId(db, originId, destinationId, departure, serviceIdStr
 
   // Find a matching trip in the gtfs_stop_times table
   let select = "SELECT trip_id FROM gtfs_trips " +
-    "WHERE service_id IN " + serviceIdString + " " +
+    "WHERE service_id IN (" + sql.placeholders(serviceIds) + ") " +
     "AND trip_id IN (" +
-    "SELECT trip_id FROM gtfs_stop_times WHERE stop_id='" + destinationId + "' " +
+    "SELECT trip_id FROM gtfs_stop_times WHERE stop_id=? " +
     "AND trip_id IN (" +
     "SELECT trip_id FROM gtfs_stop_times " +
-    "WHERE stop_id='" + originId + "' AND departure_time_seconds=" + departure.getTimeSeconds() +
+    "WHERE stop_id=? AND departure_time_seconds=?" +
     "));";
+  let params = serviceIds.concat([destinationId, originId, departure.getTimeSeconds()]);
 
   // Query the database
-  db.select(select, function(err, results) {
+  db.select(select, params, function(err, results) {
 
     // Database Query Error
     if ( err ) {
@@ -538,15 +800,14 @@ function getTripsByDate(db, date, opts, callback) {
     return callback(null, cache);
   }
 
-  // List of Trips to return
-  let rtn = [];
-
-  // Counters
-  let done = 0;
-  let count = 0;
+  // Wait for a pending query with the same key
+  callback = cache_tripsByDate.coalesce(cacheKey, callback);
+  if ( callback === undefined ) {
+    return;
+  }
 
   // Get the Effective Service IDs
-  _buildEffectiveServiceIDString(db, date, function(err, serviceIdString) {
+  _getEffectiveServiceIds(db, date, function(err, serviceIds) {
 
     // Database Query Error
     if ( err ) {
@@ -555,18 +816,22 @@ function getTripsByDate(db, date, opts, callback) {
 
     // Build Select Statement
     let select = "";
+    let params = [];
 
     // Get Trips By Stop
     if ( opts.stopId !== undefined ) {
-      select = select + "SELECT trip_id FROM gtfs_stop_times WHERE stop_id='" + opts.stopId + "' AND trip_id IN (";
+      select = select + "SELECT trip_id FROM gtfs_stop_times WHERE stop_id=? AND trip_id IN (";
+      params.push(opts.stopId);
     }
 
     // Get Trips By Date
-    select = select + "SELECT DISTINCT trip_id FROM gtfs_trips WHERE service_id IN " + serviceIdString;
+    select = select + "SELECT DISTINCT trip_id FROM gtfs_trips WHERE service_id IN (" + sql.placeholders(serviceIds) + ")";
+    params = params.concat(serviceIds);
 
     // Filter By Route, if provided
     if ( opts.routeId !== undefined ) {
-      select = select + " AND route_id='" + opts.routeId + "'";
+      select = select + " AND route_id=?";
+      params.push(opts.routeId);
     }
 
     // Close Outer Select
@@ -575,70 +840,53 @@ function getTripsByDate(db, date, opts, callback) {
     }
 
     // Query the DB
-    db.select(select, function(err, results) {
+    db.select(select, params, function(err, results) {
 
       // Database Query Error
       if ( err ) {
         return callback(err);
       }
 
-      // Set the counter
-      count = results.length;
-
-      // No Stops Found
-      if ( results.length === 0 ) {
-        _finish();
+      // Get the Trip IDs
+      let ids = [];
+      for ( let i = 0; i < results.length; i++ ) {
+        ids.push(results[i].trip_id);
       }
 
       // Build the Trips
-      for ( let i = 0; i < results.length; i++ ) {
-        getTrip(db, results[i].trip_id, date, function(err, trip) {
-
-          // Database Query Error
-          if ( err ) {
-            return callback(err);
-          }
+      getTrips(db, ids, date, function(err, trips) {
 
-          // Add reference stop, if provided
-          if ( opts.stopId ) {
-            trip._referenceStopId = opts.stopId;
-          }
+        // Database Query Error
+        if ( err ) {
+          return callback(err);
+        }
 
-          // Add Trip to Result
-          rtn.push(trip);
+        // Sort by departure from the reference stop, if provided
+        if ( opts.stopId ) {
+          trips.sort(Trip.sortByStopDepartureTime(opts.stopId));
+        }
+        else {
+          trips.sort(Trip.sortByDepartureTime);
+        }
 
-          // Finish
-          _finish();
+        // Return the sorted Trips
+        return callback(null, trips);
 
-        });
-      }
+      });
 
     });
 
   });
 
-
-  /**
-   * Finish Parsing Trip
-   * @private
-   */
-  function _finish() {
-    done++;
-    if ( count === 0 || done === count ) {
-      rtn.sort(Trip.sortByDepartureTime);
-      return callback(null, rtn);
-    }
-  }
-
 }
 
 
 
 // ==== SETUP CACHES ==== //
-let cache_tripsById = new cache.Cache();
-let cache_tripsByShortName = new cache.Cache();
-let cache_tripsByDeparture = new cache.Cache();
-let cache_tripsByDate = new cache.Cache();
+let cache_tripsById = cache.create('tripsById');
+let cache_tripsByShortName = cache.create('tripsByShortName');
+let cache_tripsByDeparture = cache.create('tripsByDeparture');
+let cache_tripsByDate = cache.create('tripsByDate');
 
 /**
  * Clear the TripsTable caches
@@ -655,9 +903,10 @@ function clearCache() {
 
 // Export Functions
 module.exports = {
-  getTrip: getTrip,
-  getTripByShortName: getTripByShortName,
-  getTripByDeparture: getTripByDeparture,
-  getTripsByDate: getTripsByDate,
+  getTrip: promisify(getTrip),
+  getTrips: promisify(getTrips),
+  getTripByShortName: promisify(getTripByShortName),
+  getTripByDeparture: promisify(getTripByDeparture),
+  getTripsByDate: promisify(getTripsByDate),
   clearCache: clearCache
 };
\ No newline at end of file
@@ -22,6 +22,7 @@ function clearCache() {
   require('./RoutesTable.js').clearCache();
   require('./StopsTable.js').clearCache();
   require('./StopTimesTable.js').clearCache();
+  require('./TransfersTable.js').clearCache();
   require('./TripsTable.js').clearCache();
   require('./ShapesTable.js').clearCache();
 }
@@ -41,6 +42,12 @@ module.exports = {
    */
   calendar: require('./CalendarTable.js'),
 
+  /**
+   * Get the scheduled departures from a Stop
+   * @see module:query/departures
+   */
+  departures: require('./Departures.js'),
+
   /**
    * Query gtfs_directions table
    * @see module:query/direction
@@ -77,6 +84,12 @@ module.exports = {
    */
   stoptimes: require('./StopTimesTable.js'),
 
+  /**
+   * Query gtfs_transfers table
+   * @see module:query/transfers
+   */
+  transfers: require('./TransfersTable.js'),
+
   /**
    * Query gtfs_trips table
    * @see module:query/trips
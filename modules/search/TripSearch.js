@@ -9,6 +9,8 @@
 
 const DateTime = require('../utils/DateTime.js');
 const search = require('./search.js');
+const promisify = require('../utils/promise.js');
+const TripSearchResult = require('./TripSearchResult.js');
 
 
 /**
@@ -30,21 +32,35 @@ class TripSearch {
    * Set the parameters of a new Trip Search
    * @param {Stop} origin Origin Stop
    * @param {Stop} destination Destination Stop
-   * @param {DateTime} [departure=now] The Departure Date/Time of the Trip Search
+   * @param {DateTime} [departure=now] The Departure Date/Time of the Trip Search (or the
+   * requested Arrival Date/Time when `options.arriveBy` is set).  The search converts
+   * it to the same moment in the timezone of the agency (a Date/Time without a
+   * timezone is used as the wall-clock time of the agency).
    * @param {Object} [options] Trip Search Options
+   * @param {boolean} [options.arriveBy=false] Search backwards from the requested arrival at the destination
    * @param {boolean} [options.allowTransfers=true] Allow transfers between trains
    * @param {boolean} [options.allowChangeInDirection=true] Allow transfers that change direction of travel
    * @param {int} [options.preDepartureHours=3] The number of hours before the requested departure to include in results
    * @param {int} [options.postDepartureHours=6] The number of hours after the requested departure to include in results
+   * @param {int} [options.preArrivalHours=3] The number of hours before the requested arrival to include in results (arrive by searches)
+   * @param {int} [options.postArrivalHours=0] The number of hours after the requested arrival to include in results (arrive by searches)
    * @param {int} [options.maxLayoverMins=30] The maximum number of minutes to layover at a transfer Stop
    * @param {int} [options.minLayoverMins=0] The minimum number of minutes to layover at a transfer Stop
    * @param {int} [options.maxTransfers=2] The maximum number of transfers
+   * @param {int} [options.maxPaths=10] The maximum number of (shortest) Line Graph paths from the origin to the destination to search along
+   * @param {number} [options.maxWalkMeters=0] The maximum distance (in meters) to walk between Stops when transferring (0 to disable walking).
+   * Walking is only used for transfers, not from the origin or to the destination.
+   * @param {number} [options.walkSpeed=1.2] The walking speed (in meters per second)
+   * @param {boolean} [options.wheelchairAccessible=false] Only include wheelchair accessible Trips and Stops
+   * @param {boolean} [options.wheelchairStrict=true] Treat unknown wheelchair accessibility as inaccessible
+   * @param {string[]} [options.criteria=['departure', 'arrival', 'transfers', 'layover']] The criteria
+   * used to pick the (Pareto-optimal) results (the `TripSearchResult.CRITERION_*` constants)
    */
   constructor(origin, destination, departure, options) {
 
     // Datetime and Options not provided
     if ( departure === undefined && options === undefined ) {
-      departure = DateTime.now();
+      departure = _now();
       options = {};
     }
 
@@ -56,7 +72,7 @@ class TripSearch {
     // DateTime Not Provided
     else if ( options === undefined && !(departure instanceof DateTime) ) {
       options = departure;
-      departure = DateTime.now();
+      departure = _now();
     }
 
     /**
@@ -77,7 +93,16 @@ class TripSearch {
      * @default now
      */
     this.departure = departure !== undefined ? departure
-      : DateTime.now();
+      : _now();
+
+    /**
+     * Search backwards from the requested arrival (the Trip Search
+     * Date/Time) at the destination
+     * @type {boolean}
+     * @default false
+     */
+    this.arriveBy = options.hasOwnProperty('arriveBy') ? options.arriveBy
+      : false;
 
     /**
      * Allow Transfers between Trains
@@ -89,6 +114,7 @@ class TripSearch {
 
     /**
      * Allow Transfers between trains operating in opposite directions
+     * (as given by the GTFS direction_id of the Trips)
      * @type {boolean}
      * @default true
      */
@@ -111,6 +137,24 @@ class TripSearch {
     this.postDepartureHours = options.hasOwnProperty('postDepartureHours') ? options.postDepartureHours
       : 6;
 
+    /**
+     * The number of hours before the arrival time to include in results
+     * (arrive by searches)
+     * @type {int}
+     * @default 3
+     */
+    this.preArrivalHours = options.hasOwnProperty('preArrivalHours') ? options.preArrivalHours
+      : 3;
+
+    /**
+     * The number of hours after the arrival time to include in results
+     * (arrive by searches)
+     * @type {int}
+     * @default 0
+     */
+    this.postArrivalHours = options.hasOwnProperty('postArrivalHours') ? options.postArrivalHours
+      : 0;
+
     /**
      * The maximum number of minutes between trips at a layover
      * @type {int}
@@ -135,37 +179,137 @@ class TripSearch {
     this.maxTransfers = options.hasOwnProperty('maxTransfers') ? options.maxTransfers
       : 2;
 
+    /**
+     * The maximum number of (shortest) Line Graph paths from the origin
+     * to the destination to search along
+     * @type {int}
+     * @default 10
+     */
+    this.maxPaths = options.hasOwnProperty('maxPaths') ? options.maxPaths
+      : 10;
+
+    /**
+     * The maximum distance (in meters) to walk between nearby Stops
+     * when transferring (0 to disable walking).  Walking is only used
+     * for transfers, not from the origin or to the destination.
+     * @type {number}
+     * @default 0
+     */
+    this.maxWalkMeters = options.hasOwnProperty('maxWalkMeters') ? options.maxWalkMeters
+      : 0;
+
+    /**
+     * The walking speed (in meters per second)
+     * @type {number}
+     * @default 1.2
+     */
+    this.walkSpeed = options.hasOwnProperty('walkSpeed') ? options.walkSpeed
+      : 1.2;
+
+    /**
+     * Only include wheelchair accessible Trips and enter, exit and
+     * transfer Stops
+     * @type {boolean}
+     * @default false
+     */
+    this.wheelchairAccessible = options.hasOwnProperty('wheelchairAccessible') ? options.wheelchairAccessible
+      : false;
+
+    /**
+     * Treat Trips and Stops with unknown wheelchair accessibility as
+     * inaccessible (when false, they are treated as accessible)
+     * @type {boolean}
+     * @default true
+     */
+    this.wheelchairStrict = options.hasOwnProperty('wheelchairStrict') ? options.wheelchairStrict
+      : true;
+
+    /**
+     * The criteria used to pick the results: a result is kept unless
+     * another result is at least as good in every criterion
+     * @type {string[]}
+     * @default ['departure', 'arrival', 'transfers', 'layover']
+     */
+    this.criteria = options.hasOwnProperty('criteria') ? options.criteria
+      : [
+        TripSearchResult.CRITERION_DEPARTURE,
+        TripSearchResult.CRITERION_ARRIVAL,
+        TripSearchResult.CRITERION_TRANSFERS,
+        TripSearchResult.CRITERION_LAYOVER
+      ];
+
   }
 
   /**
    * All of the Trip Search options
-   * @returns {{allowTransfers: boolean, allowChangeInDirection: boolean, preDepartureHours: int, postDepartureHours: int, maxLayoverMins: int, minLayoverMins: int, maxLayovers: int}}
+   * @returns {{arriveBy: boolean, allowTransfers: boolean, allowChangeInDirection: boolean, preDepartureHours: int, postDepartureHours: int, preArrivalHours: int, postArrivalHours: int, maxLayoverMins: int, minLayoverMins: int, maxTransfers: int, maxPaths: int, maxWalkMeters: number, walkSpeed: number, wheelchairAccessible: boolean, wheelchairStrict: boolean, criteria: string[]}}
    */
   get options() {
     return {
+      arriveBy: this.arriveBy,
       allowTransfers: this.allowTransfers,
       allowChangeInDirection: this.allowChangeInDirection,
       preDepartureHours: this.preDepartureHours,
       postDepartureHours: this.postDepartureHours,
+      preArrivalHours: this.preArrivalHours,
+      postArrivalHours: this.postArrivalHours,
       maxLayoverMins: this.maxLayoverMins,
       minLayoverMins: this.minLayoverMins,
-      maxTransfers: this.maxTransfers
+      maxTransfers: this.maxTransfers,
+      maxPaths: this.maxPaths,
+      maxWalkMeters: this.maxWalkMeters,
+      walkSpeed: this.walkSpeed,
+      wheelchairAccessible: this.wheelchairAccessible,
+      wheelchairStrict: this.wheelchairStrict,
+      criteria: this.criteria
     }
   }
 
 
   /**
    * Perform the trip search on the provided Right Track Database
+   *
+   * When a Right Track Agency that supports real-time Station Feeds is
+   * provided, the live status of the Trips is applied to the results: each
+   * Trip Search Result Segment is annotated with its status and estimated
+   * departure and arrival and results with a cancelled Trip or a transfer that
+   * can no longer be made are removed.  The errors loading the Station Feeds
+   * are set as the `feedErrors` of the results.
    * @param {RightTrackDB} db The Right Track DB to query
-   * @param {function} callback Callback function
+   * @param {RightTrackAgency} [agency] The Right Track Agency used to load real-time Station Feeds
+   * @param {function} [callback] Callback function
    * @param {Error} callback.err Database Query Error
    * @param {TripSearchResult[]} [callback.results] Trip Search Results
+   * @returns {Promise<TripSearchResult[]>|undefined} Trip Search Results, when no callback is provided
    */
-  search(db, callback) {
-    search(db, this.origin, this.destination, this.departure, this.options, callback);
+  search(db, agency, callback) {
+
+    // Parse Args
+    if ( callback === undefined && typeof agency === 'function' ) {
+      callback = agency;
+      agency = undefined;
+    }
+
+    // Return a Promise when no callback is provided
+    if ( callback === undefined ) {
+      return promisify(this.search).call(this, db, agency);
+    }
+
+    search(db, this.origin, this.destination, this.departure, this.options, agency, callback);
   }
 
 }
 
 
+/**
+ * Get the current Date/Time in the host's timezone, so the search can
+ * convert it to the same moment in the agency's timezone
+ * @returns {DateTime}
+ * @private
+ */
+function _now() {
+  return DateTime.now(Intl.DateTimeFormat().resolvedOptions().timeZone);
+}
+
+
 module.exports = TripSearch;
\ No newline at end of file
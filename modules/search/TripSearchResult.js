@@ -9,6 +9,10 @@
 
 const TripSearchResultSegment = require('./TripSearchResultSegment.js');
 const TripSearchResultTransfer = require('./TripSearchResultTransfer.js');
+const TripSearchResultWalk = require('./TripSearchResultWalk.js');
+const Stop = require('../gtfs/Stop.js');
+const Trip = require('../gtfs/Trip.js');
+const Duration = require('../utils/Duration.js');
 
 
 /**
@@ -17,7 +21,9 @@ const TripSearchResultTransfer = require('./TripSearchResultTransfer.js');
  * This Class represents a single Trip Search Result.  It consists of one or
  * more {@link TripSearchResultSegment|Trip Search Result Segments}, which
  * are the individual Trips a rider would take to get from their original
- * Origin Stop to their final Destination Stop.
+ * Origin Stop to their final Destination Stop.  When a transfer requires a
+ * walk between two nearby Stops, a {@link TripSearchResultWalk|Trip Search
+ * Result Walk} is included between the Segments of the two Trips.
  *
  * **Module:** {@link module:search/TripSearchResult|search/TripSearchResult}
  *
@@ -28,7 +34,7 @@ class TripSearchResult {
 
   /**
    * Create a new Trip Search Result from the provided segment(s)
-   * @param {TripSearchResultSegment|TripSearchResultSegment[]} segments Trip Search Result Segment(s)
+   * @param {TripSearchResultSegment|Array<TripSearchResultSegment|TripSearchResultWalk>} segments Trip Search Result Segment(s)
    */
   constructor(segments) {
 
@@ -38,13 +44,13 @@ class TripSearchResult {
     }
 
     /**
-     * The Trip Search Result Segments
-     * @type {TripSearchResultSegment[]}
+     * The Trip Search Result Segments (and Walks)
+     * @type {Array<TripSearchResultSegment|TripSearchResultWalk>}
      */
     this.segments = segments;
 
     /**
-     * The number of Trip Search Result Segments in this Result
+     * The number of Trip Search Result Segments (and Walks) in this Result
      * @type {int}
      */
     this.length = this.segments.length;
@@ -62,10 +68,10 @@ class TripSearchResult {
     this.destination = this.segments[this.length-1].exit;
 
     /**
-     * Total Travel Time (in minutes) - includes all segments and layovers
-     * @type {int}
+     * Total Travel Time - includes all segments and layovers
+     * @type {Duration}
      */
-    this.travelTime = (this.destination.arrival.toTimestamp() - this.origin.departure.toTimestamp())/60000;
+    this.travelTime = Duration.between(this.origin.departure, this.destination.arrival);
 
     /**
      * List of Transfers
@@ -73,6 +79,113 @@ class TripSearchResult {
      */
     this.transfers = this._buildTransfers();
 
+    /**
+     * Total Layover Time - spent at all of the Transfer Stops
+     * @type {Duration}
+     */
+    this.layoverTime = new Duration(0);
+    for ( let i = 0; i < this.transfers.length; i++ ) {
+      this.layoverTime = this.layoverTime.plus(this.transfers[i].layoverTime);
+    }
+
+    /**
+     * Total Walking Distance (in meters) - of all of the Walks
+     * @type {number}
+     */
+    this.walkDistance = 0;
+    for ( let i = 0; i < this.length; i++ ) {
+      if ( this.segments[i] instanceof TripSearchResultWalk ) {
+        this.walkDistance = this.walkDistance + this.segments[i].distance;
+      }
+    }
+
+    /**
+     * Summary of the wheelchair accessibility of each Segment (and Walk)
+     * @type {TripSearchResult~Accessibility[]}
+     */
+    this.accessibility = this._buildAccessibility();
+
+    /**
+     * Flag for a Result with wheelchair accessible Trips and 'Enter'
+     * and 'Exit' Stops in every Segment
+     * @type {boolean}
+     */
+    this.wheelchairAccessible = true;
+    for ( let i = 0; i < this.accessibility.length; i++ ) {
+      if ( !this.accessibility[i].accessible ) {
+        this.wheelchairAccessible = false;
+      }
+    }
+
+    /**
+     * The Trip Search criteria that kept this Result in the Trip Search
+     * Results: the criteria in which this Result is better than the other
+     * Results that are better in a different criterion
+     * @type {string[]}
+     */
+    this.criteria = [];
+
+    /**
+     * The errors loading the real-time Station Feeds of the Segments
+     * (see {@link TripSearchResultSegment#feedError}).  When not empty,
+     * the real-time status could not be applied to one or more Segments,
+     * which keep their scheduled times.
+     * @type {Error[]}
+     */
+    this.feedErrors = [];
+
+  }
+
+
+  /**
+   * Build the wheelchair accessibility summary of each Segment
+   * @returns {TripSearchResult~Accessibility[]}
+   * @private
+   */
+  _buildAccessibility() {
+    let rtn = [];
+    for ( let i = 0; i < this.length; i++ ) {
+      let segment = this.segments[i];
+      let walk = segment instanceof TripSearchResultWalk;
+
+      let accessibility = {
+        trip: walk ? undefined : segment.trip.wheelchairAccessible,
+        enter: segment.enter.stop.wheelchairBoarding,
+        exit: segment.exit.stop.wheelchairBoarding
+      };
+      accessibility.accessible = (walk || accessibility.trip === Trip.WHEELCHAIR_ACCESSIBLE_YES) &&
+        accessibility.enter === Stop.WHEELCHAIR_BOARDING_YES &&
+        accessibility.exit === Stop.WHEELCHAIR_BOARDING_YES;
+
+      rtn.push(accessibility);
+    }
+    return rtn;
+  }
+
+
+  /**
+   * Get the value of this Result for the specified Trip Search criterion,
+   * where a lower value is better
+   * @param {string} criterion Trip Search criterion (one of the `CRITERION_*` constants)
+   * @returns {number} criterion value (or undefined for an unknown criterion)
+   */
+  getCriterionValue(criterion) {
+    if ( criterion === TripSearchResult.CRITERION_DEPARTURE ) {
+      return -1 * this.origin.departure.toTimestamp();
+    }
+    else if ( criterion === TripSearchResult.CRITERION_ARRIVAL ) {
+      return this.destination.arrival.toTimestamp();
+    }
+    else if ( criterion === TripSearchResult.CRITERION_TRANSFERS ) {
+      return this.transfers.length;
+    }
+    else if ( criterion === TripSearchResult.CRITERION_LAYOVER ) {
+      return this.layoverTime.getMinutes();
+    }
+    else if ( criterion === TripSearchResult.CRITERION_WALK ) {
+      return this.walkDistance;
+    }
+    return undefined;
   }
 
 
@@ -89,11 +202,25 @@ class TripSearchResult {
     // Build Each Transfer
     for ( let i = 0; i < this.length-1; i++ ) {
 
+      // Skip Walks, they are part of the Transfer
+      if ( this.segments[i] instanceof TripSearchResultWalk ) {
+        continue;
+      }
+
+      // Walk to the next Trip
+      let walk = undefined;
+      let next = this.segments[i+1];
+      if ( next instanceof TripSearchResultWalk ) {
+        walk = next;
+        next = this.segments[i+2];
+      }
+
       // Build the Transfer Stop
       let transfer = new TripSearchResultTransfer(
         this.segments[i].exit.stop,
         this.segments[i].exit.arrival,
-        this.segments[i+1].enter.departure
+        next.enter.departure,
+        walk
       );
 
       // Add to List
@@ -110,6 +237,57 @@ class TripSearchResult {
 }
 
 
+/**
+ * @typedef {Object} TripSearchResult~Accessibility Wheelchair accessibility of a Segment
+ * @property {int} trip The Trip's wheelchair accessibility code (undefined for a Walk)
+ * @property {int} enter The 'Enter' Stop's wheelchair boarding code
+ * @property {int} exit The 'Exit' Stop's wheelchair boarding code
+ * @property {boolean} accessible Flag for an accessible Trip and 'Enter' and 'Exit' Stops
+ */
+
+
+
+// ==== TRIP SEARCH CRITERIA ==== //
+
+/**
+ * Trip Search Criterion: later departure from the Origin
+ * @const {string}
+ * @default
+ */
+TripSearchResult.CRITERION_DEPARTURE = 'departure';
+
+/**
+ * Trip Search Criterion: earlier arrival at the Destination
+ * @const {string}
+ * @default
+ */
+TripSearchResult.CRITERION_ARRIVAL = 'arrival';
+
+/**
+ * Trip Search Criterion: fewer transfers
+ * @const {string}
+ * @default
+ */
+TripSearchResult.CRITERION_TRANSFERS = 'transfers';
+
+/**
+ * Trip Search Criterion: less total layover time
+ * @const {string}
+ * @default
+ */
+TripSearchResult.CRITERION_LAYOVER = 'layover';
+
+/**
+ * Trip Search Criterion: shorter total walking distance
+ * @const {string}
+ * @default
+ */
+TripSearchResult.CRITERION_WALK = 'walk';
+
+
+
+// ==== SORT FUNCTIONS ==== //
+
 /**
  * Sort Trip Search Results by their departure from the Origin
  * @param {TripSearchResult} a first TripSearchResult
@@ -7,6 +7,9 @@
  */
 
 
+const Duration = require('../utils/Duration.js');
+
+
 /**
  * Trip Search Result Segment
  * --------
@@ -22,6 +25,10 @@
  * leave a Trip, respectively, on their way from their original Origin Stop
  * to their final Destination Stop.
  *
+ * When the Trip Search uses real-time Station Feeds, the Segment is
+ * annotated with the real-time status of its Trip and the estimated
+ * departure and arrival at its 'Enter' and 'Exit' Stops.
+ *
  * **Module:** {@link module:search/TripSearchResultSegment|search/TripSearchResultSegment}
  *
  * @class
@@ -68,11 +75,64 @@ class TripSearchResultSegment {
     this.destination = this.trip.stopTimes[this.trip.stopTimes.length-1];
 
     /**
-     * Travel Time (in minutes) on this Segment
-     * @type {number}
+     * Travel Time on this Segment
+     * @type {Duration}
+     */
+    this.travelTime = Duration.between(this.enter.departure, this.exit.arrival);
+
+    /**
+     * The real-time status of the Trip's departure from the 'Enter' Stop
+     * (when available from the Station Feed)
+     * @type {StationFeedDepartureStatus}
      */
-    this.travelTime = (this.exit.arrival.toTimestamp() - this.enter.departure.toTimestamp())/60000;
+    this.status = undefined;
+
+    /**
+     * The estimated departure Date/Time from the 'Enter' Stop
+     * (when real-time status is available)
+     * @type {DateTime}
+     */
+    this.estDeparture = undefined;
+
+    /**
+     * The estimated arrival Date/Time at the 'Exit' Stop
+     * (when real-time status is available)
+     * @type {DateTime}
+     */
+    this.estArrival = undefined;
+
+    /**
+     * The error loading the real-time Station Feed of the 'Enter' Stop
+     * (when the real-time status could not be applied)
+     * @type {Error}
+     */
+    this.feedError = undefined;
+
+  }
+
+  /**
+   * Set the real-time status of the Segment's Trip and estimate the
+   * departure and arrival times.  The delay at the 'Enter' Stop is
+   * assumed to continue to the 'Exit' Stop.
+   * @param {StationFeedDepartureStatus} status Real-time status of the departure from the 'Enter' Stop
+   */
+  setStatus(status) {
+    this.status = status;
+
+    // Use the estimated departure, if provided (in the timezone of the
+    // Trip, when the Station Feed does not set a timezone)
+    if ( status.estDeparture !== undefined && status.estDeparture !== null ) {
+      this.estDeparture = status.estDeparture.timezone === undefined ?
+        status.estDeparture.withTimezone(this.enter.departure.timezone) :
+        status.estDeparture;
+    }
+    else {
+      this.estDeparture = this.enter.departure.clone().deltaMins(status.delay ? status.delay : 0);
+    }
 
+    // Apply the departure delay to the arrival
+    let delay = Duration.between(this.enter.departure, this.estDeparture).getMinutes();
+    this.estArrival = this.exit.arrival.clone().deltaMins(delay);
   }
 
 }
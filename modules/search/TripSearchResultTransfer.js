@@ -7,6 +7,8 @@
  */
 
 
+const Duration = require('../utils/Duration.js');
+
 
 /**
  * Trip Search Result Transfer
@@ -16,6 +18,11 @@
  * information on the Transfer Stop, the arrival and departure times to/from the
  * Transfer Stop and the layover time spent at the Transfer Stop.
  *
+ * When the rider walks to a nearby Stop to make the Transfer, the Transfer
+ * Stop is the Stop where the rider leaves the first Trip, the departure is
+ * from the Stop at the end of the {@link TripSearchResultWalk|Walk} and the
+ * layover time does not include the walking time.
+ *
  * **Module:** {@link module:search/TripSearchResultTransfer|search/TripSearchResultTransfer}
  *
  * @class
@@ -29,8 +36,9 @@ class TripSearchResultTransfer {
    * @param {Stop} stop Transfer Stop
    * @param {DateTime} arrival Arrival Date/Time
    * @param {DateTime} departure Departure Date/Time
+   * @param {TripSearchResultWalk} [walk] The Walk to the Stop of the departing Trip
    */
-  constructor(stop, arrival, departure) {
+  constructor(stop, arrival, departure, walk) {
 
     /**
      * The Transfer Stop
@@ -51,10 +59,20 @@ class TripSearchResultTransfer {
     this.departure = departure;
 
     /**
-     * The Layover Time (minutes) spent at the Transfer Stop
-     * @type {number}
+     * The Walk to the Stop of the departing Trip (when the Trips do not
+     * share the Transfer Stop)
+     * @type {TripSearchResultWalk}
+     */
+    this.walk = walk;
+
+    /**
+     * The Layover Time spent at the Transfer Stop(s)
+     * @type {Duration}
      */
-    this.layoverTime = (this.departure.toTimestamp() - this.arrival.toTimestamp())/60000;
+    this.layoverTime = Duration.between(this.arrival, this.departure);
+    if ( this.walk !== undefined ) {
+      this.layoverTime = this.layoverTime.minus(this.walk.travelTime);
+    }
 
   }
 
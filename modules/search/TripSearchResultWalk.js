@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Trip Search Result Walk Class
+ * @see {@link TripSearchResultWalk}
+ * @module search/TripSearchResultWalk
+ */
+
+
+const StopTime = require('../gtfs/StopTime.js');
+const Duration = require('../utils/Duration.js');
+
+
+/**
+ * Trip Search Result Walk
+ * --------
+ * This Class represents a walk between two nearby Stops in a
+ * {@link TripSearchResult|Trip Search Result}.  A Walk is used in place of a
+ * {@link TripSearchResultSegment|Trip Search Result Segment} when a rider
+ * transfers between Trips that do not share a Stop.
+ *
+ * The 'Enter' and 'Exit' StopTimes are the Stops where the walk starts and
+ * ends.  The walk starts as soon as the rider leaves the previous Trip.
+ *
+ * **Module:** {@link module:search/TripSearchResultWalk|search/TripSearchResultWalk}
+ *
+ * @class
+ * @alias TripSearchResultWalk
+ */
+class TripSearchResultWalk {
+
+  /**
+   * Create a new Trip Search Result Walk between the provided Stops
+   * @param {Stop} enter The Stop where the walk starts
+   * @param {Stop} exit The Stop where the walk ends
+   * @param {DateTime} departure The Date/Time the walk starts
+   * @param {number} distance The walking distance (in meters)
+   * @param {number} travelTime The walking time (in minutes)
+   */
+  constructor(enter, exit, departure, distance, travelTime) {
+    let arrival = departure.clone().deltaMins(travelTime);
+
+    /**
+     * The StopTime where the walk starts
+     * @type {StopTime}
+     */
+    this.enter = new StopTime(
+      enter, _getGTFSTime(departure), _getGTFSTime(departure), undefined, {date: departure.getDateInt(), timezone: departure.timezone}
+    );
+
+    /**
+     * The StopTime where the walk ends
+     * @type {StopTime}
+     */
+    this.exit = new StopTime(
+      exit, _getGTFSTime(arrival), _getGTFSTime(arrival), undefined, {date: arrival.getDateInt(), timezone: arrival.timezone}
+    );
+
+    /**
+     * The walking distance (in meters)
+     * @type {number}
+     */
+    this.distance = distance;
+
+    /**
+     * Travel Time of the walk
+     * @type {Duration}
+     */
+    this.travelTime = Duration.fromMinutes(travelTime);
+
+  }
+
+}
+
+
+/**
+ * Get the GTFS Time (HH:mm:ss) of the Date/Time: its time since the start
+ * of its service date (not the wall-clock time of
+ * {@link DateTime#getTimeGTFS|getTimeGTFS()}, which differs on the days
+ * of a daylight saving transition)
+ * @param {DateTime} datetime Date/Time
+ * @returns {string} GTFS Time
+ * @private
+ */
+function _getGTFSTime(datetime) {
+  let time = datetime.getTimeSeconds();
+  let parts = [Math.floor(time/3600), Math.floor((time%3600)/60), time%60];
+  return parts.map(function(part) {
+    return part < 10 ? '0' + part : '' + part;
+  }).join(':');
+}
+
+
+module.exports = TripSearchResultWalk;
\ No newline at end of file
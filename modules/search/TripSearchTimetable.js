@@ -0,0 +1,312 @@
+'use strict';
+
+/**
+ * Trip Search Timetable Class
+ * @see {@link TripSearchTimetable}
+ * @module search/TripSearchTimetable
+ * @private
+ */
+
+
+const Stop = require('../gtfs/Stop.js');
+const StopTime = require('../gtfs/StopTime.js');
+const Trip = require('../gtfs/Trip.js');
+const DateTime = require('../utils/DateTime.js');
+
+
+/**
+ * Trip Search Timetable
+ * --------
+ * This Class holds the slice of the GTFS schedule used by a single Trip
+ * Search: the stop times of every Trip that operates during the search's
+ * Trip Search Dates at the Stops along the Line Graph paths between the
+ * origin and destination Stops, along with the footpaths that can be
+ * walked between nearby Stops when transferring and the GTFS Transfer rules
+ * between the Stops.
+ *
+ * All times in the Timetable are stored as the number of seconds since
+ * the start (noon minus 12h) of the Timetable's base date, so Trips
+ * operating on different service days can be compared directly (including
+ * across a daylight saving transition).
+ * @class
+ * @alias TripSearchTimetable
+ * @private
+ */
+class TripSearchTimetable {
+
+  /**
+   * Create a new (empty) Trip Search Timetable
+   * @param {int} baseDate The date (yyyymmdd) all Timetable times are relative to
+   * @param {string} [timezone] The IANA timezone of the Timetable's service dates
+   */
+  constructor(baseDate, timezone) {
+
+    /**
+     * The date (yyyymmdd) all Timetable times are relative to
+     * @type {int}
+     */
+    this.baseDate = baseDate;
+
+    /**
+     * The IANA timezone of the Timetable's service dates
+     * (or undefined for the host timezone)
+     * @type {string}
+     */
+    this.timezone = timezone;
+
+    /**
+     * The Timetable Trips
+     * @type {Object[]}
+     */
+    this.trips = [];
+
+    /**
+     * Lookup of Timetable Trips by their key (Trip ID + date)
+     * @type {Object}
+     * @private
+     */
+    this._tripsByKey = {};
+
+    /**
+     * Lookup of footpaths by the Stop ID they start from
+     * @type {Object}
+     * @private
+     */
+    this._footpathsByStop = {};
+
+    /**
+     * Lookup of GTFS Transfer rules by their from and to Stop IDs
+     * @type {Object}
+     * @private
+     */
+    this._transfersByStops = {};
+
+  }
+
+  /**
+   * Add the stop time rows selected for a Trip Search Date to the Timetable
+   * @param {TripSearchDate} tripSearchDate The Trip Search Date the rows were selected for
+   * @param {Object[]} rows The selected gtfs_stop_times rows
+   */
+  addStopTimes(tripSearchDate, rows) {
+    let offset = this.getOffset(tripSearchDate.date);
+    for ( let i = 0; i < rows.length; i++ ) {
+      let row = rows[i];
+      let key = row.trip_id + "-" + tripSearchDate.date;
+
+      // Create a new Timetable Trip
+      let trip = this._tripsByKey[key];
+      if ( trip === undefined ) {
+        trip = {
+          key: key,
+          id: row.trip_id,
+          date: tripSearchDate.date,
+          routeId: row.route_id,
+          directionId: row.direction_id,
+          wheelchairAccessible: row.wheelchair_accessible !== null && row.wheelchair_accessible !== undefined ?
+            row.wheelchair_accessible : Trip.WHEELCHAIR_ACCESSIBLE_UNKNOWN,
+          stopTimes: []
+        };
+        this._tripsByKey[key] = trip;
+        this.trips.push(trip);
+      }
+
+      // Add the Stop Time to the Trip
+      trip.stopTimes.push({
+        stopId: row.stop_id,
+        stopSequence: row.stop_sequence,
+        wheelchairBoarding: row.wheelchair_boarding !== null && row.wheelchair_boarding !== undefined ?
+          row.wheelchair_boarding : Stop.WHEELCHAIR_BOARDING_UNKNOWN,
+        arrival: row.arrival_time_seconds + offset,
+        departure: row.departure_time_seconds + offset,
+        pickup: row.pickup_type !== StopTime.PICKUP_TYPE_NONE,
+        dropOff: row.drop_off_type !== StopTime.DROP_OFF_TYPE_NONE
+      });
+    }
+
+    // Keep each Trip's Stop Times in stop sequence order
+    for ( let i = 0; i < this.trips.length; i++ ) {
+      this.trips[i].stopTimes.sort(_sortByStopSequence);
+    }
+  }
+
+  /**
+   * Remove the Trips that are not wheelchair accessible from the Timetable
+   * and prevent boarding and leaving Trips at the Stops that are not
+   * wheelchair accessible
+   * @param {boolean} strict When true, Trips and Stops with unknown
+   * accessibility are treated as inaccessible
+   */
+  removeInaccessible(strict) {
+    let trips = [];
+    for ( let i = 0; i < this.trips.length; i++ ) {
+      let trip = this.trips[i];
+
+      // Remove inaccessible Trip
+      if ( !_isAccessible(trip.wheelchairAccessible, Trip.WHEELCHAIR_ACCESSIBLE_YES, Trip.WHEELCHAIR_ACCESSIBLE_UNKNOWN, strict) ) {
+        delete this._tripsByKey[trip.key];
+      }
+
+      // Keep Trip, without boarding or leaving at inaccessible Stops
+      else {
+        for ( let j = 0; j < trip.stopTimes.length; j++ ) {
+          let stopTime = trip.stopTimes[j];
+          if ( !_isAccessible(stopTime.wheelchairBoarding, Stop.WHEELCHAIR_BOARDING_YES, Stop.WHEELCHAIR_BOARDING_UNKNOWN, strict) ) {
+            stopTime.pickup = false;
+            stopTime.dropOff = false;
+          }
+        }
+        trips.push(trip);
+      }
+    }
+    this.trips = trips;
+  }
+
+  /**
+   * Add a footpath between two nearby Stops to the Timetable
+   * @param {string} fromId The Stop ID the footpath starts from
+   * @param {string} toId The Stop ID the footpath ends at
+   * @param {number} distance The walking distance (in meters)
+   * @param {int} time The walking time (in seconds)
+   */
+  addFootpath(fromId, toId, distance, time) {
+    if ( !this._footpathsByStop.hasOwnProperty(fromId) ) {
+      this._footpathsByStop[fromId] = [];
+    }
+    this._footpathsByStop[fromId].push({
+      stopId: toId,
+      distance: distance,
+      time: time
+    });
+  }
+
+  /**
+   * Get the footpaths starting from the specified Stop
+   * @param {string} stopId Stop ID
+   * @returns {Object[]} footpaths (`{stopId, distance, time}`)
+   */
+  getFootpaths(stopId) {
+    return this._footpathsByStop.hasOwnProperty(stopId) ? this._footpathsByStop[stopId] : [];
+  }
+
+  /**
+   * Add a GTFS Transfer rule to the Timetable
+   * @param {Transfer} transfer GTFS Transfer
+   */
+  addTransfer(transfer) {
+    let key = transfer.fromStopId + "-" + transfer.toStopId;
+    if ( !this._transfersByStops.hasOwnProperty(key) ) {
+      this._transfersByStops[key] = [];
+    }
+    this._transfersByStops[key].push(transfer);
+  }
+
+  /**
+   * Get the most specific GTFS Transfer rule for a connection from the
+   * arriving Trip to the departing Trip.  Rules for specific Trips take
+   * precedence over rules for specific Routes, which take precedence over
+   * rules for just the Stops.
+   * @param {string} fromStopId The Stop ID where the connection begins
+   * @param {string} toStopId The Stop ID where the connection ends
+   * @param {Object} fromTrip The arriving Timetable Trip
+   * @param {Object} toTrip The departing Timetable Trip
+   * @returns {Transfer} the matching Transfer (or undefined if there is no rule)
+   */
+  getTransfer(fromStopId, toStopId, fromTrip, toTrip) {
+    let key = fromStopId + "-" + toStopId;
+    let transfers = this._transfersByStops.hasOwnProperty(key) ? this._transfersByStops[key] : [];
+
+    let rtn = undefined;
+    let rtnScore = -1;
+    for ( let i = 0; i < transfers.length; i++ ) {
+      let transfer = transfers[i];
+
+      // Skip rules for other Trips or Routes
+      if ( !_matches(transfer.fromTripId, fromTrip.id) || !_matches(transfer.toTripId, toTrip.id) ||
+        !_matches(transfer.fromRouteId, fromTrip.routeId) || !_matches(transfer.toRouteId, toTrip.routeId) ) {
+        continue;
+      }
+
+      // Trip rules are more specific than Route rules
+      let score = (transfer.fromTripId !== undefined ? 4 : 0) + (transfer.toTripId !== undefined ? 4 : 0) +
+        (transfer.fromRouteId !== undefined ? 1 : 0) + (transfer.toRouteId !== undefined ? 1 : 0);
+
+      // Keep the most specific rule
+      if ( score > rtnScore ) {
+        rtn = transfer;
+        rtnScore = score;
+      }
+    }
+
+    return rtn;
+  }
+
+  /**
+   * Get the number of seconds between the start of the base date and
+   * the start of the specified date (a day can be 23 or 25 hours long
+   * on the days of a daylight saving transition)
+   * @param {int} date Date (yyyymmdd)
+   * @returns {int} offset in seconds
+   */
+  getOffset(date) {
+    return DateTime.createFromDate(date, this.timezone).getServiceSeconds(this.baseDate);
+  }
+
+  /**
+   * Get the Timetable time (seconds since the start of the base date)
+   * of the specified Date/Time
+   * @param {DateTime} datetime Date/Time
+   * @returns {int} Timetable time in seconds
+   */
+  getTime(datetime) {
+    return this.getOffset(datetime.getDateInt()) + datetime.getTimeSeconds();
+  }
+
+  /**
+   * Get the Timetable Trip with the specified key
+   * @param {string} key Timetable Trip key (Trip ID + date)
+   * @returns {Object} Timetable Trip
+   */
+  getTrip(key) {
+    return this._tripsByKey[key];
+  }
+
+}
+
+
+/**
+ * Check if the GTFS wheelchair accessibility code is accessible
+ * @param {int} code GTFS wheelchair accessibility code
+ * @param {int} yes The code for accessible
+ * @param {int} unknown The code for unknown accessibility
+ * @param {boolean} strict When true, an unknown code is not accessible
+ * @returns {boolean}
+ * @private
+ */
+function _isAccessible(code, yes, unknown, strict) {
+  return code === yes || (!strict && code === unknown);
+}
+
+
+/**
+ * Check if the (optional) ID of a Transfer rule matches the ID
+ * @param {string} [ruleId] Transfer rule ID (matches any ID when undefined)
+ * @param {string} id ID to check
+ * @returns {boolean}
+ * @private
+ */
+function _matches(ruleId, id) {
+  return ruleId === undefined || ruleId === id;
+}
+
+
+/**
+ * Sort Timetable Stop Times by their stop sequence
+ * @private
+ */
+function _sortByStopSequence(a, b) {
+  return a.stopSequence - b.stopSequence;
+}
+
+
+module.exports = TripSearchTimetable;
\ No newline at end of file
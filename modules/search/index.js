@@ -31,6 +31,12 @@ module.exports = {
    * Trip Search Result Transfer Class
    * @see TripSearchResultTransfer
    */
-  TripSearchResultTransfer: require('./TripSearchResultTransfer')
+  TripSearchResultTransfer: require('./TripSearchResultTransfer'),
+
+  /**
+   * Trip Search Result Walk Class
+   * @see TripSearchResultWalk
+   */
+  TripSearchResultWalk: require('./TripSearchResultWalk.js')
 
 };
\ No newline at end of file
@@ -7,46 +7,55 @@
  */
 
 
-const Agency = require('../gtfs/Agency.js');
-const Route = require('../gtfs/Route.js');
-const StopTime = require('../gtfs/StopTime.js');
-const TripsTable = require('../query/TripsTable.js');
+const TripSearchTimetable = require('./TripSearchTimetable.js');
+const TransfersTable = require('../query/TransfersTable.js');
+const sql = require('../utils/sql.js');
 
 
 /**
- * Get a list of Trips that operate during the specified TripSearchDates and
- * run from the specified Stop to at least one of the provided following Stops
+ * Load the Trip Search Timetable: the stop times (at the specified Stops) of
+ * all of the Trips that depart one of the specified Stops during the
+ * specified Trip Search Dates.
+ *
+ * The timetable is loaded with a single query per Trip Search Date, all
+ * times in the returned Timetable are relative to the start of the first
+ * Trip Search Date.  The GTFS Transfer rules from the specified Stops are
+ * added to the Timetable (when the database has a gtfs_transfers table).
  * @param {RightTrackDB} db The Right Track DB to query
- * @param {Stop} stop The reference Stop
+ * @param {String[]} stopIds List of Stop IDs to include in the Timetable
  * @param {TripSearchDate[]} tripSearchDates List of Trip Search Dates
- * @param {String[]} nextStops List of following Stops (Stop IDs)
+ * @param {string} timezone IANA timezone of the Trip Search Dates
  * @param {function} callback Callback function
  * @param {Error} callback.err Database Query Error
- * @param {Trip[]} [callback.trips] List of matching Trips
+ * @param {TripSearchTimetable} [callback.timetable] The Trip Search Timetable
  * @private
  */
-function getTripsFromStop(db, stop, tripSearchDates, nextStops, callback) {
+function getTimetable(db, stopIds, tripSearchDates, timezone, callback) {
 
-  // List of Trips to Return
-  let rtn = [];
+  // Timetable to return
+  let rtn = new TripSearchTimetable(tripSearchDates[0].date, timezone);
 
   // Counters
   let done = 0;
-  let count = tripSearchDates.length;
+  let count = tripSearchDates.length + 1;
+  let failed = false;
 
-  // Parse each TripSearchDate separately
+  // Load the stop times for each Trip Search Date
   for ( let i = 0; i < tripSearchDates.length; i++ ) {
-    _getTripsFromStop(db, stop, tripSearchDates[i], function(err, trips) {
+    let tripSearchDate = tripSearchDates[i];
+    _getStopTimes(db, stopIds, tripSearchDate, function(err, rows) {
+      if ( failed ) {
+        return;
+      }
 
       // Database Query Error
       if ( err ) {
+        failed = true;
         return callback(err);
       }
 
-      // Check each of the Trips to add
-      for ( let j = 0; j < trips.length; j++ ) {
-        _addTrip(trips[j]);
-      }
+      // Add Stop Times to the Timetable
+      rtn.addStopTimes(tripSearchDate, rows);
 
       // Finish the TSD
       _finish();
@@ -54,50 +63,25 @@ function getTripsFromStop(db, stop, tripSearchDates, nextStops, callback) {
     });
   }
 
+  // Load the Transfer rules
+  TransfersTable.getTransfers(db, function(err, transfers) {
 
-  /**
-   * Add the specified Trip to the return list, if it is not
-   * already present and it continues to one of the next stops
-   * @param {Trip} trip Trip to add
-   * @private
-   */
-  function _addTrip(trip) {
-
-    // Make sure trip isn't already in list
-    let found = false;
-    for ( let i = 0; i < rtn.length; i++ ) {
-      if ( rtn[i].id === trip.id ) {
-        found = true;
-      }
+    // No Transfer rules available: use the Trip Search Options
+    if ( err ) {
+      transfers = [];
     }
 
-    // Process new trip
-    if ( !found ) {
-
-      // Make sure the trip stops at any of the next stops, after the current stop
-      let stopFound = false;
-      let add = false;
-      for ( let i = 0; i < trip.stopTimes.length; i++ ) {
-        let stopId = trip.stopTimes[i].stop.id;
-        if ( !stopFound && stopId === stop.id ) {
-          stopFound = true;
-        }
-        else if ( stopFound ) {
-          if ( nextStops.indexOf(stopId) > -1 ) {
-            add = true;
-            i = trip.stopTimes.length;
-          }
-        }
-      }
-
-      // Add Trip
-      if ( add ) {
-        rtn.push(trip);
+    // Add the Transfers from the Stops to the Timetable
+    for ( let i = 0; i < transfers.length; i++ ) {
+      if ( stopIds.indexOf(transfers[i].fromStopId) !== -1 ) {
+        rtn.addTransfer(transfers[i]);
       }
-
     }
 
-  }
+    // Finish the Transfers
+    _finish();
+
+  });
 
 
   /**
@@ -115,90 +99,102 @@ function getTripsFromStop(db, stop, tripSearchDates, nextStops, callback) {
 
 
 /**
- * Get the Trips within the TripSearchDate range from the specified Stop
+ * Get the stop times at the specified Stops of the Trips that depart one of
+ * the Stops within the Trip Search Date range
  * @param {RightTrackDB} db The Right Track DB to query
- * @param {Stop} stop The reference Stop
+ * @param {String[]} stopIds List of Stop IDs
  * @param {TripSearchDate} tripSearchDate The Trip Search Date
- * @param {function} callback Callback function(err, trips)
+ * @param {function} callback Callback function(err, rows)
  * @private
  */
-function _getTripsFromStop(db, stop, tripSearchDate, callback) {
-
-  // List of trips to return
-  let rtn = [];
+function _getStopTimes(db, stopIds, tripSearchDate, callback) {
 
-  // Set counters
-  let done = 0;
-  let count = 0;
+  // No effective services or stops
+  if ( tripSearchDate.serviceIds.length === 0 || stopIds.length === 0 ) {
+    return callback(null, []);
+  }
 
-  // Build Service ID String
-  let serviceIdString = "'" + tripSearchDate.serviceIds.join("', '") + "'";
+  // Build Service and Stop ID Placeholders
+  let serviceIdString = sql.placeholders(tripSearchDate.serviceIds);
+  let stopIdString = sql.placeholders(stopIds);
 
-  // Get Trip IDs
-  let select = "SELECT gtfs_stop_times.trip_id " +
+  // Get the Stop Times of the Trips that depart one of the Stops within the range
+  let select = "SELECT gtfs_stop_times.trip_id, route_id, direction_id, wheelchair_accessible, " +
+    "gtfs_stop_times.stop_id, stop_sequence, wheelchair_boarding, " +
+    "arrival_time_seconds, departure_time_seconds, pickup_type, drop_off_type " +
     "FROM gtfs_stop_times " +
     "INNER JOIN gtfs_trips ON gtfs_stop_times.trip_id=gtfs_trips.trip_id " +
-    "WHERE stop_id='" + stop.id + "' AND " +
-    "departure_time_seconds >= " + tripSearchDate.preSeconds + " AND departure_time_seconds <= " + tripSearchDate.postSeconds + " AND " +
-    "pickup_type <> " + StopTime.PICKUP_TYPE_NONE + " AND " +
-    "gtfs_trips.service_id IN (" + serviceIdString + ")";
-
-  // Select the Trip IDs
-  db.select(select, function(err, results) {
+    "INNER JOIN gtfs_stops ON gtfs_stop_times.stop_id=gtfs_stops.stop_id " +
+    "WHERE gtfs_stop_times.stop_id IN (" + stopIdString + ") AND " +
+    "gtfs_trips.service_id IN (" + serviceIdString + ") AND " +
+    "gtfs_stop_times.trip_id IN (" +
+    "SELECT DISTINCT trip_id FROM gtfs_stop_times " +
+    "WHERE stop_id IN (" + stopIdString + ") AND " +
+    "departure_time_seconds >= ? AND departure_time_seconds <= ?" +
+    ");";
+  let params = stopIds.concat(tripSearchDate.serviceIds, stopIds, [tripSearchDate.preSeconds, tripSearchDate.postSeconds]);
+
+  // Select the Stop Times
+  db.select(select, params, function(err, results) {
 
     // Database Query Error
     if ( err ) {
       return callback(
-        new Error('Could not get Trip(s) from database')
+        new Error('Could not get Trip Search Timetable from database')
       );
     }
 
-    // No Results
-    if ( results.length === 0 ) {
-      return callback(null, rtn);
-    }
+    // Return the Stop Times
+    return callback(null, results);
 
-    // Set the counter
-    count = results.length;
+  });
 
-    // Build the Trips
-    for ( let i = 0; i < results.length; i++ ) {
-      TripsTable.getTrip(db, results[i].trip_id, tripSearchDate.date, function(err, trip) {
+}
 
-        // Database Query Error
-        if ( err ) {
-          return callback(err);
-        }
 
-        // Add trip to list
-        if ( trip ) {
-          rtn.push(trip);
-        }
+/**
+ * Get the IANA timezone of the Trip Search: the `timezone` configuration
+ * property of the Right Track Agency (the Agency of the search or of the
+ * database) or, when not set, the `agency_timezone` of the GTFS agencies
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @param {RightTrackAgency} [agency] The Right Track Agency of the search
+ * @param {function} callback Callback function
+ * @param {Error} callback.err Database Query Error
+ * @param {string} [callback.timezone] IANA timezone (or undefined when not
+ * set, for the host timezone)
+ * @private
+ */
+function getTimezone(db, agency, callback) {
+
+  // Use the timezone of the agency configuration, if set
+  let agencies = [agency, db.agency];
+  for ( let i = 0; i < agencies.length; i++ ) {
+    let config = agencies[i] !== undefined ? agencies[i].getConfig() : undefined;
+    if ( config !== undefined && config.timezone ) {
+      return callback(null, config.timezone);
+    }
+  }
 
-        // Finish Process the Trip
-        _finish();
+  // Get the timezone of the GTFS agencies
+  db.get("SELECT agency_timezone FROM gtfs_agency;", [], function(err, result) {
 
-      });
+    // Database Query Error
+    if ( err ) {
+      return callback(
+        new Error('Could not get Agency timezone from database')
+      );
     }
 
-  });
+    // Return the timezone
+    return callback(null, result !== undefined && result.agency_timezone ? result.agency_timezone : undefined);
 
-
-  /**
-   * Finished Processing Trip
-   * @private
-   */
-  function _finish() {
-    done++;
-    if ( done === count ) {
-      return callback(null, rtn);
-    }
-  }
+  });
 
 }
 
 
 
 module.exports = {
-  getTripsFromStop: getTripsFromStop
+  getTimetable: getTimetable,
+  getTimezone: getTimezone
 };
\ No newline at end of file
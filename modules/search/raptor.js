@@ -0,0 +1,522 @@
+'use strict';
+
+/**
+ * Round-based (RAPTOR) Trip Search functions
+ * @module search/raptor
+ * @private
+ */
+
+
+const Transfer = require('../gtfs/Transfer.js');
+
+
+/**
+ * Perform a round-based search of the Trip Search Timetable for journeys
+ * from the origin to the destination Stop.
+ *
+ * Each departure time from the origin Stop within the departure window is
+ * searched separately.  In round `k` every Trip that can be boarded at a Stop
+ * reached in round `k-1` is scanned, so after round `k` the labels hold the
+ * earliest arrival at each Stop using at most `k` Trips.  The journey to the
+ * destination found in each round is returned, which leaves the choice
+ * between faster journeys and journeys with fewer transfers to the caller.
+ *
+ * When the `arriveBy` option is set, the search runs backwards: each arrival
+ * time at the destination within the window is searched separately and the
+ * labels hold the latest departure from each Stop that still reaches the
+ * destination.
+ *
+ * After each round, the Stops reached by a Trip are connected to the nearby
+ * Stops by the Timetable's footpaths, so the next round can board Trips at
+ * a Stop within walking distance.
+ *
+ * When the `allowChangeInDirection` option is disabled, each GTFS direction
+ * is searched separately using only the Trips operating in that direction
+ * (and Trips with an unspecified direction).
+ *
+ * Besides the best label at each Stop, the later arrivals (or earlier
+ * departures, when searching backwards) at a Stop in a round are kept,
+ * since a Trip departing after the maximum layover of the best label can
+ * still be boarded from a later arrival.  A Trip is boarded from the label
+ * with the shortest layover that can make the transfer.
+ * @param {TripSearchTimetable} timetable The Trip Search Timetable
+ * @param {string} originId Origin Stop ID
+ * @param {string} destinationId Destination Stop ID
+ * @param {int} windowStart Timetable time of the start of the departure (or arrival) window
+ * @param {int} windowEnd Timetable time of the end of the departure (or arrival) window
+ * @param {Object} options Trip Search Options
+ * @returns {Object[][]} List of journeys (each a list of legs: `{trip, walk, enter, exit}`,
+ * where `walk` is the footpath of a walking leg)
+ * @private
+ */
+function raptor(timetable, originId, destinationId, windowStart, windowEnd, options) {
+
+  // List of journeys to return
+  let rtn = [];
+
+  // Number of rounds (Trips) allowed per journey
+  let rounds = options.allowTransfers ? options.maxTransfers + 1 : 1;
+
+  // Search forwards from the origin or backwards from the destination
+  let direction = options.arriveBy ? REVERSE : FORWARD;
+  let source = options.arriveBy ? destinationId : originId;
+  let target = options.arriveBy ? originId : destinationId;
+
+  // Search each direction of travel separately, when changes in direction are not allowed
+  let directionIds = options.allowChangeInDirection ? [undefined] : _getDirectionIds(timetable);
+
+  // Search each departure from the origin (or arrival at the destination) separately
+  let times = _getTimes(timetable, direction, source, windowStart, windowEnd);
+  for ( let i = 0; i < times.length; i++ ) {
+    for ( let j = 0; j < directionIds.length; j++ ) {
+      rtn = rtn.concat(
+        _search(timetable, direction, source, target, times[i], directionIds[j], rounds, options)
+      );
+    }
+  }
+
+  // Return the journeys
+  return rtn;
+
+}
+
+
+/**
+ * Search the Timetable for journeys starting at the source Stop at the
+ * specified time (the origin when searching forwards, the destination
+ * when searching backwards)
+ * @param {TripSearchTimetable} timetable The Trip Search Timetable
+ * @param {Object} direction Search direction (FORWARD or REVERSE)
+ * @param {string} sourceId Source Stop ID
+ * @param {string} targetId Target Stop ID
+ * @param {int} time Timetable time at the source Stop
+ * @param {int} [directionId] GTFS Direction ID of the Trips to use (all Trips when undefined)
+ * @param {int} rounds The max number of rounds (Trips per journey)
+ * @param {Object} options Trip Search Options
+ * @returns {Object[][]} List of journeys
+ * @private
+ */
+function _search(timetable, direction, sourceId, targetId, time, directionId, rounds, options) {
+
+  // List of journeys to return
+  let rtn = [];
+
+  // Best label at each Stop, in any round
+  let best = {};
+
+  // Labels reached in the previous round, by Stop ID
+  let marked = {};
+
+  // Start at the source
+  let start = {
+    round: 0,
+    time: time
+  };
+  best[sourceId] = start;
+  marked[sourceId] = [start];
+
+  // Perform each round
+  for ( let k = 1; k <= rounds; k++ ) {
+
+    // Labels improved in this round
+    let labels = {};
+
+    // Labels reached in this round (including the later arrivals), by Stop ID
+    let reached = {};
+    let improved = false;
+
+    // Scan each Trip
+    for ( let i = 0; i < timetable.trips.length; i++ ) {
+      let trip = timetable.trips[i];
+      let stopTimes = trip.stopTimes;
+      let boarded = undefined;
+
+      // Skip Trips operating in a different direction
+      if ( !_inDirection(trip, directionId) ) {
+        continue;
+      }
+
+      for ( let j = 0; j < stopTimes.length; j++ ) {
+        let stopTime = stopTimes[direction.index(j, stopTimes.length)];
+
+        // Already on the Trip: check the label at this Stop
+        if ( boarded !== undefined ) {
+          let t = direction.labelTime(stopTime);
+          if ( direction.canLabel(stopTime) && direction.isBetter(t, _time(direction, best, targetId)) ) {
+            let label = {
+              round: k,
+              time: t,
+              trip: trip,
+              stopId: stopTime.stopId,
+              boardedId: boarded.stopId,
+              previous: boarded.label
+            };
+            if ( direction.isBetter(t, _time(direction, best, stopTime.stopId)) ) {
+              best[stopTime.stopId] = label;
+              labels[stopTime.stopId] = label;
+              improved = true;
+            }
+            if ( stopTime.stopId !== targetId ) {
+              _add(reached, label);
+              improved = true;
+            }
+          }
+        }
+
+        // Check if the Trip can be boarded at this Stop
+        else if ( direction.canBoard(stopTime) && marked.hasOwnProperty(stopTime.stopId) ) {
+          let label = _getBoardingLabel(timetable, direction, marked[stopTime.stopId], stopTime, trip, targetId, options);
+          if ( label !== undefined ) {
+            boarded = {
+              stopId: stopTime.stopId,
+              label: label
+            };
+          }
+        }
+
+      }
+    }
+
+    // Walk from the Stops reached by a Trip in this round to nearby Stops
+    let walks = {};
+    for ( let stopId in reached ) {
+      if ( reached.hasOwnProperty(stopId) ) {
+        let footpaths = timetable.getFootpaths(stopId);
+        for ( let i = 0; i < footpaths.length; i++ ) {
+          for ( let j = 0; j < reached[stopId].length; j++ ) {
+            let footpath = footpaths[i];
+            let previous = reached[stopId][j];
+            let t = direction.walk(previous.time, footpath.time);
+            if ( footpath.stopId !== targetId && direction.isBetter(t, _time(direction, best, targetId)) ) {
+              let label = {
+                round: k,
+                time: t,
+                walk: footpath,
+                stopId: footpath.stopId,
+                boardedId: stopId,
+                previous: previous
+              };
+              if ( direction.isBetter(t, _time(direction, best, footpath.stopId)) ) {
+                best[footpath.stopId] = label;
+                labels[footpath.stopId] = label;
+              }
+              _add(walks, label);
+            }
+          }
+        }
+      }
+    }
+    for ( let stopId in walks ) {
+      if ( walks.hasOwnProperty(stopId) ) {
+        reached[stopId] = (reached[stopId] || []).concat(walks[stopId]);
+      }
+    }
+
+    // Add the journey to the target found in this round
+    if ( labels.hasOwnProperty(targetId) ) {
+      rtn.push(direction.buildJourney(labels[targetId]));
+    }
+
+    // Stop when no Stops were reached
+    if ( !improved ) {
+      break;
+    }
+    marked = reached;
+
+  }
+
+  // Return the journeys
+  return rtn;
+
+}
+
+
+/**
+ * Get the label at the Stop to board the Trip from: the label with the
+ * shortest layover (the latest arrival, when searching forwards) that can
+ * make the transfer to the Trip
+ * @param {TripSearchTimetable} timetable The Trip Search Timetable
+ * @param {Object} direction Search direction
+ * @param {Object[]} labels Labels at the Stop
+ * @param {Object} stopTime Timetable Stop Time of the Trip
+ * @param {Object} trip Timetable Trip
+ * @param {string} targetId Target Stop ID
+ * @param {Object} options Trip Search Options
+ * @returns {Object|undefined} label (or undefined if the Trip can't be boarded)
+ * @private
+ */
+function _getBoardingLabel(timetable, direction, labels, stopTime, trip, targetId, options) {
+  let rtn = undefined;
+  for ( let i = 0; i < labels.length; i++ ) {
+    let label = labels[i];
+    if ( (rtn === undefined || direction.isBetter(rtn.time, label.time)) &&
+      _canBoard(timetable, direction, label, stopTime, trip, targetId, options) ) {
+      rtn = label;
+    }
+  }
+  return rtn;
+}
+
+
+/**
+ * Check if the Trip can be boarded at the Stop Time from the label.
+ *
+ * A transfer follows the most specific GTFS Transfer rule between the
+ * Trips: a forbidden transfer can't be made, a timed transfer can be made
+ * without the minimum layover and a minimum transfer time replaces the
+ * minimum layover (and includes the time walking between Stops).  Without
+ * a rule, the transfer uses the minimum layover option.
+ * @param {TripSearchTimetable} timetable The Trip Search Timetable
+ * @param {Object} direction Search direction
+ * @param {Object} label Label at the Stop
+ * @param {Object} stopTime Timetable Stop Time of the Trip
+ * @param {Object} trip Timetable Trip
+ * @param {string} targetId Target Stop ID
+ * @param {Object} options Trip Search Options
+ * @returns {boolean}
+ * @private
+ */
+function _canBoard(timetable, direction, label, stopTime, trip, targetId, options) {
+
+  // Source: board the Trips at the searched time
+  if ( label.round === 0 ) {
+    return direction.boardTime(stopTime) === label.time;
+  }
+
+  // Don't transfer at the target
+  if ( stopTime.stopId === targetId ) {
+    return false;
+  }
+
+  // Check the max layover time
+  let layover = direction.layover(label, stopTime);
+  if ( layover > options.maxLayoverMins*60 ) {
+    return false;
+  }
+
+  // Check the min layover time, following the Transfer rule
+  let tripLabel = label.walk !== undefined ? label.previous : label;
+  let transfer = direction.getTransfer(timetable, tripLabel, stopTime, trip);
+  if ( transfer !== undefined && transfer.transferType === Transfer.TRANSFER_TYPE_NOT_POSSIBLE ) {
+    return false;
+  }
+  else if ( transfer !== undefined && transfer.transferType === Transfer.TRANSFER_TYPE_TIMED ) {
+    if ( layover < 0 ) {
+      return false;
+    }
+  }
+  else if ( transfer !== undefined && transfer.transferType === Transfer.TRANSFER_TYPE_MIN_TIME && transfer.minTransferTime !== undefined ) {
+    if ( layover < 0 || direction.layover(tripLabel, stopTime) < transfer.minTransferTime ) {
+      return false;
+    }
+  }
+  else if ( layover < options.minLayoverMins*60 ) {
+    return false;
+  }
+
+  // Don't board a Trip already used by the journey
+  while ( label.round > 0 ) {
+    if ( label.trip === trip ) {
+      return false;
+    }
+    label = label.previous;
+  }
+
+  return true;
+
+}
+
+
+/**
+ * Get the distinct times at the source Stop within the window
+ * @param {TripSearchTimetable} timetable The Trip Search Timetable
+ * @param {Object} direction Search direction
+ * @param {string} sourceId Source Stop ID
+ * @param {int} windowStart Timetable time of the start of the window
+ * @param {int} windowEnd Timetable time of the end of the window
+ * @returns {int[]} sorted times
+ * @private
+ */
+function _getTimes(timetable, direction, sourceId, windowStart, windowEnd) {
+  let rtn = [];
+  for ( let i = 0; i < timetable.trips.length; i++ ) {
+    let stopTimes = timetable.trips[i].stopTimes;
+    for ( let j = 0; j < stopTimes.length; j++ ) {
+      let stopTime = stopTimes[j];
+      let t = direction.boardTime(stopTime);
+      if ( stopTime.stopId === sourceId && direction.canBoard(stopTime) &&
+        t >= windowStart && t <= windowEnd && rtn.indexOf(t) === -1 ) {
+        rtn.push(t);
+      }
+    }
+  }
+  rtn.sort(function(a, b) {
+    return a - b;
+  });
+  return rtn;
+}
+
+
+/**
+ * Get the distinct GTFS Direction IDs of the Timetable Trips
+ * @param {TripSearchTimetable} timetable The Trip Search Timetable
+ * @returns {Array} Direction IDs (`[undefined]` when no Trip has a direction)
+ * @private
+ */
+function _getDirectionIds(timetable) {
+  let rtn = [];
+  for ( let i = 0; i < timetable.trips.length; i++ ) {
+    let directionId = timetable.trips[i].directionId;
+    if ( directionId !== null && directionId !== undefined && rtn.indexOf(directionId) === -1 ) {
+      rtn.push(directionId);
+    }
+  }
+  return rtn.length > 0 ? rtn : [undefined];
+}
+
+
+/**
+ * Check if the Trip operates in the specified direction.  Trips with
+ * an unspecified direction operate in every direction.
+ * @param {Object} trip Timetable Trip
+ * @param {int} [directionId] GTFS Direction ID (any direction when undefined)
+ * @returns {boolean}
+ * @private
+ */
+function _inDirection(trip, directionId) {
+  return directionId === undefined ||
+    trip.directionId === null || trip.directionId === undefined ||
+    trip.directionId === directionId;
+}
+
+
+/**
+ * Add the label to the labels of its Stop
+ * @param {Object} labels Lists of labels, by Stop ID
+ * @param {Object} label Label to add
+ * @private
+ */
+function _add(labels, label) {
+  if ( !labels.hasOwnProperty(label.stopId) ) {
+    labels[label.stopId] = [];
+  }
+  labels[label.stopId].push(label);
+}
+
+
+/**
+ * Get the time of the best label at the Stop
+ * @param {Object} direction Search direction
+ * @param {Object} best Best labels by Stop ID
+ * @param {string} stopId Stop ID
+ * @returns {number} label time (or the worst possible time when the Stop has not been reached)
+ * @private
+ */
+function _time(direction, best, stopId) {
+  return best.hasOwnProperty(stopId) ? best[stopId].time : direction.worst;
+}
+
+
+
+// ==== SEARCH DIRECTIONS ==== //
+
+/**
+ * Forward search: from the origin, labels are the earliest arrival at each Stop
+ * @private
+ */
+const FORWARD = {
+  worst: Infinity,
+  index: function(j) {
+    return j;
+  },
+  isBetter: function(a, b) {
+    return a < b;
+  },
+  labelTime: function(stopTime) {
+    return stopTime.arrival;
+  },
+  boardTime: function(stopTime) {
+    return stopTime.departure;
+  },
+  canLabel: function(stopTime) {
+    return stopTime.dropOff;
+  },
+  canBoard: function(stopTime) {
+    return stopTime.pickup;
+  },
+  layover: function(label, stopTime) {
+    return stopTime.departure - label.time;
+  },
+  walk: function(time, walkTime) {
+    return time + walkTime;
+  },
+  getTransfer: function(timetable, label, stopTime, trip) {
+    return timetable.getTransfer(label.stopId, stopTime.stopId, label.trip, trip);
+  },
+  buildJourney: function(label) {
+    let rtn = [];
+    while ( label.round > 0 ) {
+      rtn.unshift({
+        trip: label.trip,
+        walk: label.walk,
+        enter: label.boardedId,
+        exit: label.stopId
+      });
+      label = label.previous;
+    }
+    return rtn;
+  }
+};
+
+/**
+ * Reverse search: from the destination, labels are the latest departure
+ * from each Stop that still reaches the destination
+ * @private
+ */
+const REVERSE = {
+  worst: -Infinity,
+  index: function(j, length) {
+    return length - 1 - j;
+  },
+  isBetter: function(a, b) {
+    return a > b;
+  },
+  labelTime: function(stopTime) {
+    return stopTime.departure;
+  },
+  boardTime: function(stopTime) {
+    return stopTime.arrival;
+  },
+  canLabel: function(stopTime) {
+    return stopTime.pickup;
+  },
+  canBoard: function(stopTime) {
+    return stopTime.dropOff;
+  },
+  layover: function(label, stopTime) {
+    return label.time - stopTime.arrival;
+  },
+  walk: function(time, walkTime) {
+    return time - walkTime;
+  },
+  getTransfer: function(timetable, label, stopTime, trip) {
+    return timetable.getTransfer(stopTime.stopId, label.stopId, trip, label.trip);
+  },
+  buildJourney: function(label) {
+    let rtn = [];
+    while ( label.round > 0 ) {
+      rtn.push({
+        trip: label.trip,
+        walk: label.walk,
+        enter: label.stopId,
+        exit: label.boardedId
+      });
+      label = label.previous;
+    }
+    return rtn;
+  }
+};
+
+
+
+module.exports = raptor;
\ No newline at end of file
@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * Trip Search real-time functions
+ * @module search/realtime
+ * @private
+ */
+
+
+const TripSearchResultWalk = require('./TripSearchResultWalk.js');
+
+
+/**
+ * Apply the real-time status from the Agency's Station Feeds to the Trip
+ * Search Results.
+ *
+ * The Station Feed of each Stop where a Segment is entered is loaded and
+ * the Segments of the Trips found in the feeds are annotated with their
+ * status and estimated departure and arrival.  Results with a cancelled
+ * Trip or a transfer that can no longer be made (the estimated arrival,
+ * plus any walking time, is after the estimated departure of the next
+ * Trip) are removed.
+ *
+ * Stops without an available Station Feed keep their scheduled times.  When
+ * a Station Feed could not be loaded, the error is set as the `feedError` of
+ * the Segments entered at the Stop and added to the `feedErrors` of their
+ * Results.
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @param {RightTrackAgency} agency The Right Track Agency used to load the Station Feeds
+ * @param {TripSearchResult[]} results Trip Search Results
+ * @param {function} callback Callback function(err, results)
+ * @private
+ */
+function applyFeeds(db, agency, results, callback) {
+
+  // Real-time not available
+  if ( agency === undefined || !agency.isFeedSupported() ) {
+    return callback(null, results);
+  }
+
+  // Get the unique Stops where Segments are entered
+  let stops = [];
+  let stopIds = [];
+  for ( let i = 0; i < results.length; i++ ) {
+    for ( let j = 0; j < results[i].segments.length; j++ ) {
+      let segment = results[i].segments[j];
+      if ( !(segment instanceof TripSearchResultWalk) && stopIds.indexOf(segment.enter.stop.id) === -1 ) {
+        stops.push(segment.enter.stop);
+        stopIds.push(segment.enter.stop.id);
+      }
+    }
+  }
+
+  // Loaded Station Feeds (and Station Feed errors), by Stop ID
+  let feeds = {};
+  let errors = {};
+
+  // Counters
+  let done = 0;
+  let count = stops.length;
+
+  // No Stops to load
+  if ( count === 0 ) {
+    return callback(null, results);
+  }
+
+  // Load the Station Feed for each Stop
+  for ( let i = 0; i < stops.length; i++ ) {
+    let stop = stops[i];
+    agency.loadFeed(db, stop, function(err, feed) {
+
+      // Station Feed not available: use the schedule
+      if ( err ) {
+        errors[stop.id] = err;
+      }
+      else if ( feed !== undefined ) {
+        feeds[stop.id] = feed;
+      }
+
+      // Finish the Stop
+      _finish();
+
+    });
+  }
+
+
+  /**
+   * Finished loading the Station Feeds, apply to the Results
+   * @private
+   */
+  function _finish() {
+    done++;
+    if ( done === count ) {
+      let rtn = [];
+
+      for ( let i = 0; i < results.length; i++ ) {
+        let result = results[i];
+
+        // Set the status (or Station Feed error) of each Segment
+        let cancelled = false;
+        for ( let j = 0; j < result.segments.length; j++ ) {
+          let segment = result.segments[j];
+          if ( !(segment instanceof TripSearchResultWalk) ) {
+            let stopId = segment.enter.stop.id;
+            let departure = _getDeparture(feeds[stopId], segment);
+            if ( departure !== undefined ) {
+              segment.setStatus(departure.status);
+              if ( departure.status.cancelled ) {
+                cancelled = true;
+              }
+            }
+            else if ( errors.hasOwnProperty(stopId) ) {
+              segment.feedError = errors[stopId];
+              if ( result.feedErrors.indexOf(errors[stopId]) === -1 ) {
+                result.feedErrors.push(errors[stopId]);
+              }
+            }
+          }
+        }
+
+        // Keep the Results without cancelled Trips and with transfers that can be made
+        if ( !cancelled && _canTransfer(result) ) {
+          rtn.push(result);
+        }
+      }
+
+      return callback(null, rtn);
+    }
+  }
+
+}
+
+
+/**
+ * Get the Station Feed Departure of the Segment's Trip.  Departures without
+ * a timezone are compared in the timezone of the Segment's Trip.
+ * @param {StationFeed} feed Station Feed of the Segment's 'Enter' Stop
+ * @param {TripSearchResultSegment} segment Trip Search Result Segment
+ * @returns {StationFeedDeparture} the matching Departure (or undefined if not in the feed)
+ * @private
+ */
+function _getDeparture(feed, segment) {
+  if ( feed !== undefined ) {
+    for ( let i = 0; i < feed.departures.length; i++ ) {
+      let departure = feed.departures[i];
+      let datetime = departure.departure.timezone === undefined ?
+        departure.departure.withTimezone(segment.enter.departure.timezone) :
+        departure.departure;
+      if ( departure.trip !== undefined && departure.trip.id === segment.trip.id &&
+        datetime.toTimestamp() === segment.enter.departure.toTimestamp() ) {
+        return departure;
+      }
+    }
+  }
+  return undefined;
+}
+
+
+/**
+ * Check if each of the Result's transfers can still be made with the
+ * estimated (or scheduled) arrivals and departures of its Segments
+ * @param {TripSearchResult} result Trip Search Result
+ * @returns {boolean}
+ * @private
+ */
+function _canTransfer(result) {
+  let arrival = undefined;
+  for ( let i = 0; i < result.segments.length; i++ ) {
+    let segment = result.segments[i];
+
+    // Walk to the next Trip
+    if ( segment instanceof TripSearchResultWalk ) {
+      arrival = arrival + segment.travelTime.getMilliseconds();
+    }
+
+    // Board the next Trip
+    else {
+      let departure = segment.estDeparture !== undefined ? segment.estDeparture : segment.enter.departure;
+      if ( arrival !== undefined && arrival > departure.toTimestamp() ) {
+        return false;
+      }
+      arrival = segment.estArrival !== undefined ? segment.estArrival.toTimestamp() : segment.exit.arrival.toTimestamp();
+    }
+  }
+  return true;
+}
+
+
+
+module.exports = {
+  applyFeeds: applyFeeds
+};
\ No newline at end of file
@@ -8,59 +8,148 @@
 
 
 const query = require('./query.js');
+const raptor = require('./raptor.js');
+const realtime = require('./realtime.js');
 const TripSearchDate = require('./TripSearchDate.js');
 const TripSearchResult = require('./TripSearchResult.js');
 const TripSearchResultSegment = require('./TripSearchResultSegment.js');
-const DateTime = require('../utils/DateTime.js');
+const TripSearchResultWalk = require('./TripSearchResultWalk.js');
 const CalendarTable = require('../query/CalendarTable.js');
 const LineGraphTable = require('../query/LineGraphTable.js');
+const TripsTable = require('../query/TripsTable.js');
+const DateTime = require('../utils/DateTime.js');
 
 
 const LOG = false;
 
 
+/**
+ * The number of hours after the end of the departure window (or before the
+ * start of the arrival window) that Trips can still be boarded at a transfer
+ * Stop (in addition to the max layover time of each allowed transfer)
+ * @private
+ */
+const TIMETABLE_HORIZON_HOURS = 4;
+
+/**
+ * The max GTFS time (in seconds since midnight of the service date)
+ * @private
+ */
+const MAX_GTFS_SECONDS = 48*3600;
+
+
 
 /**
  * Perform a Trip Search between the origin and destination Stops
  * with the provided parameters and options
+ *
+ * The search loads the timetable slice along the Line Graph paths between
+ * the origin and destination once and then finds the earliest arrivals
+ * round by round (one round per Trip), see {@link module:search/raptor|raptor}.
+ * When the `arriveBy` option is set, the rounds search backwards from the
+ * destination for the latest departures.
+ *
+ * When the `maxWalkMeters` option is set, transfers can include a walk
+ * between nearby Stops and the paths of the timetable slice can also follow
+ * the footpaths between nearby Stops.  Walking is only used for transfers:
+ * a result always starts with a Trip departing the origin and ends with a
+ * Trip arriving at the destination.
+ *
+ * When a Right Track Agency is provided, its real-time Station Feeds are
+ * applied to the results, see {@link module:search/realtime|realtime}.
+ *
+ * The search is performed in the timezone of the agency (see
+ * {@link module:search/query.getTimezone|getTimezone}): the requested
+ * Date/Time is converted to the same moment in the agency's timezone before
+ * the service dates of the search are found.  A Date/Time without a timezone
+ * is used as the wall-clock time of the agency.
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @param {Stop} origin Origin Stop
+ * @param {Stop} destination Destination Stop
+ * @param {DateTime} datetime Requested Departure (or Arrival) Date/Time
+ * @param {Object} options Trip Search Options
+ * @param {RightTrackAgency} [agency] Right Track Agency used to apply real-time Station Feeds
+ * @param {function} callback Callback Function
+ * @private
+ */
+function search(db, origin, destination, datetime, options, agency, callback) {
+
+  // Get the timezone of the agency
+  query.getTimezone(db, agency, function(err, timezone) {
+
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Search from the Date/Time in the agency's timezone (a Date/Time
+    // without a timezone is already the wall-clock time of the agency)
+    if ( timezone !== undefined && datetime.timezone === undefined ) {
+      datetime = datetime.withTimezone(timezone);
+    }
+    else if ( timezone !== undefined ) {
+      datetime = datetime.toTimezone(timezone);
+    }
+    _search(db, origin, destination, datetime, options, agency, callback);
+
+  });
+
+}
+
+/**
+ * Perform the Trip Search from the Date/Time in the agency's timezone
  * @param {RightTrackDB} db The Right Track DB to query
  * @param {Stop} origin Origin Stop
  * @param {Stop} destination Destination Stop
- * @param {DateTime} departure Requested Departure Date/Time
+ * @param {DateTime} datetime Requested Departure (or Arrival) Date/Time
  * @param {Object} options Trip Search Options
+ * @param {RightTrackAgency} [agency] Right Track Agency used to apply real-time Station Feeds
  * @param {function} callback Callback Function
  * @private
  */
-function search(db, origin, destination, departure, options, callback) {
+function _search(db, origin, destination, datetime, options, agency, callback) {
   _log("====== STARTING SEARCH ======");
   _log("ORIGIN: " + origin.name);
   _log("DESTINATION: " + destination.name);
-  _log("DATE/TIME: " + departure.toString());
+  _log("DATE/TIME: " + datetime.toString());
   _log("OPTIONS: " + JSON.stringify(options, null, 2));
 
+  // Departure (or arrival) window
+  let preMins = options.arriveBy ? options.preArrivalHours*60 : options.preDepartureHours*60;
+  let postMins = options.arriveBy ? options.postArrivalHours*60 : options.postDepartureHours*60;
 
-  // List of Results
-  let RESULTS = [];
+  // Timetable horizon
+  let horizonMins = TIMETABLE_HORIZON_HOURS*60;
+  if ( options.allowTransfers ) {
+    horizonMins = horizonMins + options.maxTransfers*options.maxLayoverMins;
+  }
 
+  // Timetable range: extend the window by the horizon, after the departure
+  // window or before the arrival window
+  let timetablePreMins = options.arriveBy ? preMins + horizonMins : preMins;
+  let timetablePostMins = options.arriveBy ? postMins : postMins + horizonMins;
 
-  // Get the initial Trip Search Dates
-  _getTripSearchDates(db, departure, options.preDepartureHours*60, options.postDepartureHours*60, function(err, tripSearchDates) {
-    _log("===== SEARCH TIME RANGE =====");
-    for ( let i = 0; i < tripSearchDates.length; i++ ) {
-      _log(JSON.stringify(tripSearchDates[i], null, 2));
-    }
+
+  // Get the Stops (and footpaths between them) to include in the timetable
+  _getStops(db, origin, destination, options, function(err, stopIds, footpaths) {
 
     // Database Query Error
     if ( err ) {
       return callback(err);
     }
 
+    // Destination cannot be reached
+    if ( stopIds.indexOf(destination.id) === -1 ) {
+      return callback(null, []);
+    }
+
 
-    // Get the Initial Trips
-    _getTripsFromStop(db, origin, destination, origin, tripSearchDates, [], function(err, direct, indirect) {
-      _log("======= INITIAL TRIPS =======");
-      _log("DIRECT TRIPS: " + direct.length);
-      _log("INDIRECT TRIPS: " + indirect.length);
+    // Get the Trip Search Dates of the timetable
+    _getTripSearchDates(db, datetime, timetablePreMins, timetablePostMins, function(err, tripSearchDates) {
+      _log("===== SEARCH TIME RANGE =====");
+      for ( let i = 0; i < tripSearchDates.length; i++ ) {
+        _log(JSON.stringify(tripSearchDates[i], null, 2));
+      }
 
       // Database Query Error
       if ( err ) {
@@ -68,275 +157,262 @@ function search(db, origin, destination, departure, options, callback) {
       }
 
 
-      // Process Direct Trips
-      for ( let i = 0; i < direct.length; i++ ) {
-        let trip = direct[i];
-
-        // Create a new Trip Search Result Segment
-        let segment = new TripSearchResultSegment(trip, origin, destination);
+      // Load the Timetable
+      query.getTimetable(db, stopIds, tripSearchDates, datetime.timezone, function(err, timetable) {
 
-        // Create new Trip Search Result
-        let result = new TripSearchResult(segment);
+        // Database Query Error
+        if ( err ) {
+          return callback(err);
+        }
 
-        // Add Result to List
-        RESULTS.push(result);
-      }
+        // Remove the Trips and Stops that are not wheelchair accessible
+        if ( options.wheelchairAccessible ) {
+          timetable.removeInaccessible(options.wheelchairStrict);
+        }
 
+        // Add the footpaths between the timetable Stops
+        for ( let i = 0; i < footpaths.length; i++ ) {
+          let footpath = footpaths[i];
+          timetable.addFootpath(footpath.fromId, footpath.toId, footpath.distance, footpath.time);
+        }
 
-      // Process Indirect Trips, if transfers are allowed
-      if ( indirect.length > 0 && options.allowTransfers ) {
-        _log("====== TRANSFER SEARCH ======");
+        _log("========= TIMETABLE =========");
+        _log("STOPS: " + stopIds.length);
+        _log("TRIPS: " + timetable.trips.length);
 
-        // Process the Indirect Trips
-        _processTrips(db, options, origin, destination, origin, indirect, [], function(err, results) {
-          _log("=== TRANSFER SEARCH RETURN ==");
 
-          // Add results to final list
-          RESULTS = RESULTS.concat(results);
+        // Search the Timetable
+        let windowStart = timetable.getTime(datetime.clone().deltaMins(-1*preMins));
+        let windowEnd = timetable.getTime(datetime.clone().deltaMins(postMins));
+        let journeys = raptor(timetable, origin.id, destination.id, windowStart, windowEnd, options);
 
-          // Finish
-          _finish();
+        _log("========= JOURNEYS ==========");
+        _log("JOURNEYS: " + journeys.length);
 
-        });
 
-      }
+        // Build the Results
+        _buildResults(db, journeys, function(err, results) {
 
+          // Database Query Error
+          if ( err ) {
+            return callback(err);
+          }
 
-      // No transfers required or disabled, finish
-      else {
-        _finish();
-      }
 
+          // Apply the real-time Station Feeds
+          realtime.applyFeeds(db, agency, results, function(err, results) {
 
-    });
+            // Station Feed Error
+            if ( err ) {
+              return callback(err);
+            }
 
+            // Clean the Results
+            results = _cleanResults(results, options);
 
-  });
+            _log("========== RESULTS ==========");
+            for ( let i = 0; i < results.length; i++ ) {
+              _printSegments(results[i].segments);
+              _log("-----------------------------");
+            }
 
+            // Return the Results
+            return callback(null, results);
 
-  /**
-   * Finished processing all trips, get Results ready to return
-   * @private
-   */
-  function _finish() {
-    _log("=============================");
+          });
 
-    // Clean the Results
-    RESULTS = _cleanResults(RESULTS);
+        });
 
-    // Return the Results
-    return callback(null, RESULTS);
+      });
 
-  }
+    });
 
+  });
 
 }
 
 
 /**
- * Clean the list of Trip Search Results
- * - sort by departure date/time
- * - pick best trip that leaves/arrives at same time
- * - remove excessively long trips
- * @param {TripSearchResult[]} results
- * @returns {TripSearchResult[]} clean results
+ * Get the IDs of the Stops to include in the timetable and the footpaths
+ * between them.
+ *
+ * These are the origin and the Stops along the (`maxPaths`) shortest Line
+ * Graph paths from the origin to the destination.  When walking is enabled
+ * (the `maxWalkMeters` option), the paths can also follow the footpaths
+ * between nearby Stops and the footpaths between the included Stops are
+ * returned.  No footpaths are returned when transfers or walking are not
+ * enabled.
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @param {Stop} origin Origin Stop
+ * @param {Stop} destination Destination Stop
+ * @param {Object} options Trip Search Options
+ * @param {function} callback Callback function(err, stopIds, footpaths)
  * @private
  */
-function _cleanResults(results) {
+function _getStops(db, origin, destination, options, callback) {
 
-  // Clean up departures
-  results = _cleanDepartures(results);
+  // Max length of a footpath (0 when walking is disabled)
+  let maxWalkMeters = options.allowTransfers && options.maxWalkMeters > 0 ? options.maxWalkMeters : 0;
 
-  // Clean up arrivals
-  results = _cleanArrivals(results);
+  // Get the Stops along the paths
+  let pathOptions = {
+    maxPaths: options.maxPaths,
+    maxWalkMeters: maxWalkMeters
+  };
+  LineGraphTable.getNextStops(db, origin.id, destination.id, origin.id, pathOptions, function(err, nextStops) {
 
-  // Sort By Departure Time
-  results.sort(TripSearchResult.sortByDeparture);
-
-  // Return results
-  return results;
-
-
-  /**
-   * Pick best Trip with equal departures
-   * @param results
-   * @returns {Array}
-   * @private
-   */
-  function _cleanDepartures(results) {
-    // List of Departures to Keep
-    let departures = [];
-
-    // Get unique departures
-    let departureTimes = [];
-    for ( let i = 0; i < results.length; i++ ) {
-      if ( departureTimes.indexOf(results[i].origin.departure.toTimestamp()) === -1 ) {
-        departureTimes.push(results[i].origin.departure.toTimestamp());
-      }
+    // Database Query Error
+    if ( err ) {
+      return callback(err);
     }
 
-    // Pick best Trip for each departure
-    for ( let i = 0; i < departureTimes.length; i++ ) {
-      let departureTime = departureTimes[i];
-      let departure = undefined;
-
-      // Get Trips with departure time
-      for ( let j = 0; j < results.length; j++ ) {
-        let result = results[j];
-        if ( result.origin.departure.toTimestamp() === departureTime ) {
-          if ( departure === undefined )  {
-            departure = result;
-          }
-          else if ( result.destination.arrival.toTimestamp() < departure.destination.arrival.toTimestamp() ) {
-            departure = result;
-          }
-          else if ( result.destination.arrival.toTimestamp() === departure.destination.arrival.toTimestamp() && result.length < departure.length ) {
-            departure = result;
-          }
-        }
-      }
+    // The origin and following Stops
+    let stopIds = [origin.id].concat(nextStops);
 
-      // Add departure to list
-      departures.push(departure);
+    // Walking is disabled
+    if ( maxWalkMeters === 0 ) {
+      return callback(null, stopIds, []);
     }
 
-    // Return departures
-    return departures;
-  }
+    // Get the footpaths between nearby Stops
+    LineGraphTable.getFootpaths(db, maxWalkMeters, function(err, footpaths) {
 
+      // Database Query Error
+      if ( err ) {
+        return callback(err);
+      }
 
-  /**
-   * Pick best Trip with equal arrivals
-   * @param results
-   * @returns {Array}
-   * @private
-   */
-  function _cleanArrivals(results) {
-    // List of Arrivals to Keep
-    let arrivals = [];
-
-    // Get unique arrivals
-    let arrivalTimes = [];
-    for ( let i = 0; i < results.length; i++ ) {
-      if ( arrivalTimes.indexOf(results[i].destination.arrival.toTimestamp()) === -1 ) {
-        arrivalTimes.push(results[i].destination.arrival.toTimestamp());
+      // Included Stops
+      let included = {};
+      for ( let i = 0; i < stopIds.length; i++ ) {
+        included[stopIds[i]] = true;
       }
-    }
 
-    // Pick best Trip for each arrival
-    for ( let i = 0; i < arrivalTimes.length; i++ ) {
-      let arrivalTime = arrivalTimes[i];
-      let arrival = undefined;
-
-      // Get Trips with arrival time
-      for ( let j = 0; j < results.length; j++ ) {
-        let result = results[j];
-        if ( result.destination.arrival.toTimestamp() === arrivalTime ) {
-          if ( arrival === undefined )  {
-            arrival = result;
-          }
-          else if ( result.origin.departure.toTimestamp() > arrival.origin.departure.toTimestamp() ) {
-            arrival = result;
-          }
-          else if ( result.origin.departure.toTimestamp() === arrival.origin.departure.toTimestamp() && result.length < arrival.length ) {
-            arrival = result;
+      // Keep the footpaths between the included Stops
+      let rtn = [];
+      for ( let i = 0; i < stopIds.length; i++ ) {
+        let fromId = stopIds[i];
+        let paths = footpaths.hasOwnProperty(fromId) ? footpaths[fromId] : [];
+        for ( let j = 0; j < paths.length; j++ ) {
+          if ( included.hasOwnProperty(paths[j].stopId) ) {
+            rtn.push({
+              fromId: fromId,
+              toId: paths[j].stopId,
+              distance: paths[j].distance,
+
+              // Walking time, rounded up to the minute
+              time: Math.ceil(paths[j].distance / options.walkSpeed / 60) * 60
+            });
           }
         }
       }
 
-      // Add arrival to list
-      arrivals.push(arrival);
+      // Return the included Stops and footpaths
+      return callback(null, stopIds, rtn);
 
-    }
+    });
 
-    // Return arrivals
-    return arrivals;
-  }
+  });
 
 }
 
 
-
 /**
- * Process a group of Trips from the reference Stop
+ * Build the Trip Search Results from the journeys found in the Timetable
  * @param {RightTrackDB} db The Right Track DB to query
- * @param {Object} options Trip Search Options
- * @param {Stop} origin Trip Search Origin Stop
- * @param {Stop} destination Trip Search Destination Stop
- * @param {Stop} enter Reference/Entry Stop
- * @param {Trip[]} trips List of Trips to process
- * @param {TripSearchResultSegment[]} segments Previously added Trip Search Result Segments
+ * @param {Object[][]} journeys List of journeys (lists of legs)
  * @param {function} callback Callback function(err, results)
  * @private
  */
-function _processTrips(db, options, origin, destination, enter, trips, segments, callback) {
-
-  // Display function logs
-  _info();
+function _buildResults(db, journeys, callback) {
+
+  // Get the unique Timetable Trips used by the journeys
+  let trips = [];
+  for ( let i = 0; i < journeys.length; i++ ) {
+    for ( let j = 0; j < journeys[i].length; j++ ) {
+      let trip = journeys[i][j].trip;
+      if ( trip !== undefined && trips.indexOf(trip) === -1 ) {
+        trips.push(trip);
+      }
+    }
+  }
 
-  // Results to Return
-  let RESULTS = [];
+  // Loaded Trips, by Timetable Trip key
+  let tripsByKey = {};
 
+  // Group the Timetable Trips by date
+  let dates = [];
+  let tripsByDate = {};
+  for ( let i = 0; i < trips.length; i++ ) {
+    if ( !tripsByDate.hasOwnProperty(trips[i].date) ) {
+      dates.push(trips[i].date);
+      tripsByDate[trips[i].date] = [];
+    }
+    tripsByDate[trips[i].date].push(trips[i]);
+  }
 
-  // Set up counters
+  // Counters
   let done = 0;
-  let count = trips.length;
+  let count = dates.length;
+  let failed = false;
 
-
-  // Finish when there are no trips to process
-  if ( trips.length === 0 ) {
-    _finish();
+  // No Trips to load
+  if ( count === 0 ) {
+    return callback(null, []);
   }
 
-  // Process each of the Trips
-  for ( let i = 0; i < trips.length; i++ ) {
-    _processTrip(db, options, origin, destination, enter, trips[i], segments, function(err, results) {
+  // Load the Trips of each date
+  for ( let i = 0; i < dates.length; i++ ) {
+    let dateTrips = tripsByDate[dates[i]];
+    let ids = dateTrips.map(function(trip) {
+      return trip.id;
+    });
+    TripsTable.getTrips(db, ids, dates[i], function(err, loaded) {
+      if ( failed ) {
+        return;
+      }
 
       // Database Query Error
       if ( err ) {
+        failed = true;
         return callback(err);
       }
 
-      // Add Results to final list
-      RESULTS = RESULTS.concat(results);
+      // Add Trips to lookup
+      let loadedById = {};
+      for ( let j = 0; j < loaded.length; j++ ) {
+        loadedById[loaded[j].id] = loaded[j];
+      }
+      for ( let j = 0; j < dateTrips.length; j++ ) {
+        tripsByKey[dateTrips[j].key] = loadedById[dateTrips[j].id];
+      }
 
       // Finish
       _finish();
 
-    })
+    });
   }
 
 
   /**
-   * Finished Processing the Trips
+   * Finished loading the Trips, build the Results
    * @private
    */
   function _finish() {
     done++;
-    if ( count === 0 || done === count ) {
-      return callback(null, RESULTS);
-    }
-  }
+    if ( done === count ) {
+      let rtn = [];
 
-  /**
-   * Display function logging info
-   * @private
-   */
-  function _info() {
-    if ( LOG ) {
-      let p = "";
-      for ( let i = 0; i < segments.length * 2; i++ ) {
-        p = p + " ";
-      }
+      for ( let i = 0; i < journeys.length; i++ ) {
+        let result = _buildResult(journeys[i], tripsByKey);
 
-      let tripIds = [];
-      for ( let i = 0; i < trips.length; i++ ) {
-        tripIds.push(trips[i].id);
+        // Add the Result, if all of its Trips were found
+        if ( result !== undefined ) {
+          rtn.push(result);
+        }
       }
-      _log(p + "Trips From " + enter.name + ": " + trips.length + " ('" + tripIds.join("', '") + "')");
 
-      _log(p + "   Segments: " + segments.length);
-      _printSegments(segments, p + "   ");
+      return callback(null, rtn);
     }
   }
 
@@ -344,383 +420,177 @@ function _processTrips(db, options, origin, destination, enter, trips, segments,
 
 
 /**
- * Process a Trip from the reference/entry Stop
- * @param {RightTrackDB} db The Right Track DB to query
- * @param {Object} options Trip Search Options
- * @param {Stop} origin Trip Search Origin Stop
- * @param {Stop} destination Trip Search Destination Stop
- * @param {Stop} enter Trip Entry Stop
- * @param {Trip} trip Trip to process
- * @param {TripSearchResultSegment[]} segments List of previously added Trip Search Result Segments
- * @param {function} callback Callback function(err, results)
+ * Build the Trip Search Result of a single journey
+ * @param {Object[]} journey The journey's legs
+ * @param {Object} tripsByKey Loaded Trips, by Timetable Trip key
+ * @returns {TripSearchResult} the Trip Search Result (or undefined if a Trip was not found)
  * @private
  */
-function _processTrip(db, options, origin, destination, enter, trip, segments, callback) {
-
-  // Get Transfer Stops for this Trip
-  _getTransferStops(db, origin, destination, enter, trip, function(err, transfers) {
-
-    // Print Log Info
-    _info(transfers);
-
-    // Database Query Error
-    if ( err ) {
-      return callback(err);
-    }
-
-    // Process the Transfers
-    _processStops(db, options, origin, destination, enter, transfers, trip, segments, function(err, results) {
-
-      // Database Query Error
-      if ( err ) {
-        return callback(err);
+function _buildResult(journey, tripsByKey) {
+  let segments = [];
+
+  // Build the Segments of the Trips
+  for ( let i = 0; i < journey.length; i++ ) {
+    let leg = journey[i];
+    if ( leg.trip !== undefined ) {
+      let trip = tripsByKey[leg.trip.key];
+      if ( trip === undefined ) {
+        return undefined;
       }
+      segments[i] = new TripSearchResultSegment(trip, leg.enter, leg.exit);
+    }
+  }
 
-      // Return the results
-      return callback(null, results);
-
-    });
-
-  });
-
-
-  /**
-   * Display logging info
-   * @private
-   */
-  function _info(stops) {
-    if ( LOG ) {
-      let p = "";
-      for ( let i = 0; i < segments.length * 2; i++ ) {
-        p = p + " ";
-      }
-
-      _log(p + "...Trip " + trip.id);
-      _log(p + "   Stop: " + enter.name + " @ " + trip.getStopTime(enter).departure.getTimeReadable());
-      _log(p + "   Segments: " + segments.length);
-      _printSegments(segments, p + "   ");
-
-      let stopNames = [];
-      for ( let i = 0; i < stops.length; i++ ) {
-        stopNames.push(stops[i].name);
-      }
-      _log(p + "   Transfer Stops: " + stops.length + " (" + stopNames.join(', ') + ")");
+  // Build the Walks between the Segments, starting on arrival of the previous Trip
+  for ( let i = 0; i < journey.length; i++ ) {
+    let leg = journey[i];
+    if ( leg.walk !== undefined ) {
+      segments[i] = new TripSearchResultWalk(
+        segments[i-1].exit.stop,
+        segments[i+1].enter.stop,
+        segments[i-1].exit.arrival,
+        leg.walk.distance,
+        leg.walk.time/60
+      );
     }
   }
 
+  return new TripSearchResult(segments);
 }
 
 
 /**
- * Process a group of Stops for possible transfers along a Trip from
- * the reference/entry Stop
- * @param {RightTrackDB} db The Right Track DB to query
+ * Clean the list of Trip Search Results
+ * - keep the Pareto-optimal results for the Trip Search criteria
+ * - sort by departure date/time (latest first for arrive by searches)
+ * @param {TripSearchResult[]} results
  * @param {Object} options Trip Search Options
- * @param {Stop} origin Trip Search Origin Stop
- * @param {Stop} destination Trip Search Destination Stop
- * @param {Stop} enter Trip Reference/Entry Stop
- * @param {Stop[]} transfers List of possible Transfer/Exit Stops
- * @param {Trip} trip Trip being processed
- * @param {TripSearchResultSegment[]} segments List of previously added Trip Search Result Segments
- * @param {function} callback Callback function(err, results)
+ * @param {boolean} [options.arriveBy=false] Results are from an arrive by search
+ * @param {string[]} options.criteria Trip Search criteria
+ * @returns {TripSearchResult[]} clean results
  * @private
  */
-function _processStops(db, options, origin, destination, enter, transfers, trip, segments, callback) {
-
-  // Results to Return
-  let RESULTS = [];
-
-  // Set up counters
-  let done = 0;
-  let count = transfers.length;
-
-  // No transfers, finish
-  if ( transfers.length === 0 ) {
-    _finish();
-  }
-
-  // Process each Stop
-  for ( let i = 0; i < transfers.length; i++ ) {
-    _processStop(db, options, origin, destination, enter, transfers[i], trip, segments, function(err, results) {
-
-      // Database Query Error
-      if ( err ) {
-        return callback(err);
-      }
+function _cleanResults(results, options) {
 
-      // Add results to final list
-      RESULTS = RESULTS.concat(results);
-
-      // Finish
-      _finish();
-
-    });
-  }
+  // Keep the Pareto-optimal results
+  results = _paretoResults(results, options.criteria);
 
+  // Sort By Departure Time
+  results.sort(TripSearchResult.sortByDeparture);
 
-  /**
-   * Finished processing the Stops
-   * @private
-   */
-  function _finish() {
-    done++;
-    if ( count === 0 || done === count ) {
-      return callback(null, RESULTS);
-    }
+  // Latest Departure first, for arrive by searches
+  if ( options.arriveBy ) {
+    results.reverse();
   }
 
+  // Return results
+  return results;
 
 }
 
 
 /**
- * Process a Stop as a possible Transfer Stop from the specified Trip
- * @param {RightTrackDB} db The Right Track DB to query
- * @param {Object} options Trip Search Options
- * @param {Stop} origin Trip Search Origin Stop
- * @param {Stop} destination Trip Search Destination Stop
- * @param {Stop} enter Trip Entry Stop
- * @param {Stop} transfer Trip Transfer/Exit Stop
- * @param {Trip} trip Trip being processed
- * @param {TripSearchResultSegment[]} segments List of previously added Trip Search Result Segments
- * @param {function} callback Callback function(err, results)
+ * Get the Pareto-optimal Trip Search Results: the results that are not
+ * dominated by another result (at least as good in every criterion and
+ * better in at least one).  Of the results with equal values in every
+ * criterion, only the first is kept.
+ *
+ * Each kept result's `criteria` are set to the criteria in which it is
+ * better than the results that are better in a different criterion (or
+ * all of the criteria, when no result is better in any criterion).
+ * @param {TripSearchResult[]} results
+ * @param {string[]} criteria Trip Search criteria
+ * @returns {TripSearchResult[]} Pareto-optimal results
  * @private
  */
-function _processStop(db, options, origin, destination, enter, transfer, trip, segments, callback) {
-
-  // Add first segment to list
-  let firstSegment = new TripSearchResultSegment(trip, enter, transfer);
-  segments = segments.slice();
-  segments.push(firstSegment);
-
-
-  // Results to Return
-  let RESULTS = [];
-
-
-  // Set TripSearchDates
-  let arrival = trip.getStopTime(transfer).arrival;
-  _getTripSearchDates(db, arrival, -1*options.minLayoverMins, options.maxLayoverMins, function(err, tripSearchDates) {
-
-    // Database Query Error
-    if ( err ) {
-      return callback(err);
-    }
-
-    // Exclude Trips already in the segments
-    let excludeTrips = [];
-    for ( let i = 0; i < segments.length; i++ ) {
-      excludeTrips.push(segments[i].trip.id);
+function _paretoResults(results, criteria) {
+
+  // Get the values of each result
+  let values = [];
+  for ( let i = 0; i < results.length; i++ ) {
+    let value = [];
+    for ( let j = 0; j < criteria.length; j++ ) {
+      value.push(results[i].getCriterionValue(criteria[j]));
     }
+    values.push(value);
+  }
 
-    // Get Trips From Transfer
-    _getTripsFromStop(db, origin, destination, transfer, tripSearchDates, excludeTrips, function(err, direct, indirect) {
-
-      // Print Stop Info
-      _info(direct, indirect);
-
-      // Database Query Error
-      if ( err ) {
-        return callback(err);
-      }
-
-
-      // Process Direct Trips
-      for ( let i = 0; i < direct.length; i++ ) {
-        let trip = direct[i];
-
-        // Clone the segments
-        let newSegments = segments.slice();
-
-        // Create a new Trip Search Result Segment
-        let secondSegment = new TripSearchResultSegment(trip, transfer, destination);
-        newSegments.push(secondSegment);
-
-        // Create a Trip Search Result
-        let result = new TripSearchResult(newSegments);
-
-        // Add result to list
-        RESULTS.push(result);
+  // List of results to return
+  let rtn = [];
 
-      }
+  // Check each result
+  for ( let i = 0; i < results.length; i++ ) {
+    let result = results[i];
+    let dominated = false;
+    let survived = [];
 
-      // Process Indirect Trips
-      if ( direct.length === 0 && indirect.length > 0 && options.allowTransfers && segments.length < options.maxTransfers ) {
+    for ( let j = 0; j < results.length && !dominated; j++ ) {
+      if ( i !== j ) {
+        let better = _betterCriteria(values[i], values[j], criteria);
+        let worse = _betterCriteria(values[j], values[i], criteria);
 
-        // Process the Indirect Trips
-        _processTrips(db, options, origin, destination, transfer, indirect, segments, function(err, results) {
+        // Dominated by (or equal to an earlier) result
+        if ( better.length === 0 && (worse.length > 0 || j < i) ) {
+          dominated = true;
+        }
 
-          // Database Query Error
-          if ( err ) {
-            return callback(err);
+        // Better than a result that is better in another criterion
+        else if ( worse.length > 0 ) {
+          for ( let k = 0; k < better.length; k++ ) {
+            if ( survived.indexOf(better[k]) === -1 ) {
+              survived.push(better[k]);
+            }
           }
-
-          // Add results to final list
-          RESULTS = RESULTS.concat(results);
-
-          // Finish
-          _finish();
-
-        });
-
-      }
-
-
-      // No transfers required or disabled, finish
-      else {
-        _finish();
+        }
       }
+    }
 
-    });
-
-  });
-
-
-  function _finish() {
-    return callback(null, RESULTS);
-  }
-
-
-  function _info(direct, indirect) {
-    if ( LOG ) {
-      let p = "";
-      for ( let i = 0; i < segments.length * 3; i++ ) {
-        p = p + " ";
+    // Keep the result, with its criteria in the Trip Search order
+    if ( !dominated ) {
+      result.criteria = [];
+      for ( let j = 0; j < criteria.length; j++ ) {
+        if ( survived.length === 0 || survived.indexOf(criteria[j]) !== -1 ) {
+          result.criteria.push(criteria[j]);
+        }
       }
-
-      _log(p + "...Transfer @ " + transfer.name + " @ " + trip.getStopTime(transfer).arrival.getTimeReadable());
-      _log(p + "   ...Trips From " + transfer.name + " After Trip " + trip.id + ":");
-      _log(p + "      Direct: " + direct.length);
-      _log(p + "      Indirect: " + indirect.length);
-      _log(p + "   ...Segments: " + segments.length);
-      _printSegments(segments, p + "      ");
+      rtn.push(result);
     }
   }
 
+  // Return the kept results
+  return rtn;
 
 }
 
 
-
-
 /**
- * Get a list of Stop IDs, sorted by transfer weight, that can be
- * used as a Transfer Stop for this Trip
- * @param {RightTrackDB} db The Right Track DB to query
- * @param {Stop} origin Origin Stop
- * @param {Stop} destination Destination Stop
- * @param {Stop} stop Reference Stop
- * @param {Trip} trip Trip to transfer from
- * @param {function} callback Callback function(err, stops)
+ * Get the criteria in which the first values are better (lower) than
+ * the second values
+ * @param {number[]} a first values
+ * @param {number[]} b second values
+ * @param {string[]} criteria Trip Search criteria of the values
+ * @returns {string[]} better criteria
  * @private
  */
-function _getTransferStops(db, origin, destination, stop, trip, callback) {
-
-  // List of Transfer Stops
+function _betterCriteria(a, b, criteria) {
   let rtn = [];
-
-  // Get Next Stops from this Stop
-  LineGraphTable.getNextStops(db, origin.id, destination.id, stop.id, function(err, nextStops) {
-
-    // Database Query Error
-    if ( err ) {
-      return callback(err);
-    }
-
-    // Get Remaining Stops on Trip
-    let remainingStops = [];
-    let stopFound = false;
-    for ( let i = 0; i < trip.stopTimes.length; i++ ) {
-      if ( !stopFound && trip.stopTimes[i].stop.id === stop.id ) {
-        stopFound = true;
-      }
-      else if ( stopFound ) {
-        remainingStops.push(trip.stopTimes[i].stop.id);
-      }
+  for ( let i = 0; i < criteria.length; i++ ) {
+    if ( a[i] < b[i] ) {
+      rtn.push(criteria[i]);
     }
-
-    // Get Next Stops that are remaining on this Trip
-    for ( let i = 0; i < nextStops.length; i++ ) {
-      if ( remainingStops.indexOf(nextStops[i]) > -1 ) {
-        rtn.push(
-          trip.getStopTime(nextStops[i]).stop
-        );
-      }
-    }
-
-    // Return only the top 3 transfer Stops
-    if ( rtn.length > 3 ) {
-      rtn = [rtn[0], rtn[1], rtn[2]];
-    }
-
-    return callback(null, rtn);
-
-  });
-
-}
-
-
-
-/**
- * Get a List of Trips from the reference Stop that operate during the
- * TripSearchDates and along the Line Graph paths between the origin
- * and destination Stops
- * @param {RightTrackDB} db The Right Track DB to query
- * @param {Stop} origin Trip Origin Stop
- * @param {Stop} destination Trip Destination Stop
- * @param {Stop} stop Reference Stop
- * @param {TripSearchDate[]} tripSearchDates Trip Search Dates
- * @param {String[]} excludeTrips List of Trip IDs to exclude
- * @param {function} callback Callback function(err, direct, indirect)
- * @private
- */
-function _getTripsFromStop(db, origin, destination, stop, tripSearchDates, excludeTrips, callback) {
-
-  // Get all possible following stops
-  LineGraphTable.getNextStops(db, origin.id, destination.id, stop.id, function(err, nextStops) {
-
-    // Database Query Error
-    if ( err ) {
-      return callback(err);
-    }
-
-    // Get Trips from Stop
-    query.getTripsFromStop(db, stop, tripSearchDates, nextStops, function(err, trips) {
-
-      // Database Query Error
-      if ( err ) {
-        return callback(err);
-      }
-
-      // List of Direct and Indirect Trips
-      let direct = [];
-      let indirect = [];
-
-      // Sort Trips
-      for ( let i = 0; i < trips.length; i++ ) {
-        if ( excludeTrips.indexOf(trips[i].id) === -1 ) {
-          if ( _tripGoesTo(trips[i], stop, destination) ) {
-            direct.push(trips[i]);
-          }
-          else {
-            indirect.push(trips[i]);
-          }
-        }
-      }
-
-      // Return the Trips
-      return callback(null, direct, indirect);
-
-    });
-
-  });
-
+  }
+  return rtn;
 }
 
 
 
 /**
- * Get the Trip Search Dates for the specified search range
+ * Get the Trip Search Dates for the specified search range.
+ *
+ * A Trip Search Date is created for each service date from the day before
+ * the start of the range (for its Trips that run past midnight, with GTFS
+ * times of 24:00:00 or later) to the end of the range.  The search range of
+ * each Trip Search Date is relative to the start (noon minus 12h) of its service date.
  * @param {RightTrackDB} db The Right Track DB to query
  * @param {DateTime} datetime The Date/Time of the search starting point
  * @param {int} preMins The number of mins before the datetime to include
@@ -734,93 +604,60 @@ function _getTripSearchDates(db, datetime, preMins, postMins, callback) {
   let preDateTime = datetime.clone().deltaMins(-1*preMins);
   let postDateTime = datetime.clone().deltaMins(postMins);
 
-  // List of TripSearchDates to return
+  // Service dates from the day before the pre date to the post date
+  let dates = [];
+  let date = DateTime.createFromDate(preDateTime.getDateInt()).deltaDays(-1);
+  while ( date.getDateInt() <= postDateTime.getDateInt() ) {
+    dates.push(date.getDateInt());
+    date.deltaDays(1);
+  }
+
+  // Search range of each service date (seconds since the start of the date)
+  let ranges = [];
+  for ( let i = 0; i < dates.length; i++ ) {
+    let preSeconds = Math.max(preDateTime.getServiceSeconds(dates[i]), 0);
+    let postSeconds = Math.min(postDateTime.getServiceSeconds(dates[i]), MAX_GTFS_SECONDS);
+    if ( preSeconds <= postSeconds ) {
+      ranges.push({
+        date: dates[i],
+        preSeconds: preSeconds,
+        postSeconds: postSeconds
+      });
+    }
+  }
+
+  // List of TripSearchDates to return (in date order)
   let rtn = [];
 
   // Counters
   let done = 0;
-  let count = 0;
-
+  let count = ranges.length;
+  let failed = false;
 
-  // ==== PRE AND POST DATES ARE SAME DAY ==== //
-  if ( preDateTime.getDateInt() === postDateTime.getDateInt() ) {
-    count = 1;
+  // Create the Trip Search Date of each service date
+  for ( let i = 0; i < ranges.length; i++ ) {
+    let range = ranges[i];
 
     // Get Effective Services
-    CalendarTable.getServicesEffective(db, datetime.getDateInt(), function(err, services) {
-
-      // Database Query Error
-      if ( err ) {
-        return callback(err);
-      }
-
-      // Create new TripSearchDate
-      let tsd = new TripSearchDate(
-        preDateTime.getDateInt(),
-        preDateTime.getTimeSeconds(),
-        postDateTime.getTimeSeconds(),
-        services
-      );
-
-      // Add to List
-      rtn.push(tsd);
-
-      // Finish
-      _finish();
-
-    });
-
-  }
-
-
-  // ==== PRE AND POST DATES ARE DIFFERENT DAYS ==== //
-  else {
-    count = 2;
-
-    // Get Effective Services for Prev Day
-    CalendarTable.getServicesEffective(db, preDateTime.getDateInt(), function(err, services) {
-
-      // Database Query Error
-      if ( err ) {
-        return callback(err);
+    CalendarTable.getServicesEffective(db, range.date, function(err, services) {
+      if ( failed ) {
+        return;
       }
 
-      // Create new TripSearchDate
-      let tsd = new TripSearchDate(
-        preDateTime.getDateInt(),
-        preDateTime.getTimeSeconds(),
-        postDateTime.getTimeSeconds() + 86400,
-        services
-      );
-
-      // Add to List
-      rtn.push(tsd);
-
-      // Finish
-      _finish();
-
-    });
-
-
-    // Get Effective Services for Post Day
-    CalendarTable.getServicesEffective(db, postDateTime.getDateInt(), function(err, services) {
-
       // Database Query Error
       if ( err ) {
+        failed = true;
         return callback(err);
       }
 
       // Create new TripSearchDate
-      let tsd = new TripSearchDate(
-        postDateTime.getDateInt(),
-        0,
-        postDateTime.getTimeSeconds(),
+      rtn[i] = new TripSearchDate(
+        range.date,
+        range.preSeconds,
+        range.postSeconds,
         services
       );
 
-      // Add to List
-      rtn.push(tsd);
-
       // Finish
       _finish();
 
@@ -844,39 +681,11 @@ function _getTripSearchDates(db, datetime, preMins, postMins, callback) {
 
 
 
-/**
- * Check if the Trip goes from Origin --> Destination
- * @param {Trip} trip The Trip to check
- * @param {Stop} origin Origin Stop
- * @param {Stop} destination Destination Stop
- * @returns {boolean}
- * @private
- */
-function _tripGoesTo(trip, origin, destination) {
-  let originFound = false;
-  for ( let i = 0; i < trip.stopTimes.length; i++ ) {
-    if ( !originFound && trip.stopTimes[i].stop.id === origin.id ) {
-      originFound = true;
-    }
-    else if ( originFound ) {
-      if ( trip.stopTimes[i].stop.id === destination.id ) {
-        return true;
-      }
-    }
-  }
-  return false;
-}
-
-
-
-
-
-
 function _printSegments(segments, padding="  ") {
   if ( LOG ) {
     for ( let i = 0; i < segments.length; i++ ) {
       let segment = segments[i];
-      _log(padding + segment.enter.stop.name + " @ " + segment.enter.departure.getTimeReadable() + " --> " + segment.exit.stop.name + " @ " + segment.exit.arrival.getTimeReadable() + " (" + segment.trip.id + ")");
+      _log(padding + segment.enter.stop.name + " @ " + segment.enter.departure.getTimeReadable() + " --> " + segment.exit.stop.name + " @ " + segment.exit.arrival.getTimeReadable() + " (" + (segment.trip !== undefined ? segment.trip.id : "WALK") + ")");
     }
   }
 }
@@ -11,6 +11,26 @@
  */
 const MAX_HOURS = 48;
 
+/**
+ * Intl Date/Time Formatters used to get the date and time parts
+ * in a timezone, by timezone
+ * @private
+ */
+const FORMATTERS = {};
+
+/**
+ * Intl Date/Time and Relative Time Formatters used by the locale
+ * formatters, by type, locale and options
+ * @private
+ */
+const LOCALE_FORMATTERS = {};
+
+/**
+ * The default locale of the locale formatters
+ * @private
+ */
+const DEFAULT_LOCALE = 'en-US';
+
 /**
  * DateTime Class
  * @see {@link DateTime}
@@ -24,6 +44,14 @@ const MAX_HOURS = 48;
  * times used by the GTFS Spec and the Right Track Library and
  * the various transformations between them.
  *
+ * The time is a GTFS Time: it is measured from "noon minus 12h" of the
+ * date (the service date), which is midnight except on the days of a
+ * daylight saving transition (when the times before the transition are
+ * one hour from the wall-clock time).  The timestamps and JavaScript Dates
+ * of the DateTime (and the `deltaMins()` arithmetic) use these semantics.
+ * The formatted times (`getTimeReadable()`, `getTimeGTFS()` and
+ * `getTimeInt()`) are the wall-clock times of the DateTime's moment.
+ *
  * Time Formats
  * - _string_ hh:mm aa (1:30 PM) | **Human Readable Time**
  * - _string_ HH:mm:ss (13:30:00) | **GTFS Time**
@@ -34,6 +62,17 @@ const MAX_HOURS = 48;
  * Date Formats
  * - _int_ yyyymmdd (20170930) | **Date Integer**
  *
+ * Date/Time Formats
+ * - _string_ yyyy-mm-ddTHH:mm:ss±HH:mm (2017-09-30T13:30:00-04:00) | **ISO 8601 Date/Time**
+ *
+ * Timezone
+ * - _string_ IANA timezone (America/New_York), such as the Agency's `agency_timezone`
+ *
+ * A DateTime with a timezone represents the date and time in that timezone
+ * (the conversions to and from JavaScript Dates and timestamps use the
+ * timezone).  A DateTime without a timezone uses the local timezone of the
+ * host.
+ *
  * **Module:** {@link module:utils/DateTime|utils/DateTime}
  *
  * @class
@@ -48,13 +87,16 @@ class DateTime {
    * of the following formats: 1) HH:mm:ss 2) HH:mm 3) HHmm 4) h:mm aa or 5) an integer of the
    * number of seconds since midnight (ex 7:00 am = 25200)
    * @param {int} date The date of the DateTime in the format yyyymmdd
+   * @param {string} [timezone] The IANA timezone of the DateTime (ex America/New_York).
+   * When not provided, the local timezone of the host is used.
    */
-  constructor(time, date) {
+  constructor(time, date, timezone) {
 
     /**
      * INTERNAL REPRESENTATION
      * time = {int} number of seconds since midnight
      * date = {int} date in the format of yyyymmdd
+     * timezone = {string} IANA timezone (or undefined for the host timezone)
      */
 
 
@@ -165,6 +207,19 @@ class DateTime {
       throw new Error('DATETIME ERROR: Date is not within the expected range. date=' + date);
     }
 
+
+
+    // ==== PARSE THE TIMEZONE ==== //
+
+    // Make sure the timezone is a known IANA timezone
+    if ( timezone !== undefined && timezone !== null && timezone !== '' ) {
+      _getFormatter(timezone);
+      this.timezone = timezone;
+    }
+    else {
+      this.timezone = undefined;
+    }
+
   }
 
 
@@ -176,51 +231,93 @@ class DateTime {
    * @private
    */
   _getJSDate() {
-    let hours = this._getHours();
-    let deltaDays = 0;
-    if ( hours >= 24 ) {
-      hours = hours - 24;
-      deltaDays = 1;
-    }
+    return new Date(_getServiceDateStart(this.date, this.timezone) + this.time*1000);
+  }
 
-    let date = new Date(
-      this._getYear(),
-      this._getMonth()-1,
-      this._getDate(),
-      hours,
-      this._getMins(),
-      this._getSecs()
-    );
-    date.setDate(date.getDate()+deltaDays);
+  /**
+   * Get a JavaScript Date of midnight UTC of the DateTime's calendar date
+   * (the next day when the time is 24:00 or later), used for calendar
+   * calculations that do not depend on the timezone
+   * @param {int} [delta=0] +/- number of days to add
+   * @returns {Date}
+   * @private
+   */
+  _getUTCDate(delta=0) {
+    return new Date(Date.UTC(
+      parseInt(this._getYear()),
+      parseInt(this._getMonth())-1,
+      parseInt(this._getDate()) + (this._getHours() >= 24 ? 1 : 0) + delta
+    ));
+  }
 
-    return date;
+  /**
+   * Get the wall-clock time of the DateTime (in its timezone) in seconds
+   * since midnight of its date.  This is the GTFS Time, adjusted by the
+   * change of the timezone's offset since noon of the date on the days of a
+   * daylight saving transition.  A time before midnight of the date (on the
+   * day the clocks are set forward) is the time of the previous day.
+   * @returns {int} seconds
+   * @private
+   */
+  _getWallSeconds() {
+    let seconds = this.time + this._getWallOffset();
+    return seconds < 0 ? seconds + 86400 : seconds;
+  }
+
+  /**
+   * Get the date of the wall-clock time of the DateTime (see
+   * {@link DateTime#_getWallSeconds|_getWallSeconds()}): the date of the
+   * DateTime or the previous day, for a time before midnight of the date
+   * @returns {string} date (yyyy-mm-dd)
+   * @private
+   */
+  _getWallDate() {
+    if ( this.time + this._getWallOffset() >= 0 ) {
+      return this._getYear() + '-' + this._getMonth() + '-' + this._getDate();
+    }
+    let previous = new Date(Date.UTC(parseInt(this._getYear()), parseInt(this._getMonth())-1, parseInt(this._getDate())-1));
+    return previous.getUTCFullYear() + '-' + _pad(previous.getUTCMonth()+1) + '-' + _pad(previous.getUTCDate());
+  }
+
+  /**
+   * Get the change (in seconds) of the timezone's offset since noon of the
+   * date (0, except on the days of a daylight saving transition)
+   * @returns {int} seconds
+   * @private
+   */
+  _getWallOffset() {
+    let noon = _getServiceDateStart(this.date, this.timezone) + 12*3600000;
+    return (_getOffset(this.toTimestamp(), this.timezone) - _getOffset(noon, this.timezone))/1000;
   }
 
   /**
    * Get the DateTime's Hours
+   * @param {int} [time] Time in seconds (default: the GTFS Time)
    * @returns {number}
    * @private
    */
-  _getHours() {
-    return Math.floor(this.time/3600);
+  _getHours(time=this.time) {
+    return Math.floor(time/3600);
   }
 
   /**
    * Get the DateTime's Minutes
+   * @param {int} [time] Time in seconds (default: the GTFS Time)
    * @returns {number}
    * @private
    */
-  _getMins() {
-    return Math.floor((this.time%3600)/60);
+  _getMins(time=this.time) {
+    return Math.floor((time%3600)/60);
   }
 
   /**
    * Get the DateTime's Seconds
+   * @param {int} [time] Time in seconds (default: the GTFS Time)
    * @returns {number}
    * @private
    */
-  _getSecs() {
-    return Math.floor((this.time%3600)%60);
+  _getSecs(time=this.time) {
+    return Math.floor((time%3600)%60);
   }
 
   /**
@@ -259,12 +356,11 @@ class DateTime {
    * @returns {DateTime} return the DateTime
    */
   deltaDays(delta) {
-    let date = this._getJSDate();
-    date.setDate(date.getDate() + delta);
+    let date = this._getUTCDate(delta);
 
-    let y = date.getFullYear();
-    let m = date.getMonth()+1;
-    let d = date.getDate();
+    let y = date.getUTCFullYear();
+    let m = date.getUTCMonth()+1;
+    let d = date.getUTCDate();
 
     if ( m < 10 ) {
       m = '0' + m;
@@ -290,7 +386,7 @@ class DateTime {
     let date = this._getJSDate();
     let time = date.getTime() + (delta * 60000);
     date.setTime(time);
-    let js = DateTime.createFromJSDate(date);
+    let js = DateTime.createFromJSDate(date, this.timezone);
 
     // Set time and date properties
     this.time = js.time;
@@ -306,7 +402,9 @@ class DateTime {
   // ==== TIME GETTERS ==== //
 
   /**
-   * Get the time in seconds since midnight
+   * Get the GTFS Time in seconds: the time since the start (noon minus 12h)
+   * of the date.  This is the time since midnight, except on the days of a
+   * daylight saving transition.
    * @returns {int} time integer in seconds
    */
   getTimeSeconds() {
@@ -314,12 +412,25 @@ class DateTime {
   }
 
   /**
-   * Get the Time in HHmm format
+   * Get the number of seconds from the start (noon minus 12h) of the
+   * specified service date to the DateTime (in the DateTime's timezone).
+   * This is the GTFS Time of the DateTime relative to the service date
+   * (and can be negative or greater than 24 hours).
+   * @param {int} date Service date (yyyymmdd)
+   * @returns {int} time in seconds since the start of the service date
+   */
+  getServiceSeconds(date) {
+    return Math.round((this.toTimestamp() - _getServiceDateStart(date, this.timezone))/1000);
+  }
+
+  /**
+   * Get the wall-clock Time in HHmm format
    * @return {string} HHmm
    */
   getTimeInt() {
-    let h = this._getHours();
-    let m = this._getMins();
+    let time = this._getWallSeconds();
+    let h = this._getHours(time);
+    let m = this._getMins(time);
 
     // Pad with leading 0s
     if ( h < 10 ) {
@@ -333,13 +444,17 @@ class DateTime {
   }
 
   /**
-   * Get the GTFS Spec time representation (HH:mm:ss)
+   * Get the GTFS Spec time representation (HH:mm:ss) of the wall-clock
+   * time (with hours past 24 for a time after midnight of the date).  On
+   * the days of a daylight saving transition, this is not the GTFS Time of
+   * {@link DateTime#getTimeSeconds|getTimeSeconds()}.
    * @returns {string} GTFS Time (HH:mm:ss)
    */
   getTimeGTFS() {
-    let h = this._getHours();
-    let m = this._getMins();
-    let s = this._getSecs();
+    let time = this._getWallSeconds();
+    let h = this._getHours(time);
+    let m = this._getMins(time);
+    let s = this._getSecs(time);
 
     // Pad with leading 0s
     if ( h < 10 ) {
@@ -356,12 +471,13 @@ class DateTime {
   }
 
   /**
-   * Get the human readable time (12 hr with AM/PM)
+   * Get the human readable wall-clock time (12 hr with AM/PM)
    * @returns {string} human readable time
    */
   getTimeReadable() {
-    let h = this._getHours();
-    let m = this._getMins();
+    let time = this._getWallSeconds();
+    let h = this._getHours(time);
+    let m = this._getMins(time);
 
     // Pad Minutes with 0s
     if ( m < 10 ) {
@@ -441,7 +557,7 @@ class DateTime {
     dow[5] = 'friday';
     dow[6] = 'saturday';
 
-    return dow[this._getJSDate().getDay()];
+    return dow[this._getUTCDate().getUTCDay()];
   }
 
   /**
@@ -453,11 +569,13 @@ class DateTime {
     let days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     let months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
+    let date = this._getUTCDate();
+
     let rtn = "";
     if ( dow ) {
-      rtn += days[this._getJSDate().getDay()] + ", ";
+      rtn += days[date.getUTCDay()] + ", ";
     }
-    rtn += months[this._getJSDate().getMonth()] + " " + this._getJSDate().getDate() + ", " + this._getJSDate().getFullYear();
+    rtn += months[date.getUTCMonth()] + " " + date.getUTCDate() + ", " + date.getUTCFullYear();
 
     return rtn;
   }
@@ -465,6 +583,97 @@ class DateTime {
 
 
 
+  // ==== LOCALE FORMATTERS ==== //
+
+  /**
+   * Get the time formatted for the locale: the wall-clock time of the
+   * DateTime in its timezone (ex 1:30 PM in en-US or 13:30 in fr-FR)
+   * @param {Object} [options] Format Options
+   * @param {string} [options.locale=en-US] BCP 47 locale (ex es-MX)
+   * @param {boolean} [options.hour12] Set to true for a 12-hour time or false for
+   * a 24-hour time (when not provided, the locale's default is used)
+   * @param {boolean} [options.seconds=false] Set to true to include the seconds
+   * @returns {string} formatted time
+   */
+  formatTime(options={}) {
+    let format = {
+      timeZone: this.timezone,
+      hour: 'numeric',
+      minute: '2-digit'
+    };
+    if ( options.hour12 !== undefined ) {
+      format.hourCycle = options.hour12 ? 'h12' : 'h23';
+    }
+    if ( options.seconds ) {
+      format.second = '2-digit';
+    }
+    return _getLocaleFormatter('time', options.locale, format).format(this._getJSDate());
+  }
+
+  /**
+   * Get the date formatted for the locale (ex Jan 16, 2018 in en-US or
+   * 16 ene 2018 in es-ES).  Like {@link DateTime#getDateReadable|getDateReadable()},
+   * this is the calendar date of the DateTime (the next day when the time
+   * is 24:00 or later).
+   * @param {Object} [options] Format Options
+   * @param {string} [options.locale=en-US] BCP 47 locale (ex fr-FR)
+   * @param {string} [options.style=short] The style of the month: `numeric` (1/16/2018),
+   * `short` (Jan 16, 2018) or `long` (January 16, 2018)
+   * @param {boolean} [options.dow=false] Set to true to include the day of the week
+   * @returns {string} formatted date
+   */
+  formatDate(options={}) {
+    let style = options.style !== undefined ? options.style : 'short';
+    let format = {
+      timeZone: 'UTC',
+      year: 'numeric',
+      month: style,
+      day: 'numeric'
+    };
+    if ( options.dow ) {
+      format.weekday = style === 'long' ? 'long' : 'short';
+    }
+    return _getLocaleFormatter('date', options.locale, format).format(this._getUTCDate());
+  }
+
+  /**
+   * Get the time from now (or from the specified Date/Time) to the DateTime
+   * formatted for the locale (ex in 5 min or 10 min ago).  Times within an
+   * hour are formatted in minutes, within a day in hours and otherwise in days.
+   * @param {Object} [options] Format Options
+   * @param {string} [options.locale=en-US] BCP 47 locale (ex fr-CA)
+   * @param {DateTime} [options.from=now] The Date/Time the time is relative to
+   * @param {string} [options.style=short] The length of the units: `long` (in 5 minutes),
+   * `short` (in 5 min.) or `narrow`
+   * @param {string} [options.numeric=always] Set to `auto` to use phrases such as
+   * `this minute` or `tomorrow`
+   * @returns {string} formatted relative time
+   */
+  formatRelative(options={}) {
+    let from = options.from !== undefined ? options.from : DateTime.now(this.timezone);
+    let mins = Math.round((this.toTimestamp() - from.toTimestamp())/60000);
+
+    let value = mins;
+    let unit = 'minute';
+    if ( Math.abs(mins) >= 1440 ) {
+      value = Math.round(mins/1440);
+      unit = 'day';
+    }
+    else if ( Math.abs(mins) >= 60 ) {
+      value = Math.round(mins/60);
+      unit = 'hour';
+    }
+
+    let format = {
+      style: options.style !== undefined ? options.style : 'short',
+      numeric: options.numeric !== undefined ? options.numeric : 'always'
+    };
+    return _getLocaleFormatter('relative', options.locale, format).format(value, unit);
+  }
+
+
+
+
   // ==== DATE/TIME FUNCTIONS ==== //
 
   /**
@@ -478,7 +687,7 @@ class DateTime {
     }
 
     // Set date
-    let str = this._getYear() + '-' + this._getMonth() + '-' + this._getDate();
+    let str = this._getWallDate();
 
     // Set time
     str = str + ' ' + this.getTimeGTFS();
@@ -496,6 +705,45 @@ class DateTime {
   }
 
 
+  /**
+   * Get the ISO 8601 representation of the DateTime: the wall-clock date
+   * and time of the DateTime in its timezone with the timezone's offset
+   * from UTC (ex 2017-09-30T13:30:00-04:00)
+   * @returns {string} ISO 8601 Date/Time
+   */
+  toISO() {
+    let ts = this.toTimestamp();
+    let parts = {};
+    let offset = 0;
+
+    // Date/Time in the DateTime's timezone
+    if ( this.timezone !== undefined ) {
+      parts = _getParts(ts, this.timezone);
+      offset = _getOffset(ts, this.timezone)/60000;
+    }
+
+    // Date/Time in the host timezone
+    else {
+      let jd = new Date(ts);
+      parts = {
+        year: jd.getFullYear(),
+        month: jd.getMonth() + 1,
+        day: jd.getDate(),
+        hour: jd.getHours(),
+        minute: jd.getMinutes(),
+        second: jd.getSeconds()
+      };
+      offset = -1*jd.getTimezoneOffset();
+    }
+
+    let sign = offset < 0 ? '-' : '+';
+    offset = Math.abs(offset);
+
+    return parts.year + '-' + _pad(parts.month) + '-' + _pad(parts.day) + 'T' +
+      _pad(parts.hour) + ':' + _pad(parts.minute) + ':' + _pad(parts.second) +
+      sign + _pad(Math.floor(offset/60)) + ':' + _pad(offset%60);
+  }
+
   /**
    * Get a timestamp (in ms) of the DateTime
    * @returns {number} timestamp (ms) of DateTime
@@ -511,10 +759,7 @@ class DateTime {
   toString() {
     let str = '';
     if ( this.date !== 19700101 ) {
-      let y = this._getYear();
-      let m = this._getMonth();
-      let d = this._getDate();
-      str = str + y + '-' + m + '-' + d + ' ';
+      str = str + this._getWallDate() + ' ';
     }
     str = str + '@ ' + this.getTimeGTFS();
     return str;
@@ -522,10 +767,29 @@ class DateTime {
 
   /**
    * Create a new DateTime Object with the properties of this one
-   * @returns {DateTime} DateTime with same date and time
+   * @returns {DateTime} DateTime with same date, time and timezone
    */
   clone() {
-    return new DateTime(this.time, this.date);
+    return new DateTime(this.time, this.date, this.timezone);
+  }
+
+  /**
+   * Create a new DateTime of the same moment in the specified timezone
+   * @param {string} [timezone] IANA timezone (or undefined for the host timezone)
+   * @returns {DateTime} DateTime in the timezone
+   */
+  toTimezone(timezone) {
+    return DateTime.createFromJSDate(this._getJSDate(), timezone);
+  }
+
+  /**
+   * Create a new DateTime with the same date and time in the specified
+   * timezone (the date and time are not converted to the timezone)
+   * @param {string} [timezone] IANA timezone (or undefined for the host timezone)
+   * @returns {DateTime} DateTime in the timezone
+   */
+  withTimezone(timezone) {
+    return new DateTime(this.time, this.date, timezone);
   }
 
 }
@@ -541,30 +805,43 @@ class DateTime {
  * DateTime Factory: with time and date
  * @param {string|int} time Time
  * @param {int} date Date
+ * @param {string} [timezone] IANA timezone
  * @returns {DateTime} DateTime
  */
-DateTime.create = function(time, date) {
-  return new DateTime(time, date);
+DateTime.create = function(time, date, timezone) {
+  return new DateTime(time, date, timezone);
 };
 
 /**
  * DateTime Factory: date and time of now
+ * @param {string} [timezone] IANA timezone (such as the Agency's timezone)
  * @returns {DateTime} DateTime
  */
-DateTime.now = function() {
-  return DateTime.createFromJSDate(new Date());
+DateTime.now = function(timezone) {
+  return DateTime.createFromJSDate(new Date(), timezone);
 };
 
 
 /**
  * DateTime Factory: with JavaScript Date
  * @param {Date} jd JavaScript Date
+ * @param {string} [timezone] IANA timezone of the DateTime (the date and time
+ * of the JavaScript Date in the host timezone are used when not provided)
+ * @returns {DateTime} DateTime
  */
-DateTime.createFromJSDate = function(jd) {
+DateTime.createFromJSDate = function(jd, timezone) {
+  let parts = timezone !== undefined && timezone !== null && timezone !== '' ?
+    _getParts(jd.getTime(), timezone) :
+    {
+      year: jd.getFullYear(),
+      month: jd.getMonth() + 1,
+      day: jd.getDate()
+    };
+
   // Construct Date
-  let y = jd.getFullYear();
-  let m = jd.getMonth() + 1;
-  let d = jd.getDate();
+  let y = parts.year;
+  let m = parts.month;
+  let d = parts.day;
   if ( m < 10 ) {
     m = '0' + m;
   }
@@ -573,40 +850,36 @@ DateTime.createFromJSDate = function(jd) {
   }
   let date = parseInt('' + y + m + d);
 
-  // Construct Time
-  let h = jd.getHours();
-  let min = jd.getMinutes();
-  let sec = jd.getSeconds();
-  if ( h < 10 ) {
-    h = '0' + h;
-  }
-  if ( min < 10 ) {
-    min = '0' + min;
-  }
-  if ( sec < 10 ) {
-    sec = '0' + sec;
+  // Construct Time (GTFS Time since the start of the service date)
+  let time = Math.floor((jd.getTime() - _getServiceDateStart(date, timezone))/1000);
+
+  // Times before the start of the service date (after midnight on the day
+  // the clocks are set back) are on the previous service date
+  if ( time < 0 ) {
+    date = DateTime.createFromDate(date).deltaDays(-1).getDateInt();
+    time = Math.floor((jd.getTime() - _getServiceDateStart(date, timezone))/1000);
   }
-  let time = h + ':' + min + ':' + sec;
 
-  return new DateTime(time, date);
+  return new DateTime(time, date, timezone);
 };
 
 /**
  * DateTime Factory: with time
  * @param {string} time Time
  * @param {boolean} [guessDate=false] Set to true to guess the Date relative to today
+ * @param {string} [timezone] IANA timezone (today is the current date in the timezone)
  * @returns {DateTime} DateTime
  */
-DateTime.createFromTime = function(time, guessDate) {
+DateTime.createFromTime = function(time, guessDate, timezone) {
   // Default Date = epoch
   let date = 19700101;
   let delta = 0;
 
   // Try to guess the date based on the requested and current times
   if ( guessDate ) {
-    date = DateTime.now().getDateInt();
+    date = DateTime.now(timezone).getDateInt();
     let ts = DateTime.create(time, 19700101).getTimeSeconds();
-    let ns = DateTime.now().getTimeSeconds();
+    let ns = DateTime.now(timezone).getTimeSeconds();
 
     // AM: before 4 AM
     if ( ns <= 14400 ) {
@@ -626,17 +899,239 @@ DateTime.createFromTime = function(time, guessDate) {
   }
 
   // Create the DateTime
-  return new DateTime(time, date).deltaDays(delta);
+  return new DateTime(time, date, timezone).deltaDays(delta);
 };
 
 /**
  * DateTime Factory: with date
  * @param {int} date Date
+ * @param {string} [timezone] IANA timezone
  * @returns {DateTime} DateTime
  */
-DateTime.createFromDate = function(date) {
-  return new DateTime('00:00:00', date);
+DateTime.createFromDate = function(date, timezone) {
+  return new DateTime('00:00:00', date, timezone);
 };
 
+/**
+ * DateTime Factory: with an ISO 8601 date/time.  A date/time with a UTC
+ * offset (or `Z`) is converted to the timezone, a date/time without an
+ * offset is the wall-clock time in the timezone and a date without a time
+ * is the start of the service date.
+ *
+ * Supported formats: `yyyy-mm-dd`, `yyyy-mm-ddTHH:mm[:ss[.sss]][Z|±HH[:mm]]`
+ * (and the basic formats without the `-` and `:` separators)
+ * @param {string} iso ISO 8601 Date/Time
+ * @param {string} [timezone] IANA timezone of the DateTime
+ * @returns {DateTime} DateTime
+ */
+DateTime.fromISO = function(iso, timezone) {
+  let matches = typeof iso === 'string' ?
+    iso.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[T ](\d{2}):?(\d{2})(?::?(\d{2})(?:[.,]\d+)?)?(Z|[+-]\d{2}(?::?\d{2})?)?)?$/) :
+    null;
+  if ( matches === null ) {
+    throw new Error('DATETIME ERROR: Could not parse the ISO 8601 date/time: ' + iso);
+  }
+
+  let y = parseInt(matches[1]);
+  let m = parseInt(matches[2]);
+  let d = parseInt(matches[3]);
+  let h = matches[4] !== undefined ? parseInt(matches[4]) : 0;
+  let min = matches[5] !== undefined ? parseInt(matches[5]) : 0;
+  let s = matches[6] !== undefined ? parseInt(matches[6]) : 0;
+
+  // Check to make sure the parts are within a reasonable range
+  if ( m < 1 || m > 12 || d < 1 || d > new Date(Date.UTC(y, m, 0)).getUTCDate() || h > 23 || min > 59 || s > 59 ) {
+    throw new Error('DATETIME ERROR: Could not parse the ISO 8601 date/time: ' + iso);
+  }
+
+  // Date without a time: start of the service date
+  if ( matches[4] === undefined ) {
+    return DateTime.createFromDate(y*10000 + m*100 + d, timezone);
+  }
+
+  // Date/Time with a UTC offset
+  let ts = undefined;
+  if ( matches[7] !== undefined ) {
+    let offset = 0;
+    if ( matches[7] !== 'Z' ) {
+      let o = matches[7].replace(':', '');
+      offset = parseInt(o.substr(1, 2))*60 + (o.length > 3 ? parseInt(o.substr(3, 2)) : 0);
+      offset = o[0] === '-' ? -1*offset : offset;
+    }
+    ts = Date.UTC(y, m-1, d, h, min, s) - offset*60000;
+  }
+
+  // Wall-clock Date/Time in the timezone
+  else if ( timezone !== undefined && timezone !== null && timezone !== '' ) {
+    ts = _getZonedTimestamp(y, m, d, h, min, s, timezone);
+  }
+
+  // Wall-clock Date/Time in the host timezone
+  else {
+    ts = new Date(y, m-1, d, h, min, s).getTime();
+  }
+
+  return DateTime.createFromJSDate(new Date(ts), timezone);
+};
+
+
+
+
+// ==== HELPER FUNCTIONS ==== //
+
+
+/**
+ * Pad the number with a leading 0 to 2 digits
+ * @param {int} n Number to pad
+ * @returns {string}
+ * @private
+ */
+function _pad(n) {
+  return n < 10 ? '0' + n : '' + n;
+}
+
+
+/**
+ * Get the timestamp of the start of the service date: noon minus 12h, as
+ * defined by the GTFS Spec.  This is midnight, except on the days of a
+ * daylight saving transition.
+ * @param {int} date Service date (yyyymmdd)
+ * @param {string} [timezone] IANA timezone (or undefined for the host timezone)
+ * @returns {number} timestamp (ms)
+ * @private
+ */
+function _getServiceDateStart(date, timezone) {
+  let y = Math.floor(date/10000);
+  let m = Math.floor((date%10000)/100);
+  let d = date%100;
+  let noon = timezone !== undefined && timezone !== null && timezone !== '' ?
+    _getZonedTimestamp(y, m, d, 12, 0, 0, timezone) :
+    new Date(y, m-1, d, 12, 0, 0).getTime();
+  return noon - 12*3600000;
+}
+
+
+/**
+ * Get the (cached) Intl Formatter of the locale
+ * @param {string} type Formatter type (`relative` for an Intl.RelativeTimeFormat,
+ * otherwise an Intl.DateTimeFormat)
+ * @param {string} [locale=en-US] BCP 47 locale
+ * @param {Object} options Intl Formatter options
+ * @returns {Intl.DateTimeFormat|Intl.RelativeTimeFormat}
+ * @throws {Error} when the locale or options are not supported
+ * @private
+ */
+function _getLocaleFormatter(type, locale, options) {
+  locale = locale !== undefined && locale !== null ? locale : DEFAULT_LOCALE;
+  let key = type + '|' + locale + '|' + JSON.stringify(options);
+  if ( !LOCALE_FORMATTERS.hasOwnProperty(key) ) {
+    try {
+      LOCALE_FORMATTERS[key] = type === 'relative' ?
+        new Intl.RelativeTimeFormat(locale, options) :
+        new Intl.DateTimeFormat(locale, options);
+    }
+    catch(err) {
+      throw new Error('DATETIME ERROR: Could not format the DateTime. locale=' + locale + ': ' + err.message);
+    }
+  }
+  return LOCALE_FORMATTERS[key];
+}
+
+/**
+ * Get the (cached) Intl Date/Time Formatter of the timezone
+ * @param {string} timezone IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ * @throws {Error} when the timezone is not a known IANA timezone
+ * @private
+ */
+function _getFormatter(timezone) {
+  if ( !FORMATTERS.hasOwnProperty(timezone) ) {
+    try {
+      FORMATTERS[timezone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    }
+    catch(err) {
+      throw new Error('DATETIME ERROR: Unknown timezone: ' + timezone);
+    }
+  }
+  return FORMATTERS[timezone];
+}
+
+/**
+ * Get the date and time parts of the timestamp in the timezone
+ * @param {number} timestamp Timestamp (ms)
+ * @param {string} timezone IANA timezone
+ * @returns {{year: int, month: int, day: int, hour: int, minute: int, second: int}}
+ * @private
+ */
+function _getParts(timestamp, timezone) {
+  let parts = _getFormatter(timezone).formatToParts(new Date(timestamp));
+  let rtn = {};
+  for ( let i = 0; i < parts.length; i++ ) {
+    if ( parts[i].type !== 'literal' ) {
+      rtn[parts[i].type] = parseInt(parts[i].value);
+    }
+  }
+  rtn.hour = rtn.hour % 24;
+  return rtn;
+}
+
+/**
+ * Get the offset (in ms) of the timezone from UTC at the timestamp
+ * @param {number} timestamp Timestamp (ms)
+ * @param {string} [timezone] IANA timezone (or undefined for the host timezone)
+ * @returns {number} offset (ms)
+ * @private
+ */
+function _getOffset(timestamp, timezone) {
+  if ( timezone === undefined ) {
+    return -1*new Date(timestamp).getTimezoneOffset()*60000;
+  }
+  let p = _getParts(timestamp, timezone);
+  let utc = Date.UTC(p.year, p.month-1, p.day, p.hour, p.minute, p.second);
+  return utc - Math.floor(timestamp/1000)*1000;
+}
+
+/**
+ * Get the timestamp of the date and time in the timezone.  Like a JavaScript
+ * Date in the host timezone, a time skipped by a daylight saving transition
+ * is moved forward and a repeated time uses its first occurrence.
+ * @param {int} y Year
+ * @param {int} m Month (1 based)
+ * @param {int} d Date
+ * @param {int} h Hours
+ * @param {int} min Minutes
+ * @param {int} s Seconds
+ * @param {string} timezone IANA timezone
+ * @returns {number} timestamp (ms)
+ * @private
+ */
+function _getZonedTimestamp(y, m, d, h, min, s, timezone) {
+  let utc = Date.UTC(y, m-1, d, h, min, s);
+
+  // Offsets of the timezone the day before and the day after
+  let before = _getOffset(utc - 86400000, timezone);
+  let after = _getOffset(utc + 86400000, timezone);
+
+  // Use the first offset that gives the date and time
+  if ( _getOffset(utc - before, timezone) === before ) {
+    return utc - before;
+  }
+  else if ( _getOffset(utc - after, timezone) === after ) {
+    return utc - after;
+  }
+
+  // Time skipped by a daylight saving transition
+  return utc - before;
+}
+
 
 module.exports = DateTime;
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Duration Class
+ * @see {@link Duration}
+ * @module utils/Duration
+ */
+
+/**
+ * Right Track Duration
+ * --------------------
+ * This class represents an amount of time, such as the travel time
+ * of a Trip Search Result or the layover time of a Transfer.
+ *
+ * Duration Formats
+ * - _number_ milliseconds (50 mins = 3000000)
+ * - _string_ ISO 8601 duration (PT1H5M30S) | **ISO Duration**
+ *
+ * A Duration is converted to its ISO Duration when serialized as JSON and
+ * to its number of minutes when used as a number.
+ *
+ * **Module:** {@link module:utils/Duration|utils/Duration}
+ *
+ * @class
+ * @alias Duration
+ */
+class Duration {
+
+  /**
+   * Right Track Duration Constructor
+   * @constructor
+   * @param {number} milliseconds The length of the Duration in milliseconds
+   * (negative for a Duration backwards in time)
+   */
+  constructor(milliseconds) {
+    if ( typeof milliseconds !== 'number' || !isFinite(milliseconds) ) {
+      throw new Error('DURATION ERROR: Duration is not a number. milliseconds=' + milliseconds);
+    }
+
+    /**
+     * The length of the Duration in milliseconds
+     * @type {number}
+     */
+    this.milliseconds = milliseconds;
+  }
+
+
+  // ==== GETTERS ==== //
+
+  /**
+   * Get the length of the Duration in milliseconds
+   * @returns {number} milliseconds
+   */
+  getMilliseconds() {
+    return this.milliseconds;
+  }
+
+  /**
+   * Get the length of the Duration in seconds
+   * @returns {number} seconds
+   */
+  getSeconds() {
+    return this.milliseconds/1000;
+  }
+
+  /**
+   * Get the length of the Duration in minutes
+   * @returns {number} minutes
+   */
+  getMinutes() {
+    return this.milliseconds/60000;
+  }
+
+  /**
+   * Get the length of the Duration in hours
+   * @returns {number} hours
+   */
+  getHours() {
+    return this.milliseconds/3600000;
+  }
+
+
+  // ==== ARITHMETIC ==== //
+
+  /**
+   * Get the sum of this Duration and the specified Duration
+   * @param {Duration} duration The Duration to add
+   * @returns {Duration} a new Duration
+   */
+  plus(duration) {
+    return new Duration(this.milliseconds + duration.milliseconds);
+  }
+
+  /**
+   * Get the difference of this Duration and the specified Duration
+   * @param {Duration} duration The Duration to subtract
+   * @returns {Duration} a new Duration
+   */
+  minus(duration) {
+    return new Duration(this.milliseconds - duration.milliseconds);
+  }
+
+
+  // ==== FORMATTERS ==== //
+
+  /**
+   * Get the ISO 8601 representation of the Duration in hours, minutes and
+   * seconds (ex PT1H5M30S).  A negative Duration has a leading minus sign.
+   * @returns {string} ISO Duration
+   */
+  toISO() {
+    let ms = Math.abs(this.milliseconds);
+    let h = Math.floor(ms/3600000);
+    let m = Math.floor((ms%3600000)/60000);
+    let s = (ms%60000)/1000;
+
+    let str = this.milliseconds < 0 ? '-PT' : 'PT';
+    if ( h > 0 ) {
+      str = str + h + 'H';
+    }
+    if ( m > 0 ) {
+      str = str + m + 'M';
+    }
+    if ( s > 0 || (h === 0 && m === 0) ) {
+      str = str + s + 'S';
+    }
+
+    return str;
+  }
+
+  /**
+   * Get a String representation of the Duration (its ISO Duration)
+   * @returns {string} ISO Duration
+   */
+  toString() {
+    return this.toISO();
+  }
+
+  /**
+   * Get the JSON representation of the Duration (its ISO Duration)
+   * @returns {string} ISO Duration
+   */
+  toJSON() {
+    return this.toISO();
+  }
+
+  /**
+   * Get the numeric value of the Duration: its length in minutes
+   * @returns {number} minutes
+   */
+  valueOf() {
+    return this.getMinutes();
+  }
+
+}
+
+
+
+
+// ==== DURATION FACTORIES ==== //
+
+
+/**
+ * Duration Factory: with seconds
+ * @param {number} seconds Number of seconds
+ * @returns {Duration} Duration
+ */
+Duration.fromSeconds = function(seconds) {
+  return new Duration(seconds*1000);
+};
+
+/**
+ * Duration Factory: with minutes
+ * @param {number} minutes Number of minutes
+ * @returns {Duration} Duration
+ */
+Duration.fromMinutes = function(minutes) {
+  return new Duration(minutes*60000);
+};
+
+/**
+ * Duration Factory: between two Date/Times
+ * @param {DateTime} start Start Date/Time
+ * @param {DateTime} end End Date/Time
+ * @returns {Duration} Duration (negative if the end is before the start)
+ */
+Duration.between = function(start, end) {
+  return new Duration(end.toTimestamp() - start.toTimestamp());
+};
+
+/**
+ * Duration Factory: with an ISO 8601 duration in weeks, days, hours,
+ * minutes and/or seconds (ex PT1H5M30S or P1DT2H).  Years and months are
+ * not supported, since their length varies.  A day is 24 hours.
+ * @param {string} iso ISO Duration
+ * @returns {Duration} Duration
+ */
+Duration.fromISO = function(iso) {
+  let matches = typeof iso === 'string' ?
+    iso.match(/^([+-])?P(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/) :
+    null;
+
+  // Check for an ISO Duration with at least one value
+  if ( matches === null || iso.slice(-1) === 'P' || iso.slice(-1) === 'T' ) {
+    throw new Error('DURATION ERROR: Could not parse the ISO 8601 duration: ' + iso);
+  }
+
+  let units = [undefined, undefined, 604800000, 86400000, 3600000, 60000, 1000];
+  let ms = 0;
+  for ( let i = 2; i < matches.length; i++ ) {
+    if ( matches[i] !== undefined ) {
+      ms = ms + parseFloat(matches[i].replace(',', '.'))*units[i];
+    }
+  }
+
+  return new Duration(matches[1] === '-' ? -1*ms : ms);
+};
+
+
+module.exports = Duration;
\ No newline at end of file
@@ -0,0 +1,482 @@
+'use strict';
+
+/**
+ * ### Right Track Query Cache
+ * The cache shared by the query modules.  Each query module stores its
+ * results in one or more namespaces (such as `tripsById` or `stopById`).
+ *
+ * Each namespace is bounded: it keeps up to `maxSize` entries (removing
+ * the least recently used entries first) and entries expire after `ttl`
+ * milliseconds.  The limits can be set for all namespaces and overridden
+ * for a single namespace:
+ *
+ * ```javascript
+ * const cache = require('right-track-core').utils.cache;
+ *
+ * cache.configure({
+ *   maxSize: 5000,
+ *   ttl: 24*60*60*1000,
+ *   namespaces: {
+ *     tripsById: { maxSize: 20000, ttl: 60*60*1000 }
+ *   }
+ * });
+ * ```
+ *
+ * Cached values are shared by all of the callers, so they are protected
+ * from changes: the cached objects (and the objects they reference,
+ * including the entries of a Map or Set) are frozen and a cached list is
+ * returned as a copy of the list, which can be sorted or filtered by the
+ * caller without changing the cached list.  Per-request values are set on
+ * copies of the shared objects (such as {@link Stop#withDistance}).  Values
+ * that are mutable by design (such as a Graph) can be cached without
+ * freezing by creating their namespace with the `freeze` option set to false.
+ *
+ * Concurrent loads of the same key (such as many requests for the same
+ * Stops after the cache is cleared) can be coalesced using the `coalesce`
+ * function of the namespace, so only a single load is performed.
+ *
+ * The entries are kept in memory by default.  A different backend can be
+ * used by setting the `store` option to a factory function that returns a
+ * store for each namespace.  A store must synchronously implement:
+ * - `get({string} key)`: get the entry (or `undefined` if not stored)
+ * - `set({string} key, {Object} entry)`: store the entry
+ * - `delete({string} key)`: remove the entry
+ * - `clear()`: remove all of the entries
+ * - `size`: the number of stored entries
+ *
+ * @module utils/cache
+ */
+
+
+/**
+ * Default cache options
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+  maxSize: 10000,
+  ttl: 0,
+  namespaces: {},
+  store: undefined
+};
+
+/**
+ * Current cache options
+ * @private
+ */
+let _options = Object.assign({}, DEFAULT_OPTIONS);
+
+/**
+ * Caches, by namespace
+ * @private
+ */
+let _caches = {};
+
+
+
+// ==== STORE ==== //
+
+/**
+ * ### `MemoryStore` Class
+ *
+ * The default cache store: keeps the entries in memory, removing the
+ * least recently used entries once there are more than `maxSize` entries
+ *
+ * @class
+ * @alias MemoryStore
+ */
+class MemoryStore {
+
+  /**
+   * Create a new in-memory store
+   * @param {int} [maxSize=0] Maximum number of entries (0 = no limit)
+   */
+  constructor(maxSize=0) {
+
+    /**
+     * Maximum number of entries (0 = no limit)
+     * @type {int}
+     */
+    this.maxSize = maxSize;
+
+    /**
+     * Stored entries, by key, in the order they were last used
+     * @type {Map}
+     * @private
+     */
+    this._entries = new Map();
+
+  }
+
+  /**
+   * The number of stored entries
+   * @returns {int}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Get the stored entry and mark it as the most recently used
+   * @param {string} key Entry key
+   * @returns {Object} entry (or undefined if not stored)
+   */
+  get(key) {
+    let entry = this._entries.get(key);
+    if ( entry !== undefined ) {
+      this._entries.delete(key);
+      this._entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Store the entry, removing the least recently used entries when full
+   * @param {string} key Entry key
+   * @param {Object} entry Entry to store
+   */
+  set(key, entry) {
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    while ( this.maxSize > 0 && this._entries.size > this.maxSize ) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove the entry
+   * @param {string} key Entry key
+   */
+  delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Remove all of the entries
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+}
+
+
+
+// ==== CACHE ==== //
+
+/**
+ * ### `Cache` Class
+ *
+ * A single namespace of the query cache.  Use {@link module:utils/cache~create|create()}
+ * to get the Cache of a namespace.
+ *
+ * @class
+ * @alias Cache
+ */
+class Cache {
+
+  /**
+   * Create the Cache of the namespace
+   * @param {string} namespace Cache namespace
+   * @param {Object} [options] Cache options
+   * @param {boolean} [options.freeze=true] Freeze the cached values
+   */
+  constructor(namespace, options={}) {
+
+    /**
+     * Cache namespace
+     * @type {string}
+     */
+    this.namespace = namespace;
+
+    /**
+     * Freeze the cached values
+     * @type {boolean}
+     */
+    this.freeze = options.freeze !== false;
+
+    /**
+     * Number of cache hits
+     * @type {int}
+     */
+    this.hits = 0;
+
+    /**
+     * Number of cache misses
+     * @type {int}
+     */
+    this.misses = 0;
+
+    /**
+     * Callbacks waiting for a pending load, by key
+     * @type {Map}
+     * @private
+     */
+    this._pending = new Map();
+
+    this._configure();
+  }
+
+  /**
+   * The number of cached entries
+   * @returns {int}
+   */
+  get size() {
+    return this._store.size;
+  }
+
+  /**
+   * Get the cached value.  A cached list is returned as a copy of the list.
+   * @param {string} key Cache key
+   * @returns {*} cached value (or null if not cached or expired)
+   */
+  get(key) {
+    let entry = this._store.get(key);
+    if ( entry !== undefined && entry.expires > 0 && entry.expires <= Date.now() ) {
+      this._store.delete(key);
+      entry = undefined;
+    }
+    if ( entry === undefined ) {
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    return _slice(entry.value);
+  }
+
+  /**
+   * Add the value to the cache.  A list is cached as a copy of the list and
+   * the cached objects are frozen (unless the namespace is not frozen).
+   * @param {string} key Cache key
+   * @param {*} value Value to cache
+   */
+  put(key, value) {
+    value = this.freeze ? _freeze(_slice(value)) : _slice(value);
+    this._store.set(key, {
+      value: value,
+      expires: this._ttl > 0 ? Date.now() + this._ttl : 0
+    });
+  }
+
+  /**
+   * Coalesce concurrent loads of the same key: the first caller loads the
+   * value, while the callbacks of any other callers with the same key wait
+   * for the pending load to finish.
+   *
+   * Returns the callback function the first caller should use when its load
+   * is finished (which also returns the result to the waiting callers) or
+   * `undefined` when a load is already pending (the callback will be
+   * called when it finishes).  Each waiting caller gets its own copy of a
+   * list result (see {@link Cache#get|get()}).  The returned callback only
+   * finishes the load once, later calls are ignored.
+   * @param {string} key Cache key
+   * @param {function} callback Callback function(err, result)
+   * @returns {function|undefined} callback for the pending load
+   */
+  coalesce(key, callback) {
+    let waiting = this._pending.get(key);
+    if ( waiting !== undefined ) {
+      waiting.push(callback);
+      return undefined;
+    }
+
+    // Start a pending load
+    let self = this;
+    let called = false;
+    waiting = [];
+    this._pending.set(key, waiting);
+    return function(err, result) {
+
+      // Only finish the load once
+      if ( called ) {
+        return;
+      }
+      called = true;
+
+      // Take (and clear) the waiting callers before dispatching
+      if ( self._pending.get(key) === waiting ) {
+        self._pending.delete(key);
+      }
+      let waiters = waiting.splice(0, waiting.length);
+
+      // Copy a list result before the first caller can change it
+      let copies = [];
+      for ( let i = 0; i < waiters.length; i++ ) {
+        copies.push(_slice(result));
+      }
+
+      callback.apply(undefined, arguments);
+      for ( let i = 0; i < waiters.length; i++ ) {
+        waiters[i](err, copies[i]);
+      }
+    }
+  }
+
+  /**
+   * Remove the cached value
+   * @param {string} key Cache key
+   */
+  del(key) {
+    this._store.delete(key);
+  }
+
+  /**
+   * Remove all of the cached values
+   */
+  clear() {
+    this._store.clear();
+  }
+
+  /**
+   * Get the cache statistics of the namespace
+   * @returns {{hits: int, misses: int, size: int, maxSize: int, ttl: int}}
+   */
+  stats() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      size: this.size,
+      maxSize: this._maxSize,
+      ttl: this._ttl
+    };
+  }
+
+  /**
+   * Set the size limit and TTL of the namespace and create its store
+   * (removing all of the cached values)
+   * @private
+   */
+  _configure() {
+    let options = _options.namespaces.hasOwnProperty(this.namespace) ? _options.namespaces[this.namespace] : {};
+    this._maxSize = options.maxSize !== undefined ? options.maxSize : _options.maxSize;
+    this._ttl = options.ttl !== undefined ? options.ttl : _options.ttl;
+    if ( typeof _options.store === 'function' ) {
+      this._store = _options.store(this.namespace, {maxSize: this._maxSize, ttl: this._ttl});
+    }
+    else {
+      this._store = new MemoryStore(this._maxSize);
+    }
+  }
+
+}
+
+
+
+// ==== CACHE FUNCTIONS ==== //
+
+/**
+ * Get the Cache of the namespace, creating it if it does not exist
+ * @param {string} namespace Cache namespace
+ * @param {Object} [options] Cache options
+ * @param {boolean} [options.freeze=true] Freeze the cached values
+ * @returns {Cache}
+ */
+function create(namespace, options) {
+  if ( !_caches.hasOwnProperty(namespace) ) {
+    _caches[namespace] = new Cache(namespace, options);
+  }
+  return _caches[namespace];
+}
+
+
+/**
+ * Set the cache options.  The caches of all namespaces are reconfigured
+ * (and cleared).
+ * @param {Object} [options] Cache options (unset options use the defaults)
+ * @param {int} [options.maxSize=10000] Maximum number of entries in each namespace (0 = no limit)
+ * @param {int} [options.ttl=0] Time (in ms) until entries expire (0 = no expiration)
+ * @param {Object} [options.namespaces] Options (`maxSize` and `ttl`) of
+ * individual namespaces, by namespace
+ * @param {function} [options.store] Store factory function(namespace, {maxSize, ttl})
+ * that returns the store of each namespace (default: a {@link MemoryStore})
+ */
+function configure(options) {
+  _options = Object.assign({}, DEFAULT_OPTIONS, options);
+  if ( _options.namespaces === undefined || _options.namespaces === null ) {
+    _options.namespaces = {};
+  }
+  for ( let namespace in _caches ) {
+    if ( _caches.hasOwnProperty(namespace) ) {
+      _caches[namespace]._configure();
+    }
+  }
+}
+
+
+/**
+ * Get the cache statistics (hits, misses, size, maxSize and ttl) of
+ * each namespace
+ * @returns {Object} statistics, by namespace
+ */
+function stats() {
+  let rtn = {};
+  for ( let namespace in _caches ) {
+    if ( _caches.hasOwnProperty(namespace) ) {
+      rtn[namespace] = _caches[namespace].stats();
+    }
+  }
+  return rtn;
+}
+
+
+/**
+ * Remove all of the cached values of each namespace
+ */
+function clear() {
+  for ( let namespace in _caches ) {
+    if ( _caches.hasOwnProperty(namespace) ) {
+      _caches[namespace].clear();
+    }
+  }
+}
+
+
+/**
+ * Get a copy of a list (other values are returned as-is)
+ * @param {*} value The value to copy
+ * @returns {*} copy of the list or the value
+ * @private
+ */
+function _slice(value) {
+  return Array.isArray(value) ? value.slice() : value;
+}
+
+
+/**
+ * Freeze the value and each of the objects it references (including the
+ * keys and values of a Map or Set)
+ * @param {*} value The value to freeze
+ * @returns {*} the frozen value
+ * @private
+ */
+function _freeze(value) {
+  if ( value === null || typeof value !== 'object' || Object.isFrozen(value) || ArrayBuffer.isView(value) ) {
+    return value;
+  }
+  Object.freeze(value);
+  if ( value instanceof Map ) {
+    for ( let [k, v] of value ) {
+      _freeze(k);
+      _freeze(v);
+    }
+  }
+  else if ( value instanceof Set ) {
+    for ( let v of value ) {
+      _freeze(v);
+    }
+  }
+  let keys = Object.keys(value);
+  for ( let i = 0; i < keys.length; i++ ) {
+    _freeze(value[keys[i]]);
+  }
+  return value;
+}
+
+
+module.exports = {
+  create: create,
+  configure: configure,
+  stats: stats,
+  clear: clear,
+  Cache: Cache,
+  MemoryStore: MemoryStore
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+'use strict';
+
+
+/**
+ * Parse the contents of a CSV file (such as a GTFS text file).  Fields
+ * may be quoted with double quotes, with a double quote in a quoted field
+ * escaped as two double quotes.  Blank lines are ignored.
+ * @param {string} contents CSV file contents
+ * @returns {string[][]} records, as a list of fields
+ * @private
+ */
+function parse(contents) {
+  let rtn = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // Remove Byte Order Mark
+  if ( contents.charCodeAt(0) === 0xFEFF ) {
+    i = 1;
+  }
+
+  // Parse each character
+  for ( ; i < contents.length; i++ ) {
+    let c = contents[i];
+
+    // Inside a quoted field
+    if ( quoted ) {
+      if ( c === '"' && contents[i+1] === '"' ) {
+        field += '"';
+        i++;
+      }
+      else if ( c === '"' ) {
+        quoted = false;
+      }
+      else {
+        field += c;
+      }
+    }
+
+    // Start of a quoted field
+    else if ( c === '"' ) {
+      quoted = true;
+    }
+
+    // End of a field
+    else if ( c === ',' ) {
+      record.push(field);
+      field = '';
+    }
+
+    // End of a record
+    else if ( c === '\n' || c === '\r' ) {
+      if ( c === '\r' && contents[i+1] === '\n' ) {
+        i++;
+      }
+      record.push(field);
+      _add(rtn, record);
+      record = [];
+      field = '';
+    }
+
+    else {
+      field += c;
+    }
+  }
+
+  // Add the last record
+  record.push(field);
+  _add(rtn, record);
+
+  return rtn;
+}
+
+
+/**
+ * Add the record to the list of records, if it is not blank
+ * @param {string[][]} records List of records
+ * @param {string[]} record The record to add
+ * @private
+ */
+function _add(records, record) {
+  if ( record.length > 1 || record[0] !== '' ) {
+    records.push(record);
+  }
+}
+
+
+module.exports = {
+  parse: parse
+};
\ No newline at end of file
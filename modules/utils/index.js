@@ -15,10 +15,28 @@ module.exports = {
    */
   DateTime: require('./DateTime.js'),
 
+  /**
+   * Right Track Duration Class
+   * @see Duration
+   */
+  Duration: require('./Duration.js'),
+
   /**
    * Right Track calculation helper functions
    * @see module:utils/calc
    */
-  calc: require('./calc.js')
+  calc: require('./calc.js'),
+
+  /**
+   * Right Track query cache functions
+   * @see module:utils/cache
+   */
+  cache: require('./cache.js'),
+
+  /**
+   * Right Track spatial index
+   * @see module:utils/spatial
+   */
+  spatial: require('./spatial.js')
 
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+'use strict';
+
+
+/**
+ * Wrap a function that returns its result with a Node-style callback (as the
+ * last argument) and/or a Promise so it can be used either way:
+ * - when the last argument is a callback function, the result is returned
+ *   with the callback (only once)
+ * - otherwise, a Promise of the result is returned
+ *
+ * When called without a callback, trailing `undefined` arguments are
+ * removed before the callback is added, so functions with optional
+ * arguments can shift their arguments as usual.
+ * @param {function} fn The function to wrap
+ * @returns {function} wrapped function
+ * @private
+ */
+function promisify(fn) {
+  return function() {
+    let self = this;
+    let args = Array.prototype.slice.call(arguments);
+
+    // Callback provided
+    if ( typeof args[args.length-1] === 'function' ) {
+      let callback = args.pop();
+      return _call(fn, self, args, callback);
+    }
+
+    // Remove trailing undefined arguments
+    while ( args.length > 0 && args[args.length-1] === undefined ) {
+      args.pop();
+    }
+
+    // Return a Promise
+    return new Promise(function(resolve, reject) {
+      _call(fn, self, args, function(err, result) {
+        if ( err ) {
+          return reject(err);
+        }
+        return resolve(result);
+      });
+    });
+  }
+}
+
+
+/**
+ * Call the function with the callback, using the returned Promise (if any)
+ * when the function does not use the callback
+ * @param {function} fn The function to call
+ * @param {*} self The function's `this`
+ * @param {Array} args The function arguments (without the callback)
+ * @param {function} callback Callback function
+ * @private
+ */
+function _call(fn, self, args, callback) {
+  let called = false;
+
+  // Only return the result once
+  function _callback() {
+    if ( !called ) {
+      called = true;
+      return callback.apply(undefined, arguments);
+    }
+  }
+
+  // Call the function
+  let rtn = fn.apply(self, args.concat([_callback]));
+
+  // Function returned a Promise
+  if ( rtn !== undefined && rtn !== null && typeof rtn.then === 'function' ) {
+    rtn.then(function(result) {
+      _callback(null, result);
+    }, function(err) {
+      _callback(err);
+    });
+  }
+}
+
+
+module.exports = promisify;
\ No newline at end of file
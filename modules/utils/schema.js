@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Right Track Database Schema: the columns of each of the GTFS and
+ * Right Track tables, with the SQLite type of each column
+ * @module utils/schema
+ * @private
+ */
+
+module.exports = {
+
+  gtfs_agency: {
+    agency_id: 'TEXT',
+    agency_name: 'TEXT',
+    agency_url: 'TEXT',
+    agency_timezone: 'TEXT',
+    agency_lang: 'TEXT',
+    agency_phone: 'TEXT',
+    agency_fare_url: 'TEXT',
+    agency_email: 'TEXT'
+  },
+
+  gtfs_calendar: {
+    service_id: 'TEXT',
+    monday: 'INTEGER',
+    tuesday: 'INTEGER',
+    wednesday: 'INTEGER',
+    thursday: 'INTEGER',
+    friday: 'INTEGER',
+    saturday: 'INTEGER',
+    sunday: 'INTEGER',
+    start_date: 'INTEGER',
+    end_date: 'INTEGER'
+  },
+
+  gtfs_calendar_dates: {
+    service_id: 'TEXT',
+    date: 'INTEGER',
+    exception_type: 'INTEGER'
+  },
+
+  gtfs_directions: {
+    direction_id: 'INTEGER',
+    description: 'TEXT'
+  },
+
+  gtfs_feed_info: {
+    feed_publisher_name: 'TEXT',
+    feed_publisher_url: 'TEXT',
+    feed_lang: 'TEXT',
+    feed_start_date: 'INTEGER',
+    feed_end_date: 'INTEGER',
+    feed_version: 'TEXT',
+    feed_contact_email: 'TEXT',
+    feed_contact_url: 'TEXT'
+  },
+
+  gtfs_routes: {
+    route_id: 'TEXT',
+    agency_id: 'TEXT',
+    route_short_name: 'TEXT',
+    route_long_name: 'TEXT',
+    route_desc: 'TEXT',
+    route_type: 'INTEGER',
+    route_url: 'TEXT',
+    route_color: 'TEXT',
+    route_text_color: 'TEXT',
+    route_sort_order: 'INTEGER'
+  },
+
+  gtfs_shapes: {
+    shape_id: 'TEXT',
+    shape_pt_lat: 'REAL',
+    shape_pt_lon: 'REAL',
+    shape_pt_sequence: 'INTEGER',
+    shape_dist_traveled: 'REAL'
+  },
+
+  gtfs_stop_times: {
+    trip_id: 'TEXT',
+    arrival_time: 'TEXT',
+    arrival_time_seconds: 'INTEGER',
+    departure_time: 'TEXT',
+    departure_time_seconds: 'INTEGER',
+    stop_id: 'TEXT',
+    stop_sequence: 'INTEGER',
+    stop_headsign: 'TEXT',
+    pickup_type: 'INTEGER',
+    drop_off_type: 'INTEGER',
+    shape_dist_traveled: 'REAL',
+    timepoint: 'INTEGER'
+  },
+
+  gtfs_stops: {
+    stop_id: 'TEXT',
+    stop_code: 'TEXT',
+    stop_name: 'TEXT',
+    stop_desc: 'TEXT',
+    stop_lat: 'REAL',
+    stop_lon: 'REAL',
+    zone_id: 'TEXT',
+    stop_url: 'TEXT',
+    location_type: 'INTEGER',
+    parent_station: 'TEXT',
+    stop_timezone: 'TEXT',
+    wheelchair_boarding: 'INTEGER'
+  },
+
+  gtfs_transfers: {
+    from_stop_id: 'TEXT',
+    to_stop_id: 'TEXT',
+    transfer_type: 'INTEGER',
+    min_transfer_time: 'INTEGER',
+    from_route_id: 'TEXT',
+    to_route_id: 'TEXT',
+    from_trip_id: 'TEXT',
+    to_trip_id: 'TEXT'
+  },
+
+  gtfs_trips: {
+    route_id: 'TEXT',
+    service_id: 'TEXT',
+    trip_id: 'TEXT',
+    trip_headsign: 'TEXT',
+    trip_short_name: 'TEXT',
+    direction_id: 'INTEGER',
+    block_id: 'TEXT',
+    shape_id: 'TEXT',
+    wheelchair_accessible: 'INTEGER',
+    bikes_allowed: 'INTEGER',
+    peak: 'INTEGER'
+  },
+
+  rt_about: {
+    compile_date: 'INTEGER',
+    gtfs_publish_date: 'INTEGER',
+    start_date: 'INTEGER',
+    end_date: 'INTEGER',
+    version: 'INTEGER',
+    notes: 'TEXT'
+  },
+
+  rt_alt_stop_names: {
+    stop_id: 'TEXT',
+    alt_stop_name: 'TEXT'
+  },
+
+  rt_holidays: {
+    date: 'INTEGER',
+    holiday_name: 'TEXT',
+    peak: 'INTEGER',
+    service_info: 'TEXT'
+  },
+
+  rt_line_graph: {
+    stop1_id: 'TEXT',
+    stop2_id: 'TEXT'
+  },
+
+  rt_links: {
+    link_category_title: 'TEXT',
+    link_title: 'TEXT',
+    link_description: 'TEXT',
+    link_url: 'TEXT'
+  },
+
+  rt_route_graph: {
+    stop1_id: 'TEXT',
+    stop2_id: 'TEXT',
+    direction_id: 'INTEGER'
+  },
+
+  rt_stops_extra: {
+    stop_id: 'TEXT',
+    status_id: 'TEXT',
+    display_name: 'TEXT',
+    transfer_weight: 'INTEGER',
+    zone_id: 'TEXT'
+  }
+
+};
\ No newline at end of file
@@ -0,0 +1,303 @@
+'use strict';
+
+/**
+ * ### Right Track Spatial Index
+ * A spatial index (a k-d tree) of items with a location (`lat` and `lon`
+ * properties, such as {@link Stop}s) used to find the items nearest to a
+ * location or within a bounding box without checking every item.
+ *
+ * ```javascript
+ * const SpatialIndex = require('right-track-core').utils.spatial.SpatialIndex;
+ *
+ * let index = new SpatialIndex(stops);
+ *
+ * // The 5 Stops nearest to the location, within 2 miles
+ * let nearest = index.nearest(40.75, -73.98, { count: 5, distance: 2 });
+ *
+ * // The Stops within the bounding box
+ * let within = index.within({ north: 40.8, south: 40.7, east: -73.9, west: -74.0 });
+ * ```
+ *
+ * @module utils/spatial
+ */
+
+const calc = require('./calc.js');
+
+
+/**
+ * Radius of the earth in miles (matching {@link module:utils/calc~distance|calc.distance()})
+ * @private
+ */
+const R = 6371 * 0.621371;
+
+
+
+// ==== SPATIAL INDEX ==== //
+
+/**
+ * ### `SpatialIndex` Class
+ *
+ * A k-d tree of items with a location.  Each level of the tree alternately
+ * splits the items by latitude and longitude.  The index is not modified
+ * after it is created.
+ *
+ * @class
+ * @alias SpatialIndex
+ */
+class SpatialIndex {
+
+  /**
+   * Create a new spatial index of the items.  Items without a location are
+   * not added to the index.
+   * @param {Object[]} items Items with `lat` and `lon` properties (decimal degrees)
+   */
+  constructor(items) {
+    let located = [];
+    for ( let i = 0; i < items.length; i++ ) {
+      if ( _isLocated(items[i]) ) {
+        located.push(items[i]);
+      }
+    }
+
+    /**
+     * Number of items in the index
+     * @type {int}
+     */
+    this.size = located.length;
+
+    /**
+     * Root node of the tree
+     * @type {Object}
+     * @private
+     */
+    this._root = _build(located, 0);
+  }
+
+  /**
+   * Get the items nearest to the location, sorted by distance
+   * @param {number} lat Location latitude (decimal degrees)
+   * @param {number} lon Location longitude (decimal degrees)
+   * @param {Object} [options] Search Options
+   * @param {int} [options.count=-1] Max number of items to return (-1 for unlimited)
+   * @param {number} [options.distance=-1] Max distance (miles) items can be from
+   * the location (-1 for no limit)
+   * @param {function} [options.filter] Filter function(item) that returns true
+   * when the item can be included
+   * @returns {Array<{item: Object, distance: number}>} the nearest items with
+   * their distance (miles) from the location
+   */
+  nearest(lat, lon, options={}) {
+    let state = {
+      lat: lat,
+      lon: lon,
+      count: options.count !== undefined ? options.count : -1,
+      distance: options.distance !== undefined ? options.distance : -1,
+      filter: options.filter,
+      results: []
+    };
+    if ( state.count !== 0 ) {
+      _nearest(this._root, state);
+    }
+    return state.results;
+  }
+
+  /**
+   * Get the items within the bounding box.  A bounding box that crosses the
+   * antimeridian has a `west` longitude greater than its `east` longitude.
+   * @param {Object} bounds Bounding box (decimal degrees)
+   * @param {number} bounds.north Northern latitude
+   * @param {number} bounds.south Southern latitude
+   * @param {number} bounds.east Eastern longitude
+   * @param {number} bounds.west Western longitude
+   * @param {function} [filter] Filter function(item) that returns true when
+   * the item can be included
+   * @returns {Object[]} the items within the bounding box
+   */
+  within(bounds, filter) {
+    let rtn = [];
+    _within(this._root, bounds, filter, rtn);
+    return rtn;
+  }
+
+}
+
+
+
+// ==== TREE HELPER FUNCTIONS ==== //
+
+/**
+ * Check if the item has a location
+ * @param {Object} item Item to check
+ * @returns {boolean}
+ * @private
+ */
+function _isLocated(item) {
+  return item !== undefined && item !== null &&
+    typeof item.lat === 'number' && !isNaN(item.lat) &&
+    typeof item.lon === 'number' && !isNaN(item.lon);
+}
+
+
+/**
+ * Build the (sub-)tree of the items
+ * @param {Object[]} items Items in the tree
+ * @param {int} depth Depth of the tree (even depths split by latitude, odd by longitude)
+ * @returns {Object} node {item, axis, left, right} (or null if there are no items)
+ * @private
+ */
+function _build(items, depth) {
+  if ( items.length === 0 ) {
+    return null;
+  }
+  let axis = depth % 2 === 0 ? 'lat' : 'lon';
+  items.sort(function(a, b) {
+    return a[axis] - b[axis];
+  });
+  let median = Math.floor(items.length / 2);
+  return {
+    item: items[median],
+    axis: axis,
+    left: _build(items.slice(0, median), depth + 1),
+    right: _build(items.slice(median + 1), depth + 1)
+  };
+}
+
+
+/**
+ * Search the (sub-)tree for the nearest items, adding them to the
+ * (sorted) results of the search state
+ * @param {Object} node Tree node
+ * @param {Object} state Search state {lat, lon, count, distance, filter, results}
+ * @private
+ */
+function _nearest(node, state) {
+  if ( node === null ) {
+    return;
+  }
+
+  // Add the node's item
+  let item = node.item;
+  if ( state.filter === undefined || state.filter(item) ) {
+    let distance = calc.distance(state.lat, state.lon, item.lat, item.lon);
+    if ( distance <= _limit(state) ) {
+      let i = state.results.length;
+      while ( i > 0 && state.results[i-1].distance > distance ) {
+        i--;
+      }
+      state.results.splice(i, 0, { item: item, distance: distance });
+      if ( state.count !== -1 && state.results.length > state.count ) {
+        state.results.pop();
+      }
+    }
+  }
+
+  // Search the side of the split with the location first
+  let diff = state[node.axis] - item[node.axis];
+  let near = diff < 0 ? node.left : node.right;
+  let far = diff < 0 ? node.right : node.left;
+  _nearest(near, state);
+
+  // Search the other side if it can contain a nearer item
+  let bound = node.axis === 'lat' ?
+    R * _deg2rad(Math.abs(diff)) :
+    _lonBound(state.lat, state.lon, Math.abs(diff));
+  if ( bound <= _limit(state) ) {
+    _nearest(far, state);
+  }
+}
+
+
+/**
+ * Get the max distance of an item that can be added to the search results
+ * @param {Object} state Search state
+ * @returns {number} distance (miles)
+ * @private
+ */
+function _limit(state) {
+  if ( state.count !== -1 && state.results.length >= state.count ) {
+    return state.results[state.results.length-1].distance;
+  }
+  return state.distance !== -1 ? state.distance : Infinity;
+}
+
+
+/**
+ * Get the min distance from the location to any point on the other side of
+ * a longitude split (the distance to the meridian of the split, also
+ * considering points across the antimeridian)
+ * @param {number} lat Location latitude
+ * @param {number} lon Location longitude
+ * @param {number} diff Longitude difference between the location and the split
+ * @returns {number} distance (miles)
+ * @private
+ */
+function _lonBound(lat, lon, diff) {
+  let delta = Math.min(diff, 180 - Math.abs(lon), 90);
+  return R * Math.asin(Math.abs(Math.cos(_deg2rad(lat))) * Math.sin(_deg2rad(delta)));
+}
+
+
+/**
+ * Search the (sub-)tree for the items within the bounding box
+ * @param {Object} node Tree node
+ * @param {Object} bounds Bounding box {north, south, east, west}
+ * @param {function} filter Filter function(item)
+ * @param {Object[]} rtn Items within the bounding box
+ * @private
+ */
+function _within(node, bounds, filter, rtn) {
+  if ( node === null ) {
+    return;
+  }
+
+  // Add the node's item
+  let item = node.item;
+  if ( item.lat >= bounds.south && item.lat <= bounds.north && _withinLon(item.lon, bounds) ) {
+    if ( filter === undefined || filter(item) ) {
+      rtn.push(item);
+    }
+  }
+
+  // Search the sides of the split that overlap the bounding box
+  let split = item[node.axis];
+  let crosses = bounds.west > bounds.east;
+  let min = node.axis === 'lat' ? bounds.south : crosses ? -180 : bounds.west;
+  let max = node.axis === 'lat' ? bounds.north : crosses ? 180 : bounds.east;
+  if ( min <= split ) {
+    _within(node.left, bounds, filter, rtn);
+  }
+  if ( max >= split ) {
+    _within(node.right, bounds, filter, rtn);
+  }
+}
+
+
+/**
+ * Check if the longitude is within the bounding box
+ * @param {number} lon Longitude
+ * @param {Object} bounds Bounding box {east, west}
+ * @returns {boolean}
+ * @private
+ */
+function _withinLon(lon, bounds) {
+  if ( bounds.west <= bounds.east ) {
+    return lon >= bounds.west && lon <= bounds.east;
+  }
+  return lon >= bounds.west || lon <= bounds.east;
+}
+
+
+/**
+ * Convert degrees to radians
+ * @param {number} deg Degrees
+ * @returns {number} radians
+ * @private
+ */
+function _deg2rad(deg) {
+  return deg * (Math.PI/180);
+}
+
+
+module.exports = {
+  SpatialIndex: SpatialIndex
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+'use strict';
+
+
+/**
+ * Build the list of positional parameter placeholders for the values
+ * (to be used in an `IN (...)` clause)
+ * @param {Array} values The values to be bound
+ * @returns {string} placeholders (ex: '?, ?, ?')
+ * @private
+ */
+function placeholders(values) {
+  let rtn = [];
+  for ( let i = 0; i < values.length; i++ ) {
+    rtn.push('?');
+  }
+  return rtn.join(', ');
+}
+
+
+/**
+ * Bind the positional parameters into the statement.  The parameters
+ * replace each `?` placeholder (outside of a quoted string) in order and
+ * are escaped as SQLite literals.
+ * @param {string} statement SQLite statement with `?` placeholders
+ * @param {Array} params The parameters to bind
+ * @returns {string} statement with the bound parameters
+ * @throws {Error} when the number of placeholders and parameters do not match
+ * @private
+ */
+function bind(statement, params) {
+  let rtn = '';
+  let index = 0;
+  let quote = undefined;
+
+  // Parse each character of the statement
+  for ( let i = 0; i < statement.length; i++ ) {
+    let c = statement[i];
+
+    // Start or end of a quoted string
+    if ( c === "'" || c === '"' ) {
+      if ( quote === undefined ) {
+        quote = c;
+      }
+      else if ( quote === c ) {
+        quote = undefined;
+      }
+    }
+
+    // Parameter placeholder
+    else if ( c === '?' && quote === undefined ) {
+      if ( index >= params.length ) {
+        throw new Error('Could not bind parameters: not enough parameters provided');
+      }
+      c = _escape(params[index]);
+      index++;
+    }
+
+    rtn += c;
+  }
+
+  // Extra parameters
+  if ( index < params.length ) {
+    throw new Error('Could not bind parameters: too many parameters provided');
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Escape the value as a SQLite literal
+ * @param {*} value The value to escape
+ * @returns {string} SQLite literal
+ * @private
+ */
+function _escape(value) {
+  if ( value === undefined || value === null ) {
+    return 'NULL';
+  }
+  else if ( typeof value === 'number' ) {
+    return isFinite(value) ? value.toString() : 'NULL';
+  }
+  else if ( typeof value === 'boolean' ) {
+    return value ? '1' : '0';
+  }
+  return "'" + value.toString().replace(/'/g, "''") + "'";
+}
+
+
+module.exports = {
+  placeholders: placeholders,
+  bind: bind
+};
\ No newline at end of file
@@ -0,0 +1,230 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const DateTime = require('../modules/utils/DateTime.js');
+const Duration = require('../modules/utils/Duration.js');
+
+
+describe('DateTime', function() {
+
+  describe('timezone', function() {
+
+    it('converts the Date/Time in the timezone to a timestamp', function() {
+      let dt = DateTime.create('13:30', 20250602, fixtures.TIMEZONE);
+      assert.strictEqual(dt.timezone, fixtures.TIMEZONE);
+      assert.strictEqual(dt.toTimestamp(), Date.parse('2025-06-02T17:30:00Z'));
+      assert.strictEqual(dt.toHTTPString(), 'Mon, 02 Jun 2025 17:30:00 GMT');
+    });
+
+    it('converts a time after midnight of the service date to a timestamp', function() {
+      let dt = DateTime.create('25:30', 20250602, fixtures.TIMEZONE);
+      assert.strictEqual(dt.toTimestamp(), Date.parse('2025-06-03T05:30:00Z'));
+    });
+
+    it('creates the Date/Time of a JavaScript Date in the timezone', function() {
+      let dt = DateTime.createFromJSDate(new Date(Date.parse('2025-06-02T03:30:00Z')), fixtures.TIMEZONE);
+      assert.strictEqual(dt.getDateInt(), 20250601);
+      assert.strictEqual(dt.getTimeGTFS(), '23:30:00');
+    });
+
+    it('creates the current Date/Time in the timezone', function() {
+      let now = Date.now();
+      let dt = DateTime.now(fixtures.TIMEZONE);
+      assert.strictEqual(dt.timezone, fixtures.TIMEZONE);
+      assert.ok(Math.abs(dt.toTimestamp() - now) < 60*1000, 'now: ' + dt.toString());
+    });
+
+    it('converts the Date/Time to the same moment in another timezone', function() {
+      let dt = DateTime.create('23:30', 20250602, fixtures.TIMEZONE);
+      let utc = dt.toTimezone('UTC');
+      assert.strictEqual(utc.timezone, 'UTC');
+      assert.strictEqual(utc.getDateInt(), 20250603);
+      assert.strictEqual(utc.getTimeGTFS(), '03:30:00');
+      assert.strictEqual(utc.toTimestamp(), dt.toTimestamp());
+    });
+
+    it('keeps the wall-clock time when setting the timezone', function() {
+      let dt = DateTime.create('13:30', 20250602).withTimezone(fixtures.TIMEZONE);
+      assert.strictEqual(dt.getTimeGTFS(), '13:30:00');
+      assert.strictEqual(dt.toTimestamp(), Date.parse('2025-06-02T17:30:00Z'));
+    });
+
+    it('does not depend on the timezone of the host', function() {
+      let tz = process.env.TZ;
+      try {
+        process.env.TZ = 'Asia/Tokyo';
+        let dt = DateTime.create('13:30', 20250602, fixtures.TIMEZONE);
+        assert.strictEqual(dt.toTimestamp(), Date.parse('2025-06-02T17:30:00Z'));
+        assert.strictEqual(dt.clone().deltaMins(720).getDateInt(), 20250603);
+      }
+      finally {
+        if ( tz === undefined ) {
+          delete process.env.TZ;
+        }
+        else {
+          process.env.TZ = tz;
+        }
+      }
+    });
+
+  });
+
+
+  describe('a normal service date', function() {
+
+    it('formats the GTFS Time as the wall-clock time', function() {
+      let dt = DateTime.create('13:30:00', 20250602, fixtures.TIMEZONE);
+      assert.strictEqual(dt.toISO(), '2025-06-02T13:30:00-04:00');
+      assert.strictEqual(dt.getTimeSeconds(), 13.5*3600);
+      assert.strictEqual(dt.getTimeGTFS(), '13:30:00');
+      assert.strictEqual(dt.getTimeInt(), '1330');
+      assert.strictEqual(dt.getTimeReadable(), '1:30 PM');
+    });
+
+    it('formats a time after midnight of the service date', function() {
+      let dt = DateTime.create('25:30:00', 20250602, fixtures.TIMEZONE);
+      assert.strictEqual(dt.toISO(), '2025-06-03T01:30:00-04:00');
+      assert.strictEqual(dt.getTimeGTFS(), '25:30:00');
+      assert.strictEqual(dt.getTimeReadable(), '1:30 AM');
+    });
+
+  });
+
+
+  describe('spring forward', function() {
+
+    it('measures the GTFS Time from noon minus 12h of the service date', function() {
+      let dt = DateTime.create('01:00:00', 20250309, fixtures.TIMEZONE);
+      assert.strictEqual(dt.toISO(), '2025-03-09T00:00:00-05:00');
+      assert.strictEqual(dt.getTimeSeconds(), 3600);
+    });
+
+    it('formats the wall-clock time of the moment', function() {
+      let before = DateTime.create('01:00:00', 20250309, fixtures.TIMEZONE);
+      assert.strictEqual(before.getTimeGTFS(), '00:00:00');
+      assert.strictEqual(before.getTimeInt(), '0000');
+      assert.strictEqual(before.getTimeReadable(), '12:00 AM');
+
+      let after = DateTime.create('03:00:00', 20250309, fixtures.TIMEZONE);
+      assert.strictEqual(after.toISO(), '2025-03-09T03:00:00-04:00');
+      assert.strictEqual(after.getTimeGTFS(), '03:00:00');
+      assert.strictEqual(after.getTimeReadable(), '3:00 AM');
+    });
+
+    it('formats a time before midnight of the service date', function() {
+      let dt = DateTime.create('00:30:00', 20250309, fixtures.TIMEZONE);
+      assert.strictEqual(dt.toISO(), '2025-03-08T23:30:00-05:00');
+      assert.strictEqual(dt.getTimeReadable(), '11:30 PM');
+    });
+
+    it('formats the date of a time before midnight of the service date', function() {
+      let dt = new DateTime(1800, 20250309, fixtures.TIMEZONE);
+      assert.strictEqual(dt.toISO(), '2025-03-08T23:30:00-05:00');
+      assert.strictEqual(dt.toString(), '2025-03-08 @ 23:30:00');
+      assert.strictEqual(dt.toMySQLString(), '2025-03-08 23:30:00');
+    });
+
+    it('adds minutes across the transition', function() {
+      let start = DateTime.create('01:00:00', 20250309, fixtures.TIMEZONE);
+      let end = start.clone().deltaMins(120);
+      assert.strictEqual(end.toISO(), '2025-03-09T03:00:00-04:00');
+      assert.strictEqual(end.getTimeSeconds(), 3*3600);
+      assert.strictEqual(Duration.between(start, end).getMinutes(), 120);
+    });
+
+  });
+
+
+  describe('fall back', function() {
+
+    it('measures the GTFS Time from noon minus 12h of the service date', function() {
+      let dt = DateTime.create('00:30:00', 20251102, fixtures.TIMEZONE);
+      assert.strictEqual(dt.toISO(), '2025-11-02T01:30:00-04:00');
+      assert.strictEqual(dt.getTimeSeconds(), 1800);
+    });
+
+    it('formats the wall-clock time of the moment', function() {
+      let before = DateTime.create('00:30:00', 20251102, fixtures.TIMEZONE);
+      assert.strictEqual(before.getTimeGTFS(), '01:30:00');
+      assert.strictEqual(before.getTimeReadable(), '1:30 AM');
+
+      let after = DateTime.create('01:30:00', 20251102, fixtures.TIMEZONE);
+      assert.strictEqual(after.toISO(), '2025-11-02T01:30:00-05:00');
+      assert.strictEqual(after.getTimeGTFS(), '01:30:00');
+      assert.strictEqual(after.getTimeReadable(), '1:30 AM');
+    });
+
+    it('adds minutes across the transition', function() {
+      let start = DateTime.create('00:30:00', 20251102, fixtures.TIMEZONE);
+      let end = start.clone().deltaMins(60);
+      assert.strictEqual(end.toISO(), '2025-11-02T01:30:00-05:00');
+      assert.strictEqual(end.getTimeSeconds(), 5400);
+      assert.strictEqual(Duration.between(start, end).getMinutes(), 60);
+    });
+
+  });
+
+
+  describe('ISO 8601', function() {
+
+    it('parses a Date/Time with a UTC offset', function() {
+      let dt = DateTime.fromISO('2025-06-02T17:30:00Z', fixtures.TIMEZONE);
+      assert.strictEqual(dt.getDateInt(), 20250602);
+      assert.strictEqual(dt.getTimeGTFS(), '13:30:00');
+      assert.strictEqual(dt.toISO(), '2025-06-02T13:30:00-04:00');
+      assert.strictEqual(DateTime.fromISO('20250602T133000Z', fixtures.TIMEZONE).toISO(), '2025-06-02T09:30:00-04:00');
+    });
+
+    it('parses a Date/Time without a UTC offset as the wall-clock time of the timezone', function() {
+      assert.strictEqual(DateTime.fromISO('2025-06-02T13:30', fixtures.TIMEZONE).toISO(), '2025-06-02T13:30:00-04:00');
+      assert.strictEqual(DateTime.fromISO('2025-03-09T03:00', fixtures.TIMEZONE).toISO(), '2025-03-09T03:00:00-04:00');
+    });
+
+    it('parses a date as the start of the service date', function() {
+      let dt = DateTime.fromISO('2025-06-02', fixtures.TIMEZONE);
+      assert.strictEqual(dt.getDateInt(), 20250602);
+      assert.strictEqual(dt.getTimeSeconds(), 0);
+    });
+
+    it('does not parse an invalid Date/Time', function() {
+      let invalid = ['2025-13-01', '2025-02-30', '2025-06-02T24:00', 'tomorrow'];
+      for ( let i = 0; i < invalid.length; i++ ) {
+        assert.throws(function() {
+          DateTime.fromISO(invalid[i], fixtures.TIMEZONE);
+        }, /DATETIME ERROR/, 'parsed ' + invalid[i]);
+      }
+    });
+
+  });
+
+
+  describe('locale formatting', function() {
+    let dt = DateTime.create('13:05', 20250602, fixtures.TIMEZONE);
+
+    it('formats the time for the locale', function() {
+      assert.match(dt.formatTime(), /^1:05\sPM$/);
+      assert.strictEqual(dt.formatTime({locale: 'fr-FR'}), '13:05');
+      assert.strictEqual(dt.formatTime({hour12: false}), '13:05');
+      assert.match(dt.formatTime({seconds: true}), /^1:05:00\sPM$/);
+    });
+
+    it('formats the calendar date of a time after midnight', function() {
+      let night = DateTime.create('25:30', 20250602, fixtures.TIMEZONE);
+      assert.match(night.formatTime(), /^1:30\sAM$/);
+      assert.strictEqual(night.formatDate(), 'Jun 3, 2025');
+      assert.strictEqual(night.formatDate({style: 'numeric'}), '6/3/2025');
+      assert.strictEqual(night.formatDate({style: 'long', dow: true}), 'Tuesday, June 3, 2025');
+    });
+
+    it('formats the time relative to another Date/Time', function() {
+      assert.strictEqual(dt.formatRelative({from: DateTime.create('13:00', 20250602, fixtures.TIMEZONE)}), 'in 5 min.');
+      assert.strictEqual(dt.formatRelative({from: DateTime.create('13:15', 20250602, fixtures.TIMEZONE)}), '10 min. ago');
+      assert.strictEqual(dt.formatRelative({from: DateTime.create('10:00', 20250602, fixtures.TIMEZONE), style: 'long'}), 'in 3 hours');
+      assert.strictEqual(dt.formatRelative({from: DateTime.create('13:05', 20250601, fixtures.TIMEZONE), numeric: 'auto'}), 'tomorrow');
+      assert.strictEqual(dt.formatRelative({from: DateTime.create('13:00', 20250602, fixtures.TIMEZONE), locale: 'fr-FR', style: 'long'}), 'dans 5 minutes');
+    });
+
+  });
+
+});
\ No newline at end of file
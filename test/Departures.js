@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+const DateTime = require('../modules/utils/DateTime.js');
+
+
+describe('Departures', function() {
+  let db = undefined;
+
+  beforeEach(function() {
+    core.query.clearCache();
+    db = fixtures.db();
+  });
+
+
+  describe('getScheduledDepartures', function() {
+
+    it('includes the Trips of the previous service day after midnight', function() {
+      let datetime = DateTime.create('00:00', 20250603, fixtures.TIMEZONE);
+      return core.query.departures.getScheduledDepartures(db, 'B', datetime).then(function(feed) {
+        assert.strictEqual(feed.stop.id, 'B');
+        assert.deepStrictEqual(_departures(feed), [
+          'NIGHT@20250602 24:05:00',
+          'OWL@20250602 25:40:00'
+        ]);
+        assert.strictEqual(feed.departures[0].destination.id, 'D');
+        assert.strictEqual(feed.departures[0].status.status, 'Scheduled');
+      });
+    });
+
+    it('does not include the departures where passengers are not picked up', function() {
+      let datetime = DateTime.create('00:00', 20250603, fixtures.TIMEZONE);
+      return core.query.departures.getScheduledDepartures(db, 'C', datetime).then(function(feed) {
+        assert.deepStrictEqual(_departures(feed), [
+          'NIGHT@20250602 24:15:00'
+        ]);
+      });
+    });
+
+    it('does not include the Trips that end at the Stop', function() {
+      let datetime = DateTime.create('08:00', 20250602, fixtures.TIMEZONE);
+      return core.query.departures.getScheduledDepartures(db, 'D', datetime).then(function(feed) {
+        assert.deepStrictEqual(_departures(feed), [
+          'IN1@20250602 08:10:00'
+        ]);
+      });
+    });
+
+    it('returns undefined for an unknown Stop', function() {
+      let datetime = DateTime.create('08:00', 20250602, fixtures.TIMEZONE);
+      return core.query.departures.getScheduledDepartures(db, 'UNKNOWN', datetime).then(function(feed) {
+        assert.strictEqual(feed, undefined);
+      });
+    });
+
+  });
+
+});
+
+
+/**
+ * Get the Trip and scheduled departure of each of the Station Feed's Departures
+ * @param {StationFeed} feed Station Feed
+ * @returns {string[]} departures (ex 'NIGHT@20250602 24:05:00')
+ */
+function _departures(feed) {
+  return feed.departures.map(function(departure) {
+    return departure.trip.id + '@' + departure.departure.getDateInt() + ' ' + departure.departure.getTimeGTFS();
+  });
+}
\ No newline at end of file
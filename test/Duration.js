@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const DateTime = require('../modules/utils/DateTime.js');
+const Duration = require('../modules/utils/Duration.js');
+
+
+describe('Duration', function() {
+
+  it('gets the length of the Duration in each unit', function() {
+    let duration = Duration.fromMinutes(90);
+    assert.strictEqual(duration.getMilliseconds(), 5400000);
+    assert.strictEqual(duration.getSeconds(), 5400);
+    assert.strictEqual(duration.getMinutes(), 90);
+    assert.strictEqual(duration.getHours(), 1.5);
+    assert.strictEqual(Duration.fromSeconds(90).getMinutes(), 1.5);
+  });
+
+  it('measures the Duration between two Date/Times', function() {
+    let start = DateTime.create('23:50', 20250602, fixtures.TIMEZONE);
+    let end = DateTime.create('25:30', 20250602, fixtures.TIMEZONE);
+    assert.strictEqual(Duration.between(start, end).getMinutes(), 100);
+    assert.strictEqual(Duration.between(end, start).getMinutes(), -100);
+  });
+
+  it('adds and subtracts Durations', function() {
+    let duration = Duration.fromMinutes(30);
+    assert.strictEqual(duration.plus(Duration.fromMinutes(15)).getMinutes(), 45);
+    assert.strictEqual(duration.minus(Duration.fromMinutes(45)).getMinutes(), -15);
+    assert.strictEqual(duration.getMinutes(), 30);
+  });
+
+  it('formats the Duration as an ISO Duration', function() {
+    assert.strictEqual(new Duration(3930000).toISO(), 'PT1H5M30S');
+    assert.strictEqual(Duration.fromMinutes(75).toISO(), 'PT1H15M');
+    assert.strictEqual(Duration.fromSeconds(90).toISO(), 'PT1M30S');
+    assert.strictEqual(new Duration(0).toISO(), 'PT0S');
+    assert.strictEqual(new Duration(-90000).toISO(), '-PT1M30S');
+  });
+
+  it('parses an ISO Duration', function() {
+    assert.strictEqual(Duration.fromISO('PT1H5M30S').getMilliseconds(), 3930000);
+    assert.strictEqual(Duration.fromISO('P1DT2H').getHours(), 26);
+    assert.strictEqual(Duration.fromISO('P1W').getHours(), 168);
+    assert.strictEqual(Duration.fromISO('PT0.5H').getMinutes(), 30);
+    assert.strictEqual(Duration.fromISO('-PT30M').getMinutes(), -30);
+  });
+
+  it('does not parse an invalid or unsupported ISO Duration', function() {
+    let invalid = ['P', 'PT', 'P1Y', 'P1M', '1H', 'PT1H5', undefined];
+    for ( let i = 0; i < invalid.length; i++ ) {
+      assert.throws(function() {
+        Duration.fromISO(invalid[i]);
+      }, /DURATION ERROR/, 'parsed ' + invalid[i]);
+    }
+    assert.throws(function() {
+      return new Duration(NaN);
+    }, /DURATION ERROR/);
+  });
+
+  it('is serialized as its ISO Duration and used as a number of minutes', function() {
+    let duration = Duration.fromISO('PT1H5M30S');
+    assert.strictEqual(JSON.stringify({travelTime: duration}), '{"travelTime":"PT1H5M30S"}');
+    assert.strictEqual(String(duration), 'PT1H5M30S');
+    assert.strictEqual(+duration, 65.5);
+    assert.ok(duration > 60);
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+
+
+describe('LineGraphTable', function() {
+  let db = undefined;
+
+  beforeEach(function() {
+    core.query.clearCache();
+    db = fixtures.db();
+  });
+
+
+  describe('getPaths', function() {
+
+    it('returns the paths from the origin to the destination, shortest first', function() {
+      return core.query.linegraph.getPaths(db, 'A', 'D').then(function(paths) {
+        assert.deepStrictEqual(_ids(paths), [
+          ['A', 'C', 'D'],
+          ['A', 'B', 'C', 'D']
+        ]);
+        assert.strictEqual(paths[0][0].weight, 7);
+      });
+    });
+
+    it('returns the max number of paths', function() {
+      return core.query.linegraph.getPaths(db, 'A', 'D', {maxPaths: 1}).then(function(paths) {
+        assert.deepStrictEqual(_ids(paths), [
+          ['A', 'C', 'D']
+        ]);
+      });
+    });
+
+    it('does not return the paths longer than the max detour', function() {
+      return core.query.linegraph.getPaths(db, 'A', 'D', {maxDetour: 0}).then(function(paths) {
+        assert.deepStrictEqual(_ids(paths), [
+          ['A', 'C', 'D']
+        ]);
+      });
+    });
+
+    it('follows the footpaths between nearby Stops', function() {
+      return Promise.all([
+        core.query.linegraph.getPaths(db, 'A', 'R'),
+        core.query.linegraph.getPaths(db, 'A', 'R', {maxWalkMeters: 200})
+      ]).then(function(results) {
+        assert.deepStrictEqual(_ids(results[0]), []);
+        assert.deepStrictEqual(_ids(results[1]), [
+          ['A', 'C', 'Q', 'R'],
+          ['A', 'B', 'C', 'Q', 'R']
+        ]);
+      });
+    });
+
+  });
+
+
+  describe('getNextStops', function() {
+
+    it('returns the following Stops of the paths', function() {
+      return core.query.linegraph.getNextStops(db, 'A', 'D', 'A').then(function(stops) {
+        assert.deepStrictEqual(stops, ['C', 'D', 'B']);
+      });
+    });
+
+    it('returns the following Stops of the paths, including the footpaths', function() {
+      return core.query.linegraph.getNextStops(db, 'A', 'R', 'A', {maxWalkMeters: 200}).then(function(stops) {
+        assert.deepStrictEqual(stops, ['C', 'B', 'Q', 'R']);
+      });
+    });
+
+  });
+
+
+  describe('getFootpaths', function() {
+
+    it('returns the footpaths between the Stops within walking distance', function() {
+      return core.query.linegraph.getFootpaths(db, 200).then(function(footpaths) {
+        assert.deepStrictEqual(Object.keys(footpaths).sort(), ['C', 'Q']);
+        assert.strictEqual(footpaths.C[0].stopId, 'Q');
+        assert.strictEqual(footpaths.Q[0].stopId, 'C');
+        assert.ok(footpaths.C[0].distance > 50 && footpaths.C[0].distance < 200, 'distance: ' + footpaths.C[0].distance);
+      });
+    });
+
+    it('does not return footpaths longer than the max distance', function() {
+      return core.query.linegraph.getFootpaths(db, 50).then(function(footpaths) {
+        assert.deepStrictEqual(footpaths, {});
+      });
+    });
+
+  });
+
+});
+
+
+/**
+ * Get the Stop IDs of each path
+ * @param {Object[][]} paths Route Paths
+ * @returns {string[][]} Stop IDs of each path
+ */
+function _ids(paths) {
+  return paths.map(function(path) {
+    return path.map(function(stop) {
+      return stop.id;
+    });
+  });
+}
\ No newline at end of file
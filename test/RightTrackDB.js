@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+const sql = require('../modules/utils/sql.js');
+const SQLiteDB = require('./fixtures/SQLiteDB.js');
+
+
+/**
+ * An older RightTrackDB implementation, without bound parameters, that
+ * records the statements it is passed
+ */
+class LegacyDB extends SQLiteDB {
+  constructor(agency) {
+    super(agency);
+    this.statements = [];
+  }
+  select(statement, callback) {
+    this.statements.push(statement);
+    return super.select(statement, [], callback);
+  }
+  get(statement, callback) {
+    this.statements.push(statement);
+    return super.get(statement, [], callback);
+  }
+}
+
+
+describe('RightTrackDB', function() {
+
+  beforeEach(function() {
+    core.query.clearCache();
+  });
+
+
+  describe('bound parameters', function() {
+
+    it('passes the parameters to the implementation', function() {
+      let db = fixtures.db();
+      return Promise.all([
+        db.select('SELECT stop_id FROM gtfs_stops WHERE stop_name=? OR stop_id=? ORDER BY stop_id;', ['Alpha', 'B']),
+        db.get('SELECT stop_id FROM gtfs_stops WHERE stop_name=?;', ["Alpha' OR '1'='1"])
+      ]).then(function(results) {
+        assert.deepStrictEqual(results[0], [{stop_id: 'A'}, {stop_id: 'B'}]);
+        assert.strictEqual(results[1], undefined);
+      });
+    });
+
+    it('binds the escaped parameters into the statement of an implementation without parameters', function() {
+      let db = new LegacyDB(fixtures.agency());
+      return Promise.all([
+        db.get('SELECT stop_id FROM gtfs_stops WHERE stop_name=?;', ['Alpha']),
+        db.select('SELECT stop_id FROM gtfs_stops WHERE stop_name=?;', ["Alpha' OR '1'='1"]),
+        db.select('SELECT stop_id FROM gtfs_stops WHERE stop_id=\'A\';')
+      ]).then(function(results) {
+        assert.deepStrictEqual(results, [{stop_id: 'A'}, [], [{stop_id: 'A'}]]);
+        assert.deepStrictEqual(db.statements, [
+          "SELECT stop_id FROM gtfs_stops WHERE stop_name='Alpha';",
+          "SELECT stop_id FROM gtfs_stops WHERE stop_name='Alpha'' OR ''1''=''1';",
+          "SELECT stop_id FROM gtfs_stops WHERE stop_id='A';"
+        ]);
+      });
+    });
+
+    it('queries an implementation without parameters', function() {
+      let db = new LegacyDB(fixtures.agency());
+      return core.query.trips.getTrip(db, 'EXP', 20250602).then(function(trip) {
+        assert.strictEqual(trip.id, 'EXP');
+        assert.deepStrictEqual(trip.stopTimes.map(function(stopTime) {
+          return stopTime.stop.id;
+        }), ['A', 'C', 'D']);
+        for ( let i = 0; i < db.statements.length; i++ ) {
+          assert.strictEqual(db.statements[i].indexOf('?'), -1, 'unbound statement: ' + db.statements[i]);
+        }
+      });
+    });
+
+    it('returns the error when the parameters can not be bound', function(done) {
+      let db = new LegacyDB(fixtures.agency());
+      db.select('SELECT stop_id FROM gtfs_stops WHERE stop_id=? OR stop_id=?;', ['A'], function(err) {
+        assert.ok(err instanceof Error);
+        assert.deepStrictEqual(db.statements, []);
+        done();
+      });
+    });
+
+  });
+
+
+  describe('sql.bind', function() {
+
+    it('escapes the parameters as SQLite literals', function() {
+      assert.strictEqual(
+        sql.bind('SELECT * FROM t WHERE a=? AND b=? AND c=? AND d IN (' + sql.placeholders([1, 2]) + ');', ["O'Hare", 20250602, null, 1, 2]),
+        "SELECT * FROM t WHERE a='O''Hare' AND b=20250602 AND c=NULL AND d IN (1, 2);"
+      );
+    });
+
+    it('does not replace the placeholders within quoted strings', function() {
+      assert.strictEqual(sql.bind("SELECT '?' AS q, ? AS p;", [1]), "SELECT '?' AS q, 1 AS p;");
+    });
+
+    it('throws an error when the number of parameters does not match', function() {
+      assert.throws(function() {
+        sql.bind('SELECT ? AS a, ? AS b;', [1]);
+      }, /not enough parameters/);
+      assert.throws(function() {
+        sql.bind('SELECT ? AS a;', [1, 2]);
+      }, /too many parameters/);
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+const TripSearch = require('../modules/search/TripSearch.js');
+const DateTime = require('../modules/utils/DateTime.js');
+
+
+describe('RightTrackMemoryDB', function() {
+  let db = undefined;
+  let memoryDB = undefined;
+
+  beforeEach(function() {
+    core.query.clearCache();
+    db = fixtures.db();
+    memoryDB = fixtures.memoryDB();
+  });
+
+
+  describe('GTFS directory', function() {
+
+    it('loads the GTFS files into their tables', function() {
+      assert.ok(memoryDB.tables.indexOf('gtfs_stops') > -1);
+      assert.ok(memoryDB.tables.indexOf('gtfs_transfers') > -1);
+      return memoryDB.select('SELECT stop_id, stop_name, stop_lat FROM gtfs_stops WHERE stop_id=?;', ['Q']).then(function(rows) {
+        assert.deepStrictEqual(rows, [{stop_id: 'Q', stop_name: 'Quebec Square', stop_lat: 40.72}]);
+      });
+    });
+
+    it('derives the Right Track data of a plain GTFS directory', function() {
+      let statements = [
+        "SELECT arrival_time_seconds, departure_time_seconds FROM gtfs_stop_times WHERE trip_id='OWL' ORDER BY stop_sequence;",
+        'SELECT stop_id, transfer_weight FROM rt_stops_extra ORDER BY stop_id;',
+        'SELECT stop1_id, stop2_id FROM rt_line_graph ORDER BY stop1_id, stop2_id;',
+        'SELECT stop1_id, stop2_id, direction_id FROM rt_route_graph ORDER BY stop1_id, stop2_id;',
+        'SELECT direction_id, description FROM gtfs_directions ORDER BY direction_id;'
+      ];
+      return Promise.all(statements.map(function(statement) {
+        return Promise.all([memoryDB.select(statement), db.select(statement)]);
+      })).then(function(results) {
+        assert.deepStrictEqual(results[0][0][0], {arrival_time_seconds: 91800, departure_time_seconds: 91800});
+        for ( let i = 0; i < results.length; i++ ) {
+          assert.ok(results[i][0].length > 0, 'no rows: ' + statements[i]);
+          assert.deepStrictEqual(results[i][0], results[i][1], statements[i]);
+        }
+      });
+    });
+
+    it('throws an error when the GTFS directory can not be read', function() {
+      assert.throws(function() {
+        return new core.classes.RightTrackMemoryDB(fixtures.agency(), fixtures.GTFS + '/missing');
+      }, /Could not read GTFS directory/);
+    });
+
+  });
+
+
+  describe('queries', function() {
+
+    it('returns the same query results as the SQLite database', function() {
+      return Promise.all([
+        core.query.stops.getStops(memoryDB),
+        core.query.routes.getRoutes(memoryDB),
+        core.query.trips.getTripsByDate(memoryDB, 20250602)
+      ]).then(function(memory) {
+        core.query.clearCache();
+        return Promise.all([
+          core.query.stops.getStops(db),
+          core.query.routes.getRoutes(db),
+          core.query.trips.getTripsByDate(db, 20250602)
+        ]).then(function(sqlite) {
+          assert.deepStrictEqual(memory, sqlite);
+        });
+      });
+    });
+
+    it('returns the same Trip Search Results as the SQLite database', function() {
+      let searches = [
+        ['A', 'B', '07:45'],
+        ['E', 'H', '10:00'],
+        ['J', 'Y', '12:00'],
+        ['A', 'B', '23:45']
+      ];
+
+      /**
+       * Run each of the searches
+       * @param {RightTrackDB} db The Right Track DB to query
+       * @returns {Promise<string[][]>} summaries of the results of each search
+       */
+      function _search(db) {
+        return fixtures.stops(db).then(function(stops) {
+          return Promise.all(searches.map(function(search) {
+            let departure = DateTime.create(search[2], 20250602, fixtures.TIMEZONE);
+            return new TripSearch(stops[search[0]], stops[search[1]], departure).search(db).then(fixtures.trips);
+          }));
+        });
+      }
+
+      return _search(memoryDB).then(function(memory) {
+        core.query.clearCache();
+        return _search(db).then(function(sqlite) {
+          assert.deepStrictEqual(memory, sqlite);
+          assert.deepStrictEqual(memory[1], ['X2 > X3']);
+        });
+      });
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,200 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+const calc = require('../modules/utils/calc.js');
+
+
+describe('StopsTable', function() {
+  let db = undefined;
+
+  beforeEach(function() {
+    core.query.clearCache();
+    db = fixtures.db();
+  });
+
+
+  describe('getStopsByLocation', function() {
+
+    it('returns the distances from each location of concurrent queries', function() {
+      return Promise.all([
+        core.query.stops.getStopsByLocation(db, 40.70, -74.00, {count: 4}),
+        core.query.stops.getStopsByLocation(db, 40.73, -74.00, {count: 4}),
+        core.query.stops.getStopsByLocation(db, 40.70, -74.00, {count: 4})
+      ]).then(function(results) {
+        assert.deepStrictEqual(_ids(results[0]), ['A', 'B', 'C', 'Q']);
+        assert.deepStrictEqual(_ids(results[1]), ['D', 'C', 'Q', 'B']);
+        assert.deepStrictEqual(_ids(results[2]), ['A', 'B', 'C', 'Q']);
+        _assertDistances(results[0], 40.70, -74.00);
+        _assertDistances(results[1], 40.73, -74.00);
+        _assertDistances(results[2], 40.70, -74.00);
+        assert.notStrictEqual(results[0][0], results[2][0]);
+      });
+    });
+
+    it('returns copies of the shared Stops with their distances', function() {
+      return core.query.stops.getStopsByLocation(db, 40.70, -74.00, {count: 4}).then(function(stops) {
+        stops[0].name = 'Changed';
+        stops.reverse();
+        return core.query.stops.getStopsByLocation(db, 40.70, -74.00, {count: 4});
+      }).then(function(stops) {
+        assert.deepStrictEqual(_ids(stops), ['A', 'B', 'C', 'Q']);
+        assert.strictEqual(stops[0].name, 'Alpha');
+        _assertDistances(stops, 40.70, -74.00);
+      });
+    });
+
+    it('returns the Stops within the distance of the location', function() {
+      return core.query.stops.getStopsByLocation(db, 40.70, -74.00, {distance: 2}).then(function(stops) {
+        assert.deepStrictEqual(_ids(stops), ['A', 'B', 'C', 'Q']);
+        _assertDistances(stops, 40.70, -74.00);
+      });
+    });
+
+    it('returns the nearest Stops of the Route', function() {
+      return core.query.stops.getStopsByLocation(db, 40.70, -74.00, {count: 4, routeId: 'R3'}).then(function(stops) {
+        assert.deepStrictEqual(_ids(stops), ['Q', 'R']);
+      });
+    });
+
+  });
+
+
+  describe('getStopsInBounds', function() {
+    let bbox = {
+      north: 40.725,
+      south: 40.705,
+      east: -73.96,
+      west: -74.01
+    };
+
+    it('returns the Stops within the bounding box, sorted by name', function() {
+      return core.query.stops.getStopsInBounds(db, bbox).then(function(stops) {
+        assert.deepStrictEqual(_ids(stops), ['B', 'C', 'Q', 'R']);
+      });
+    });
+
+    it('returns the Stops of the Route within the bounding box', function() {
+      return core.query.stops.getStopsInBounds(db, bbox, {routeId: 'R3'}).then(function(stops) {
+        assert.deepStrictEqual(_ids(stops), ['Q', 'R']);
+      });
+    });
+
+  });
+
+
+  describe('getStops', function() {
+
+    it('returns the shared (frozen) Stops in lists that can be changed by the caller', function() {
+      return Promise.all([
+        core.query.stops.getStops(db),
+        core.query.stops.getStops(db)
+      ]).then(function(results) {
+        assert.strictEqual(results[0][0], results[1][0]);
+        assert.ok(Object.isFrozen(results[0][0]));
+        assert.throws(function() {
+          results[0][0].name = 'Changed';
+        }, TypeError);
+        results[0].reverse();
+        return core.query.stops.getStops(db);
+      }).then(function(stops) {
+        assert.deepStrictEqual(_ids(stops).slice(0, 4), ['A', 'B', 'C', 'D']);
+      });
+    });
+
+    it('returns a copy of a shared Stop with its distance from setDistance', function() {
+      return core.query.stops.getStops(db).then(function(stops) {
+        let stop = stops[0].setDistance(40.73, -74.00);
+        assert.notStrictEqual(stop, stops[0]);
+        assert.strictEqual(stop.distance, calc.distance(stop.lat, stop.lon, 40.73, -74.00));
+        assert.strictEqual(stops[0].distance, undefined);
+      });
+    });
+
+  });
+
+
+  describe('searchStops', function() {
+
+    /**
+     * Search for the Stops by name
+     * @param {string} text Stop name search text
+     * @param {Object} [options] Search Options
+     * @returns {Promise<string[]>} the Stop ID, name and match of each result
+     */
+    function _search(text, options) {
+      return core.query.stops.searchStops(db, text, options).then(function(results) {
+        return results.map(function(result) {
+          return result.stop.id + ':' + result.name + ':' + result.match;
+        });
+      });
+    }
+
+    it('matches the name of a Stop, ignoring case', function() {
+      return _search('alpha').then(function(results) {
+        assert.deepStrictEqual(results, ['A:Alpha:exact']);
+      });
+    });
+
+    it('matches the start of the name of a Stop, ignoring accents', function() {
+      return Promise.all([
+        _search('Alp'),
+        _search('québec')
+      ]).then(function(results) {
+        assert.deepStrictEqual(results[0], ['A:Alpha:prefix']);
+        assert.deepStrictEqual(results[1], ['Q:Quebec Square:prefix']);
+      });
+    });
+
+    it('matches the words of the name of a Stop', function() {
+      return _search('square').then(function(results) {
+        assert.deepStrictEqual(results, ['Q:Quebec Square:token']);
+      });
+    });
+
+    it('matches the name of a Stop with a typo', function() {
+      return Promise.all([
+        _search('Charlle'),
+        _search('Foxtrott'),
+        _search('Foxtrott', {fuzzy: false})
+      ]).then(function(results) {
+        assert.deepStrictEqual(results[0], ['C:Charlie:fuzzy']);
+        assert.deepStrictEqual(results[1], ['F:Foxtrot:fuzzy']);
+        assert.deepStrictEqual(results[2], []);
+      });
+    });
+
+    it('returns no Stops without search text', function() {
+      return _search(' ').then(function(results) {
+        assert.deepStrictEqual(results, []);
+      });
+    });
+
+  });
+
+});
+
+
+/**
+ * Get the IDs of the Stops
+ * @param {Stop[]} stops Stops
+ * @returns {string[]} Stop IDs
+ */
+function _ids(stops) {
+  return stops.map(function(stop) {
+    return stop.id;
+  });
+}
+
+/**
+ * Assert the distance of each Stop is its distance from the location
+ * @param {Stop[]} stops Stops
+ * @param {number} lat Location latitude
+ * @param {number} lon Location longitude
+ */
+function _assertDistances(stops, lat, lon) {
+  for ( let i = 0; i < stops.length; i++ ) {
+    assert.strictEqual(stops[i].distance, calc.distance(stops[i].lat, stops[i].lon, lat, lon));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+const SQLiteDB = require('./fixtures/SQLiteDB.js');
+
+
+/**
+ * A RightTrackDB implementation that counts the statements it is passed
+ */
+class CountingDB extends SQLiteDB {
+  constructor(agency) {
+    super(agency);
+    this.count = 0;
+  }
+  select(statement, params, callback) {
+    this.count++;
+    return super.select(statement, params, callback);
+  }
+  get(statement, params, callback) {
+    this.count++;
+    return super.get(statement, params, callback);
+  }
+}
+
+
+describe('TripsTable', function() {
+
+  beforeEach(function() {
+    core.query.clearCache();
+  });
+
+
+  describe('getTrips', function() {
+
+    it('returns the Trips in the order of the Trip IDs', function() {
+      let db = fixtures.db();
+      return core.query.trips.getTrips(db, ['LOC', 'UNKNOWN', 'EXP'], 20250602).then(function(trips) {
+        assert.deepStrictEqual(trips.map(function(trip) {
+          return trip.id;
+        }), ['LOC', 'EXP']);
+        assert.deepStrictEqual(trips[1].stopTimes.map(function(stopTime) {
+          return stopTime.stop.id;
+        }), ['A', 'C', 'D']);
+      });
+    });
+
+    it('returns the same Trips as getTrip', function() {
+      let db = fixtures.db();
+      return core.query.trips.getTrips(db, ['EXP', 'LOC'], 20250602).then(function(trips) {
+        core.query.clearCache();
+        return Promise.all([
+          core.query.trips.getTrip(db, 'EXP', 20250602),
+          core.query.trips.getTrip(db, 'LOC', 20250602)
+        ]).then(function(trip) {
+          assert.deepStrictEqual(JSON.parse(JSON.stringify(trips)), JSON.parse(JSON.stringify(trip)));
+        });
+      });
+    });
+
+    it('shares the Stops of the Trips', function() {
+      let db = fixtures.db();
+      return core.query.trips.getTrips(db, ['EXP', 'LOC'], 20250602).then(function(trips) {
+        assert.strictEqual(trips[0].stopTimes[0].stop, trips[1].stopTimes[0].stop);
+        assert.strictEqual(trips[0].route, trips[1].route);
+      });
+    });
+
+    it('loads the Trips with a bounded number of queries', function() {
+      let db = new CountingDB(fixtures.agency());
+      let ids = ['EXP', 'LOC', 'IN1', 'X1', 'X2', 'X3', 'CROSS'];
+      return core.query.trips.getTrips(db, ids, 20250602).then(function(trips) {
+        assert.strictEqual(trips.length, ids.length);
+        assert.ok(db.count < ids.length, 'queries: ' + db.count);
+      });
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+
+
+describe('builder', function() {
+  let db = undefined;
+
+  before(function() {
+    db = new core.classes.RightTrackMemoryDB(fixtures.agency(), null);
+    return core.builder.build(db, fixtures.GTFS, {
+      version: 2025010100,
+      publishDate: 20250101,
+      notes: 'Fixture feed'
+    });
+  });
+
+
+  it('sets the service dates and version of the database', function() {
+    return db.get('SELECT * FROM rt_about;').then(function(about) {
+      assert.strictEqual(about.start_date, 20250101);
+      assert.strictEqual(about.end_date, 20251231);
+      assert.strictEqual(about.gtfs_publish_date, 20250101);
+      assert.strictEqual(about.version, 2025010100);
+      assert.strictEqual(about.notes, 'Fixture feed');
+    });
+  });
+
+  it('sets the seconds of the stop times after midnight', function() {
+    return db.select("SELECT stop_id, arrival_time_seconds, departure_time_seconds FROM gtfs_stop_times WHERE trip_id='OWL' ORDER BY stop_sequence;").then(function(rows) {
+      assert.deepStrictEqual(rows, [
+        {stop_id: 'A', arrival_time_seconds: 91800, departure_time_seconds: 91800},
+        {stop_id: 'B', arrival_time_seconds: 92400, departure_time_seconds: 92400},
+        {stop_id: 'C', arrival_time_seconds: 93000, departure_time_seconds: 93000},
+        {stop_id: 'D', arrival_time_seconds: 93600, departure_time_seconds: 93600}
+      ]);
+    });
+  });
+
+  it('builds the line graph of the adjacent Stops', function() {
+    return db.select("SELECT stop1_id, stop2_id FROM rt_line_graph WHERE stop1_id='A' OR stop1_id='C' ORDER BY stop1_id, stop2_id;").then(function(rows) {
+      assert.deepStrictEqual(rows.map(_edge), ['A-B', 'A-C', 'C-A', 'C-B', 'C-D']);
+    });
+  });
+
+  it('builds the route graph of the Stops served in each direction', function() {
+    return db.select("SELECT stop1_id, stop2_id, direction_id FROM rt_route_graph WHERE stop1_id='A' ORDER BY stop2_id;").then(function(rows) {
+      assert.deepStrictEqual(rows, [
+        {stop1_id: 'A', stop2_id: 'B', direction_id: 0},
+        {stop1_id: 'A', stop2_id: 'C', direction_id: 0},
+        {stop1_id: 'A', stop2_id: 'D', direction_id: 0}
+      ]);
+    });
+  });
+
+  it('sets the transfer weight of each Stop', function() {
+    return db.select('SELECT stop_id, transfer_weight FROM rt_stops_extra ORDER BY transfer_weight DESC, stop_id LIMIT 5;').then(function(rows) {
+      assert.deepStrictEqual(rows, [
+        {stop_id: 'A', transfer_weight: 7},
+        {stop_id: 'C', transfer_weight: 7},
+        {stop_id: 'D', transfer_weight: 7},
+        {stop_id: 'B', transfer_weight: 6},
+        {stop_id: 'N', transfer_weight: 4}
+      ]);
+    });
+  });
+
+  it('builds a database that can be searched', function() {
+    return core.query.linegraph.getPaths(db, 'A', 'D').then(function(paths) {
+      assert.deepStrictEqual(paths.map(function(path) {
+        return path.map(_id).join('-');
+      }), ['A-C-D', 'A-B-C-D']);
+    });
+  });
+
+});
+
+
+/**
+ * Get the Stop IDs of a graph edge
+ * @param {Object} row rt_line_graph row
+ * @returns {string} edge (ex 'A-B')
+ */
+function _edge(row) {
+  return row.stop1_id + '-' + row.stop2_id;
+}
+
+/**
+ * Get the ID of the Stop
+ * @param {Object} stop Path Stop
+ * @returns {string} Stop ID
+ */
+function _id(stop) {
+  return stop.id;
+}
\ No newline at end of file
@@ -0,0 +1,199 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+const cache = core.utils.cache;
+
+
+describe('cache', function() {
+
+  afterEach(function() {
+    cache.configure();
+    core.query.clearCache();
+  });
+
+
+  describe('Cache', function() {
+
+    it('returns null for missing values and counts hits and misses', function() {
+      let c = cache.create('test-stats');
+      c.clear();
+      assert.strictEqual(c.get('a'), null);
+      c.put('a', 1);
+      assert.strictEqual(c.get('a'), 1);
+      assert.strictEqual(c.get('a'), 1);
+      let stats = cache.stats()['test-stats'];
+      assert.strictEqual(stats.hits >= 2, true);
+      assert.strictEqual(stats.misses >= 1, true);
+      assert.strictEqual(stats.size, 1);
+    });
+
+    it('returns the same Cache for a namespace', function() {
+      assert.strictEqual(cache.create('test-same'), cache.create('test-same'));
+    });
+
+    it('removes the least recently used entries when full', function() {
+      cache.configure({ namespaces: { 'test-lru': { maxSize: 2 } } });
+      let c = cache.create('test-lru');
+      c.put('a', 1);
+      c.put('b', 2);
+      c.get('a');
+      c.put('c', 3);
+      assert.strictEqual(c.size, 2);
+      assert.strictEqual(c.get('a'), 1);
+      assert.strictEqual(c.get('b'), null);
+      assert.strictEqual(c.get('c'), 3);
+    });
+
+    it('expires entries after the ttl', function() {
+      cache.configure({ ttl: 10 });
+      let c = cache.create('test-ttl');
+      c.put('a', 1);
+      assert.strictEqual(c.get('a'), 1);
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 20);
+      }).then(function() {
+        assert.strictEqual(c.get('a'), null);
+        assert.strictEqual(c.size, 0);
+      });
+    });
+
+    it('uses the configured store', function() {
+      let stores = {};
+      cache.configure({
+        store: function(namespace, options) {
+          stores[namespace] = new cache.MemoryStore(options.maxSize);
+          return stores[namespace];
+        }
+      });
+      let c = cache.create('test-store');
+      c.put('a', 1);
+      assert.strictEqual(stores['test-store'].size, 1);
+      assert.strictEqual(stores['test-store'].get('a').value, 1);
+    });
+
+  });
+
+
+  describe('query.clearCache', function() {
+
+    it('clears the cached query results', function() {
+      let db = fixtures.db();
+      return core.query.stops.getStop(db, 'A').then(function() {
+        let stats = cache.stats();
+        let cached = Object.keys(stats).filter(function(namespace) {
+          return namespace.indexOf('test-') !== 0 && stats[namespace].size > 0;
+        });
+        assert.notStrictEqual(cached.length, 0);
+        core.query.clearCache();
+        stats = cache.stats();
+        for ( let namespace of cached ) {
+          assert.strictEqual(stats[namespace].size, 0);
+        }
+      });
+    });
+
+  });
+
+
+  describe('coalesce', function() {
+    let cache_test = cache.create('test');
+
+    beforeEach(function() {
+      cache_test.clear();
+    });
+
+    it('returns a copy of the result to each waiting caller', function() {
+      let results = [];
+      let load = cache_test.coalesce('key', function(err, result) {
+        result.push('first');
+        results.push(result);
+      });
+      assert.strictEqual(cache_test.coalesce('key', function(err, result) {
+        results.push(result);
+      }), undefined);
+
+      load(null, ['value']);
+      assert.deepStrictEqual(results, [['value', 'first'], ['value']]);
+    });
+
+    it('ignores later calls of the load callback', function() {
+      let calls = 0;
+      let waiterCalls = 0;
+      let load = cache_test.coalesce('key', function() {
+        calls++;
+      });
+      cache_test.coalesce('key', function() {
+        waiterCalls++;
+      });
+
+      load(null, 'value');
+      load(new Error('late error'));
+      assert.strictEqual(calls, 1);
+      assert.strictEqual(waiterCalls, 1);
+    });
+
+    it('clears the waiting callers before they are called', function() {
+      let calls = 0;
+      let load = cache_test.coalesce('key', function() {
+        calls++;
+      });
+      cache_test.coalesce('key', function() {
+        calls++;
+        load(null, 'again');
+      });
+
+      load(null, 'value');
+      assert.strictEqual(calls, 2);
+      assert.notStrictEqual(cache_test.coalesce('key', function() {}), undefined);
+    });
+
+  });
+
+
+  describe('TripsTable.getTrips', function() {
+    let db = undefined;
+
+    beforeEach(function() {
+      core.query.clearCache();
+      db = fixtures.db();
+    });
+
+    it('loads each Trip once for concurrent calls', function() {
+      let loaded = [];
+      let select = db.select;
+      db.select = function(statement, params, callback) {
+        if ( statement.indexOf('FROM gtfs_trips INNER JOIN') > -1 ) {
+          loaded = loaded.concat(params);
+        }
+        return select.call(db, statement, params, callback);
+      };
+
+      return Promise.all([
+        core.query.trips.getTrips(db, ['EXP', 'LOC'], 20250602),
+        core.query.trips.getTrips(db, ['LOC', 'IN1'], 20250602),
+        core.query.trips.getTrip(db, 'EXP', 20250602)
+      ]).then(function(results) {
+        assert.deepStrictEqual(loaded.sort(), ['EXP', 'IN1', 'LOC']);
+        assert.deepStrictEqual(results[0].map(_id), ['EXP', 'LOC']);
+        assert.deepStrictEqual(results[1].map(_id), ['LOC', 'IN1']);
+        assert.strictEqual(results[2].id, 'EXP');
+        assert.strictEqual(results[0][0], results[2]);
+        assert.ok(Object.isFrozen(results[2]));
+      });
+    });
+
+  });
+
+});
+
+
+/**
+ * Get the ID of the Trip
+ * @param {Trip} trip Trip
+ * @returns {string} Trip ID
+ */
+function _id(trip) {
+  return trip.id;
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * A RightTrackDB implementation for the tests: the fixture Right Track
+ * Database (`test/fixtures/database.sql`, built from the fixture GTFS feed)
+ * loaded into an in-memory SQLite database using sql.js (SQLite compiled to
+ * WebAssembly).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const RightTrackDB = require('../../modules/classes/RightTrackDB');
+
+
+/**
+ * Fixture Right Track Database (SQL dump)
+ * @type {string}
+ */
+const DATABASE = path.join(__dirname, 'database.sql');
+
+/**
+ * sql.js module, once loaded
+ * @type {Promise}
+ * @private
+ */
+let _sql = undefined;
+
+
+/**
+ * ### `SQLiteDB` Class
+ *
+ * Query a new in-memory copy of the fixture Right Track Database
+ *
+ * @class
+ */
+class SQLiteDB extends RightTrackDB {
+
+  /**
+   * Load the fixture Right Track Database
+   * @param {RightTrackAgency} agency The Right Track Agency this DB will be used to query
+   */
+  constructor(agency) {
+    super(agency);
+    this._db = _open();
+  }
+
+  /**
+   * Select multiple rows from the database
+   * @param {string} statement Select Statement
+   * @param {Array} params Bound parameters
+   * @param {function} callback Callback function(err, rows)
+   */
+  select(statement, params, callback) {
+    this._execute(statement, params, callback);
+  }
+
+  /**
+   * Select the first row from the database
+   * @param {string} statement Select Statement
+   * @param {Array} params Bound parameters
+   * @param {function} callback Callback function(err, row)
+   */
+  get(statement, params, callback) {
+    this._execute(statement, params, function(err, rows) {
+      return callback(err, rows !== undefined ? rows[0] : undefined);
+    });
+  }
+
+  /**
+   * Execute the statement, asynchronously returning the selected rows
+   * @param {string} statement SQLite statement
+   * @param {Array} params Bound parameters
+   * @param {function} callback Callback function(err, rows)
+   * @private
+   */
+  _execute(statement, params, callback) {
+    this._db.then(function(db) {
+      setImmediate(function() {
+        let rows = [];
+        try {
+          let stmt = db.prepare(statement, params);
+          while ( stmt.step() ) {
+            rows.push(stmt.getAsObject());
+          }
+          stmt.free();
+        }
+        catch(err) {
+          return callback(err);
+        }
+        return callback(null, rows);
+      });
+    }, function(err) {
+      setImmediate(function() {
+        return callback(err);
+      });
+    });
+  }
+
+}
+
+
+/**
+ * Open a new in-memory copy of the fixture Right Track Database
+ * @returns {Promise} sql.js Database
+ * @private
+ */
+function _open() {
+  if ( _sql === undefined ) {
+    _sql = initSqlJs();
+  }
+  return _sql.then(function(SQL) {
+    let db = new SQL.Database();
+    db.exec(fs.readFileSync(DATABASE, 'utf8'));
+    return db;
+  });
+}
+
+
+module.exports = SQLiteDB;
\ No newline at end of file
@@ -0,0 +1,228 @@
+CREATE TABLE gtfs_agency ("agency_id" TEXT, "agency_name" TEXT, "agency_url" TEXT, "agency_timezone" TEXT, "agency_lang" TEXT, "agency_phone" TEXT, "agency_fare_url" TEXT, "agency_email" TEXT);
+INSERT INTO gtfs_agency ("agency_id", "agency_name", "agency_url", "agency_timezone", "agency_lang", "agency_phone", "agency_fare_url", "agency_email") VALUES ('ag', 'Test Transit', 'https://example.com', 'America/New_York', 'en', NULL, NULL, NULL);
+CREATE TABLE gtfs_calendar ("service_id" TEXT, "monday" INTEGER, "tuesday" INTEGER, "wednesday" INTEGER, "thursday" INTEGER, "friday" INTEGER, "saturday" INTEGER, "sunday" INTEGER, "start_date" INTEGER, "end_date" INTEGER);
+INSERT INTO gtfs_calendar ("service_id", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday", "start_date", "end_date") VALUES ('WK', 1, 1, 1, 1, 1, 0, 0, 20250101, 20251231);
+CREATE TABLE gtfs_calendar_dates ("service_id" TEXT, "date" INTEGER, "exception_type" INTEGER);
+INSERT INTO gtfs_calendar_dates ("service_id", "date", "exception_type") VALUES ('DST', 20250309, 1);
+INSERT INTO gtfs_calendar_dates ("service_id", "date", "exception_type") VALUES ('DST', 20251102, 1);
+CREATE TABLE gtfs_directions ("direction_id" INTEGER, "description" TEXT);
+INSERT INTO gtfs_directions ("direction_id", "description") VALUES (0, 'Outbound');
+INSERT INTO gtfs_directions ("direction_id", "description") VALUES (1, 'Inbound');
+CREATE TABLE gtfs_feed_info ("feed_publisher_name" TEXT, "feed_publisher_url" TEXT, "feed_lang" TEXT, "feed_start_date" INTEGER, "feed_end_date" INTEGER, "feed_version" TEXT, "feed_contact_email" TEXT, "feed_contact_url" TEXT);
+CREATE TABLE gtfs_routes ("route_id" TEXT, "agency_id" TEXT, "route_short_name" TEXT, "route_long_name" TEXT, "route_desc" TEXT, "route_type" INTEGER, "route_url" TEXT, "route_color" TEXT, "route_text_color" TEXT, "route_sort_order" INTEGER);
+INSERT INTO gtfs_routes ("route_id", "agency_id", "route_short_name", "route_long_name", "route_desc", "route_type", "route_url", "route_color", "route_text_color", "route_sort_order") VALUES ('R1', 'ag', 'R1', 'Main Line', NULL, 2, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_routes ("route_id", "agency_id", "route_short_name", "route_long_name", "route_desc", "route_type", "route_url", "route_color", "route_text_color", "route_sort_order") VALUES ('R2', 'ag', 'R2', 'Branch Line', NULL, 2, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_routes ("route_id", "agency_id", "route_short_name", "route_long_name", "route_desc", "route_type", "route_url", "route_color", "route_text_color", "route_sort_order") VALUES ('R3', 'ag', 'R3', 'Crosstown', NULL, 3, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_routes ("route_id", "agency_id", "route_short_name", "route_long_name", "route_desc", "route_type", "route_url", "route_color", "route_text_color", "route_sort_order") VALUES ('R4', 'ag', 'R4', 'Harbor Line', NULL, 2, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_routes ("route_id", "agency_id", "route_short_name", "route_long_name", "route_desc", "route_type", "route_url", "route_color", "route_text_color", "route_sort_order") VALUES ('R5', 'ag', 'R5', 'Harbor Shuttle', NULL, 3, NULL, NULL, NULL, NULL);
+CREATE TABLE gtfs_shapes ("shape_id" TEXT, "shape_pt_lat" REAL, "shape_pt_lon" REAL, "shape_pt_sequence" INTEGER, "shape_dist_traveled" REAL);
+CREATE TABLE gtfs_stop_times ("trip_id" TEXT, "arrival_time" TEXT, "arrival_time_seconds" INTEGER, "departure_time" TEXT, "departure_time_seconds" INTEGER, "stop_id" TEXT, "stop_sequence" INTEGER, "stop_headsign" TEXT, "pickup_type" INTEGER, "drop_off_type" INTEGER, "shape_dist_traveled" REAL, "timepoint" INTEGER);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('EXP', '08:00:00', 28800, '08:00:00', 28800, 'A', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('EXP', '08:10:00', 29400, '08:10:00', 29400, 'C', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('EXP', '08:15:00', 29700, '08:15:00', 29700, 'D', 3, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('IN1', '08:10:00', 29400, '08:10:00', 29400, 'D', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('IN1', '08:15:00', 29700, '08:15:00', 29700, 'C', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('IN1', '08:20:00', 30000, '08:20:00', 30000, 'B', 3, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('IN1', '08:30:00', 30600, '08:30:00', 30600, 'A', 4, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('LOC', '08:30:00', 30600, '08:30:00', 30600, 'A', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('LOC', '08:45:00', 31500, '08:45:00', 31500, 'B', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('LOC', '08:55:00', 32100, '08:55:00', 32100, 'C', 3, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('LOC', '09:05:00', 32700, '09:05:00', 32700, 'D', 4, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('NIGHT', '23:50:00', 85800, '23:50:00', 85800, 'A', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('NIGHT', '24:05:00', 86700, '24:05:00', 86700, 'B', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('NIGHT', '24:15:00', 87300, '24:15:00', 87300, 'C', 3, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('NIGHT', '24:25:00', 87900, '24:25:00', 87900, 'D', 4, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('OWL', '25:30:00', 91800, '25:30:00', 91800, 'A', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('OWL', '25:40:00', 92400, '25:40:00', 92400, 'B', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('OWL', '25:50:00', 93000, '25:50:00', 93000, 'C', 3, NULL, 1, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('OWL', '26:00:00', 93600, '26:00:00', 93600, 'D', 4, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('EARLY', '05:00:00', 18000, '05:00:00', 18000, 'A', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('EARLY', '05:15:00', 18900, '05:15:00', 18900, 'B', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('EARLY', '05:25:00', 19500, '05:25:00', 19500, 'C', 3, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('EARLY', '05:35:00', 20100, '05:35:00', 20100, 'D', 4, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('DST1', '01:00:00', 3600, '01:00:00', 3600, 'A', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('DST1', '02:00:00', 7200, '02:00:00', 7200, 'B', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('DST1', '02:30:00', 9000, '02:30:00', 9000, 'C', 3, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('DST1', '03:00:00', 10800, '03:00:00', 10800, 'D', 4, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('X1', '10:00:00', 36000, '10:00:00', 36000, 'E', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('X1', '10:10:00', 36600, '10:10:00', 36600, 'F', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('X2', '10:00:00', 36000, '10:00:00', 36000, 'E', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('X2', '10:15:00', 36900, '10:15:00', 36900, 'G', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('X2', '10:40:00', 38400, '10:40:00', 38400, 'F', 3, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('X3', '11:00:00', 39600, '11:00:00', 39600, 'F', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('X3', '11:10:00', 40200, '11:10:00', 40200, 'H', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('CROSS', '08:20:00', 30000, '08:20:00', 30000, 'Q', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('CROSS', '08:30:00', 30600, '08:30:00', 30600, 'R', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HQ1', '12:00:00', 43200, '12:00:00', 43200, 'J', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HQ1', '12:10:00', 43800, '12:10:00', 43800, 'K', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HQ1', '12:20:00', 44400, '12:20:00', 44400, 'L', 3, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HQ1', '12:30:00', 45000, '12:30:00', 45000, 'M', 4, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HQ1', '12:40:00', 45600, '12:40:00', 45600, 'N', 5, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HK', '12:15:00', 44100, '12:15:00', 44100, 'K', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HK', '12:25:00', 44700, '12:25:00', 44700, 'V', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HL', '12:20:00', 44400, '12:20:00', 44400, 'L', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HL', '12:30:00', 45000, '12:30:00', 45000, 'W', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HM', '12:32:00', 45120, '12:32:00', 45120, 'M', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HM', '12:42:00', 45720, '12:42:00', 45720, 'X', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HN1', '12:45:00', 45900, '12:45:00', 45900, 'N', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HN1', '12:55:00', 46500, '12:55:00', 46500, 'Y', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HN2', '12:50:00', 46200, '12:50:00', 46200, 'N', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HN2', '13:00:00', 46800, '13:00:00', 46800, 'Y', 2, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HS', '12:42:00', 45720, '12:42:00', 45720, 'N', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_stop_times ("trip_id", "arrival_time", "arrival_time_seconds", "departure_time", "departure_time_seconds", "stop_id", "stop_sequence", "stop_headsign", "pickup_type", "drop_off_type", "shape_dist_traveled", "timepoint") VALUES ('HS', '12:52:00', 46320, '12:52:00', 46320, 'Z', 2, NULL, NULL, NULL, NULL, NULL);
+CREATE TABLE gtfs_stops ("stop_id" TEXT, "stop_code" TEXT, "stop_name" TEXT, "stop_desc" TEXT, "stop_lat" REAL, "stop_lon" REAL, "zone_id" TEXT, "stop_url" TEXT, "location_type" INTEGER, "parent_station" TEXT, "stop_timezone" TEXT, "wheelchair_boarding" INTEGER);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('A', NULL, 'Alpha', NULL, 40.7, -74, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('B', NULL, 'Bravo', NULL, 40.71, -74, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('C', NULL, 'Charlie', NULL, 40.72, -74, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('D', NULL, 'Delta', NULL, 40.73, -74, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('E', NULL, 'Echo', NULL, 40.8, -73.9, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('F', NULL, 'Foxtrot', NULL, 40.81, -73.9, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('G', NULL, 'Golf', NULL, 40.81, -73.88, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('H', NULL, 'Hotel', NULL, 40.82, -73.9, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('Q', NULL, 'Quebec Square', NULL, 40.72, -73.999, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('R', NULL, 'Romeo Park', NULL, 40.72, -73.97, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('J', NULL, 'Juliett', NULL, 40.6, -74.1, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('K', NULL, 'Kilo', NULL, 40.61, -74.1, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('L', NULL, 'Lima', NULL, 40.62, -74.1, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('M', NULL, 'Mike', NULL, 40.63, -74.1, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('N', NULL, 'November', NULL, 40.64, -74.1, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('V', NULL, 'Victor', NULL, 40.61, -74.13, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('W', NULL, 'Whiskey', NULL, 40.62, -74.13, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('X', NULL, 'X-ray', NULL, 40.63, -74.13, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('Y', NULL, 'Yankee', NULL, 40.64, -74.13, NULL, NULL, NULL, NULL, NULL, 1);
+INSERT INTO gtfs_stops ("stop_id", "stop_code", "stop_name", "stop_desc", "stop_lat", "stop_lon", "zone_id", "stop_url", "location_type", "parent_station", "stop_timezone", "wheelchair_boarding") VALUES ('Z', NULL, 'Zulu', NULL, 40.64, -74.07, NULL, NULL, NULL, NULL, NULL, 1);
+CREATE TABLE gtfs_transfers ("from_stop_id" TEXT, "to_stop_id" TEXT, "transfer_type" INTEGER, "min_transfer_time" INTEGER, "from_route_id" TEXT, "to_route_id" TEXT, "from_trip_id" TEXT, "to_trip_id" TEXT);
+INSERT INTO gtfs_transfers ("from_stop_id", "to_stop_id", "transfer_type", "min_transfer_time", "from_route_id", "to_route_id", "from_trip_id", "to_trip_id") VALUES ('K', 'K', 3, NULL, '', '', NULL, NULL);
+INSERT INTO gtfs_transfers ("from_stop_id", "to_stop_id", "transfer_type", "min_transfer_time", "from_route_id", "to_route_id", "from_trip_id", "to_trip_id") VALUES ('L', 'L', 1, NULL, '', '', NULL, NULL);
+INSERT INTO gtfs_transfers ("from_stop_id", "to_stop_id", "transfer_type", "min_transfer_time", "from_route_id", "to_route_id", "from_trip_id", "to_trip_id") VALUES ('N', 'N', 2, 600, '', '', NULL, NULL);
+INSERT INTO gtfs_transfers ("from_stop_id", "to_stop_id", "transfer_type", "min_transfer_time", "from_route_id", "to_route_id", "from_trip_id", "to_trip_id") VALUES ('N', 'N', 2, 120, 'R4', 'R5', NULL, NULL);
+CREATE TABLE gtfs_trips ("route_id" TEXT, "service_id" TEXT, "trip_id" TEXT, "trip_headsign" TEXT, "trip_short_name" TEXT, "direction_id" INTEGER, "block_id" TEXT, "shape_id" TEXT, "wheelchair_accessible" INTEGER, "bikes_allowed" INTEGER, "peak" INTEGER);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R1', 'WK', 'EXP', 'Delta', '101', 0, NULL, NULL, 1, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R1', 'WK', 'IN1', 'Alpha', '102', 1, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R1', 'WK', 'LOC', 'Delta', '103', 0, NULL, NULL, 2, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R1', 'WK', 'NIGHT', 'Delta', '105', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R1', 'WK', 'OWL', 'Delta', '107', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R1', 'WK', 'EARLY', 'Delta', '109', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R1', 'DST', 'DST1', 'Delta', '111', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R2', 'WK', 'X1', 'Foxtrot', '201', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R2', 'WK', 'X2', 'Foxtrot', '203', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R2', 'WK', 'X3', 'Hotel', '205', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R3', 'WK', 'CROSS', 'Romeo Park', '301', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R4', 'WK', 'HQ1', 'November', '401', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R4', 'WK', 'HK', 'Victor', '403', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R4', 'WK', 'HL', 'Whiskey', '405', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R4', 'WK', 'HM', 'X-ray', '407', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R4', 'WK', 'HN1', 'Yankee', '409', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R4', 'WK', 'HN2', 'Yankee', '411', 0, NULL, NULL, NULL, NULL, NULL);
+INSERT INTO gtfs_trips ("route_id", "service_id", "trip_id", "trip_headsign", "trip_short_name", "direction_id", "block_id", "shape_id", "wheelchair_accessible", "bikes_allowed", "peak") VALUES ('R5', 'WK', 'HS', 'Zulu', '501', 0, NULL, NULL, NULL, NULL, NULL);
+CREATE TABLE rt_about ("compile_date" INTEGER, "gtfs_publish_date" INTEGER, "start_date" INTEGER, "end_date" INTEGER, "version" INTEGER, "notes" TEXT);
+INSERT INTO rt_about ("compile_date", "gtfs_publish_date", "start_date", "end_date", "version", "notes") VALUES (20250101, 20250101, 20250101, 20251231, 2025010100, NULL);
+CREATE TABLE rt_alt_stop_names ("stop_id" TEXT, "alt_stop_name" TEXT);
+CREATE TABLE rt_holidays ("date" INTEGER, "holiday_name" TEXT, "peak" INTEGER, "service_info" TEXT);
+CREATE TABLE rt_line_graph ("stop1_id" TEXT, "stop2_id" TEXT);
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('A', 'C');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('C', 'A');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('C', 'D');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('D', 'C');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('C', 'B');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('B', 'C');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('B', 'A');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('A', 'B');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('E', 'F');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('F', 'E');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('E', 'G');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('G', 'E');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('G', 'F');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('F', 'G');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('F', 'H');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('H', 'F');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('Q', 'R');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('R', 'Q');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('J', 'K');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('K', 'J');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('K', 'L');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('L', 'K');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('L', 'M');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('M', 'L');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('M', 'N');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('N', 'M');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('K', 'V');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('V', 'K');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('L', 'W');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('W', 'L');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('M', 'X');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('X', 'M');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('N', 'Y');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('Y', 'N');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('N', 'Z');
+INSERT INTO rt_line_graph ("stop1_id", "stop2_id") VALUES ('Z', 'N');
+CREATE TABLE rt_links ("link_category_title" TEXT, "link_title" TEXT, "link_description" TEXT, "link_url" TEXT);
+CREATE TABLE rt_route_graph ("stop1_id" TEXT, "stop2_id" TEXT, "direction_id" INTEGER);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('A', 'C', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('A', 'D', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('C', 'D', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('D', 'C', 1);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('D', 'B', 1);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('D', 'A', 1);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('C', 'B', 1);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('C', 'A', 1);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('B', 'A', 1);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('A', 'B', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('B', 'C', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('B', 'D', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('E', 'F', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('E', 'G', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('G', 'F', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('F', 'H', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('Q', 'R', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('J', 'K', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('J', 'L', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('J', 'M', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('J', 'N', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('K', 'L', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('K', 'M', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('K', 'N', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('L', 'M', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('L', 'N', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('M', 'N', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('K', 'V', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('L', 'W', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('M', 'X', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('N', 'Y', 0);
+INSERT INTO rt_route_graph ("stop1_id", "stop2_id", "direction_id") VALUES ('N', 'Z', 0);
+CREATE TABLE rt_stops_extra ("stop_id" TEXT, "status_id" TEXT, "display_name" TEXT, "transfer_weight" INTEGER, "zone_id" TEXT);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('A', '-1', 'Alpha', 7, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('B', '-1', 'Bravo', 6, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('C', '-1', 'Charlie', 7, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('D', '-1', 'Delta', 7, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('E', '-1', 'Echo', 2, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('F', '-1', 'Foxtrot', 3, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('G', '-1', 'Golf', 1, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('H', '-1', 'Hotel', 1, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('Q', '-1', 'Quebec Square', 1, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('R', '-1', 'Romeo Park', 1, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('J', '-1', 'Juliett', 1, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('K', '-1', 'Kilo', 2, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('L', '-1', 'Lima', 2, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('M', '-1', 'Mike', 2, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('N', '-1', 'November', 4, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('V', '-1', 'Victor', 1, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('W', '-1', 'Whiskey', 1, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('X', '-1', 'X-ray', 1, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('Y', '-1', 'Yankee', 2, NULL);
+INSERT INTO rt_stops_extra ("stop_id", "status_id", "display_name", "transfer_weight", "zone_id") VALUES ('Z', '-1', 'Zulu', 1, NULL);
+CREATE INDEX gtfs_calendar_dates_date ON gtfs_calendar_dates ("date");
+CREATE INDEX gtfs_calendar_dates_service_id ON gtfs_calendar_dates ("service_id");
+CREATE INDEX gtfs_calendar_service_id ON gtfs_calendar ("service_id");
+CREATE INDEX gtfs_routes_route_id ON gtfs_routes ("route_id");
+CREATE INDEX gtfs_shapes_shape_id ON gtfs_shapes ("shape_id");
+CREATE INDEX gtfs_stop_times_stop_id ON gtfs_stop_times ("stop_id");
+CREATE INDEX gtfs_stop_times_trip_id ON gtfs_stop_times ("trip_id");
+CREATE INDEX gtfs_stops_stop_id ON gtfs_stops ("stop_id");
+CREATE INDEX gtfs_transfers_from_stop_id ON gtfs_transfers ("from_stop_id");
+CREATE INDEX gtfs_trips_route_id ON gtfs_trips ("route_id");
+CREATE INDEX gtfs_trips_service_id ON gtfs_trips ("service_id");
+CREATE INDEX gtfs_trips_trip_id ON gtfs_trips ("trip_id");
+CREATE INDEX rt_line_graph_stop1_id ON rt_line_graph ("stop1_id");
+CREATE INDEX rt_route_graph_stop1_id ON rt_route_graph ("stop1_id");
+CREATE INDEX rt_stops_extra_stop_id ON rt_stops_extra ("stop_id");
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Test fixtures: the Right Track DB of the small fixture GTFS feed in
+ * `test/fixtures/gtfs` (see {@link SQLiteDB}).
+ *
+ * The feed is in the America/New_York timezone.  Its main route (R1) runs
+ * along Stops A - B - C - D:
+ * - EXP (outbound) runs A - C - D, skipping B
+ * - IN1 (inbound) runs D - C - B - A, so A to B can double back at C
+ * - LOC (outbound) runs A - B - C - D after EXP
+ * - NIGHT, OWL and EARLY (outbound) run around midnight (24:00+ times)
+ * - DST1 (outbound) only runs on the 2025 daylight saving transition days
+ *
+ * The other routes each test a part of the Trip Search:
+ * - R2 (E - F - H): X1 and X2 both leave E at 10:00 and arrive at F at
+ *   10:10 and 10:40, X3 leaves F for H at 11:00 (a 50 or 20 min layover)
+ * - R3 (Q - R): CROSS leaves Q, a short walk from C, after EXP arrives at C
+ * - R4 and R5 (J - K - L - M - N): HQ1 connects to a Trip at each Stop,
+ *   following the GTFS transfer rules of `transfers.txt`: a forbidden
+ *   transfer at K, a timed transfer at L, no rule at M and a min transfer
+ *   time at N (with a shorter time from R4 to R5)
+ */
+
+const path = require('path');
+const core = require('../../modules');
+const SQLiteDB = require('./SQLiteDB.js');
+
+
+/**
+ * Fixture GTFS directory
+ * @type {string}
+ */
+const GTFS = path.join(__dirname, 'gtfs');
+
+/**
+ * Fixture agency timezone
+ * @type {string}
+ */
+const TIMEZONE = 'America/New_York';
+
+
+/**
+ * Create a new Right Track Agency for the fixture feed
+ * @returns {RightTrackAgency}
+ */
+function agency() {
+  return new core.classes.RightTrackAgency({
+    id: 'test',
+    name: 'Test Transit',
+    db: {
+      location: GTFS
+    }
+  });
+}
+
+/**
+ * Create a new Right Track DB of the fixture feed
+ * @returns {SQLiteDB}
+ */
+function db() {
+  return new SQLiteDB(agency());
+}
+
+/**
+ * Create a new in-memory Right Track DB loaded from the fixture GTFS directory
+ * @returns {RightTrackMemoryDB}
+ */
+function memoryDB() {
+  return new core.classes.RightTrackMemoryDB(agency());
+}
+
+/**
+ * Get the Stops of the fixture feed, by id
+ * @param {RightTrackDB} db The Right Track DB to query
+ * @returns {Promise<Object>} Stops, by id
+ */
+function stops(db) {
+  return core.query.stops.getStops(db).then(function(stops) {
+    let rtn = {};
+    for ( let i = 0; i < stops.length; i++ ) {
+      rtn[stops[i].id] = stops[i];
+    }
+    return rtn;
+  });
+}
+
+/**
+ * Get a summary of each Trip Search Result: the ids of its Trips (and
+ * `WALK` for its walking segments)
+ * @param {TripSearchResult[]} results Trip Search Results
+ * @returns {string[]} summaries (ex 'EXP > IN1')
+ */
+function trips(results) {
+  return results.map(function(result) {
+    return result.segments.map(function(segment) {
+      return segment.trip !== undefined ? segment.trip.id : 'WALK';
+    }).join(' > ');
+  });
+}
+
+
+module.exports = {
+  GTFS: GTFS,
+  TIMEZONE: TIMEZONE,
+  agency: agency,
+  db: db,
+  memoryDB: memoryDB,
+  stops: stops,
+  trips: trips
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const core = require('../modules');
+const promisify = require('../modules/utils/promise.js');
+const TripSearch = require('../modules/search/TripSearch.js');
+const DateTime = require('../modules/utils/DateTime.js');
+
+
+describe('promise', function() {
+
+  describe('promisify', function() {
+
+    /**
+     * Add the numbers, with an optional increment
+     * @param {number} a First number
+     * @param {number} [b=1] Second number
+     * @param {function} callback Callback function(err, sum)
+     */
+    function add(a, b, callback) {
+      if ( callback === undefined && typeof b === 'function' ) {
+        callback = b;
+        b = 1;
+      }
+      setImmediate(function() {
+        if ( typeof a !== 'number' ) {
+          return callback(new Error('Not a number: ' + a));
+        }
+        return callback(null, a + b);
+      });
+    }
+
+    it('returns the result with the callback', function(done) {
+      promisify(add)(1, 2, function(err, sum) {
+        assert.ifError(err);
+        assert.strictEqual(sum, 3);
+        done();
+      });
+    });
+
+    it('returns a Promise of the result without a callback', function() {
+      return Promise.all([
+        promisify(add)(1, 2),
+        promisify(add)(1),
+        promisify(add)(1, undefined)
+      ]).then(function(sums) {
+        assert.deepStrictEqual(sums, [3, 2, 2]);
+      });
+    });
+
+    it('rejects the Promise with the error', function() {
+      return promisify(add)('one', 2).then(function() {
+        assert.fail('resolved without a number');
+      }, function(err) {
+        assert.strictEqual(err.message, 'Not a number: one');
+      });
+    });
+
+    it('returns the result of a function that returns a Promise with the callback once', function(done) {
+      let calls = 0;
+      let fn = promisify(function(value, callback) {
+        callback(null, value);
+        return Promise.resolve('again');
+      });
+      fn('value', function(err, result) {
+        calls++;
+        assert.strictEqual(result, 'value');
+      });
+      setImmediate(function() {
+        assert.strictEqual(calls, 1);
+        done();
+      });
+    });
+
+  });
+
+
+  describe('query, search and agency functions', function() {
+    let db = undefined;
+
+    beforeEach(function() {
+      core.query.clearCache();
+      db = fixtures.db();
+    });
+
+    it('return the query results with a callback or a Promise', function(done) {
+      core.query.stops.getStop(db, 'A', function(err, stop) {
+        assert.ifError(err);
+        assert.strictEqual(stop.name, 'Alpha');
+        core.query.stops.getStop(db, 'B').then(function(stop) {
+          assert.strictEqual(stop.name, 'Bravo');
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('return the Trip Search Results with a callback or a Promise', function(done) {
+      fixtures.stops(db).then(function(stops) {
+        let departure = DateTime.create('07:45', 20250602, fixtures.TIMEZONE);
+        let search = new TripSearch(stops.A, stops.D, departure, {
+          preDepartureHours: 0,
+          postDepartureHours: 2
+        });
+        search.search(db, function(err, results) {
+          assert.ifError(err);
+          assert.deepStrictEqual(fixtures.trips(results), ['EXP', 'LOC']);
+          search.search(db).then(function(results) {
+            assert.deepStrictEqual(fixtures.trips(results), ['EXP', 'LOC']);
+            done();
+          }).catch(done);
+        });
+      }).catch(done);
+    });
+
+    it('return the Station Feed error of the agency with a Promise', function() {
+      return fixtures.stops(db).then(function(stops) {
+        return fixtures.agency().loadFeed(db, stops.A);
+      }).then(function() {
+        assert.fail('loaded an unsupported Station Feed');
+      }, function(err) {
+        assert.ok(/^4051\|/.test(err.message), err.message);
+      });
+    });
+
+  });
+
+});
\ No newline at end of file
@@ -0,0 +1,631 @@
+'use strict';
+
+const assert = require('assert');
+const fixtures = require('./fixtures');
+const TripSearch = require('../modules/search/TripSearch.js');
+const DateTime = require('../modules/utils/DateTime.js');
+const StationFeed = require('../modules/classes/RightTrackAgency/StationFeed/StationFeed.js');
+const StationFeedDeparture = require('../modules/classes/RightTrackAgency/StationFeed/StationFeedDeparture.js');
+const StationFeedDepartureStatus = require('../modules/classes/RightTrackAgency/StationFeed/StationFeedDepartureStatus.js');
+
+
+describe('TripSearch', function() {
+  let db = undefined;
+  let stops = undefined;
+
+  before(function() {
+    db = fixtures.db();
+    return fixtures.stops(db).then(function(rtn) {
+      stops = rtn;
+    });
+  });
+
+
+  describe('round-based search', function() {
+    let departure = DateTime.create('10:00', 20250602, fixtures.TIMEZONE);
+
+    it('finds the direct Trips from the origin to the destination', function() {
+      let search = new TripSearch(stops.A, stops.D, DateTime.create('07:45', 20250602, fixtures.TIMEZONE), {
+        preDepartureHours: 0,
+        postDepartureHours: 2
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP', 'LOC']);
+        assert.strictEqual(results[0].origin.departure.getTimeGTFS(), '08:00:00');
+        assert.strictEqual(results[0].destination.arrival.getTimeGTFS(), '08:15:00');
+        assert.strictEqual(results[0].travelTime.getMinutes(), 15);
+      });
+    });
+
+    it('boards the next Trip from a later arrival within the max layover', function() {
+      let search = new TripSearch(stops.E, stops.H, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 1
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['X2 > X3']);
+        assert.strictEqual(results[0].transfers.length, 1);
+        assert.strictEqual(results[0].transfers[0].stop.id, 'F');
+        assert.strictEqual(results[0].layoverTime.getMinutes(), 20);
+      });
+    });
+
+    it('does not transfer with a layover longer than the max layover', function() {
+      let search = new TripSearch(stops.E, stops.H, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 1,
+        maxLayoverMins: 10
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), []);
+      });
+    });
+
+    it('does not transfer when transfers are not allowed', function() {
+      let search = new TripSearch(stops.E, stops.H, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 1,
+        allowTransfers: false
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), []);
+      });
+    });
+
+  });
+
+
+  describe('arriveBy', function() {
+
+    it('finds the Trips arriving before the requested arrival, latest first', function() {
+      let arrival = DateTime.create('09:10', 20250602, fixtures.TIMEZONE);
+      let search = new TripSearch(stops.A, stops.D, arrival, {
+        arriveBy: true,
+        preArrivalHours: 2
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['LOC', 'EXP']);
+        assert.strictEqual(results[0].destination.arrival.getTimeGTFS(), '09:05:00');
+        assert.strictEqual(results[1].destination.arrival.getTimeGTFS(), '08:15:00');
+      });
+    });
+
+    it('searches backwards through a transfer', function() {
+      let arrival = DateTime.create('11:10', 20250602, fixtures.TIMEZONE);
+      let search = new TripSearch(stops.E, stops.H, arrival, {
+        arriveBy: true,
+        preArrivalHours: 2
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['X2 > X3']);
+        assert.strictEqual(results[0].origin.departure.getTimeGTFS(), '10:00:00');
+      });
+    });
+
+  });
+
+
+  describe('allowChangeInDirection', function() {
+    let departure = DateTime.create('07:45', 20250602, fixtures.TIMEZONE);
+    let arrival = DateTime.create('08:50', 20250602, fixtures.TIMEZONE);
+
+    it('finds the double back itinerary when changes in direction are allowed', function() {
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        allowChangeInDirection: true
+      });
+      return search.search(db).then(function(results) {
+        let trips = fixtures.trips(results);
+        assert.ok(trips.indexOf('EXP > IN1') > -1, 'missing double back: ' + trips.join(', '));
+        assert.ok(trips.indexOf('LOC') > -1, 'missing direct trip: ' + trips.join(', '));
+      });
+    });
+
+    it('does not return a double back itinerary when changes in direction are not allowed', function() {
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        allowChangeInDirection: false
+      });
+      return search.search(db).then(function(results) {
+        let trips = fixtures.trips(results);
+        assert.strictEqual(trips.indexOf('EXP > IN1'), -1, 'found double back: ' + trips.join(', '));
+        assert.ok(trips.indexOf('LOC') > -1, 'missing direct trip: ' + trips.join(', '));
+        _assertSingleDirection(results);
+      });
+    });
+
+    it('does not return a double back itinerary in an arrive by search', function() {
+      let search = new TripSearch(stops.A, stops.B, arrival, {
+        arriveBy: true,
+        allowChangeInDirection: false
+      });
+      return search.search(db).then(function(results) {
+        let trips = fixtures.trips(results);
+        assert.strictEqual(trips.indexOf('EXP > IN1'), -1, 'found double back: ' + trips.join(', '));
+        assert.ok(trips.indexOf('LOC') > -1, 'missing direct trip: ' + trips.join(', '));
+        _assertSingleDirection(results);
+      });
+    });
+
+  });
+
+
+  describe('walking', function() {
+    let departure = DateTime.create('08:00', 20250602, fixtures.TIMEZONE);
+
+    it('walks between nearby Stops to transfer', function() {
+      let search = new TripSearch(stops.A, stops.R, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 1,
+        maxWalkMeters: 200
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP > WALK > CROSS']);
+        let walk = results[0].segments[1];
+        assert.strictEqual(walk.enter.stop.id, 'C');
+        assert.strictEqual(walk.exit.stop.id, 'Q');
+        assert.ok(walk.distance > 50 && walk.distance < 200, 'walk distance: ' + walk.distance);
+        assert.strictEqual(results[0].walkDistance, walk.distance);
+      });
+    });
+
+    it('does not walk when walking is disabled', function() {
+      let search = new TripSearch(stops.A, stops.R, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 1
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), []);
+      });
+    });
+
+    it('does not walk further than the max walking distance', function() {
+      let search = new TripSearch(stops.A, stops.R, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 1,
+        maxWalkMeters: 50
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), []);
+      });
+    });
+
+  });
+
+
+  describe('transfer rules', function() {
+    let departure = DateTime.create('12:00', 20250602, fixtures.TIMEZONE);
+
+    /**
+     * Search from J to the destination departing at 12:00
+     * @param {string} destination Destination Stop ID
+     * @param {Object} [options] Additional Trip Search Options
+     * @returns {Promise<string[]>} summaries of the results
+     */
+    function _search(destination, options) {
+      options = Object.assign({
+        preDepartureHours: 0,
+        postDepartureHours: 1
+      }, options);
+      let search = new TripSearch(stops.J, stops[destination], departure, options);
+      return search.search(db).then(fixtures.trips);
+    }
+
+    it('does not transfer at a Stop where transfers are not possible (type 3)', function() {
+      return _search('V').then(function(trips) {
+        assert.deepStrictEqual(trips, []);
+      });
+    });
+
+    it('makes a timed transfer (type 1) within the min layover', function() {
+      return _search('W', {minLayoverMins: 5}).then(function(trips) {
+        assert.deepStrictEqual(trips, ['HQ1 > HL']);
+      });
+    });
+
+    it('uses the min layover at a Stop without a transfer rule', function() {
+      return Promise.all([
+        _search('X', {minLayoverMins: 5}),
+        _search('X', {minLayoverMins: 0})
+      ]).then(function(results) {
+        assert.deepStrictEqual(results[0], []);
+        assert.deepStrictEqual(results[1], ['HQ1 > HM']);
+      });
+    });
+
+    it('uses the min transfer time (type 2) of the Stop', function() {
+      return _search('Y').then(function(trips) {
+        assert.deepStrictEqual(trips, ['HQ1 > HN2']);
+      });
+    });
+
+    it('uses the min transfer time between the Routes over the time of the Stop', function() {
+      return _search('Z').then(function(trips) {
+        assert.deepStrictEqual(trips, ['HQ1 > HS']);
+      });
+    });
+
+  });
+
+
+  describe('criteria', function() {
+    let departure = DateTime.create('07:45', 20250602, fixtures.TIMEZONE);
+
+    it('keeps the results that are best in any of the criteria', function() {
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 2
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP > IN1', 'LOC']);
+        assert.deepStrictEqual(results[0].criteria, ['arrival']);
+        assert.deepStrictEqual(results[1].criteria, ['departure', 'transfers', 'layover']);
+      });
+    });
+
+    it('keeps the earliest arrival', function() {
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 2,
+        criteria: ['arrival']
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP > IN1']);
+      });
+    });
+
+    it('keeps the fewest transfers', function() {
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 2,
+        criteria: ['transfers']
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['LOC']);
+      });
+    });
+
+  });
+
+
+  describe('real-time', function() {
+    let departure = DateTime.create('07:45', 20250602, fixtures.TIMEZONE);
+    let options = {
+      preDepartureHours: 0,
+      postDepartureHours: 2
+    };
+
+    it('applies the delays of the Station Feeds', function() {
+      let agency = _feedAgency({
+        A: [_feedDeparture('EXP', '08:00', new StationFeedDepartureStatus('Late', 3, undefined, '1'))]
+      });
+      let search = new TripSearch(stops.A, stops.B, departure, options);
+      return search.search(db, agency).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP > IN1', 'LOC']);
+        let segment = results[0].segments[0];
+        assert.strictEqual(segment.status.delay, 3);
+        assert.strictEqual(segment.estDeparture.getTimeGTFS(), '08:03:00');
+        assert.strictEqual(segment.estArrival.getTimeGTFS(), '08:13:00');
+        assert.strictEqual(results[1].segments[0].status, undefined);
+      });
+    });
+
+    it('removes the results with a transfer that can no longer be made', function() {
+      let agency = _feedAgency({
+        A: [_feedDeparture('EXP', '08:00', new StationFeedDepartureStatus('Late', 10, undefined, '1'))]
+      });
+      let search = new TripSearch(stops.A, stops.B, departure, options);
+      return search.search(db, agency).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['LOC']);
+      });
+    });
+
+    it('removes the results with a cancelled Trip', function() {
+      let agency = _feedAgency({
+        A: [_feedDeparture('LOC', '08:30', new StationFeedDepartureStatus('Cancelled', 0, undefined, '1'))]
+      });
+      let search = new TripSearch(stops.A, stops.B, departure, options);
+      return search.search(db, agency).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP > IN1']);
+      });
+    });
+
+    it('sets the Station Feed errors of the results', function() {
+      let error = new Error('5001|Station Feed Error|Feed not available');
+      let agency = _feedAgency({
+        A: error
+      });
+      let search = new TripSearch(stops.A, stops.B, departure, options);
+      return search.search(db, agency).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP > IN1', 'LOC']);
+        for ( let i = 0; i < results.length; i++ ) {
+          assert.deepStrictEqual(results[i].feedErrors, [error]);
+          assert.strictEqual(results[i].segments[0].feedError, error);
+        }
+      });
+    });
+
+  });
+
+
+  describe('wheelchair accessible', function() {
+    let departure = DateTime.create('07:45', 20250602, fixtures.TIMEZONE);
+
+    it('only uses the wheelchair accessible Trips', function() {
+      let search = new TripSearch(stops.A, stops.D, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 2,
+        wheelchairAccessible: true
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP']);
+        assert.strictEqual(results[0].wheelchairAccessible, true);
+      });
+    });
+
+    it('treats a Trip with unknown accessibility as inaccessible', function() {
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 2,
+        wheelchairAccessible: true
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), []);
+      });
+    });
+
+    it('uses a Trip with unknown accessibility when not strict', function() {
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 2,
+        wheelchairAccessible: true,
+        wheelchairStrict: false
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP > IN1']);
+        assert.strictEqual(results[0].wheelchairAccessible, false);
+        assert.deepStrictEqual(results[0].accessibility.map(function(accessibility) {
+          return accessibility.accessible;
+        }), [true, false]);
+      });
+    });
+
+    it('summarizes the accessibility of each result', function() {
+      let search = new TripSearch(stops.A, stops.D, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 2
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['EXP', 'LOC']);
+        assert.strictEqual(results[0].wheelchairAccessible, true);
+        assert.strictEqual(results[1].wheelchairAccessible, false);
+        assert.strictEqual(results[1].accessibility[0].trip, 2);
+      });
+    });
+
+  });
+
+
+  describe('search range', function() {
+
+    it('finds the Trips after midnight of a range that starts before midnight', function() {
+      let departure = DateTime.create('23:45', 20250602, fixtures.TIMEZONE);
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 6
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(_departures(results), [
+          'NIGHT@2025-06-02T23:50:00-04:00',
+          'OWL@2025-06-03T01:30:00-04:00',
+          'EARLY@2025-06-03T05:00:00-04:00'
+        ]);
+      });
+    });
+
+    it('finds the Trips of the previous service day that run past midnight', function() {
+      let departure = DateTime.create('01:00', 20250603, fixtures.TIMEZONE);
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 2
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(_departures(results), [
+          'OWL@2025-06-03T01:30:00-04:00'
+        ]);
+      });
+    });
+
+    it('limits the range of each service day to 48 hours', function() {
+      let departure = DateTime.create('07:00', 20250602, fixtures.TIMEZONE);
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 60
+      });
+
+      // Get the search range of each Timetable query
+      let ranges = [];
+      let select = db.select;
+      db.select = function(statement, params, callback) {
+        if ( statement.indexOf('departure_time_seconds >= ? AND departure_time_seconds <= ?') > -1 ) {
+          ranges.push(params.slice(-2));
+        }
+        return select.call(db, statement, params, callback);
+      };
+
+      return search.search(db).then(function(results) {
+        db.select = select;
+
+        // The range of the first service day is clamped
+        assert.ok(ranges.length > 0);
+        for ( let i = 0; i < ranges.length; i++ ) {
+          assert.ok(ranges[i][1] <= 48*3600, 'range past 48 hours: ' + ranges[i]);
+        }
+        assert.ok(ranges.some(function(range) {
+          return range[1] === 48*3600;
+        }), 'range not clamped: ' + JSON.stringify(ranges));
+
+        // The Trips of each service day are found once
+        let departures = _departures(results);
+        assert.strictEqual(departures.length, new Set(departures).size, 'duplicate results: ' + departures.join(', '));
+        assert.deepStrictEqual(departures.filter(function(departure) {
+          return departure.indexOf('LOC@') === 0;
+        }), [
+          'LOC@2025-06-02T08:30:00-04:00',
+          'LOC@2025-06-03T08:30:00-04:00',
+          'LOC@2025-06-04T08:30:00-04:00'
+        ]);
+        assert.ok(departures.indexOf('OWL@2025-06-04T01:30:00-04:00') > -1, 'missing OWL: ' + departures.join(', '));
+      }, function(err) {
+        db.select = select;
+        throw err;
+      });
+    });
+
+  });
+
+
+  describe('timezone', function() {
+
+    it('searches from the same moment in the timezone of the agency', function() {
+      let departure = DateTime.create('03:45', 20250603, 'UTC');
+      let search = new TripSearch(stops.A, stops.B, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 6
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(_departures(results), [
+          'NIGHT@2025-06-02T23:50:00-04:00',
+          'OWL@2025-06-03T01:30:00-04:00',
+          'EARLY@2025-06-03T05:00:00-04:00'
+        ]);
+      });
+    });
+
+    it('searches from the wall-clock time of the agency without a timezone', function() {
+      let tz = process.env.TZ;
+      process.env.TZ = 'UTC';
+      let departure = DateTime.create('08:25', 20250602);
+      let search = new TripSearch(stops.A, stops.D, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 1
+      });
+      return search.search(db).then(function(results) {
+        process.env.TZ = tz;
+        assert.deepStrictEqual(_departures(results), [
+          'LOC@2025-06-02T08:30:00-04:00'
+        ]);
+      }, function(err) {
+        process.env.TZ = tz;
+        throw err;
+      });
+    });
+
+    it('searches from the current time by default', function() {
+      let search = new TripSearch(stops.A, stops.B);
+      return search.search(db).then(function(results) {
+        let now = Date.now();
+        for ( let i = 0; i < results.length; i++ ) {
+          assert.strictEqual(results[i].origin.departure.timezone, fixtures.TIMEZONE);
+          assert.ok(results[i].origin.departure.toTimestamp() > now - 4*3600*1000);
+        }
+      });
+    });
+
+  });
+
+
+  describe('daylight saving time', function() {
+
+    it('finds the travel time of a Trip on the spring forward date', function() {
+      let departure = DateTime.create('00:00', 20250309, fixtures.TIMEZONE);
+      let search = new TripSearch(stops.A, stops.D, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 4
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['DST1']);
+        assert.strictEqual(results[0].origin.departure.toISO(), '2025-03-09T00:00:00-05:00');
+        assert.strictEqual(results[0].origin.departure.getTimeReadable(), '12:00 AM');
+        assert.strictEqual(results[0].destination.arrival.toISO(), '2025-03-09T03:00:00-04:00');
+        assert.strictEqual(results[0].destination.arrival.getTimeReadable(), '3:00 AM');
+        assert.strictEqual(results[0].travelTime.getMinutes(), 120);
+      });
+    });
+
+    it('finds the travel time of a Trip on the fall back date', function() {
+      let departure = DateTime.create('00:00', 20251102, fixtures.TIMEZONE);
+      let search = new TripSearch(stops.A, stops.D, departure, {
+        preDepartureHours: 0,
+        postDepartureHours: 4
+      });
+      return search.search(db).then(function(results) {
+        assert.deepStrictEqual(fixtures.trips(results), ['DST1']);
+        assert.strictEqual(results[0].origin.departure.toISO(), '2025-11-02T01:00:00-05:00');
+        assert.strictEqual(results[0].origin.departure.getTimeReadable(), '1:00 AM');
+        assert.strictEqual(results[0].destination.arrival.toISO(), '2025-11-02T03:00:00-05:00');
+        assert.strictEqual(results[0].destination.arrival.getTimeReadable(), '3:00 AM');
+        assert.strictEqual(results[0].travelTime.getMinutes(), 120);
+      });
+    });
+
+  });
+
+});
+
+
+/**
+ * Get the Trips and origin departure of each result
+ * @param {TripSearchResult[]} results Trip Search Results
+ * @returns {string[]} departures (ex 'LOC@2025-06-02T08:30:00-04:00')
+ */
+function _departures(results) {
+  let trips = fixtures.trips(results);
+  return results.map(function(result, i) {
+    return trips[i] + '@' + result.origin.departure.toISO();
+  });
+}
+
+/**
+ * Assert the Trips of each result operate in the same direction
+ * @param {TripSearchResult[]} results Trip Search Results
+ */
+function _assertSingleDirection(results) {
+  for ( let i = 0; i < results.length; i++ ) {
+    let segments = results[i].segments;
+    for ( let j = 1; j < segments.length; j++ ) {
+      assert.strictEqual(segments[j].trip.directionId, segments[0].trip.directionId);
+    }
+  }
+}
+
+/**
+ * Create a Right Track Agency for the fixture feed with real-time Station Feeds
+ * @param {Object} feeds The Station Feed Departures (or Station Feed Error) of each Stop, by Stop ID
+ * @returns {RightTrackAgency}
+ */
+function _feedAgency(feeds) {
+  let agency = fixtures.agency();
+  agency.isFeedSupported = function() {
+    return true;
+  };
+  agency.loadFeed = function(db, origin, callback) {
+    let feed = feeds[origin.id];
+    setImmediate(function() {
+      if ( feed instanceof Error ) {
+        return callback(feed);
+      }
+      return callback(null, new StationFeed(origin, DateTime.now(), feed !== undefined ? feed : []));
+    });
+  };
+  return agency;
+}
+
+/**
+ * Create a Station Feed Departure of a fixture Trip on 2025-06-02
+ * @param {string} tripId Trip ID
+ * @param {string} time Scheduled departure time (HH:mm)
+ * @param {StationFeedDepartureStatus} status Real-time status of the Departure
+ * @returns {StationFeedDeparture}
+ */
+function _feedDeparture(tripId, time, status) {
+  return new StationFeedDeparture(DateTime.create(time, 20250602), undefined, {id: tripId}, status);
+}
\ No newline at end of file